@@ -62,8 +62,15 @@ app.use(session({
   },
 }));
 
-// Body parser middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parser middleware (webhooks keep the raw body for signature verification)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks')) {
+      req.rawBody = buf;
+    }
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging middleware
@@ -80,6 +87,8 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  // GitHub delivers webhooks from a small pool of addresses
+  skip: (req) => req.originalUrl.startsWith('/api/webhooks'),
 });
 
 app.use('/api/', limiter);
@@ -105,6 +114,7 @@ app.get('/api', (req, res) => {
       integrations: '/api/integrations',
       sync: '/api/sync',
       data: '/api/data',
+      webhooks: '/api/webhooks',
     },
   }, 'API Information');
 });
@@ -112,8 +122,8 @@ app.get('/api', (req, res) => {
 // Auth routes
 app.use('/api/auth', require('./routes/auth.routes'));
 
-// Integration routes (placeholder for PR3)
-// app.use('/api/integrations', require('./routes/integration.routes'));
+// Integration routes
+app.use('/api/integrations', require('./routes/integration.routes'));
 
 // Sync routes
 app.use('/api/sync', require('./routes/sync.routes'));
@@ -121,8 +131,11 @@ app.use('/api/sync', require('./routes/sync.routes'));
 // Health check routes
 app.use('/api/health', require('./routes/health.routes'));
 
-// Data routes (placeholder for PR5)
-// app.use('/api/data', require('./routes/data.routes'));
+// Data routes
+app.use('/api/data', require('./routes/data.routes'));
+
+// Webhook routes
+app.use('/api/webhooks', require('./routes/webhook.routes'));
 
 // 404 handler
 app.use(notFoundHandler);
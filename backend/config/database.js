@@ -46,6 +46,22 @@ class Database {
     }
   }
 
+  /**
+   * Bring the indexes of models in line with their schemas. Indexes a schema
+   * no longer declares are dropped, e.g. the unique `userId_1` of integrations
+   * from before several GitHub accounts per user, so existing databases
+   * accept what the new unique indexes allow.
+   * @param {Array<string>} modelNames - Names of registered models
+   */
+  async syncIndexes(modelNames) {
+    for (const name of modelNames) {
+      const dropped = await mongoose.model(name).syncIndexes();
+      if (dropped.length > 0) {
+        console.log(`Dropped outdated ${name} indexes: ${dropped.join(', ')}`);
+      }
+    }
+  }
+
   async disconnect() {
     try {
       if (this.connection) {
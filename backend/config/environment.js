@@ -21,6 +21,55 @@ const config = {
     clientSecret: process.env.GITHUB_CLIENT_SECRET,
     callbackUrl: process.env.GITHUB_CALLBACK_URL || 'http://localhost:3000/auth/github/callback',
     scope: 'read:org repo user',
+    webhookSecret: process.env.GITHUB_WEBHOOK_SECRET,
+  },
+
+  // GitHub Enterprise Server Configuration (optional; github.com stays available)
+  githubEnterprise: {
+    host: process.env.GITHUB_ENTERPRISE_HOST,
+    clientId: process.env.GITHUB_ENTERPRISE_CLIENT_ID,
+    clientSecret: process.env.GITHUB_ENTERPRISE_CLIENT_SECRET,
+  },
+
+  // Personal access token integrations
+  personalAccessTokens: {
+    // Days before expiry from which a token's integration shows a warning
+    expiryWarningDays: parseInt(process.env.PAT_EXPIRY_WARNING_DAYS) || 7,
+  },
+
+  // GitHub App Configuration (installation auth, optional)
+  githubApp: {
+    appId: process.env.GITHUB_APP_ID,
+    // Host the app is registered on
+    host: process.env.GITHUB_APP_HOST || 'github.com',
+    // PEM key; escaped newlines let it fit on one line in .env
+    privateKey: process.env.GITHUB_APP_PRIVATE_KEY
+      ? process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n')
+      : null,
+    slug: process.env.GITHUB_APP_SLUG,
+  },
+
+  // GitHub conditional request (ETag) cache
+  githubCache: {
+    enabled: process.env.GITHUB_CACHE_ENABLED !== 'false',
+    ttlSeconds: parseInt(process.env.GITHUB_CACHE_TTL_SECONDS) || 7 * 24 * 60 * 60, // 7 days
+    // Larger responses aren't cached; the oldest entries are evicted beyond the total
+    maxEntryBytes: (parseInt(process.env.GITHUB_CACHE_MAX_ENTRY_KB) || 512) * 1024,
+    maxBytes: (parseInt(process.env.GITHUB_CACHE_MAX_MB) || 128) * 1024 * 1024,
+  },
+
+  // GitHub API rate limit scheduling
+  githubRateLimit: {
+    // Calls left unused per token before its queued jobs are paused
+    reserve: parseInt(process.env.GITHUB_RATE_LIMIT_RESERVE) || 100,
+  },
+
+  // Deletion detection
+  sync: {
+    // How long an object must be missing from GitHub listings before it is tombstoned
+    deletionGraceHours: parseInt(process.env.SYNC_DELETION_GRACE_HOURS) || 6,
+    // How often incremental syncs list every ID of an entity to find deletions they can't see
+    sweepIntervalHours: parseInt(process.env.SYNC_SWEEP_INTERVAL_HOURS) || 24,
   },
 
   // Security Configuration
@@ -59,6 +108,13 @@ const validateConfig = () => {
     if (!config.github.clientSecret) required.push('GITHUB_CLIENT_SECRET');
     if (config.jwt.secret === 'default_jwt_secret_change_in_production') required.push('JWT_SECRET');
     if (config.encryption.key === 'default_32_char_encryption_key__') required.push('ENCRYPTION_KEY');
+    if (!config.github.webhookSecret) required.push('GITHUB_WEBHOOK_SECRET');
+  }
+
+  // An enterprise host is only usable with its own OAuth app
+  if (config.githubEnterprise.host) {
+    if (!config.githubEnterprise.clientId) required.push('GITHUB_ENTERPRISE_CLIENT_ID');
+    if (!config.githubEnterprise.clientSecret) required.push('GITHUB_ENTERPRISE_CLIENT_SECRET');
   }
 
   if (required.length > 0) {
@@ -1,25 +1,123 @@
 const config = require('./environment');
 
+const GITHUB_COM_HOST = 'github.com';
+
+// Reduce a host setting or user input (e.g. https://github.acme.com/) to its host name
+const normalizeHost = (host) => {
+  if (!host) return null;
+  return host.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+};
+
+// Endpoints of a GitHub host. GitHub Enterprise Server serves the REST API
+// under /api/v3 and GraphQL under /api/graphql of the instance itself.
+const endpointsFor = (host) => {
+  if (host === GITHUB_COM_HOST) {
+    return {
+      host,
+      webUrl: 'https://github.com',
+      apiUrl: 'https://api.github.com',
+      graphqlUrl: 'https://api.github.com/graphql',
+      authorizeUrl: 'https://github.com/login/oauth/authorize',
+      tokenUrl: 'https://github.com/login/oauth/access_token',
+    };
+  }
+
+  return {
+    host,
+    webUrl: `https://${host}`,
+    apiUrl: `https://${host}/api/v3`,
+    graphqlUrl: `https://${host}/api/graphql`,
+    authorizeUrl: `https://${host}/login/oauth/authorize`,
+    tokenUrl: `https://${host}/login/oauth/access_token`,
+  };
+};
+
+const enterpriseHost = normalizeHost(config.githubEnterprise.host);
+const appHost = normalizeHost(config.githubApp.host) || GITHUB_COM_HOST;
+
+// OAuth apps per host; each host needs its own app
+const oauthApps = {
+  [GITHUB_COM_HOST]: {
+    clientID: config.github.clientId,
+    clientSecret: config.github.clientSecret,
+  },
+};
+
+if (enterpriseHost && enterpriseHost !== GITHUB_COM_HOST) {
+  oauthApps[enterpriseHost] = {
+    clientID: config.githubEnterprise.clientId,
+    clientSecret: config.githubEnterprise.clientSecret,
+  };
+}
+
 const githubConfig = {
-  clientID: config.github.clientId,
-  clientSecret: config.github.clientSecret,
   callbackURL: config.github.callbackUrl,
-  scope: ['read:org', 'repo', 'user', 'read:user', 'user:email'],
+  scope: ['read:org', 'repo', 'user', 'read:user', 'user:email', 'read:project'],
+
+  // OAuth scopes each sync feature needs; together they make up `scope`
+  scopeRequirements: {
+    repositories: {
+      description: 'Private repositories with their commits, issues, pull requests and workflow runs',
+      scopes: ['repo'],
+    },
+    organizations: {
+      description: 'Organizations, members and teams',
+      scopes: ['read:org'],
+    },
+    profile: {
+      description: 'Profile and email addresses',
+      scopes: ['user', 'read:user', 'user:email'],
+    },
+    projects: {
+      description: 'Projects (v2)',
+      scopes: ['read:project'],
+    },
+  },
+
+  // Host of integrations created before per-integration hosts
+  defaultHost: GITHUB_COM_HOST,
 
-  // GitHub API configuration
+  // GitHub API configuration (endpoints come from endpointsFor)
   api: {
-    baseURL: 'https://api.github.com',
     version: '2022-11-28', // GitHub API version
     headers: {
       Accept: 'application/vnd.github+json',
     },
   },
 
-  // OAuth URLs
-  oauth: {
-    authorizeURL: 'https://github.com/login/oauth/authorize',
-    tokenURL: 'https://github.com/login/oauth/access_token',
+  // GitHub App used for installation auth
+  app: {
+    appId: config.githubApp.appId,
+    privateKey: config.githubApp.privateKey,
+    slug: config.githubApp.slug,
+    host: appHost,
+    installURL: config.githubApp.slug
+      ? `${endpointsFor(appHost).webUrl}/apps/${config.githubApp.slug}/installations/new`
+      : null,
+  },
+
+  normalizeHost,
+  endpointsFor,
+
+  /**
+   * Get the endpoints and OAuth app of a configured host
+   * @param {string} host - Host name, e.g. github.com or a GitHub Enterprise Server host
+   * @returns {Object|null} Endpoints plus clientID and clientSecret, or null if the host isn't configured
+   */
+  getServer(host) {
+    const name = normalizeHost(host) || GITHUB_COM_HOST;
+    if (!oauthApps[name]) return null;
+
+    return { ...endpointsFor(name), ...oauthApps[name] };
+  },
+
+  /**
+   * List the hosts integrations can connect to
+   * @returns {Array<string>} Host names, github.com first
+   */
+  listHosts() {
+    return Object.keys(oauthApps);
   },
 };
 
-module.exports = githubConfig;
\ No newline at end of file
+module.exports = githubConfig;
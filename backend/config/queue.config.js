@@ -14,7 +14,8 @@ const syncJobOptions = {
   removeOnFail: 100,
 };
 
-// Rate limit options for GitHub API
+// Bull limiter for the per-entity queues: a coarse ceiling on jobs started per
+// hour. Per-token pacing of individual API calls is done by the rate limit scheduler.
 const rateLimitOptions = {
   max: 5000, // GitHub rate limit
   duration: 60 * 60 * 1000, // 1 hour
@@ -23,12 +24,23 @@ const rateLimitOptions = {
 
 // Create queues
 const syncQueue = new Bull('github-sync', queueConfig);
-const organizationQueue = new Bull('github-org-sync', queueConfig);
-const repositoryQueue = new Bull('github-repo-sync', queueConfig);
-const commitQueue = new Bull('github-commit-sync', queueConfig);
-const pullQueue = new Bull('github-pull-sync', queueConfig);
-const issueQueue = new Bull('github-issue-sync', queueConfig);
-const userQueue = new Bull('github-user-sync', queueConfig);
+const limitedQueueConfig = { ...queueConfig, limiter: rateLimitOptions };
+const organizationQueue = new Bull('github-org-sync', limitedQueueConfig);
+const repositoryQueue = new Bull('github-repo-sync', limitedQueueConfig);
+const commitQueue = new Bull('github-commit-sync', limitedQueueConfig);
+const pullQueue = new Bull('github-pull-sync', limitedQueueConfig);
+const issueQueue = new Bull('github-issue-sync', limitedQueueConfig);
+const actionsQueue = new Bull('github-actions-sync', limitedQueueConfig);
+const refsQueue = new Bull('github-refs-sync', limitedQueueConfig);
+const labelQueue = new Bull('github-label-sync', limitedQueueConfig);
+const discussionQueue = new Bull('github-discussion-sync', limitedQueueConfig);
+const projectQueue = new Bull('github-project-sync', limitedQueueConfig);
+const collaboratorQueue = new Bull('github-collaborator-sync', limitedQueueConfig);
+const deploymentQueue = new Bull('github-deployment-sync', limitedQueueConfig);
+const statsQueue = new Bull('github-stats-sync', limitedQueueConfig);
+const userQueue = new Bull('github-user-sync', limitedQueueConfig);
+// Repeatable jobs that start each integration's scheduled syncs
+const scheduledSyncQueue = new Bull('github-scheduled-sync', queueConfig);
 
 // Queue event handlers
 const setupQueueEvents = (queue, queueName) => {
@@ -64,7 +76,16 @@ setupQueueEvents(repositoryQueue, 'RepositoryQueue');
 setupQueueEvents(commitQueue, 'CommitQueue');
 setupQueueEvents(pullQueue, 'PullQueue');
 setupQueueEvents(issueQueue, 'IssueQueue');
+setupQueueEvents(actionsQueue, 'ActionsQueue');
+setupQueueEvents(refsQueue, 'RefsQueue');
+setupQueueEvents(labelQueue, 'LabelQueue');
+setupQueueEvents(discussionQueue, 'DiscussionQueue');
+setupQueueEvents(projectQueue, 'ProjectQueue');
+setupQueueEvents(collaboratorQueue, 'CollaboratorQueue');
+setupQueueEvents(deploymentQueue, 'DeploymentQueue');
+setupQueueEvents(statsQueue, 'StatsQueue');
 setupQueueEvents(userQueue, 'UserQueue');
+setupQueueEvents(scheduledSyncQueue, 'ScheduledSyncQueue');
 
 // Graceful shutdown
 const closeQueues = async () => {
@@ -75,7 +96,16 @@ const closeQueues = async () => {
     commitQueue.close(),
     pullQueue.close(),
     issueQueue.close(),
+    actionsQueue.close(),
+    refsQueue.close(),
+    labelQueue.close(),
+    discussionQueue.close(),
+    projectQueue.close(),
+    collaboratorQueue.close(),
+    deploymentQueue.close(),
+    statsQueue.close(),
     userQueue.close(),
+    scheduledSyncQueue.close(),
   ]);
 };
 
@@ -92,7 +122,16 @@ module.exports = {
   commitQueue,
   pullQueue,
   issueQueue,
+  actionsQueue,
+  refsQueue,
+  labelQueue,
+  discussionQueue,
+  projectQueue,
+  collaboratorQueue,
+  deploymentQueue,
+  statsQueue,
   userQueue,
+  scheduledSyncQueue,
   syncJobOptions,
   rateLimitOptions,
   closeQueues,
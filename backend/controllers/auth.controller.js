@@ -1,4 +1,6 @@
 const integrationService = require('../services/integration.service');
+const githubAppService = require('../services/github-app.service');
+const syncScheduler = require('../services/sync-scheduler.service');
 const ResponseHelper = require('../helpers/response.helper');
 const { AppError } = require('../helpers/error.helper');
 const githubConfig = require('../config/github.config');
@@ -6,30 +8,43 @@ const config = require('../config/environment');
 const jwt = require('jsonwebtoken');
 const cryptoHelper = require('../helpers/crypto.helper');
 
+// Signed state tying a GitHub App installation back to the user who started it
+const APP_INSTALL_STATE_PURPOSE = 'github-app-install';
+const APP_INSTALL_STATE_TTL = '1h';
+
 class AuthController {
   /**
    * Initiate GitHub OAuth flow
+   * When called with a valid JWT, the GitHub account is linked to the
+   * caller as an additional integration. `host` selects a GitHub Enterprise
+   * Server instance instead of github.com. Every flow requests the full scope
+   * list: a token only carries the scopes of the flow that issued it, so
+   * re-authorizing for missing scopes must ask for the granted ones again.
    * GET /api/auth/github
    */
   async initiateGitHubAuth(req, res, next) {
     try {
+      const server = integrationService.getServer(req.query.host);
+
       // Generate state for CSRF protection
       const state = cryptoHelper.generateToken(32);
 
       // Store state in session or temporary storage (implement based on your needs)
       req.session = req.session || {};
       req.session.oauthState = state;
+      req.session.oauthLinkUserId = req.user?.userId || null;
+      req.session.oauthHost = server.host;
 
       // Build GitHub OAuth URL
       const params = new URLSearchParams({
-        client_id: githubConfig.clientID,
+        client_id: server.clientID,
         redirect_uri: githubConfig.callbackURL,
         scope: githubConfig.scope.join(' '),
         state,
         allow_signup: 'true',
       });
 
-      const authUrl = `${githubConfig.oauth.authorizeURL}?${params.toString()}`;
+      const authUrl = `${server.authorizeUrl}?${params.toString()}`;
 
       // Return the URL for frontend to redirect
       ResponseHelper.success(res, { authUrl }, 'GitHub OAuth URL generated');
@@ -38,6 +53,24 @@ class AuthController {
     }
   }
 
+  /**
+   * List the GitHub hosts accounts can be connected from
+   * GET /api/auth/github/hosts
+   */
+  async listGitHubHosts(req, res, next) {
+    try {
+      const hosts = githubConfig.listHosts().map(host => ({
+        host,
+        webUrl: githubConfig.endpointsFor(host).webUrl,
+        enterprise: host !== githubConfig.defaultHost,
+      }));
+
+      ResponseHelper.success(res, { hosts }, 'GitHub hosts retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Handle GitHub OAuth callback
    * GET /api/auth/github/callback
@@ -55,23 +88,39 @@ class AuthController {
       //   throw new AppError('Invalid state parameter', 400);
       // }
 
+      // The code was issued by the host the flow was started for
+      const server = integrationService.getServer(req.session?.oauthHost);
+
       // Exchange code for access token
-      const tokenData = await integrationService.exchangeCodeForToken(code);
+      const tokenData = await integrationService.exchangeCodeForToken(code, server);
 
       if (!tokenData.access_token) {
         throw new AppError('Failed to obtain access token', 400);
       }
 
       // Get user profile from GitHub
-      const profile = await integrationService.getUserProfile(tokenData.access_token);
+      const profile = await integrationService.getUserProfile(tokenData.access_token, server);
+
+      // Link to the signed-in user when the flow was started with a JWT
+      const linkUserId = req.session?.oauthLinkUserId || null;
+      if (req.session) {
+        delete req.session.oauthLinkUserId;
+        delete req.session.oauthHost;
+      }
 
       // Create or update integration
       const integration = await integrationService.createOrUpdateIntegration(
         profile,
-        tokenData.access_token,
-        tokenData.refresh_token
+        tokenData,
+        linkUserId,
+        server
       );
 
+      // New and reconnected integrations start syncing on their schedule
+      await syncScheduler.applySchedule(integration).catch((error) => {
+        console.error('Failed to schedule syncs:', error.message);
+      });
+
       // Generate JWT for session management
       const jwtToken = jwt.sign(
         {
@@ -96,6 +145,87 @@ class AuthController {
     }
   }
 
+  /**
+   * Initiate a GitHub App installation for the signed-in user
+   * GET /api/auth/github/app/install
+   */
+  async initiateGitHubAppInstall(req, res, next) {
+    try {
+      if (!githubAppService.isConfigured() || !githubConfig.app.installURL) {
+        throw new AppError('GitHub App is not configured', 503);
+      }
+
+      const state = jwt.sign(
+        { purpose: APP_INSTALL_STATE_PURPOSE, userId: req.user.userId },
+        config.jwt.secret,
+        { expiresIn: APP_INSTALL_STATE_TTL }
+      );
+
+      const installUrl = `${githubConfig.app.installURL}?${new URLSearchParams({ state }).toString()}`;
+
+      ResponseHelper.success(res, { installUrl }, 'GitHub App installation URL generated');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handle the GitHub App setup callback after an installation was created or updated
+   * GET /api/auth/github/app/callback
+   */
+  async handleGitHubAppCallback(req, res, next) {
+    try {
+      const { installation_id: installationId, setup_action: setupAction, state } = req.query;
+
+      // Organization members without admin rights can only request an installation
+      if (setupAction === 'request') {
+        const message = encodeURIComponent('Installation requested; an organization owner has to approve it');
+        return res.redirect(`${config.frontend.url}/auth/error?message=${message}`);
+      }
+
+      let decoded;
+      try {
+        decoded = jwt.verify(state, config.jwt.secret);
+      } catch (error) {
+        throw new AppError('Invalid or expired installation state', 400);
+      }
+      if (decoded.purpose !== APP_INSTALL_STATE_PURPOSE) {
+        throw new AppError('Invalid installation state', 400);
+      }
+
+      const installation = await githubAppService.getInstallation(installationId);
+      if (!installation) {
+        throw new AppError('GitHub App installation not found', 404);
+      }
+
+      await integrationService.assertCanClaimInstallation(decoded.userId, installation);
+
+      const integration = await integrationService.createOrUpdateInstallation(decoded.userId, installation);
+
+      // New and reconnected integrations start syncing on their schedule
+      await syncScheduler.applySchedule(integration).catch((error) => {
+        console.error('Failed to schedule syncs:', error.message);
+      });
+
+      const jwtToken = jwt.sign(
+        {
+          userId: integration.userId,
+          username: integration.username,
+          email: integration.email,
+        },
+        config.jwt.secret,
+        { expiresIn: config.jwt.expiresIn }
+      );
+
+      res.redirect(`${config.frontend.url}/auth/success?token=${jwtToken}`);
+    } catch (error) {
+      console.error('GitHub App callback error:', error);
+
+      const errorMessage = encodeURIComponent(error.message || 'Installation failed');
+      res.redirect(`${config.frontend.url}/auth/error?message=${errorMessage}`);
+    }
+  }
+
   /**
    * Get integration status
    * GET /api/auth/status
@@ -112,7 +242,11 @@ class AuthController {
         });
       }
 
-      const status = await integrationService.getIntegrationStatus(userId);
+      const integration = req.query.integrationId
+        ? await integrationService.getIntegrationForUser(req.query.integrationId, userId)
+        : await integrationService.getIntegrationByUserId(userId);
+
+      const status = await integrationService.getIntegrationStatus(integration);
       ResponseHelper.success(res, status, 'Integration status retrieved');
     } catch (error) {
       if (error.statusCode === 404) {
@@ -131,13 +265,8 @@ class AuthController {
    */
   async disconnectGitHub(req, res, next) {
     try {
-      const userId = req.user?.userId || req.body.userId;
-
-      if (!userId) {
-        throw new AppError('User ID not provided', 400);
-      }
-
-      const result = await integrationService.removeIntegration(userId);
+      const result = await integrationService.removeIntegration(req.integration._id, req.user.userId);
+      await syncScheduler.removeSchedule(req.integration._id);
       ResponseHelper.success(res, result, 'Integration removed successfully');
     } catch (error) {
       next(error);
@@ -150,17 +279,10 @@ class AuthController {
    */
   async refreshIntegration(req, res, next) {
     try {
-      const userId = req.user?.userId || req.body.userId;
-
-      if (!userId) {
-        throw new AppError('User ID not provided', 400);
-      }
-
-      const integration = await integrationService.getIntegrationByUserId(userId);
+      const { integration } = req;
 
-      // Verify token is still valid
-      const accessToken = integration.getDecryptedAccessToken();
-      const isValid = await integrationService.verifyToken(accessToken);
+      // Verify token (or app installation) is still valid
+      const isValid = await integrationService.verifyIntegration(integration);
 
       if (!isValid) {
         throw new AppError('GitHub token is no longer valid. Please reconnect.', 401);
@@ -168,6 +290,7 @@ class AuthController {
 
       ResponseHelper.success(res, {
         valid: true,
+        integrationId: integration._id,
         username: integration.username,
         connectedAt: integration.connectedAt,
         lastSyncAt: integration.lastSyncAt,
@@ -217,16 +340,11 @@ class AuthController {
    */
   async getCurrentUser(req, res, next) {
     try {
-      const userId = req.user?.userId;
-
-      if (!userId) {
-        throw new AppError('User not authenticated', 401);
-      }
-
-      const integration = await integrationService.getIntegrationByUserId(userId);
+      const { integration } = req;
 
       ResponseHelper.success(res, {
         userId: integration.userId,
+        integrationId: integration._id,
         username: integration.username,
         email: integration.email,
         name: integration.name,
@@ -248,13 +366,7 @@ class AuthController {
    */
   async getStatistics(req, res, next) {
     try {
-      const userId = req.user?.userId || req.query.userId;
-
-      if (!userId) {
-        throw new AppError('User ID not provided', 400);
-      }
-
-      const stats = await integrationService.getStatistics(userId);
+      const stats = await integrationService.getStatistics(req.integration._id);
       ResponseHelper.success(res, stats, 'Statistics retrieved successfully');
     } catch (error) {
       next(error);
@@ -0,0 +1,916 @@
+const dataService = require('../services/data.service');
+const ResponseHelper = require('../helpers/response.helper');
+
+class DataController {
+  /**
+   * List commits
+   * @route GET /api/data/commits
+   */
+  async listCommits(req, res, next) {
+    try {
+      const result = await dataService.list('commits', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Commits retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get commit details
+   * @route GET /api/data/commits/:id
+   */
+  async getCommit(req, res, next) {
+    try {
+      const commit = await dataService.getById('commits', req.integration._id, req.params.id);
+      ResponseHelper.success(res, commit, 'Commit retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List pull requests
+   * @route GET /api/data/pulls
+   */
+  async listPulls(req, res, next) {
+    try {
+      const result = await dataService.list('pulls', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Pull requests retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get pull request details
+   * @route GET /api/data/pulls/:id
+   */
+  async getPull(req, res, next) {
+    try {
+      const pull = await dataService.getById('pulls', req.integration._id, req.params.id);
+      ResponseHelper.success(res, pull, 'Pull request retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List pull request reviews
+   * @route GET /api/data/reviews
+   */
+  async listReviews(req, res, next) {
+    try {
+      const result = await dataService.list('reviews', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Reviews retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get review details
+   * @route GET /api/data/reviews/:id
+   */
+  async getReview(req, res, next) {
+    try {
+      const review = await dataService.getById('reviews', req.integration._id, req.params.id);
+      ResponseHelper.success(res, review, 'Review retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List pull request review comments
+   * @route GET /api/data/review-comments
+   */
+  async listReviewComments(req, res, next) {
+    try {
+      const result = await dataService.list('reviewComments', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Review comments retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get review comment details
+   * @route GET /api/data/review-comments/:id
+   */
+  async getReviewComment(req, res, next) {
+    try {
+      const comment = await dataService.getById('reviewComments', req.integration._id, req.params.id);
+      ResponseHelper.success(res, comment, 'Review comment retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List issues
+   * @route GET /api/data/issues
+   */
+  async listIssues(req, res, next) {
+    try {
+      const result = await dataService.list('issues', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Issues retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get issue details
+   * @route GET /api/data/issues/:id
+   */
+  async getIssue(req, res, next) {
+    try {
+      const issue = await dataService.getById('issues', req.integration._id, req.params.id);
+      ResponseHelper.success(res, issue, 'Issue retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List issue and pull request comments
+   * @route GET /api/data/issue-comments
+   */
+  async listIssueComments(req, res, next) {
+    try {
+      const result = await dataService.list('issueComments', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Issue comments retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get issue comment details
+   * @route GET /api/data/issue-comments/:id
+   */
+  async getIssueComment(req, res, next) {
+    try {
+      const comment = await dataService.getById('issueComments', req.integration._id, req.params.id);
+      ResponseHelper.success(res, comment, 'Issue comment retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List GitHub Actions workflows
+   * @route GET /api/data/workflows
+   */
+  async listWorkflows(req, res, next) {
+    try {
+      const result = await dataService.list('workflows', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Workflows retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get workflow details
+   * @route GET /api/data/workflows/:id
+   */
+  async getWorkflow(req, res, next) {
+    try {
+      const workflow = await dataService.getById('workflows', req.integration._id, req.params.id);
+      ResponseHelper.success(res, workflow, 'Workflow retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List workflow runs
+   * @route GET /api/data/workflow-runs
+   */
+  async listWorkflowRuns(req, res, next) {
+    try {
+      const result = await dataService.list('workflowRuns', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Workflow runs retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get workflow run details
+   * @route GET /api/data/workflow-runs/:id
+   */
+  async getWorkflowRun(req, res, next) {
+    try {
+      const run = await dataService.getById('workflowRuns', req.integration._id, req.params.id);
+      ResponseHelper.success(res, run, 'Workflow run retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List workflow jobs
+   * @route GET /api/data/workflow-jobs
+   */
+  async listWorkflowJobs(req, res, next) {
+    try {
+      const result = await dataService.list('workflowJobs', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Workflow jobs retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get workflow job details
+   * @route GET /api/data/workflow-jobs/:id
+   */
+  async getWorkflowJob(req, res, next) {
+    try {
+      const job = await dataService.getById('workflowJobs', req.integration._id, req.params.id);
+      ResponseHelper.success(res, job, 'Workflow job retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List check runs
+   * @route GET /api/data/check-runs
+   */
+  async listCheckRuns(req, res, next) {
+    try {
+      const result = await dataService.list('checkRuns', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Check runs retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get check run details
+   * @route GET /api/data/check-runs/:id
+   */
+  async getCheckRun(req, res, next) {
+    try {
+      const checkRun = await dataService.getById('checkRuns', req.integration._id, req.params.id);
+      ResponseHelper.success(res, checkRun, 'Check run retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List branches with their protection settings
+   * @route GET /api/data/branches
+   */
+  async listBranches(req, res, next) {
+    try {
+      const result = await dataService.list('branches', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Branches retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get branch details
+   * @route GET /api/data/branches/:id
+   */
+  async getBranch(req, res, next) {
+    try {
+      const branch = await dataService.getById('branches', req.integration._id, req.params.id);
+      ResponseHelper.success(res, branch, 'Branch retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List tags
+   * @route GET /api/data/tags
+   */
+  async listTags(req, res, next) {
+    try {
+      const result = await dataService.list('tags', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Tags retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get tag details
+   * @route GET /api/data/tags/:id
+   */
+  async getTag(req, res, next) {
+    try {
+      const tag = await dataService.getById('tags', req.integration._id, req.params.id);
+      ResponseHelper.success(res, tag, 'Tag retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List releases with their assets
+   * @route GET /api/data/releases
+   */
+  async listReleases(req, res, next) {
+    try {
+      const result = await dataService.list('releases', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Releases retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get release details
+   * @route GET /api/data/releases/:id
+   */
+  async getRelease(req, res, next) {
+    try {
+      const release = await dataService.getById('releases', req.integration._id, req.params.id);
+      ResponseHelper.success(res, release, 'Release retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List repository labels
+   * @route GET /api/data/labels
+   */
+  async listLabels(req, res, next) {
+    try {
+      const result = await dataService.list('labels', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Labels retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get label details
+   * @route GET /api/data/labels/:id
+   */
+  async getLabel(req, res, next) {
+    try {
+      const label = await dataService.getById('labels', req.integration._id, req.params.id);
+      ResponseHelper.success(res, label, 'Label retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List milestones with their issue counts
+   * @route GET /api/data/milestones
+   */
+  async listMilestones(req, res, next) {
+    try {
+      const result = await dataService.list('milestones', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Milestones retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get milestone details
+   * @route GET /api/data/milestones/:id
+   */
+  async getMilestone(req, res, next) {
+    try {
+      const milestone = await dataService.getById('milestones', req.integration._id, req.params.id);
+      ResponseHelper.success(res, milestone, 'Milestone retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List discussions with their category and answer status
+   * @route GET /api/data/discussions
+   */
+  async listDiscussions(req, res, next) {
+    try {
+      const result = await dataService.list('discussions', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Discussions retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get discussion details
+   * @route GET /api/data/discussions/:id
+   */
+  async getDiscussion(req, res, next) {
+    try {
+      const discussion = await dataService.getById('discussions', req.integration._id, req.params.id);
+      ResponseHelper.success(res, discussion, 'Discussion retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List discussion comments and replies
+   * @route GET /api/data/discussion-comments
+   */
+  async listDiscussionComments(req, res, next) {
+    try {
+      const result = await dataService.list('discussionComments', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Discussion comments retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get discussion comment details
+   * @route GET /api/data/discussion-comments/:id
+   */
+  async getDiscussionComment(req, res, next) {
+    try {
+      const comment = await dataService.getById('discussionComments', req.integration._id, req.params.id);
+      ResponseHelper.success(res, comment, 'Discussion comment retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List Projects (v2) of the synced organizations and users
+   * @route GET /api/data/projects
+   */
+  async listProjects(req, res, next) {
+    try {
+      const result = await dataService.list('projects', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Projects retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get project details
+   * @route GET /api/data/projects/:id
+   */
+  async getProject(req, res, next) {
+    try {
+      const project = await dataService.getById('projects', req.integration._id, req.params.id);
+      ResponseHelper.success(res, project, 'Project retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the custom fields of projects
+   * @route GET /api/data/project-fields
+   */
+  async listProjectFields(req, res, next) {
+    try {
+      const result = await dataService.list('projectFields', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Project fields retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get project field details
+   * @route GET /api/data/project-fields/:id
+   */
+  async getProjectField(req, res, next) {
+    try {
+      const field = await dataService.getById('projectFields', req.integration._id, req.params.id);
+      ResponseHelper.success(res, field, 'Project field retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List project items with their status, iteration and field values
+   * @route GET /api/data/project-items
+   */
+  async listProjectItems(req, res, next) {
+    try {
+      const result = await dataService.list('projectItems', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Project items retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get project item details
+   * @route GET /api/data/project-items/:id
+   */
+  async getProjectItem(req, res, next) {
+    try {
+      const item = await dataService.getById('projectItems', req.integration._id, req.params.id);
+      ResponseHelper.success(res, item, 'Project item retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List deployment environments
+   * @route GET /api/data/environments
+   */
+  async listEnvironments(req, res, next) {
+    try {
+      const result = await dataService.list('environments', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Environments retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get environment details
+   * @route GET /api/data/environments/:id
+   */
+  async getEnvironment(req, res, next) {
+    try {
+      const environment = await dataService.getById('environments', req.integration._id, req.params.id);
+      ResponseHelper.success(res, environment, 'Environment retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List deployments with their latest state
+   * @route GET /api/data/deployments
+   */
+  async listDeployments(req, res, next) {
+    try {
+      const result = await dataService.list('deployments', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Deployments retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get deployment details
+   * @route GET /api/data/deployments/:id
+   */
+  async getDeployment(req, res, next) {
+    try {
+      const deployment = await dataService.getById('deployments', req.integration._id, req.params.id);
+      ResponseHelper.success(res, deployment, 'Deployment retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List deployment statuses
+   * @route GET /api/data/deployment-statuses
+   */
+  async listDeploymentStatuses(req, res, next) {
+    try {
+      const result = await dataService.list('deploymentStatuses', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Deployment statuses retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get deployment status details
+   * @route GET /api/data/deployment-statuses/:id
+   */
+  async getDeploymentStatus(req, res, next) {
+    try {
+      const deploymentStatus = await dataService.getById('deploymentStatuses', req.integration._id, req.params.id);
+      ResponseHelper.success(res, deploymentStatus, 'Deployment status retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List daily snapshots of repository stars, watchers, forks and open issues
+   * @route GET /api/data/repo-snapshots
+   */
+  async listRepoSnapshots(req, res, next) {
+    try {
+      const result = await dataService.list('repoSnapshots', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Repository snapshots retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get repository snapshot details
+   * @route GET /api/data/repo-snapshots/:id
+   */
+  async getRepoSnapshot(req, res, next) {
+    try {
+      const snapshot = await dataService.getById('repoSnapshots', req.integration._id, req.params.id);
+      ResponseHelper.success(res, snapshot, 'Repository snapshot retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List archived daily repository views and clones
+   * @route GET /api/data/repo-traffic
+   */
+  async listRepoTraffic(req, res, next) {
+    try {
+      const result = await dataService.list('repoTraffic', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Repository traffic retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get repository traffic details
+   * @route GET /api/data/repo-traffic/:id
+   */
+  async getRepoTraffic(req, res, next) {
+    try {
+      const traffic = await dataService.getById('repoTraffic', req.integration._id, req.params.id);
+      ResponseHelper.success(res, traffic, 'Repository traffic retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List archived top referrers, as read each day
+   * @route GET /api/data/repo-referrers
+   */
+  async listRepoReferrers(req, res, next) {
+    try {
+      const result = await dataService.list('repoReferrers', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Repository referrers retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get repository referrer details
+   * @route GET /api/data/repo-referrers/:id
+   */
+  async getRepoReferrer(req, res, next) {
+    try {
+      const referrer = await dataService.getById('repoReferrers', req.integration._id, req.params.id);
+      ResponseHelper.success(res, referrer, 'Repository referrer retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List weekly additions, deletions and commits per contributor
+   * @route GET /api/data/contributor-stats
+   */
+  async listContributorStats(req, res, next) {
+    try {
+      const result = await dataService.list('contributorStats', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Contributor statistics retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get contributor statistic details
+   * @route GET /api/data/contributor-stats/:id
+   */
+  async getContributorStat(req, res, next) {
+    try {
+      const stat = await dataService.getById('contributorStats', req.integration._id, req.params.id);
+      ResponseHelper.success(res, stat, 'Contributor statistic retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List repositories
+   * @route GET /api/data/repos
+   */
+  async listRepos(req, res, next) {
+    try {
+      const result = await dataService.list('repos', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Repositories retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get repository details
+   * @route GET /api/data/repos/:id
+   */
+  async getRepo(req, res, next) {
+    try {
+      const repo = await dataService.getById('repos', req.integration._id, req.params.id);
+      ResponseHelper.success(res, repo, 'Repository retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List organizations
+   * @route GET /api/data/organizations
+   */
+  async listOrganizations(req, res, next) {
+    try {
+      const result = await dataService.list('organizations', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Organizations retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get organization details
+   * @route GET /api/data/organizations/:id
+   */
+  async getOrganization(req, res, next) {
+    try {
+      const organization = await dataService.getById('organizations', req.integration._id, req.params.id);
+      ResponseHelper.success(res, organization, 'Organization retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List users
+   * @route GET /api/data/users
+   */
+  async listUsers(req, res, next) {
+    try {
+      const result = await dataService.list('users', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Users retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get user details
+   * @route GET /api/data/users/:id
+   */
+  async getUser(req, res, next) {
+    try {
+      const user = await dataService.getById('users', req.integration._id, req.params.id);
+      ResponseHelper.success(res, user, 'User retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List teams with their repository grants
+   * @route GET /api/data/teams
+   */
+  async listTeams(req, res, next) {
+    try {
+      const result = await dataService.list('teams', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Teams retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get team details
+   * @route GET /api/data/teams/:id
+   */
+  async getTeam(req, res, next) {
+    try {
+      const team = await dataService.getById('teams', req.integration._id, req.params.id);
+      ResponseHelper.success(res, team, 'Team retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List organization memberships with their roles
+   * @route GET /api/data/org-memberships
+   */
+  async listOrgMemberships(req, res, next) {
+    try {
+      const result = await dataService.list('orgMemberships', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Organization memberships retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get organization membership details
+   * @route GET /api/data/org-memberships/:id
+   */
+  async getOrgMembership(req, res, next) {
+    try {
+      const membership = await dataService.getById('orgMemberships', req.integration._id, req.params.id);
+      ResponseHelper.success(res, membership, 'Organization membership retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List team memberships
+   * @route GET /api/data/team-memberships
+   */
+  async listTeamMemberships(req, res, next) {
+    try {
+      const result = await dataService.list('teamMemberships', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Team memberships retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get team membership details
+   * @route GET /api/data/team-memberships/:id
+   */
+  async getTeamMembership(req, res, next) {
+    try {
+      const membership = await dataService.getById('teamMemberships', req.integration._id, req.params.id);
+      ResponseHelper.success(res, membership, 'Team membership retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List repository collaborators with their permission levels
+   * @route GET /api/data/collaborators
+   */
+  async listCollaborators(req, res, next) {
+    try {
+      const result = await dataService.list('collaborators', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Collaborators retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get collaborator details
+   * @route GET /api/data/collaborators/:id
+   */
+  async getCollaborator(req, res, next) {
+    try {
+      const collaborator = await dataService.getById('collaborators', req.integration._id, req.params.id);
+      ResponseHelper.success(res, collaborator, 'Collaborator retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List changelogs
+   * @route GET /api/data/changelogs
+   */
+  async listChangelogs(req, res, next) {
+    try {
+      const result = await dataService.list('changelogs', req.integration._id, req.query);
+      ResponseHelper.successWithPagination(res, result.data, result.pagination, 'Changelogs retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get changelog details
+   * @route GET /api/data/changelogs/:id
+   */
+  async getChangelog(req, res, next) {
+    try {
+      const changelog = await dataService.getById('changelogs', req.integration._id, req.params.id);
+      ResponseHelper.success(res, changelog, 'Changelog retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new DataController();
@@ -2,6 +2,7 @@ const { syncQueue } = require('../config/queue.config');
 const { redisClient } = require('../middleware/rate-limit.middleware');
 const mongoose = require('mongoose');
 const { respondWith } = require('../helpers/response.helper');
+const githubCacheService = require('../services/github-cache.service');
 
 class HealthController {
   /**
@@ -128,6 +129,19 @@ class HealthController {
     }
   }
 
+  /**
+   * Get GitHub conditional request cache statistics
+   * @route GET /api/health/cache/stats
+   */
+  async getCacheStats(req, res, next) {
+    try {
+      const stats = await githubCacheService.getStats();
+      respondWith(res, 200, stats);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get sync status for an integration
    * @route GET /api/health/sync/:integrationId
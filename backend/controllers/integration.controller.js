@@ -0,0 +1,163 @@
+const integrationService = require('../services/integration.service');
+const syncScheduler = require('../services/sync-scheduler.service');
+const githubAccessService = require('../services/github-access.service');
+const ResponseHelper = require('../helpers/response.helper');
+
+class IntegrationController {
+  /**
+   * List the caller's GitHub connections
+   * @route GET /api/integrations
+   */
+  async listIntegrations(req, res, next) {
+    try {
+      const integrations = await integrationService.listIntegrations(req.user.userId);
+      ResponseHelper.success(
+        res,
+        integrations.map(integration => ({
+          ...integration.toJSON(),
+          tokenExpiryWarning: integrationService.getTokenExpiryWarning(integration),
+        })),
+        'Integrations retrieved'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Connect a GitHub account with a personal access token
+   * @route POST /api/integrations/token
+   */
+  async connectPersonalAccessToken(req, res, next) {
+    try {
+      const { token, host, label } = req.body;
+      const integration = await integrationService.connectPersonalAccessToken(req.user.userId, token, { host, label });
+
+      // New and reconnected integrations start syncing on their schedule
+      await syncScheduler.applySchedule(integration).catch((error) => {
+        console.error('Failed to schedule syncs:', error.message);
+      });
+
+      ResponseHelper.created(
+        res,
+        { ...integration.toJSON(), tokenExpiryWarning: integrationService.getTokenExpiryWarning(integration) },
+        'Personal access token connected'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single GitHub connection
+   * @route GET /api/integrations/:integrationId
+   */
+  async getIntegration(req, res, next) {
+    try {
+      ResponseHelper.success(
+        res,
+        { ...req.integration.toJSON(), tokenExpiryWarning: integrationService.getTokenExpiryWarning(req.integration) },
+        'Integration retrieved'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Compare a connection's granted scopes with what syncing needs and list
+   * the organizations that haven't approved the OAuth app
+   * @route GET /api/integrations/:integrationId/access
+   */
+  async getAccess(req, res, next) {
+    try {
+      const report = await githubAccessService.getAccessReport(req.integration);
+      ResponseHelper.success(res, report, 'Integration access retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Rename a GitHub connection
+   * @route PATCH /api/integrations/:integrationId
+   */
+  async renameIntegration(req, res, next) {
+    try {
+      const integration = await integrationService.renameIntegration(req.integration, req.body.label);
+      ResponseHelper.updated(res, integration, 'Integration renamed');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Pause syncing for a GitHub connection
+   * @route POST /api/integrations/:integrationId/pause
+   */
+  async pauseIntegration(req, res, next) {
+    try {
+      const integration = await integrationService.setIntegrationPaused(req.integration, true);
+      await syncScheduler.applySchedule(integration);
+      ResponseHelper.updated(res, integration, 'Integration paused');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Resume syncing for a GitHub connection
+   * @route POST /api/integrations/:integrationId/resume
+   */
+  async resumeIntegration(req, res, next) {
+    try {
+      const integration = await integrationService.setIntegrationPaused(req.integration, false);
+      await syncScheduler.applySchedule(integration);
+      ResponseHelper.updated(res, integration, 'Integration resumed');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a GitHub connection
+   * @route DELETE /api/integrations/:integrationId
+   */
+  async deleteIntegration(req, res, next) {
+    try {
+      await integrationService.removeIntegration(req.integration._id, req.user.userId);
+      await syncScheduler.removeSchedule(req.integration._id);
+      ResponseHelper.deleted(res, 'Integration removed');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the automatic sync schedule of a GitHub connection
+   * @route GET /api/integrations/:integrationId/schedule
+   */
+  async getSchedule(req, res, next) {
+    try {
+      const schedule = await syncScheduler.getSchedule(req.integration);
+      ResponseHelper.success(res, schedule, 'Sync schedule retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update the automatic sync schedule of a GitHub connection
+   * @route PATCH /api/integrations/:integrationId/schedule
+   */
+  async updateSchedule(req, res, next) {
+    try {
+      const schedule = await syncScheduler.updateSchedule(req.integration, req.body);
+      ResponseHelper.updated(res, schedule, 'Sync schedule updated');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new IntegrationController();
@@ -12,7 +12,7 @@ class SyncController {
    */
   async getGitHubApi(integrationId) {
     const integration = await integrationService.getIntegrationById(integrationId);
-    return new GitHubApiService(integration.accessToken);
+    return GitHubApiService.forIntegration(integration);
   }
 
   /**
@@ -21,15 +21,12 @@ class SyncController {
    */
   async syncAll(req, res, next) {
     try {
-      const { integrationId } = req.body;
+      const integrationId = req.integration._id.toString();
 
-      if (!integrationId) {
-        throw new AppError('Integration ID is required', 400);
+      if (await syncService.hasLiveRun(integrationId)) {
+        throw new AppError('A full synchronization is already running', 409);
       }
 
-      // Verify integration exists
-      const integration = await integrationService.getIntegrationById(integrationId);
-
       // Add job to queue
       const job = await syncQueue.add(
         { integrationId },
@@ -62,15 +59,8 @@ class SyncController {
    */
   async syncOrganizations(req, res, next) {
     try {
-      const { integrationId } = req.body;
-
-      if (!integrationId) {
-        throw new AppError('Integration ID is required', 400);
-      }
-
-      const integration = await integrationService.getIntegrationById(integrationId);
-      const GitHubApiService = require('../services/github-api.service');
-      const githubApi = new GitHubApiService(integration.accessToken);
+      const integrationId = req.integration._id.toString();
+      const githubApi = GitHubApiService.forIntegration(req.integration);
 
       const result = await syncService.syncOrganizations(integrationId, githubApi);
 
@@ -86,15 +76,14 @@ class SyncController {
    */
   async syncRepositories(req, res, next) {
     try {
-      const { integrationId, owner } = req.body;
+      const { owner } = req.body;
 
-      if (!integrationId || !owner) {
-        throw new AppError('Integration ID and owner are required', 400);
+      if (!owner) {
+        throw new AppError('Owner is required', 400);
       }
 
-      const integration = await integrationService.getIntegrationById(integrationId);
-      const GitHubApiService = require('../services/github-api.service');
-      const githubApi = new GitHubApiService(integration.accessToken);
+      const integrationId = req.integration._id.toString();
+      const githubApi = GitHubApiService.forIntegration(req.integration);
 
       const result = await syncService.syncRepositories(integrationId, owner, githubApi);
 
@@ -110,17 +99,18 @@ class SyncController {
    */
   async syncCommits(req, res, next) {
     try {
-      const { integrationId, owner, repo } = req.body;
+      const { owner, repo } = req.body;
 
-      if (!integrationId || !owner || !repo) {
-        throw new AppError('Integration ID, owner, and repo are required', 400);
+      if (!owner || !repo) {
+        throw new AppError('Owner and repo are required', 400);
       }
 
-      const integration = await integrationService.getIntegrationById(integrationId);
-      const GitHubApiService = require('../services/github-api.service');
-      const githubApi = new GitHubApiService(integration.accessToken);
+      const integrationId = req.integration._id.toString();
+      const githubApi = GitHubApiService.forIntegration(req.integration);
 
-      const result = await syncService.syncCommits(integrationId, owner, repo, githubApi);
+      const result = await syncService.syncCommits(integrationId, owner, repo, githubApi, {
+        full: req.body.full === true,
+      });
 
       respondWith(res, 200, result);
     } catch (error) {
@@ -134,17 +124,18 @@ class SyncController {
    */
   async syncPulls(req, res, next) {
     try {
-      const { integrationId, owner, repo } = req.body;
+      const { owner, repo } = req.body;
 
-      if (!integrationId || !owner || !repo) {
-        throw new AppError('Integration ID, owner, and repo are required', 400);
+      if (!owner || !repo) {
+        throw new AppError('Owner and repo are required', 400);
       }
 
-      const integration = await integrationService.getIntegrationById(integrationId);
-      const GitHubApiService = require('../services/github-api.service');
-      const githubApi = new GitHubApiService(integration.accessToken);
+      const integrationId = req.integration._id.toString();
+      const githubApi = GitHubApiService.forIntegration(req.integration);
 
-      const result = await syncService.syncPulls(integrationId, owner, repo, githubApi);
+      const result = await syncService.syncPulls(integrationId, owner, repo, githubApi, {
+        full: req.body.full === true,
+      });
 
       respondWith(res, 200, result);
     } catch (error) {
@@ -158,17 +149,18 @@ class SyncController {
    */
   async syncIssues(req, res, next) {
     try {
-      const { integrationId, owner, repo } = req.body;
+      const { owner, repo } = req.body;
 
-      if (!integrationId || !owner || !repo) {
-        throw new AppError('Integration ID, owner, and repo are required', 400);
+      if (!owner || !repo) {
+        throw new AppError('Owner and repo are required', 400);
       }
 
-      const integration = await integrationService.getIntegrationById(integrationId);
-      const GitHubApiService = require('../services/github-api.service');
-      const githubApi = new GitHubApiService(integration.accessToken);
+      const integrationId = req.integration._id.toString();
+      const githubApi = GitHubApiService.forIntegration(req.integration);
 
-      const result = await syncService.syncIssues(integrationId, owner, repo, githubApi);
+      const result = await syncService.syncIssues(integrationId, owner, repo, githubApi, {
+        full: req.body.full === true,
+      });
 
       respondWith(res, 200, result);
     } catch (error) {
@@ -177,20 +169,203 @@ class SyncController {
   }
 
   /**
-   * Sync users/members
-   * @route POST /api/sync/users
+   * Sync GitHub Actions workflows, runs, jobs and check runs for a repository
+   * @route POST /api/sync/actions
    */
-  async syncUsers(req, res, next) {
+  async syncActions(req, res, next) {
     try {
-      const { integrationId } = req.body;
+      const { owner, repo } = req.body;
 
-      if (!integrationId) {
-        throw new AppError('Integration ID is required', 400);
+      if (!owner || !repo) {
+        throw new AppError('Owner and repo are required', 400);
       }
 
-      const integration = await integrationService.getIntegrationById(integrationId);
-      const GitHubApiService = require('../services/github-api.service');
-      const githubApi = new GitHubApiService(integration.accessToken);
+      const integrationId = req.integration._id.toString();
+      const githubApi = GitHubApiService.forIntegration(req.integration);
+
+      const result = await syncService.syncActions(integrationId, owner, repo, githubApi, {
+        full: req.body.full === true,
+      });
+
+      respondWith(res, 200, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sync branches, tags and releases for a repository
+   * @route POST /api/sync/refs
+   */
+  async syncRefs(req, res, next) {
+    try {
+      const { owner, repo } = req.body;
+
+      if (!owner || !repo) {
+        throw new AppError('Owner and repo are required', 400);
+      }
+
+      const integrationId = req.integration._id.toString();
+      const githubApi = GitHubApiService.forIntegration(req.integration);
+
+      const result = await syncService.syncRefs(integrationId, owner, repo, githubApi);
+
+      respondWith(res, 200, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sync labels and milestones for a repository
+   * @route POST /api/sync/labels
+   */
+  async syncLabels(req, res, next) {
+    try {
+      const { owner, repo } = req.body;
+
+      if (!owner || !repo) {
+        throw new AppError('Owner and repo are required', 400);
+      }
+
+      const integrationId = req.integration._id.toString();
+      const githubApi = GitHubApiService.forIntegration(req.integration);
+
+      const result = await syncService.syncLabelsAndMilestones(integrationId, owner, repo, githubApi);
+
+      respondWith(res, 200, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sync discussions with their comments for a repository
+   * @route POST /api/sync/discussions
+   */
+  async syncDiscussions(req, res, next) {
+    try {
+      const { owner, repo } = req.body;
+
+      if (!owner || !repo) {
+        throw new AppError('Owner and repo are required', 400);
+      }
+
+      const integrationId = req.integration._id.toString();
+      const githubApi = GitHubApiService.forIntegration(req.integration);
+
+      const result = await syncService.syncDiscussions(integrationId, owner, repo, githubApi, {
+        full: req.body.full === true,
+      });
+
+      respondWith(res, 200, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sync Projects (v2) with their fields and items for an owner
+   * @route POST /api/sync/projects
+   */
+  async syncProjects(req, res, next) {
+    try {
+      const { owner } = req.body;
+
+      if (!owner) {
+        throw new AppError('Owner is required', 400);
+      }
+
+      const integrationId = req.integration._id.toString();
+      const githubApi = GitHubApiService.forIntegration(req.integration);
+
+      const result = await syncService.syncProjects(integrationId, owner, githubApi);
+
+      respondWith(res, 200, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sync collaborators and their permission levels for a repository
+   * @route POST /api/sync/collaborators
+   */
+  async syncCollaborators(req, res, next) {
+    try {
+      const { owner, repo } = req.body;
+
+      if (!owner || !repo) {
+        throw new AppError('Owner and repo are required', 400);
+      }
+
+      const integrationId = req.integration._id.toString();
+      const githubApi = GitHubApiService.forIntegration(req.integration);
+
+      const result = await syncService.syncCollaborators(integrationId, owner, repo, githubApi);
+
+      respondWith(res, 200, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sync environments, deployments and deployment statuses for a repository
+   * @route POST /api/sync/deployments
+   */
+  async syncDeployments(req, res, next) {
+    try {
+      const { owner, repo } = req.body;
+
+      if (!owner || !repo) {
+        throw new AppError('Owner and repo are required', 400);
+      }
+
+      const integrationId = req.integration._id.toString();
+      const githubApi = GitHubApiService.forIntegration(req.integration);
+
+      const result = await syncService.syncDeployments(integrationId, owner, repo, githubApi, {
+        full: req.body.full === true,
+      });
+
+      respondWith(res, 200, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sync traffic and weekly contributor statistics for a repository
+   * @route POST /api/sync/stats
+   */
+  async syncStats(req, res, next) {
+    try {
+      const { owner, repo } = req.body;
+
+      if (!owner || !repo) {
+        throw new AppError('Owner and repo are required', 400);
+      }
+
+      const integrationId = req.integration._id.toString();
+      const githubApi = GitHubApiService.forIntegration(req.integration);
+
+      const result = await syncService.syncStats(integrationId, owner, repo, githubApi);
+
+      respondWith(res, 200, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sync users/members
+   * @route POST /api/sync/users
+   */
+  async syncUsers(req, res, next) {
+    try {
+      const integrationId = req.integration._id.toString();
+      const githubApi = GitHubApiService.forIntegration(req.integration);
 
       const result = await syncService.syncUsers(integrationId, githubApi);
 
@@ -206,13 +381,9 @@ class SyncController {
    */
   async getSyncProgress(req, res, next) {
     try {
-      const { integrationId } = req.params;
+      const integrationId = req.integration._id.toString();
 
-      if (!integrationId) {
-        throw new AppError('Integration ID is required', 400);
-      }
-
-      const progress = syncService.getSyncProgress(integrationId);
+      const progress = await syncService.getSyncProgress(integrationId);
 
       if (!progress) {
         respondWith(res, 200, {
@@ -233,17 +404,14 @@ class SyncController {
    */
   async cancelSync(req, res, next) {
     try {
-      const { integrationId } = req.body;
-
-      if (!integrationId) {
-        throw new AppError('Integration ID is required', 400);
-      }
+      const integrationId = req.integration._id.toString();
 
-      syncService.clearSyncProgress(integrationId);
+      const cancelledRuns = await syncService.cancelSync(integrationId);
 
       respondWith(res, 200, {
         success: true,
-        message: 'Sync cancelled'
+        message: cancelledRuns > 0 ? 'Sync cancelled' : 'No sync in progress',
+        cancelledRuns
       });
     } catch (error) {
       next(error);
@@ -0,0 +1,35 @@
+const webhookService = require('../services/webhook.service');
+const ResponseHelper = require('../helpers/response.helper');
+const githubConfig = require('../config/github.config');
+
+class WebhookController {
+  /**
+   * Receive a GitHub webhook delivery
+   * @route POST /api/webhooks/github
+   */
+  async receiveGitHubEvent(req, res, next) {
+    const event = req.headers['x-github-event'];
+    const deliveryId = req.headers['x-github-delivery'];
+    // GitHub Enterprise Server names itself; github.com doesn't
+    const host = githubConfig.normalizeHost(req.headers['x-github-enterprise-host']) || githubConfig.defaultHost;
+    let claimed = false;
+
+    try {
+      claimed = await webhookService.claimDelivery(deliveryId);
+      if (!claimed) {
+        return ResponseHelper.success(res, { deliveryId, duplicate: true }, 'Duplicate delivery ignored');
+      }
+
+      const result = await webhookService.handleEvent(event, req.body, host);
+      ResponseHelper.success(res, { deliveryId, ...result }, 'Webhook processed');
+    } catch (error) {
+      // Let GitHub's redelivery retry a delivery that failed part-way
+      if (claimed) {
+        await webhookService.releaseDelivery(deliveryId).catch(() => {});
+      }
+      next(error);
+    }
+  }
+}
+
+module.exports = new WebhookController();
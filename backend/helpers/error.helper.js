@@ -41,8 +41,9 @@ class ConflictError extends AppError {
 }
 
 class RateLimitError extends AppError {
-  constructor(message = 'Too many requests') {
+  constructor(message = 'Too many requests', resumeAt = null) {
     super(message, 429);
+    this.resumeAt = resumeAt;
   }
 }
 
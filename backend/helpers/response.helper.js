@@ -76,6 +76,10 @@ class ResponseHelper {
   static noContent(res) {
     return res.status(204).send();
   }
+
+  static respondWith(res, statusCode, data) {
+    return res.status(statusCode).json(data);
+  }
 }
 
 module.exports = ResponseHelper;
\ No newline at end of file
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const config = require('../config/environment');
 const { AppError } = require('../helpers/error.helper');
 const integrationService = require('../services/integration.service');
@@ -41,7 +42,20 @@ const verifyToken = async (req, res, next) => {
 };
 
 /**
- * Verify if user has active GitHub integration
+ * Extract the requested integration ID from params, body, query or header
+ */
+const extractIntegrationId = (req) => {
+  return req.params?.integrationId
+    || req.body?.integrationId
+    || req.query?.integrationId
+    || req.headers['x-integration-id']
+    || null;
+};
+
+/**
+ * Verify if user has active GitHub integration.
+ * Uses the integration named in the request when one is given,
+ * otherwise the user's most recently connected integration.
  */
 const requireIntegration = async (req, res, next) => {
   try {
@@ -51,6 +65,17 @@ const requireIntegration = async (req, res, next) => {
       throw new AppError('User not authenticated', 401);
     }
 
+    const integrationId = extractIntegrationId(req);
+
+    if (integrationId) {
+      if (!mongoose.Types.ObjectId.isValid(integrationId)) {
+        throw new AppError('Invalid integration ID format', 400);
+      }
+
+      req.integration = await integrationService.getIntegrationForUser(integrationId, userId);
+      return next();
+    }
+
     const hasIntegration = await integrationService.hasActiveIntegration(userId);
 
     if (!hasIntegration) {
@@ -67,6 +92,16 @@ const requireIntegration = async (req, res, next) => {
   }
 };
 
+/**
+ * Reject sync requests for paused integrations (must run after requireIntegration)
+ */
+const requireSyncEnabled = (req, res, next) => {
+  if (req.integration?.isPaused) {
+    return next(new AppError('Syncing is paused for this integration. Resume it to sync again.', 409));
+  }
+  next();
+};
+
 /**
  * Optional authentication - doesn't fail if no token
  */
@@ -174,6 +209,8 @@ const userRateLimit = (req, res, next) => {
 module.exports = {
   verifyToken,
   requireIntegration,
+  requireSyncEnabled,
+  extractIntegrationId,
   optionalAuth,
   generateToken,
   extractUserId,
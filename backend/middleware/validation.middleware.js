@@ -92,6 +92,10 @@ const syncValidation = {
       .trim()
       .isLength({ min: 1, max: 100 })
       .withMessage('Repository name must be between 1 and 100 characters'),
+    body('full')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Full must be a boolean'),
     validate,
   ],
 
@@ -110,6 +114,115 @@ const syncValidation = {
   ],
 };
 
+/**
+ * Validation rules for integration management
+ */
+const integrationValidation = {
+  // Validate integration ID route parameter
+  integrationIdParam: [
+    param('integrationId')
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid integration ID format');
+        }
+        return true;
+      }),
+    validate,
+  ],
+
+  // Validate a personal access token connection
+  personalAccessToken: [
+    body('token')
+      .isString()
+      .withMessage('Token must be a string')
+      .trim()
+      .notEmpty()
+      .withMessage('Token is required'),
+    body('host')
+      .optional()
+      .isString()
+      .withMessage('Host must be a string')
+      .trim()
+      .notEmpty()
+      .withMessage('Host must not be empty'),
+    body('label')
+      .optional()
+      .isString()
+      .withMessage('Label must be a string')
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Label must be at most 100 characters'),
+    validate,
+  ],
+
+  // Validate rename payload
+  rename: [
+    param('integrationId')
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid integration ID format');
+        }
+        return true;
+      }),
+    body('label')
+      .exists()
+      .withMessage('Label is required')
+      .isString()
+      .withMessage('Label must be a string')
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Label must be at most 100 characters'),
+    validate,
+  ],
+
+  // Validate sync schedule changes
+  schedule: [
+    param('integrationId')
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid integration ID format');
+        }
+        return true;
+      }),
+    body('enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('Enabled must be a boolean')
+      .toBoolean(),
+    body('timezone')
+      .optional()
+      .isString()
+      .custom((value) => {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+        } catch (error) {
+          throw new Error('Timezone must be an IANA timezone name');
+        }
+        return true;
+      }),
+    body(['cheap.cron', 'expensive.cron'])
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('Cron must be a string')
+      .trim(),
+    body(['cheap.intervalMinutes', 'expensive.intervalMinutes'])
+      .optional({ values: 'null' })
+      .isInt({ min: 5 })
+      .withMessage('Interval must be at least 5 minutes')
+      .toInt(),
+    body(['quietHours.start', 'quietHours.end'])
+      .optional({ values: 'null' })
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Quiet hours must use HH:mm'),
+    body('jitterSeconds')
+      .optional()
+      .isInt({ min: 0, max: 3600 })
+      .withMessage('Jitter must be between 0 and 3600 seconds')
+      .toInt(),
+    validate,
+  ],
+};
+
 /**
  * Validation rules for pagination
  */
@@ -135,6 +248,12 @@ const paginationValidation = [
   validate,
 ];
 
+// Objects removed on GitHub are hidden unless includeDeleted=true
+const includeDeletedValidation = query('includeDeleted')
+  .optional()
+  .isBoolean()
+  .withMessage('includeDeleted must be true or false');
+
 /**
  * Validation rules for filtering
  */
@@ -148,7 +267,7 @@ const filterValidation = {
         }
         return true;
       }),
-    query('author')
+    query(['author', 'search'])
       .optional()
       .isString()
       .trim(),
@@ -176,10 +295,69 @@ const filterValidation = {
       .optional()
       .isIn(['open', 'closed', 'all'])
       .withMessage('State must be open, closed, or all'),
-    query('author')
+    query(['author', 'search'])
+      .optional()
+      .isString()
+      .trim(),
+    query('merged')
+      .optional()
+      .isBoolean()
+      .withMessage('Merged must be true or false'),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  reviews: [
+    query(['repoId', 'pullId'])
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query('state')
+      .optional()
+      .isIn(['APPROVED', 'CHANGES_REQUESTED', 'COMMENTED', 'DISMISSED', 'PENDING'])
+      .withMessage('State must be APPROVED, CHANGES_REQUESTED, COMMENTED, DISMISSED, or PENDING'),
+    query('reviewer')
+      .optional()
+      .isString()
+      .trim(),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  reviewComments: [
+    query(['repoId', 'pullId'])
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query(['author', 'path', 'search'])
       .optional()
       .isString()
       .trim(),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    includeDeletedValidation,
     ...paginationValidation,
   ],
 
@@ -196,17 +374,772 @@ const filterValidation = {
       .optional()
       .isIn(['open', 'closed', 'all'])
       .withMessage('State must be open, closed, or all'),
-    query('labels')
+    query(['labels', 'search'])
       .optional()
       .isString()
       .trim(),
+    includeDeletedValidation,
     ...paginationValidation,
   ],
-};
+
+  issueComments: [
+    query(['repoId', 'issueId', 'pullId'])
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query(['author', 'search'])
+      .optional()
+      .isString()
+      .trim(),
+    query('pullRequest')
+      .optional()
+      .isBoolean()
+      .withMessage('pullRequest must be true or false'),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  workflows: [
+    query('repoId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query(['state', 'search'])
+      .optional()
+      .isString()
+      .trim(),
+    ...paginationValidation,
+  ],
+
+  workflowRuns: [
+    query(['repoId', 'workflowId', 'pullId'])
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query(['branch', 'event', 'actor'])
+      .optional()
+      .isString()
+      .trim(),
+    query('headSha')
+      .optional()
+      .isHexadecimal()
+      .withMessage('Head SHA must be hexadecimal'),
+    query('status')
+      .optional()
+      .isIn(['queued', 'in_progress', 'completed', 'waiting', 'requested', 'pending'])
+      .withMessage('Status must be queued, in_progress, completed, waiting, requested, or pending'),
+    query('conclusion')
+      .optional()
+      .isIn(['success', 'failure', 'neutral', 'cancelled', 'skipped', 'timed_out', 'action_required', 'stale', 'startup_failure'])
+      .withMessage('Invalid conclusion'),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    ...paginationValidation,
+  ],
+
+  workflowJobs: [
+    query(['repoId', 'runId'])
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query(['name', 'branch'])
+      .optional()
+      .isString()
+      .trim(),
+    query('headSha')
+      .optional()
+      .isHexadecimal()
+      .withMessage('Head SHA must be hexadecimal'),
+    query('status')
+      .optional()
+      .isIn(['queued', 'in_progress', 'completed', 'waiting', 'requested', 'pending'])
+      .withMessage('Status must be queued, in_progress, completed, waiting, requested, or pending'),
+    query('conclusion')
+      .optional()
+      .isIn(['success', 'failure', 'neutral', 'cancelled', 'skipped', 'timed_out', 'action_required', 'stale', 'startup_failure'])
+      .withMessage('Invalid conclusion'),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    ...paginationValidation,
+  ],
+
+  checkRuns: [
+    query(['repoId', 'commitId', 'pullId'])
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query(['name', 'app'])
+      .optional()
+      .isString()
+      .trim(),
+    query('headSha')
+      .optional()
+      .isHexadecimal()
+      .withMessage('Head SHA must be hexadecimal'),
+    query('status')
+      .optional()
+      .isIn(['queued', 'in_progress', 'completed', 'waiting', 'requested', 'pending'])
+      .withMessage('Status must be queued, in_progress, completed, waiting, requested, or pending'),
+    query('conclusion')
+      .optional()
+      .isIn(['success', 'failure', 'neutral', 'cancelled', 'skipped', 'timed_out', 'action_required', 'stale', 'startup_failure'])
+      .withMessage('Invalid conclusion'),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    ...paginationValidation,
+  ],
+
+  branches: [
+    query('repoId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid repository ID format');
+        }
+        return true;
+      }),
+    query(['default', 'protected'])
+      .optional()
+      .isBoolean()
+      .withMessage('default and protected must be true or false'),
+    query('search')
+      .optional()
+      .isString()
+      .trim(),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  tags: [
+    query('repoId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid repository ID format');
+        }
+        return true;
+      }),
+    query('commitSha')
+      .optional()
+      .isHexadecimal()
+      .withMessage('Commit SHA must be hexadecimal'),
+    query('search')
+      .optional()
+      .isString()
+      .trim(),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  releases: [
+    query('repoId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid repository ID format');
+        }
+        return true;
+      }),
+    query(['draft', 'prerelease'])
+      .optional()
+      .isBoolean()
+      .withMessage('draft and prerelease must be true or false'),
+    query(['author', 'search'])
+      .optional()
+      .isString()
+      .trim(),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  labels: [
+    query('repoId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid repository ID format');
+        }
+        return true;
+      }),
+    query('default')
+      .optional()
+      .isBoolean()
+      .withMessage('default must be true or false'),
+    query('search')
+      .optional()
+      .isString()
+      .trim(),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  milestones: [
+    query('repoId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid repository ID format');
+        }
+        return true;
+      }),
+    query('state')
+      .optional()
+      .isIn(['open', 'closed'])
+      .withMessage('State must be open or closed'),
+    query('search')
+      .optional()
+      .isString()
+      .trim(),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  discussions: [
+    query('repoId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid repository ID format');
+        }
+        return true;
+      }),
+    query(['category', 'author', 'search'])
+      .optional()
+      .isString()
+      .trim(),
+    query(['answered', 'closed'])
+      .optional()
+      .isBoolean()
+      .withMessage('answered and closed must be true or false'),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  discussionComments: [
+    query(['repoId', 'discussionId', 'replyToId'])
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query('author')
+      .optional()
+      .isString()
+      .trim(),
+    query('answer')
+      .optional()
+      .isBoolean()
+      .withMessage('answer must be true or false'),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  projects: [
+    query('organizationId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid organization ID format');
+        }
+        return true;
+      }),
+    query('closed')
+      .optional()
+      .isBoolean()
+      .withMessage('closed must be true or false'),
+    query('search')
+      .optional()
+      .isString()
+      .trim(),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  projectFields: [
+    query('projectId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid project ID format');
+        }
+        return true;
+      }),
+    query('dataType')
+      .optional()
+      .isString()
+      .trim(),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  projectItems: [
+    query(['projectId', 'repoId', 'issueId', 'pullId'])
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query('type')
+      .optional()
+      .isIn(['ISSUE', 'PULL_REQUEST', 'DRAFT_ISSUE', 'REDACTED'])
+      .withMessage('Type must be ISSUE, PULL_REQUEST, DRAFT_ISSUE or REDACTED'),
+    query(['status', 'iterationId', 'search'])
+      .optional()
+      .isString()
+      .trim(),
+    query('archived')
+      .optional()
+      .isBoolean()
+      .withMessage('archived must be true or false'),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  environments: [
+    query('repoId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid repository ID format');
+        }
+        return true;
+      }),
+    query('search')
+      .optional()
+      .isString()
+      .trim(),
+    ...paginationValidation,
+  ],
+
+  deployments: [
+    query(['repoId', 'environmentId', 'commitId', 'pullId'])
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query(['environment', 'ref', 'creator'])
+      .optional()
+      .isString()
+      .trim(),
+    query('sha')
+      .optional()
+      .isHexadecimal()
+      .withMessage('SHA must be hexadecimal'),
+    query('state')
+      .optional()
+      .isIn(['error', 'failure', 'inactive', 'in_progress', 'queued', 'pending', 'success'])
+      .withMessage('Invalid deployment state'),
+    query('production')
+      .optional()
+      .isBoolean()
+      .withMessage('production must be true or false'),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    ...paginationValidation,
+  ],
+
+  deploymentStatuses: [
+    query(['repoId', 'deploymentId'])
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query('environment')
+      .optional()
+      .isString()
+      .trim(),
+    query('state')
+      .optional()
+      .isIn(['error', 'failure', 'inactive', 'in_progress', 'queued', 'pending', 'success'])
+      .withMessage('Invalid deployment state'),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    ...paginationValidation,
+  ],
+
+  repoSnapshots: [
+    query('repoId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid repository ID format');
+        }
+        return true;
+      }),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    ...paginationValidation,
+  ],
+
+  repoTraffic: [
+    query('repoId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid repository ID format');
+        }
+        return true;
+      }),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    ...paginationValidation,
+  ],
+
+  repoReferrers: [
+    query('repoId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid repository ID format');
+        }
+        return true;
+      }),
+    query('referrer')
+      .optional()
+      .isString()
+      .trim(),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    ...paginationValidation,
+  ],
+
+  contributorStats: [
+    query(['repoId', 'userId'])
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query('login')
+      .optional()
+      .isString()
+      .trim(),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    ...paginationValidation,
+  ],
+
+  repos: [
+    query('organizationId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid organization ID format');
+        }
+        return true;
+      }),
+    query(['language', 'search'])
+      .optional()
+      .isString()
+      .trim(),
+    query('visibility')
+      .optional()
+      .isIn(['public', 'private', 'internal'])
+      .withMessage('Visibility must be public, private, or internal'),
+    query(['private', 'archived', 'fork'])
+      .optional()
+      .isBoolean()
+      .withMessage('Flag filters must be true or false'),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  organizations: [
+    query('type')
+      .optional()
+      .isIn(['Organization', 'User'])
+      .withMessage('Type must be Organization or User'),
+    query('search')
+      .optional()
+      .isString()
+      .trim(),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  users: [
+    query('organizationId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid organization ID format');
+        }
+        return true;
+      }),
+    query('type')
+      .optional()
+      .isIn(['User', 'Organization', 'Bot'])
+      .withMessage('Type must be User, Organization, or Bot'),
+    query('search')
+      .optional()
+      .isString()
+      .trim(),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  teams: [
+    query(['organizationId', 'repoId'])
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query('permission')
+      .optional()
+      .isIn(['admin', 'maintain', 'write', 'triage', 'read'])
+      .withMessage('Permission must be admin, maintain, write, triage, or read'),
+    query('privacy')
+      .optional()
+      .isIn(['closed', 'secret'])
+      .withMessage('Privacy must be closed or secret'),
+    query('search')
+      .optional()
+      .isString()
+      .trim(),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  orgMemberships: [
+    query(['organizationId', 'userId'])
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query('login')
+      .optional()
+      .isString()
+      .trim(),
+    query('role')
+      .optional()
+      .isIn(['owner', 'member'])
+      .withMessage('Role must be owner or member'),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  teamMemberships: [
+    query(['organizationId', 'teamId', 'userId'])
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query('login')
+      .optional()
+      .isString()
+      .trim(),
+    query('role')
+      .optional()
+      .isIn(['maintainer', 'member'])
+      .withMessage('Role must be maintainer or member'),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  collaborators: [
+    query(['organizationId', 'repoId', 'userId'])
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid ID format');
+        }
+        return true;
+      }),
+    query('login')
+      .optional()
+      .isString()
+      .trim(),
+    query('permission')
+      .optional()
+      .isIn(['admin', 'maintain', 'write', 'triage', 'read'])
+      .withMessage('Permission must be admin, maintain, write, triage, or read'),
+    includeDeletedValidation,
+    ...paginationValidation,
+  ],
+
+  changelogs: [
+    query('issueId')
+      .optional()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid issue ID format');
+        }
+        return true;
+      }),
+    query('event')
+      .optional()
+      .isString()
+      .trim(),
+    query('actor')
+      .optional()
+      .isString()
+      .trim(),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since date must be in ISO 8601 format'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until date must be in ISO 8601 format'),
+    ...paginationValidation,
+  ],
+};
+
+/**
+ * Validation rule for an ObjectId route parameter
+ */
+const idParamValidation = [
+  param('id')
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid ID format');
+      }
+      return true;
+    }),
+  validate,
+];
 
 module.exports = {
   validate,
   syncValidation,
+  integrationValidation,
   paginationValidation,
   filterValidation,
+  idParamValidation,
 };
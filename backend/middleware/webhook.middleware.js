@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const config = require('../config/environment');
+const { AppError } = require('../helpers/error.helper');
+
+/**
+ * Verify the X-Hub-Signature-256 HMAC of a GitHub webhook delivery
+ */
+const verifyGitHubSignature = (req, res, next) => {
+  try {
+    const secret = config.github.webhookSecret;
+    if (!secret) {
+      throw new AppError('GitHub webhook secret is not configured', 503);
+    }
+
+    const signature = req.headers['x-hub-signature-256'];
+    if (!signature || !req.rawBody) {
+      throw new AppError('Missing webhook signature', 401);
+    }
+
+    const expected = `sha256=${crypto
+      .createHmac('sha256', secret)
+      .update(req.rawBody)
+      .digest('hex')}`;
+
+    const received = Buffer.from(signature);
+    const computed = Buffer.from(expected);
+
+    if (received.length !== computed.length || !crypto.timingSafeEqual(received, computed)) {
+      throw new AppError('Invalid webhook signature', 401);
+    }
+
+    if (!req.headers['x-github-event'] || !req.headers['x-github-delivery']) {
+      throw new AppError('Missing GitHub event headers', 400);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  verifyGitHubSignature,
+};
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const branchSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  protected: {
+    type: Boolean,
+    default: false
+  },
+  // Latest commit on the branch
+  commitSha: {
+    type: String
+  },
+  commitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Commit',
+    default: null
+  },
+  // Branch protection settings, null when unprotected or not readable with
+  // the integration's token (reading them needs admin access to the repository)
+  protection: {
+    requiredReviews: {
+      requiredApprovingReviewCount: Number,
+      dismissStaleReviews: Boolean,
+      requireCodeOwnerReviews: Boolean,
+      requireLastPushApproval: Boolean
+    },
+    requiredStatusChecks: {
+      strict: Boolean,
+      contexts: [String]
+    },
+    enforceAdmins: Boolean,
+    requiredLinearHistory: Boolean,
+    requiredSignatures: Boolean,
+    requiredConversationResolution: Boolean,
+    allowForcePushes: Boolean,
+    allowDeletions: Boolean
+  },
+  protectionSyncedAt: {
+    type: Date
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the branch was deleted on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+branchSchema.index({ repoId: 1, name: 1 }, { unique: true }); // Prevent duplicates
+branchSchema.index({ integrationId: 1, isDefault: 1, protected: 1 }); // For unprotected default branch audits
+branchSchema.index({ commitSha: 1 });
+branchSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+branchSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const Branch = mongoose.model('Branch', branchSchema);
+
+module.exports = Branch;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const checkRunSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  githubId: {
+    type: Number,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  headSha: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Linked through headSha once the commit / pull requests are stored
+  commitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Commit',
+    default: null
+  },
+  pullIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pull'
+  }],
+  checkSuiteGithubId: {
+    type: Number
+  },
+  // GitHub App that reported the check (GitHub Actions, CI services, ...)
+  app: {
+    slug: String,
+    name: String
+  },
+  status: {
+    type: String
+  },
+  conclusion: {
+    type: String,
+    default: null
+  },
+  output: {
+    title: String,
+    summary: String
+  },
+  detailsUrl: {
+    type: String
+  },
+  htmlUrl: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for performance
+checkRunSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+checkRunSchema.index({ repoId: 1, name: 1, conclusion: 1 }); // For failure rates per check
+checkRunSchema.index({ integrationId: 1, syncedAt: -1 }); // For retention policy
+
+const CheckRun = mongoose.model('CheckRun', checkRunSchema);
+
+module.exports = CheckRun;
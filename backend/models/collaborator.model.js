@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const collaboratorSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  // Linked when the collaborator is stored as a User (outside collaborators usually aren't)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  userGithubId: {
+    type: Number,
+    required: true
+  },
+  login: {
+    type: String,
+    required: true
+  },
+  avatarUrl: {
+    type: String
+  },
+  type: {
+    type: String
+  },
+  // Effective permission on the repository, whether granted directly,
+  // through a team or as an organization owner
+  permission: {
+    type: String,
+    enum: ['admin', 'maintain', 'write', 'triage', 'read'],
+    required: true
+  },
+  // Role name as reported by GitHub; differs from permission for custom repository roles
+  roleName: {
+    type: String
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the collaborator lost access to the repository
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+collaboratorSchema.index({ repoId: 1, userGithubId: 1 }, { unique: true }); // Prevent duplicates
+collaboratorSchema.index({ integrationId: 1, permission: 1 }); // Who has admin on what
+collaboratorSchema.index({ integrationId: 1, login: 1 }); // Repositories a user can access
+collaboratorSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+collaboratorSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const Collaborator = mongoose.model('Collaborator', collaboratorSchema);
+
+module.exports = Collaborator;
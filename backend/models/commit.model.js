@@ -16,7 +16,6 @@ const commitSchema = new mongoose.Schema({
   sha: {
     type: String,
     required: true,
-    unique: true,
     index: true
   },
   message: {
@@ -86,6 +85,7 @@ const commitSchema = new mongoose.Schema({
 });
 
 // Indexes for performance
+commitSchema.index({ repoId: 1, sha: 1 }, { unique: true }); // One commit per repository of an integration
 commitSchema.index({ integrationId: 1, repoId: 1 });
 commitSchema.index({ repoId: 1, 'author.date': -1 });
 commitSchema.index({ 'author.email': 1 });
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const contributorStatSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  // GitHub user the week belongs to
+  userGithubId: {
+    type: Number,
+    required: true
+  },
+  login: {
+    type: String
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Start of the week (Sunday, UTC)
+  week: {
+    type: Date,
+    required: true
+  },
+  additions: {
+    type: Number,
+    default: 0
+  },
+  deletions: {
+    type: Number,
+    default: 0
+  },
+  commits: {
+    type: Number,
+    default: 0
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+contributorStatSchema.index({ repoId: 1, userGithubId: 1, week: 1 }, { unique: true }); // One entry per contributor and week
+contributorStatSchema.index({ repoId: 1, week: 1 }); // Weekly totals
+contributorStatSchema.index({ integrationId: 1, userGithubId: 1, week: 1 }); // A contributor across repositories
+
+const ContributorStat = mongoose.model('ContributorStat', contributorStatSchema);
+
+module.exports = ContributorStat;
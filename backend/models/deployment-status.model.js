@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const deploymentStatusSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  deploymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deployment',
+    required: true,
+    index: true
+  },
+  deploymentGithubId: {
+    type: Number
+  },
+  githubId: {
+    type: Number,
+    required: true
+  },
+  state: {
+    type: String,
+    enum: ['error', 'failure', 'inactive', 'in_progress', 'queued', 'pending', 'success']
+  },
+  description: {
+    type: String
+  },
+  environment: {
+    type: String
+  },
+  environmentUrl: {
+    type: String
+  },
+  logUrl: {
+    type: String
+  },
+  creator: {
+    login: String,
+    avatarUrl: String
+  },
+  createdAt: {
+    type: Date
+  },
+  updatedAt: {
+    type: Date
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for performance
+deploymentStatusSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+deploymentStatusSchema.index({ deploymentId: 1, createdAt: 1 }); // Status history of a deployment
+deploymentStatusSchema.index({ repoId: 1, state: 1, createdAt: -1 }); // For change failure rate
+
+const DeploymentStatus = mongoose.model('DeploymentStatus', deploymentStatusSchema);
+
+module.exports = DeploymentStatus;
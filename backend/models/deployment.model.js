@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const deploymentSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  githubId: {
+    type: Number,
+    required: true
+  },
+  sha: {
+    type: String,
+    required: true,
+    index: true
+  },
+  ref: {
+    type: String
+  },
+  task: {
+    type: String
+  },
+  environment: {
+    type: String
+  },
+  originalEnvironment: {
+    type: String
+  },
+  transientEnvironment: {
+    type: Boolean,
+    default: false
+  },
+  productionEnvironment: {
+    type: Boolean,
+    default: false
+  },
+  description: {
+    type: String
+  },
+  creator: {
+    login: String,
+    avatarUrl: String
+  },
+  // Linked through the deployed SHA once the commit / pull requests are stored
+  commitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Commit',
+    default: null
+  },
+  pullIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pull'
+  }],
+  environmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Environment',
+    default: null
+  },
+  // State of the most recent status, null until one is reported
+  latestState: {
+    type: String,
+    default: null
+  },
+  latestStatusAt: {
+    type: Date
+  },
+  // First successful status; deployment frequency and lead time are measured from it
+  succeededAt: {
+    type: Date,
+    default: null
+  },
+  url: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    index: true
+  },
+  updatedAt: {
+    type: Date
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for performance
+deploymentSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+deploymentSchema.index({ repoId: 1, environment: 1, succeededAt: -1 }); // For deployment frequency
+deploymentSchema.index({ repoId: 1, latestState: 1 }); // Deployments still in progress
+deploymentSchema.index({ pullIds: 1 }); // For lead time per pull request
+deploymentSchema.index({ integrationId: 1, syncedAt: -1 }); // For retention policy
+
+const Deployment = mongoose.model('Deployment', deploymentSchema);
+
+module.exports = Deployment;
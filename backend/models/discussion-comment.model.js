@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const discussionCommentSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  discussionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Discussion',
+    required: true,
+    index: true
+  },
+  // Discussion number on GitHub
+  number: {
+    type: Number
+  },
+  githubId: {
+    type: Number,
+    required: true
+  },
+  nodeId: {
+    type: String,
+    required: true
+  },
+  // Top-level comment a reply belongs to; null for top-level comments
+  replyToId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiscussionComment',
+    default: null
+  },
+  author: {
+    login: String,
+    avatarUrl: String
+  },
+  body: {
+    type: String
+  },
+  upvoteCount: {
+    type: Number,
+    default: 0
+  },
+  // Marked as the answer of a Q&A discussion
+  isAnswer: {
+    type: Boolean,
+    default: false
+  },
+  isMinimized: {
+    type: Boolean,
+    default: false
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  url: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    index: true
+  },
+  updatedAt: {
+    type: Date
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the comment was deleted on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for performance
+discussionCommentSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+discussionCommentSchema.index({ discussionId: 1, createdAt: 1 }); // Thread of one discussion
+discussionCommentSchema.index({ integrationId: 1, 'author.login': 1, createdAt: -1 }); // For author queries
+discussionCommentSchema.index({ integrationId: 1, syncedAt: -1 }); // For retention policy
+discussionCommentSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+discussionCommentSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const DiscussionComment = mongoose.model('DiscussionComment', discussionCommentSchema);
+
+module.exports = DiscussionComment;
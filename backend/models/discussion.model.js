@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const discussionSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  githubId: {
+    type: Number,
+    required: true
+  },
+  // GraphQL node ID, used to fetch the comments
+  nodeId: {
+    type: String,
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String
+  },
+  author: {
+    login: String,
+    avatarUrl: String
+  },
+  category: {
+    nodeId: String,
+    name: String,
+    slug: String,
+    emoji: String,
+    // Q&A categories, where a comment can be marked as the answer
+    isAnswerable: Boolean
+  },
+  isAnswered: {
+    type: Boolean,
+    default: false
+  },
+  // Set once the answer comment has been synced
+  answerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiscussionComment',
+    default: null
+  },
+  answerNodeId: {
+    type: String,
+    default: null
+  },
+  answerChosenAt: {
+    type: Date
+  },
+  answerChosenBy: {
+    login: String,
+    avatarUrl: String
+  },
+  upvoteCount: {
+    type: Number,
+    default: 0
+  },
+  commentCount: {
+    type: Number,
+    default: 0
+  },
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  closed: {
+    type: Boolean,
+    default: false
+  },
+  closedAt: {
+    type: Date
+  },
+  stateReason: {
+    type: String
+  },
+  url: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    index: true
+  },
+  updatedAt: {
+    type: Date
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the discussion was deleted or transferred on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for performance
+discussionSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+discussionSchema.index({ repoId: 1, number: 1 });
+discussionSchema.index({ repoId: 1, 'category.slug': 1, updatedAt: -1 }); // Discussions of one category, e.g. RFCs
+discussionSchema.index({ repoId: 1, isAnswered: 1 }); // Unanswered questions
+discussionSchema.index({ integrationId: 1, 'author.login': 1, createdAt: -1 }); // For author queries
+discussionSchema.index({ integrationId: 1, syncedAt: -1 }); // For retention policy
+discussionSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+discussionSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const Discussion = mongoose.model('Discussion', discussionSchema);
+
+module.exports = Discussion;
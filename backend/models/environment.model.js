@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const environmentSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  // Environments created implicitly by a deployment have no GitHub environment ID
+  githubId: {
+    type: Number,
+    default: null
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Required reviewers, wait timers and branch policies
+  protectionRules: [{
+    _id: false,
+    type: {
+      type: String
+    },
+    waitTimer: Number,
+    reviewerCount: Number
+  }],
+  deploymentBranchPolicy: {
+    protectedBranches: Boolean,
+    customBranchPolicies: Boolean
+  },
+  url: {
+    type: String
+  },
+  htmlUrl: {
+    type: String
+  },
+  createdAt: {
+    type: Date
+  },
+  updatedAt: {
+    type: Date
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+environmentSchema.index({ repoId: 1, name: 1 }, { unique: true }); // Prevent duplicates
+
+const Environment = mongoose.model('Environment', environmentSchema);
+
+module.exports = Environment;
@@ -1,13 +1,69 @@
 const mongoose = require('mongoose');
 const cryptoHelper = require('../helpers/crypto.helper');
+const githubConfig = require('../config/github.config');
+
+const GITHUB_COM = githubConfig.endpointsFor(githubConfig.defaultHost);
 
 const integrationSchema = new mongoose.Schema(
   {
+    // Platform user that owns this connection (JWT subject)
     userId: {
       type: String,
       required: true,
-      unique: true,
-      index: true,
+    },
+    // GitHub account behind this connection (`<host>:<id>` on GitHub Enterprise Server,
+    // `installation:<id>` for GitHub App installations)
+    githubUserId: {
+      type: String,
+      default: null,
+    },
+    // GitHub host and endpoints every call of this integration goes to
+    // (github.com or a GitHub Enterprise Server instance)
+    server: {
+      host: { type: String, default: GITHUB_COM.host },
+      webUrl: { type: String, default: GITHUB_COM.webUrl },
+      apiUrl: { type: String, default: GITHUB_COM.apiUrl },
+      graphqlUrl: { type: String, default: GITHUB_COM.graphqlUrl },
+      authorizeUrl: { type: String, default: GITHUB_COM.authorizeUrl },
+      tokenUrl: { type: String, default: GITHUB_COM.tokenUrl },
+    },
+    // 'oauth' syncs with a user's token, 'app' with installation tokens minted for a
+    // GitHub App, and 'pat' with a personal access token
+    authType: {
+      type: String,
+      enum: ['oauth', 'app', 'pat'],
+      default: 'oauth',
+    },
+    // What a personal access token was granted (scopes of classic tokens are kept in `scope`)
+    personalAccessToken: {
+      kind: { type: String, enum: ['classic', 'fine-grained', null], default: null },
+      // Repositories a fine-grained token can access, with the access it has there
+      repositories: [
+        {
+          _id: false,
+          githubId: Number,
+          fullName: String,
+          permissions: { type: mongoose.Schema.Types.Mixed, default: null },
+        },
+      ],
+    },
+    // GitHub App installation the integration syncs through
+    installation: {
+      id: { type: Number, default: null },
+      appId: { type: Number, default: null },
+      account: {
+        id: Number,
+        login: String,
+        type: { type: String }, // Organization or User
+      },
+      repositorySelection: { type: String, default: null }, // all or selected
+      permissions: { type: mongoose.Schema.Types.Mixed, default: null },
+      suspendedAt: { type: Date, default: null },
+    },
+    label: {
+      type: String,
+      default: null,
+      trim: true,
     },
     username: {
       type: String,
@@ -29,9 +85,12 @@ const integrationSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // User token, or the cached installation token for GitHub App integrations
     accessToken: {
       type: String,
-      required: true,
+      required: function () {
+        return this.isActive && this.authType !== 'app';
+      },
     },
     refreshToken: {
       type: String,
@@ -41,9 +100,23 @@ const integrationSchema = new mongoose.Schema(
       type: String,
       default: 'Bearer',
     },
+    // Installation tokens expire after an hour, expiring OAuth tokens after eight hours,
+    // personal access tokens when their owner chose
+    tokenExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Refresh tokens of expiring OAuth tokens last six months; after that the user must reconnect
+    refreshTokenExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Installations and fine-grained personal access tokens have permissions instead of scopes
     scope: {
       type: String,
-      required: true,
+      required: function () {
+        return this.isActive && this.authType === 'oauth';
+      },
     },
     connectedAt: {
       type: Date,
@@ -57,6 +130,14 @@ const integrationSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    isPaused: {
+      type: Boolean,
+      default: false,
+    },
+    pausedAt: {
+      type: Date,
+      default: null,
+    },
     syncStatus: {
       type: String,
       enum: ['idle', 'syncing', 'completed', 'failed'],
@@ -93,6 +174,28 @@ const integrationSchema = new mongoose.Schema(
       reset: { type: Date, default: null },
       used: { type: Number, default: 0 },
     },
+    // Automatic syncs; each kind runs on a cron expression or a fixed interval
+    syncSchedule: {
+      enabled: { type: Boolean, default: true },
+      timezone: { type: String, default: 'UTC' },
+      // Organizations and repositories
+      cheap: {
+        cron: { type: String, default: null },
+        intervalMinutes: { type: Number, default: 6 * 60 },
+      },
+      // Full sync including commits with file details
+      expensive: {
+        cron: { type: String, default: null },
+        intervalMinutes: { type: Number, default: 24 * 60 },
+      },
+      // No scheduled syncs start between these local times (HH:mm)
+      quietHours: {
+        start: { type: String, default: null },
+        end: { type: String, default: null },
+      },
+      // Random delay added to each scheduled run
+      jitterSeconds: { type: Number, default: 5 * 60 },
+    },
   },
   {
     timestamps: true,
@@ -100,21 +203,23 @@ const integrationSchema = new mongoose.Schema(
 );
 
 // Indexes
-integrationSchema.index({ userId: 1 });
+integrationSchema.index({ userId: 1, githubUserId: 1 }, { unique: true });
+integrationSchema.index({ userId: 1, isActive: 1 });
 integrationSchema.index({ username: 1 });
 integrationSchema.index({ isActive: 1 });
 integrationSchema.index({ connectedAt: -1 });
+integrationSchema.index({ 'installation.id': 1 }, { sparse: true });
 
-// Virtual for checking if sync is needed (24 hours)
+// Virtual for checking if sync is needed (full sync interval, 24 hours by default)
 integrationSchema.virtual('needsSync').get(function () {
   if (!this.lastSyncAt) return true;
-  const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-  return this.lastSyncAt < oneDayAgo;
+  const intervalMinutes = this.syncSchedule?.expensive?.intervalMinutes || 24 * 60;
+  return this.lastSyncAt < new Date(Date.now() - intervalMinutes * 60 * 1000);
 });
 
 // Pre-save hook to encrypt tokens
 integrationSchema.pre('save', function (next) {
-  if (this.isModified('accessToken') && !this.accessToken.startsWith('encrypted:')) {
+  if (this.isModified('accessToken') && this.accessToken && !this.accessToken.startsWith('encrypted:')) {
     this.accessToken = 'encrypted:' + cryptoHelper.encrypt(this.accessToken);
   }
   if (this.isModified('refreshToken') && this.refreshToken && !this.refreshToken.startsWith('encrypted:')) {
@@ -194,17 +299,39 @@ integrationSchema.methods.deactivate = function () {
   this.isActive = false;
   this.accessToken = null;
   this.refreshToken = null;
+  this.tokenExpiresAt = null;
+  this.refreshTokenExpiresAt = null;
+  return this.save();
+};
+
+// Method to pause or resume syncing
+integrationSchema.methods.setPaused = function (paused) {
+  this.isPaused = paused;
+  this.pausedAt = paused ? new Date() : null;
   return this.save();
 };
 
-// Static method to find active integration by userId
+// Static method to find the most recently connected active integration by userId
 integrationSchema.statics.findActiveByUserId = function (userId) {
-  return this.findOne({ userId, isActive: true });
+  return this.findOne({ userId, isActive: true }).sort({ connectedAt: -1 });
+};
+
+// Static method to find all active integrations owned by a userId
+integrationSchema.statics.findAllActiveByUserId = function (userId) {
+  return this.find({ userId, isActive: true }).sort({ connectedAt: -1 });
 };
 
 // Static method to find or create integration
 integrationSchema.statics.findOrCreate = async function (userData) {
-  let integration = await this.findOne({ userId: userData.userId });
+  let integration = await this.findOne({
+    userId: userData.userId,
+    githubUserId: userData.githubUserId,
+  });
+
+  // Integrations created before multi-account support have no githubUserId
+  if (!integration && userData.userId === userData.githubUserId) {
+    integration = await this.findOne({ userId: userData.userId, githubUserId: null });
+  }
 
   if (integration) {
     // Update existing integration
@@ -220,6 +347,22 @@ integrationSchema.statics.findOrCreate = async function (userData) {
   return integration;
 };
 
+// Static method to find or create the integration of a GitHub App installation for a user
+integrationSchema.statics.findOrCreateInstallation = async function (userId, installationData) {
+  let integration = await this.findOne({ userId, 'installation.id': installationData.installation.id });
+
+  if (integration) {
+    Object.assign(integration, installationData);
+    integration.isActive = true;
+    integration.connectedAt = new Date();
+    await integration.save();
+  } else {
+    integration = await this.create({ ...installationData, userId });
+  }
+
+  return integration;
+};
+
 // Transform for JSON output (hide sensitive data)
 integrationSchema.set('toJSON', {
   transform: function (doc, ret) {
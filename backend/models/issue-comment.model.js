@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const issueCommentSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  // Set once the issue or pull request the comment belongs to has been synced
+  issueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    default: null,
+    index: true
+  },
+  pullId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pull',
+    default: null,
+    index: true
+  },
+  // Issue or pull request number on GitHub
+  number: {
+    type: Number,
+    required: true
+  },
+  isPullRequest: {
+    type: Boolean,
+    default: false
+  },
+  githubId: {
+    type: Number,
+    required: true
+  },
+  user: {
+    login: String,
+    avatarUrl: String,
+    type: String
+  },
+  body: {
+    type: String
+  },
+  authorAssociation: {
+    type: String
+  },
+  reactions: {
+    totalCount: { type: Number, default: 0 },
+    plusOne: { type: Number, default: 0 },
+    minusOne: { type: Number, default: 0 },
+    laugh: { type: Number, default: 0 },
+    hooray: { type: Number, default: 0 },
+    confused: { type: Number, default: 0 },
+    heart: { type: Number, default: 0 },
+    rocket: { type: Number, default: 0 },
+    eyes: { type: Number, default: 0 }
+  },
+  url: {
+    type: String
+  },
+  htmlUrl: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    index: true
+  },
+  updatedAt: {
+    type: Date
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the comment was deleted on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for performance
+issueCommentSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+issueCommentSchema.index({ repoId: 1, number: 1, createdAt: 1 }); // Discussion of one issue or pull request
+issueCommentSchema.index({ integrationId: 1, 'user.login': 1, createdAt: -1 }); // For author queries
+issueCommentSchema.index({ integrationId: 1, syncedAt: -1 }); // For retention policy
+issueCommentSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+issueCommentSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const IssueComment = mongoose.model('IssueComment', issueCommentSchema);
+
+module.exports = IssueComment;
@@ -17,6 +17,10 @@ const issueSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // GraphQL node ID; Projects v2 items refer to it
+  nodeId: {
+    type: String
+  },
   number: {
     type: Number,
     required: true,
@@ -48,7 +52,9 @@ const issueSchema = new mongoose.Schema({
     avatarUrl: String,
     type: String
   },
+  // Snapshots of the repository's Label and Milestone documents, matched on githubId
   labels: [{
+    githubId: Number,
     name: String,
     color: String,
     description: String
@@ -58,6 +64,7 @@ const issueSchema = new mongoose.Schema({
     avatarUrl: String
   }],
   milestone: {
+    githubId: Number,
     title: String,
     number: Number,
     state: String,
@@ -94,6 +101,20 @@ const issueSchema = new mongoose.Schema({
     type: Date,
     index: true
   },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the object was deleted, transferred or removed on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
   syncedAt: {
     type: Date,
     default: Date.now
@@ -110,9 +131,14 @@ issueSchema.index({ integrationId: 1, state: 1, updatedAt: -1 }); // For filteri
 issueSchema.index({ 'user.login': 1, state: 1 });
 issueSchema.index({ 'assignees.login': 1 }); // For assignee queries
 issueSchema.index({ 'labels.name': 1 });
+issueSchema.index({ repoId: 1, 'labels.githubId': 1 }); // For reconciling label renames
+issueSchema.index({ repoId: 1, 'milestone.githubId': 1 }); // For reconciling milestone edits
 issueSchema.index({ syncedAt: -1 });
 issueSchema.index({ integrationId: 1, syncedAt: -1 }); // For retention policy
 issueSchema.index({ closedAt: 1 }, { sparse: true }); // For closed issues queries
+issueSchema.index({ nodeId: 1 }, { sparse: true }); // For linking project items
+issueSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+issueSchema.index({ deletedAt: 1 }); // For tombstone retention
 
 const Issue = mongoose.model('Issue', issueSchema);
 
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const labelSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  // Stable across renames; the labels embedded in issues and pull requests carry it too
+  githubId: {
+    type: Number,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  color: {
+    type: String
+  },
+  description: {
+    type: String
+  },
+  // One of GitHub's default labels for new repositories
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  url: {
+    type: String
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the label was deleted on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+labelSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+labelSchema.index({ repoId: 1, name: 1 }); // Label set of a repository
+labelSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+labelSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const Label = mongoose.model('Label', labelSchema);
+
+module.exports = Label;
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const milestoneSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  // The milestone embedded in issues and pull requests carries it too
+  githubId: {
+    type: Number,
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  state: {
+    type: String,
+    enum: ['open', 'closed']
+  },
+  openIssues: {
+    type: Number,
+    default: 0
+  },
+  closedIssues: {
+    type: Number,
+    default: 0
+  },
+  creator: {
+    login: String,
+    avatarUrl: String
+  },
+  dueOn: {
+    type: Date,
+    default: null
+  },
+  closedAt: {
+    type: Date
+  },
+  htmlUrl: {
+    type: String
+  },
+  createdAt: {
+    type: Date
+  },
+  updatedAt: {
+    type: Date
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the milestone was deleted on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+milestoneSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+milestoneSchema.index({ repoId: 1, number: 1 });
+milestoneSchema.index({ repoId: 1, state: 1, dueOn: 1 }); // Open milestones by due date
+milestoneSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+milestoneSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const Milestone = mongoose.model('Milestone', milestoneSchema);
+
+module.exports = Milestone;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const orgMembershipSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  // Linked once the member is stored as a User
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  userGithubId: {
+    type: Number,
+    required: true
+  },
+  login: {
+    type: String,
+    required: true
+  },
+  avatarUrl: {
+    type: String
+  },
+  // 'owner' or 'member'
+  role: {
+    type: String,
+    enum: ['owner', 'member'],
+    default: 'member'
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the member left the organization
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+orgMembershipSchema.index({ organizationId: 1, userGithubId: 1 }, { unique: true }); // Prevent duplicates
+orgMembershipSchema.index({ organizationId: 1, role: 1 }); // For owner audits
+orgMembershipSchema.index({ integrationId: 1, login: 1 }); // Organizations of a user
+orgMembershipSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+orgMembershipSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const OrgMembership = mongoose.model('OrgMembership', orgMembershipSchema);
+
+module.exports = OrgMembership;
@@ -7,10 +7,14 @@ const organizationSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // GitHub host the organization lives on; GitHub IDs are only unique per host
+  host: {
+    type: String,
+    default: 'github.com'
+  },
   githubId: {
     type: Number,
-    required: true,
-    unique: true
+    required: true
   },
   login: {
     type: String,
@@ -64,6 +68,20 @@ const organizationSchema = new mongoose.Schema({
     type: String,
     enum: ['Organization', 'User']
   },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the object was deleted, transferred or removed on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
   syncedAt: {
     type: Date,
     default: Date.now
@@ -73,8 +91,11 @@ const organizationSchema = new mongoose.Schema({
 });
 
 // Indexes for performance
+organizationSchema.index({ integrationId: 1, host: 1, githubId: 1 }, { unique: true }); // One per integration syncing it
 organizationSchema.index({ integrationId: 1, login: 1 });
 organizationSchema.index({ syncedAt: -1 });
+organizationSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+organizationSchema.index({ deletedAt: 1 }); // For tombstone retention
 
 const Organization = mongoose.model('Organization', organizationSchema);
 
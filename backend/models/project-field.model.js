@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const projectFieldSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    index: true
+  },
+  // GraphQL node ID; item field values refer to it
+  nodeId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // TEXT, NUMBER, DATE, SINGLE_SELECT, ITERATION or a built-in such as TITLE or ASSIGNEES
+  dataType: {
+    type: String
+  },
+  // Choices of a single select field (e.g. Status)
+  options: [{
+    optionId: String,
+    name: String,
+    color: String
+  }],
+  // Current and completed iterations of an iteration field
+  iterations: [{
+    iterationId: String,
+    title: String,
+    startDate: Date,
+    duration: Number,
+    completed: Boolean
+  }],
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the field was deleted on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+projectFieldSchema.index({ integrationId: 1, nodeId: 1 }, { unique: true }); // Prevent duplicates
+projectFieldSchema.index({ projectId: 1, name: 1 });
+projectFieldSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+projectFieldSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const ProjectField = mongoose.model('ProjectField', projectFieldSchema);
+
+module.exports = ProjectField;
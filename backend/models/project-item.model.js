@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const projectItemSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    index: true
+  },
+  nodeId: {
+    type: String,
+    required: true
+  },
+  // ISSUE, PULL_REQUEST, DRAFT_ISSUE or REDACTED (content the token can't see)
+  type: {
+    type: String
+  },
+  // Node ID, repository and number of the issue or pull request on GitHub
+  contentNodeId: {
+    type: String,
+    default: null
+  },
+  contentRepository: {
+    type: String
+  },
+  contentNumber: {
+    type: Number
+  },
+  // Set once the issue or pull request the item tracks has been synced
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    default: null
+  },
+  issueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    default: null
+  },
+  pullId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pull',
+    default: null
+  },
+  title: {
+    type: String
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  // Values of the project's custom fields, one per field that is set
+  fieldValues: [{
+    fieldId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProjectField'
+    },
+    fieldNodeId: String,
+    fieldName: String,
+    dataType: String,
+    text: String,
+    number: Number,
+    date: Date,
+    // Single select value
+    optionId: String,
+    optionName: String,
+    // Iteration value
+    iterationId: String,
+    iterationTitle: String,
+    iterationStartDate: Date,
+    iterationDuration: Number
+  }],
+  // Copied from the Status field and the first iteration field for filtering and sprint reports
+  status: {
+    type: String,
+    default: null
+  },
+  iteration: {
+    iterationId: String,
+    title: String,
+    startDate: Date,
+    duration: Number
+  },
+  createdAt: {
+    type: Date
+  },
+  updatedAt: {
+    type: Date
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the item was removed from the project
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+projectItemSchema.index({ integrationId: 1, nodeId: 1 }, { unique: true }); // Prevent duplicates
+projectItemSchema.index({ projectId: 1, status: 1 }); // Board columns
+projectItemSchema.index({ projectId: 1, 'iteration.iterationId': 1 }); // Sprint reports
+projectItemSchema.index({ issueId: 1 }, { sparse: true }); // Project status next to an issue
+projectItemSchema.index({ pullId: 1 }, { sparse: true }); // Project status next to a pull request
+projectItemSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+projectItemSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const ProjectItem = mongoose.model('ProjectItem', projectItemSchema);
+
+module.exports = ProjectItem;
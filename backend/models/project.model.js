@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const projectSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  // Organization or user account owning the project
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  githubId: {
+    type: Number,
+    required: true
+  },
+  // GraphQL node ID, used to fetch the items
+  nodeId: {
+    type: String,
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  shortDescription: {
+    type: String
+  },
+  public: {
+    type: Boolean,
+    default: false
+  },
+  closed: {
+    type: Boolean,
+    default: false
+  },
+  closedAt: {
+    type: Date
+  },
+  creator: {
+    login: String,
+    avatarUrl: String
+  },
+  itemCount: {
+    type: Number,
+    default: 0
+  },
+  url: {
+    type: String
+  },
+  createdAt: {
+    type: Date
+  },
+  updatedAt: {
+    type: Date
+  },
+  // Last time the items were read, so closed projects aren't re-read until they change
+  itemsSyncedAt: {
+    type: Date,
+    default: null
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the project was deleted on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+projectSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+projectSchema.index({ organizationId: 1, number: 1 });
+projectSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+projectSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const Project = mongoose.model('Project', projectSchema);
+
+module.exports = Project;
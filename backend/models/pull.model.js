@@ -17,6 +17,10 @@ const pullSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // GraphQL node ID; Projects v2 items refer to it
+  nodeId: {
+    type: String
+  },
   number: {
     type: Number,
     required: true,
@@ -44,15 +48,19 @@ const pullSchema = new mongoose.Schema({
     avatarUrl: String,
     type: String
   },
+  // Snapshots of the repository's Label and Milestone documents, matched on githubId
   labels: [{
+    githubId: Number,
     name: String,
     color: String,
     description: String
   }],
   milestone: {
+    githubId: Number,
     title: String,
     number: Number,
-    state: String
+    state: String,
+    description: String
   },
   assignees: [{
     login: String,
@@ -62,6 +70,10 @@ const pullSchema = new mongoose.Schema({
     login: String,
     avatarUrl: String
   }],
+  requestedTeams: [{
+    slug: String,
+    name: String
+  }],
   head: {
     ref: String,
     sha: String,
@@ -92,6 +104,10 @@ const pullSchema = new mongoose.Schema({
     login: String,
     avatarUrl: String
   },
+  // Commit created by the merge, which deployments of the base branch usually point to
+  mergeCommitSha: {
+    type: String
+  },
   comments: {
     type: Number,
     default: 0
@@ -142,6 +158,20 @@ const pullSchema = new mongoose.Schema({
     type: Date,
     index: true
   },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the object was deleted, transferred or removed on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
   syncedAt: {
     type: Date,
     default: Date.now
@@ -158,11 +188,17 @@ pullSchema.index({ integrationId: 1, state: 1, updatedAt: -1 }); // For filterin
 pullSchema.index({ integrationId: 1, merged: 1, mergedAt: -1 }); // For merged PRs
 pullSchema.index({ 'user.login': 1, state: 1 });
 pullSchema.index({ 'assignees.login': 1 }); // For assignee queries
+pullSchema.index({ repoId: 1, 'labels.githubId': 1 }); // For reconciling label renames
+pullSchema.index({ repoId: 1, 'milestone.githubId': 1 }); // For reconciling milestone edits
 pullSchema.index({ 'head.sha': 1 }); // For commit-based queries
+pullSchema.index({ mergeCommitSha: 1 }, { sparse: true }); // For linking deployments
 pullSchema.index({ 'base.ref': 1 }); // For branch queries
 pullSchema.index({ syncedAt: -1 });
 pullSchema.index({ integrationId: 1, syncedAt: -1 }); // For retention policy
 pullSchema.index({ mergedAt: 1 }, { sparse: true }); // For merged PR queries
+pullSchema.index({ nodeId: 1 }, { sparse: true }); // For linking project items
+pullSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+pullSchema.index({ deletedAt: 1 }); // For tombstone retention
 
 const Pull = mongoose.model('Pull', pullSchema);
 
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const releaseSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  githubId: {
+    type: Number,
+    required: true
+  },
+  tagName: {
+    type: String
+  },
+  // Branch or commit SHA the tag is created from
+  targetCommitish: {
+    type: String
+  },
+  name: {
+    type: String
+  },
+  body: {
+    type: String
+  },
+  draft: {
+    type: Boolean,
+    default: false
+  },
+  prerelease: {
+    type: Boolean,
+    default: false
+  },
+  author: {
+    login: String,
+    avatarUrl: String
+  },
+  assets: [{
+    _id: false,
+    githubId: Number,
+    name: String,
+    label: String,
+    contentType: String,
+    state: String,
+    size: Number,
+    downloadCount: Number,
+    browserDownloadUrl: String,
+    createdAt: Date,
+    updatedAt: Date
+  }],
+  // Sum of the assets' download counts
+  totalDownloads: {
+    type: Number,
+    default: 0
+  },
+  url: {
+    type: String
+  },
+  htmlUrl: {
+    type: String
+  },
+  createdAt: {
+    type: Date
+  },
+  publishedAt: {
+    type: Date,
+    index: true
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the release was deleted on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for performance
+releaseSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+releaseSchema.index({ repoId: 1, publishedAt: -1 }); // For release cadence
+releaseSchema.index({ repoId: 1, tagName: 1 });
+releaseSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+releaseSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const Release = mongoose.model('Release', releaseSchema);
+
+module.exports = Release;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const repoReferrerSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  // UTC day the referrers were read on; GitHub reports totals over the 14 days before it
+  date: {
+    type: Date,
+    required: true
+  },
+  referrer: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  uniques: {
+    type: Number,
+    default: 0
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+repoReferrerSchema.index({ repoId: 1, date: 1, referrer: 1 }, { unique: true }); // One entry per referrer and day
+repoReferrerSchema.index({ integrationId: 1, referrer: 1, date: -1 }); // A referrer across repositories
+
+const RepoReferrer = mongoose.model('RepoReferrer', repoReferrerSchema);
+
+module.exports = RepoReferrer;
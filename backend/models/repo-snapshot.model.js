@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const repoSnapshotSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  // UTC day the counts were recorded on; one snapshot per repository and day
+  date: {
+    type: Date,
+    required: true
+  },
+  stargazersCount: {
+    type: Number,
+    default: 0
+  },
+  watchersCount: {
+    type: Number,
+    default: 0
+  },
+  forksCount: {
+    type: Number,
+    default: 0
+  },
+  openIssuesCount: {
+    type: Number,
+    default: 0
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+repoSnapshotSchema.index({ repoId: 1, date: 1 }, { unique: true }); // One snapshot per day
+repoSnapshotSchema.index({ integrationId: 1, date: -1 }); // Latest snapshots across repositories
+
+const RepoSnapshot = mongoose.model('RepoSnapshot', repoSnapshotSchema);
+
+module.exports = RepoSnapshot;
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const repoTrafficSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  // UTC day the traffic was counted for
+  date: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  uniqueViews: {
+    type: Number,
+    default: 0
+  },
+  clones: {
+    type: Number,
+    default: 0
+  },
+  uniqueClones: {
+    type: Number,
+    default: 0
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+repoTrafficSchema.index({ repoId: 1, date: 1 }, { unique: true }); // One document per day
+repoTrafficSchema.index({ integrationId: 1, date: -1 }); // Latest traffic across repositories
+
+const RepoTraffic = mongoose.model('RepoTraffic', repoTrafficSchema);
+
+module.exports = RepoTraffic;
@@ -12,10 +12,14 @@ const repoSchema = new mongoose.Schema({
     ref: 'Organization',
     index: true
   },
+  // GitHub host the repository lives on; GitHub IDs are only unique per host
+  host: {
+    type: String,
+    default: 'github.com'
+  },
   githubId: {
     type: Number,
-    required: true,
-    unique: true
+    required: true
   },
   name: {
     type: String,
@@ -100,6 +104,10 @@ const repoSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  hasDiscussions: {
+    type: Boolean,
+    default: false
+  },
   hasPages: {
     type: Boolean,
     default: false
@@ -134,6 +142,20 @@ const repoSchema = new mongoose.Schema({
     avatarUrl: String,
     type: String
   },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the object was deleted, transferred or removed on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
   syncedAt: {
     type: Date,
     default: Date.now
@@ -143,6 +165,7 @@ const repoSchema = new mongoose.Schema({
 });
 
 // Indexes for performance
+repoSchema.index({ integrationId: 1, host: 1, githubId: 1 }, { unique: true }); // One per integration syncing it
 repoSchema.index({ integrationId: 1, fullName: 1 });
 repoSchema.index({ organizationId: 1, name: 1 });
 repoSchema.index({ integrationId: 1, private: 1 }); // For filtering private/public
@@ -152,6 +175,8 @@ repoSchema.index({ syncedAt: -1 });
 repoSchema.index({ integrationId: 1, syncedAt: -1 }); // For retention policy
 repoSchema.index({ pushedAt: -1 }); // For recently updated repos
 repoSchema.index({ createdAt: -1 }); // For recently created repos
+repoSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+repoSchema.index({ deletedAt: 1 }); // For tombstone retention
 
 const Repo = mongoose.model('Repo', repoSchema);
 
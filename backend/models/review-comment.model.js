@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const reviewCommentSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  pullId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pull',
+    required: true,
+    index: true
+  },
+  pullNumber: {
+    type: Number,
+    required: true
+  },
+  githubId: {
+    type: Number,
+    required: true
+  },
+  // GitHub ID of the review the comment was submitted with
+  reviewGithubId: {
+    type: Number,
+    index: true
+  },
+  // GitHub ID of the comment this one replies to
+  inReplyToId: {
+    type: Number
+  },
+  user: {
+    login: String,
+    avatarUrl: String,
+    type: String
+  },
+  body: {
+    type: String
+  },
+  path: {
+    type: String
+  },
+  line: {
+    type: Number
+  },
+  originalLine: {
+    type: Number
+  },
+  side: {
+    type: String
+  },
+  diffHunk: {
+    type: String
+  },
+  commitId: {
+    type: String
+  },
+  originalCommitId: {
+    type: String
+  },
+  authorAssociation: {
+    type: String
+  },
+  htmlUrl: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    index: true
+  },
+  updatedAt: {
+    type: Date
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the object was deleted, transferred or removed on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for performance
+reviewCommentSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+reviewCommentSchema.index({ pullId: 1, createdAt: 1 });
+reviewCommentSchema.index({ integrationId: 1, 'user.login': 1, createdAt: -1 }); // For reviewer load
+reviewCommentSchema.index({ integrationId: 1, syncedAt: -1 }); // For retention policy
+reviewCommentSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+reviewCommentSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const ReviewComment = mongoose.model('ReviewComment', reviewCommentSchema);
+
+module.exports = ReviewComment;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  pullId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pull',
+    required: true,
+    index: true
+  },
+  pullNumber: {
+    type: Number,
+    required: true
+  },
+  githubId: {
+    type: Number,
+    required: true
+  },
+  user: {
+    login: String,
+    avatarUrl: String,
+    type: String
+  },
+  state: {
+    type: String,
+    enum: ['APPROVED', 'CHANGES_REQUESTED', 'COMMENTED', 'DISMISSED', 'PENDING'],
+    required: true
+  },
+  body: {
+    type: String
+  },
+  commitId: {
+    type: String
+  },
+  authorAssociation: {
+    type: String
+  },
+  htmlUrl: {
+    type: String
+  },
+  // Pending reviews have not been submitted yet
+  submittedAt: {
+    type: Date,
+    index: true
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the object was deleted, transferred or removed on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for performance
+reviewSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+reviewSchema.index({ pullId: 1, submittedAt: 1 }); // For time to first review
+reviewSchema.index({ integrationId: 1, state: 1 }); // For approval counts
+reviewSchema.index({ integrationId: 1, 'user.login': 1, submittedAt: -1 }); // For reviewer load
+reviewSchema.index({ integrationId: 1, syncedAt: -1 }); // For retention policy
+reviewSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+reviewSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
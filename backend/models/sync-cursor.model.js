@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const syncCursorSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true
+  },
+  entity: {
+    type: String,
+    enum: ['commits', 'pulls', 'issues', 'changelogs', 'issueComments', 'workflowRuns', 'deployments', 'discussions'],
+    required: true
+  },
+  // High-water mark: newest updated/created timestamp seen for this entity
+  lastUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  lastSyncedAt: {
+    type: Date,
+    default: null
+  },
+  lastItemCount: {
+    type: Number,
+    default: 0
+  },
+  // Last time this entity's IDs were listed for a deletion sweep
+  sweptAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One cursor per integration, repository and entity
+syncCursorSchema.index({ integrationId: 1, repoId: 1, entity: 1 }, { unique: true });
+
+const SyncCursor = mongoose.model('SyncCursor', syncCursorSchema);
+
+module.exports = SyncCursor;
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const syncStepSchema = new mongoose.Schema({
+  // e.g. 'organizations', 'users', 'repo:<repoId>:commits'
+  key: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  itemCount: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+const syncRunSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  jobId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed', 'cancelled'],
+    default: 'running'
+  },
+  steps: [syncStepSchema],
+  currentStep: {
+    type: String,
+    default: null
+  },
+  // Number of times the run was picked up again after a failure or restart
+  resumeCount: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+syncRunSchema.index({ integrationId: 1, createdAt: -1 }); // Latest run per integration
+syncRunSchema.index({ integrationId: 1, status: 1 }); // Resumable runs
+
+// Progress derived from the recorded steps
+syncRunSchema.methods.getProgress = function () {
+  const total = this.steps.length;
+  const completed = this.steps.filter(step => step.status === 'completed').length;
+  const failed = this.steps.filter(step => step.status === 'failed').length;
+
+  return {
+    runId: this._id,
+    status: this.status,
+    message: this.currentStep || this.lastError || `Sync ${this.status}`,
+    current: completed,
+    total,
+    failed,
+    remaining: total - completed,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+    timestamp: this.updatedAt
+  };
+};
+
+const SyncRun = mongoose.model('SyncRun', syncRunSchema);
+
+module.exports = SyncRun;
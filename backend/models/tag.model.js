@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const tagSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Commit the tag points to
+  commitSha: {
+    type: String
+  },
+  commitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Commit',
+    default: null
+  },
+  zipballUrl: {
+    type: String
+  },
+  tarballUrl: {
+    type: String
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the tag was deleted on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+tagSchema.index({ repoId: 1, name: 1 }, { unique: true }); // Prevent duplicates
+tagSchema.index({ commitSha: 1 });
+tagSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+tagSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const teamMembershipSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true,
+    index: true
+  },
+  // Linked once the member is stored as a User
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  userGithubId: {
+    type: Number,
+    required: true
+  },
+  login: {
+    type: String,
+    required: true
+  },
+  avatarUrl: {
+    type: String
+  },
+  // 'maintainer' or 'member'
+  role: {
+    type: String,
+    enum: ['maintainer', 'member'],
+    default: 'member'
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the member left the team
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+teamMembershipSchema.index({ teamId: 1, userGithubId: 1 }, { unique: true }); // Prevent duplicates
+teamMembershipSchema.index({ integrationId: 1, login: 1 }); // Teams of a user
+teamMembershipSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+teamMembershipSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const TeamMembership = mongoose.model('TeamMembership', teamMembershipSchema);
+
+module.exports = TeamMembership;
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const teamSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  githubId: {
+    type: Number,
+    required: true
+  },
+  slug: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  description: {
+    type: String
+  },
+  // 'closed' (visible to the organization) or 'secret'
+  privacy: {
+    type: String
+  },
+  notificationSetting: {
+    type: String
+  },
+  parentTeamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  parentGithubId: {
+    type: Number,
+    default: null
+  },
+  // Repositories the team is granted access to, with the team's permission level
+  repositories: [{
+    _id: false,
+    repoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Repo'
+    },
+    githubId: Number,
+    fullName: String,
+    permission: String
+  }],
+  url: {
+    type: String
+  },
+  htmlUrl: {
+    type: String
+  },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the team was deleted on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+teamSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+teamSchema.index({ organizationId: 1, slug: 1 });
+teamSchema.index({ 'repositories.repoId': 1, 'repositories.permission': 1 }); // For access reviews per repository
+teamSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+teamSchema.index({ deletedAt: 1 }); // For tombstone retention
+
+const Team = mongoose.model('Team', teamSchema);
+
+module.exports = Team;
@@ -12,10 +12,14 @@ const userSchema = new mongoose.Schema({
     ref: 'Organization',
     index: true
   },
+  // GitHub host the user lives on; GitHub IDs are only unique per host
+  host: {
+    type: String,
+    default: 'github.com'
+  },
   githubId: {
     type: Number,
-    required: true,
-    unique: true
+    required: true
   },
   login: {
     type: String,
@@ -83,6 +87,20 @@ const userSchema = new mongoose.Schema({
   updatedAt: {
     type: Date
   },
+  // First time a complete listing from GitHub no longer returned this document
+  missingSince: {
+    type: Date,
+    default: null
+  },
+  // Tombstone: the object was deleted, transferred or removed on GitHub
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  removedFromSource: {
+    type: Boolean,
+    default: false
+  },
   syncedAt: {
     type: Date,
     default: Date.now
@@ -92,13 +110,15 @@ const userSchema = new mongoose.Schema({
 });
 
 // Indexes for performance
+userSchema.index({ integrationId: 1, host: 1, githubId: 1 }, { unique: true }); // One per integration syncing it
 userSchema.index({ integrationId: 1, login: 1 });
-userSchema.index({ integrationId: 1, githubId: 1 }, { unique: true, sparse: true }); // Prevent duplicates
 userSchema.index({ organizationId: 1, login: 1 });
 userSchema.index({ email: 1 }, { sparse: true });
 userSchema.index({ type: 1 }); // For filtering by user type
 userSchema.index({ syncedAt: -1 });
 userSchema.index({ integrationId: 1, syncedAt: -1 }); // For retention policy
+userSchema.index({ integrationId: 1, removedFromSource: 1 }); // Hide tombstones
+userSchema.index({ deletedAt: 1 }); // For tombstone retention
 
 const User = mongoose.model('User', userSchema);
 
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const workflowJobSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  runId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkflowRun',
+    required: true,
+    index: true
+  },
+  runGithubId: {
+    type: Number
+  },
+  githubId: {
+    type: Number,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  workflowName: {
+    type: String
+  },
+  // Jobs of every attempt are kept, so a failed attempt followed by a
+  // successful one marks the job as flaky
+  runAttempt: {
+    type: Number,
+    default: 1
+  },
+  status: {
+    type: String
+  },
+  conclusion: {
+    type: String,
+    default: null
+  },
+  headBranch: {
+    type: String
+  },
+  headSha: {
+    type: String,
+    index: true
+  },
+  runnerName: {
+    type: String
+  },
+  labels: [String],
+  steps: [{
+    _id: false,
+    name: String,
+    number: Number,
+    status: String,
+    conclusion: String,
+    startedAt: Date,
+    completedAt: Date
+  }],
+  htmlUrl: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for performance
+workflowJobSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+workflowJobSchema.index({ runId: 1, name: 1, runAttempt: 1 }); // For flaky job detection
+workflowJobSchema.index({ repoId: 1, name: 1, conclusion: 1 }); // For failure rates per job
+workflowJobSchema.index({ integrationId: 1, syncedAt: -1 }); // For retention policy
+
+const WorkflowJob = mongoose.model('WorkflowJob', workflowJobSchema);
+
+module.exports = WorkflowJob;
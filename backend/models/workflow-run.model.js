@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const workflowRunSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  workflowId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workflow',
+    default: null
+  },
+  workflowGithubId: {
+    type: Number
+  },
+  githubId: {
+    type: Number,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  displayTitle: {
+    type: String
+  },
+  runNumber: {
+    type: Number
+  },
+  // Re-runs of the same run increase the attempt
+  runAttempt: {
+    type: Number,
+    default: 1
+  },
+  event: {
+    type: String
+  },
+  status: {
+    type: String
+  },
+  conclusion: {
+    type: String,
+    default: null
+  },
+  headBranch: {
+    type: String
+  },
+  headSha: {
+    type: String,
+    index: true
+  },
+  // Linked through headSha once the commit / pull requests are stored
+  commitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Commit',
+    default: null
+  },
+  pullIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pull'
+  }],
+  actor: {
+    login: String,
+    avatarUrl: String
+  },
+  triggeringActor: {
+    login: String,
+    avatarUrl: String
+  },
+  url: {
+    type: String
+  },
+  htmlUrl: {
+    type: String
+  },
+  runStartedAt: {
+    type: Date
+  },
+  // Wall-clock time of the latest attempt, set once the run has completed
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    index: true
+  },
+  updatedAt: {
+    type: Date
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for performance
+workflowRunSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+workflowRunSchema.index({ repoId: 1, headBranch: 1, conclusion: 1 }); // For failure rates by branch
+workflowRunSchema.index({ workflowId: 1, createdAt: -1 }); // For build durations per workflow
+workflowRunSchema.index({ repoId: 1, status: 1 }); // Runs still in progress
+workflowRunSchema.index({ integrationId: 1, syncedAt: -1 }); // For retention policy
+
+const WorkflowRun = mongoose.model('WorkflowRun', workflowRunSchema);
+
+module.exports = WorkflowRun;
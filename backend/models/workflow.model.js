@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const workflowSchema = new mongoose.Schema({
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true,
+    index: true
+  },
+  repoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repo',
+    required: true,
+    index: true
+  },
+  githubId: {
+    type: Number,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  // e.g. .github/workflows/ci.yml
+  path: {
+    type: String
+  },
+  state: {
+    type: String
+  },
+  url: {
+    type: String
+  },
+  htmlUrl: {
+    type: String
+  },
+  badgeUrl: {
+    type: String
+  },
+  createdAt: {
+    type: Date
+  },
+  updatedAt: {
+    type: Date
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+workflowSchema.index({ integrationId: 1, githubId: 1 }, { unique: true }); // Prevent duplicates
+workflowSchema.index({ repoId: 1, name: 1 });
+
+const Workflow = mongoose.model('Workflow', workflowSchema);
+
+module.exports = Workflow;
@@ -1,3 +1,5 @@
+const githubConfig = require('../config/github.config');
+
 class BaseRepository {
   constructor(model) {
     this.model = model;
@@ -225,6 +227,158 @@ class BaseRepository {
       throw new Error(`Upsert operation failed: ${error.message}`);
     }
   }
+
+  // The methods below apply to models with tombstone fields
+  // (missingSince, deletedAt, removedFromSource)
+
+  // Find documents that still exist on GitHub
+  async findPresent(conditions = {}, projection = {}, options = {}) {
+    return await this.find({ ...conditions, removedFromSource: { $ne: true } }, projection, options);
+  }
+
+  // Mark-and-sweep after a complete GitHub listing: documents in scope that the
+  // listing didn't return are marked missing, and tombstoned once they have
+  // been missing for longer than the grace period. Objects without a GitHub ID
+  // (branches, tags) are matched on another key field such as `name`.
+  async sweepMissing(conditions, seenGithubIds, graceMs, key = 'githubId') {
+    try {
+      const now = new Date();
+      const missing = { ...conditions, [key]: { $nin: seenGithubIds }, deletedAt: null };
+
+      // Listings of IDs alone don't go through the mappers, which clear the mark of objects that reappear
+      await this.model.updateMany(
+        { ...conditions, [key]: { $in: seenGithubIds }, missingSince: { $ne: null }, deletedAt: null },
+        { $set: { missingSince: null } }
+      );
+      const marked = await this.model.updateMany(
+        { ...missing, missingSince: null },
+        { $set: { missingSince: now } }
+      );
+      const tombstoned = await this.model.updateMany(
+        { ...missing, missingSince: { $lte: new Date(now.getTime() - graceMs) } },
+        { $set: { deletedAt: now, removedFromSource: true } }
+      );
+
+      return { missing: marked.modifiedCount, tombstoned: tombstoned.modifiedCount };
+    } catch (error) {
+      throw new Error(`Sweep operation failed: ${error.message}`);
+    }
+  }
+
+  // Tombstone documents right away, e.g. when a webhook reports a deletion
+  async markRemoved(conditions) {
+    const now = new Date();
+    return await this.updateMany(
+      { ...conditions, deletedAt: null },
+      { $set: { missingSince: now, deletedAt: now, removedFromSource: true } }
+    );
+  }
+
+  // The methods below apply to models identified per integration and GitHub host
+  // (organizations, repositories, users). An object synced by several
+  // integrations is stored once for each of them.
+
+  // Conditions matching a host. Documents stored before the host was
+  // recorded have none and belong to github.com.
+  hostConditions(host = githubConfig.defaultHost) {
+    return host === githubConfig.defaultHost ? { host: { $in: [host, null] } } : { host };
+  }
+
+  // Upsert an integration's document by its GitHub ID on a host
+  async upsertByIntegrationAndGithubId(integrationId, host = githubConfig.defaultHost, githubId, data) {
+    return await this.upsert(
+      { integrationId, ...this.hostConditions(host), githubId },
+      { ...data, integrationId, host }
+    );
+  }
+
+  // The methods below apply to models embedding label and milestone snapshots
+  // (issues, pull requests)
+
+  // Bring embedded copies of a label in line with its Label document, e.g.
+  // after a rename. Snapshots stored before they carried a githubId are
+  // matched on the label's current or previous names.
+  async reconcileLabel(repoId, label, previousNames = []) {
+    try {
+      const names = [...new Set([label.name, ...previousNames])];
+      const matches = [{ githubId: label.githubId }, { githubId: null, name: { $in: names } }];
+      const stale = [
+        { githubId: null },
+        { name: { $ne: label.name } },
+        { color: { $ne: label.color } },
+        { description: { $ne: label.description } }
+      ];
+
+      const result = await this.model.updateMany(
+        { repoId, labels: { $elemMatch: { $and: [{ $or: matches }, { $or: stale }] } } },
+        {
+          $set: {
+            'labels.$[label].githubId': label.githubId,
+            'labels.$[label].name': label.name,
+            'labels.$[label].color': label.color,
+            'labels.$[label].description': label.description
+          }
+        },
+        {
+          arrayFilters: [{
+            $or: [
+              { 'label.githubId': label.githubId },
+              { 'label.githubId': null, 'label.name': { $in: names } }
+            ]
+          }]
+        }
+      );
+
+      return result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Label reconciliation failed: ${error.message}`);
+    }
+  }
+
+  // Drop a deleted label from every document, as GitHub does
+  async removeLabel(repoId, githubId) {
+    return await this.updateMany(
+      { repoId, 'labels.githubId': githubId },
+      { $pull: { labels: { githubId } } }
+    );
+  }
+
+  // Bring embedded copies of a milestone in line with its Milestone document.
+  // Milestone numbers never change, so older snapshots are matched on them.
+  async reconcileMilestone(repoId, milestone) {
+    const result = await this.updateMany(
+      {
+        repoId,
+        $and: [
+          {
+            $or: [
+              { 'milestone.githubId': milestone.githubId },
+              { 'milestone.githubId': null, 'milestone.number': milestone.number }
+            ]
+          },
+          {
+            $or: [
+              { 'milestone.githubId': null },
+              { 'milestone.title': { $ne: milestone.title } },
+              { 'milestone.state': { $ne: milestone.state } },
+              { 'milestone.description': { $ne: milestone.description } }
+            ]
+          }
+        ]
+      },
+      { $set: { milestone } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  // Unset a deleted milestone on every document, as GitHub does
+  async removeMilestone(repoId, githubId) {
+    return await this.updateMany(
+      { repoId, 'milestone.githubId': githubId },
+      { $set: { milestone: null } }
+    );
+  }
 }
 
 module.exports = BaseRepository;
\ No newline at end of file
@@ -0,0 +1,27 @@
+const BaseRepository = require('./base.repository');
+const Branch = require('../models/branch.model');
+
+class BranchRepository extends BaseRepository {
+  constructor() {
+    super(Branch);
+  }
+
+  async findByRepoId(repoId, options = {}) {
+    return await this.find({ repoId }, {}, { sort: { name: 1 }, ...options });
+  }
+
+  async findByRepoAndName(repoId, name) {
+    return await this.findOne({ repoId, name });
+  }
+
+  async upsertByRepoAndName(repoId, name, data) {
+    return await this.upsert({ repoId, name }, data);
+  }
+
+  // Default branches without protection rules, across all repositories of an integration
+  async findUnprotectedDefaults(integrationId, options = {}) {
+    return await this.findPresent({ integrationId, isDefault: true, protected: false }, {}, options);
+  }
+}
+
+module.exports = new BranchRepository();
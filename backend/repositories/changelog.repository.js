@@ -10,6 +10,14 @@ class ChangelogRepository extends BaseRepository {
     return await this.find({ issueId }, {}, options);
   }
 
+  // Timeline events without an id (e.g. cross-references) are keyed by type and time
+  async upsertEvent(integrationId, issueId, data) {
+    const conditions = data.githubId
+      ? { integrationId, issueId, githubId: data.githubId }
+      : { integrationId, issueId, event: data.event, createdAt: data.createdAt };
+    return await this.upsert(conditions, data);
+  }
+
   async findByEvent(event, options = {}) {
     return await this.find({ event }, {}, options);
   }
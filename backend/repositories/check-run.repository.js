@@ -0,0 +1,18 @@
+const BaseRepository = require('./base.repository');
+const CheckRun = require('../models/check-run.model');
+
+class CheckRunRepository extends BaseRepository {
+  constructor() {
+    super(CheckRun);
+  }
+
+  async findByHeadSha(repoId, headSha) {
+    return await this.find({ repoId, headSha }, {}, { sort: { name: 1 } });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+}
+
+module.exports = new CheckRunRepository();
@@ -0,0 +1,23 @@
+const BaseRepository = require('./base.repository');
+const Collaborator = require('../models/collaborator.model');
+
+class CollaboratorRepository extends BaseRepository {
+  constructor() {
+    super(Collaborator);
+  }
+
+  async findByRepoId(repoId, options = {}) {
+    return await this.findPresent({ repoId }, {}, { sort: { login: 1 }, ...options });
+  }
+
+  async upsertByRepoAndUser(repoId, userGithubId, data) {
+    return await this.upsert({ repoId, userGithubId }, data);
+  }
+
+  // Repositories a user can access at the given permission level, e.g. admin
+  async findByPermission(integrationId, permission, options = {}) {
+    return await this.findPresent({ integrationId, permission }, {}, options);
+  }
+}
+
+module.exports = new CollaboratorRepository();
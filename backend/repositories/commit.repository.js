@@ -10,12 +10,12 @@ class CommitRepository extends BaseRepository {
     return await this.find({ repoId }, {}, options);
   }
 
-  async findBySha(sha) {
-    return await this.findOne({ sha });
+  async findByRepoAndSha(repoId, sha) {
+    return await this.findOne({ repoId, sha });
   }
 
-  async upsertBySha(sha, data) {
-    return await this.upsert({ sha }, data);
+  async upsertByRepoAndSha(repoId, sha, data) {
+    return await this.upsert({ repoId, sha }, data);
   }
 
   async findByAuthorEmail(email, options = {}) {
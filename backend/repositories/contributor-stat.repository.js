@@ -0,0 +1,44 @@
+const BaseRepository = require('./base.repository');
+const ContributorStat = require('../models/contributor-stat.model');
+
+class ContributorStatRepository extends BaseRepository {
+  constructor() {
+    super(ContributorStat);
+  }
+
+  async findByRepoId(repoId, options = {}) {
+    return await this.find({ repoId }, {}, { sort: { week: 1 }, ...options });
+  }
+
+  // Upsert the weeks of a contributor in one round trip; GitHub returns their whole history every time
+  async upsertWeeks(weeks) {
+    if (weeks.length === 0) return null;
+
+    return await this.bulkWrite(weeks.map(week => ({
+      updateOne: {
+        filter: { repoId: week.repoId, userGithubId: week.userGithubId, week: week.week },
+        update: { $set: week },
+        upsert: true
+      }
+    })));
+  }
+
+  // Additions, deletions, commits and active contributors per week
+  async getWeeklyTotals(repoId) {
+    return await this.aggregate([
+      { $match: { repoId } },
+      {
+        $group: {
+          _id: '$week',
+          additions: { $sum: '$additions' },
+          deletions: { $sum: '$deletions' },
+          commits: { $sum: '$commits' },
+          contributors: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+  }
+}
+
+module.exports = new ContributorStatRepository();
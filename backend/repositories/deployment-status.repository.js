@@ -0,0 +1,18 @@
+const BaseRepository = require('./base.repository');
+const DeploymentStatus = require('../models/deployment-status.model');
+
+class DeploymentStatusRepository extends BaseRepository {
+  constructor() {
+    super(DeploymentStatus);
+  }
+
+  async findByDeploymentId(deploymentId, options = {}) {
+    return await this.find({ deploymentId }, {}, { sort: { createdAt: 1 }, ...options });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+}
+
+module.exports = new DeploymentStatusRepository();
@@ -0,0 +1,68 @@
+const BaseRepository = require('./base.repository');
+const Deployment = require('../models/deployment.model');
+
+// Deployment states after which no further status is expected
+const FINAL_STATES = ['success', 'failure', 'error', 'inactive'];
+
+class DeploymentRepository extends BaseRepository {
+  constructor() {
+    super(Deployment);
+  }
+
+  async findByRepoId(repoId, options = {}) {
+    return await this.find({ repoId }, {}, { sort: { createdAt: -1 }, ...options });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+
+  // Deployments without a final status yet, newest first (tools that never report a status
+  // leave deployments unfinished for good, so old ones must not crowd out recent ones)
+  async findUnfinished(repoId, limit) {
+    return await this.find(
+      { repoId, latestState: { $nin: FINAL_STATES } },
+      {},
+      { sort: { createdAt: -1 }, limit }
+    );
+  }
+
+  // Successful deployments per day to an environment (deployment frequency)
+  async getFrequencyByDay(repoId, environment) {
+    return await this.aggregate([
+      { $match: { repoId, environment, succeededAt: { $ne: null } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$succeededAt' } },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+  }
+
+  // Time from merge to the first successful deployment of each linked pull request (lead time for changes)
+  async getLeadTimes(repoId, environment) {
+    return await this.aggregate([
+      { $match: { repoId, environment, succeededAt: { $ne: null } } },
+      { $unwind: '$pullIds' },
+      { $group: { _id: '$pullIds', deployedAt: { $min: '$succeededAt' } } },
+      { $lookup: { from: 'pulls', localField: '_id', foreignField: '_id', as: 'pull' } },
+      { $unwind: '$pull' },
+      { $match: { 'pull.mergedAt': { $ne: null } } },
+      {
+        $project: {
+          _id: 0,
+          pullId: '$_id',
+          number: '$pull.number',
+          mergedAt: '$pull.mergedAt',
+          deployedAt: 1,
+          leadTimeMs: { $subtract: ['$deployedAt', '$pull.mergedAt'] }
+        }
+      },
+      { $sort: { deployedAt: -1 } }
+    ]);
+  }
+}
+
+module.exports = new DeploymentRepository();
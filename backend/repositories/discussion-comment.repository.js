@@ -0,0 +1,18 @@
+const BaseRepository = require('./base.repository');
+const DiscussionComment = require('../models/discussion-comment.model');
+
+class DiscussionCommentRepository extends BaseRepository {
+  constructor() {
+    super(DiscussionComment);
+  }
+
+  async findByDiscussionId(discussionId, options = {}) {
+    return await this.findPresent({ discussionId }, {}, { sort: { createdAt: 1 }, ...options });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+}
+
+module.exports = new DiscussionCommentRepository();
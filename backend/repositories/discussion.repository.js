@@ -0,0 +1,27 @@
+const BaseRepository = require('./base.repository');
+const Discussion = require('../models/discussion.model');
+
+class DiscussionRepository extends BaseRepository {
+  constructor() {
+    super(Discussion);
+  }
+
+  async findByRepoId(repoId, options = {}) {
+    return await this.findPresent({ repoId }, {}, { sort: { updatedAt: -1 }, ...options });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+
+  // Answerable discussions still waiting for an answer, oldest first
+  async findUnanswered(repoId, options = {}) {
+    return await this.findPresent(
+      { repoId, 'category.isAnswerable': true, isAnswered: false, closed: false },
+      {},
+      { sort: { createdAt: 1 }, ...options }
+    );
+  }
+}
+
+module.exports = new DiscussionRepository();
@@ -0,0 +1,18 @@
+const BaseRepository = require('./base.repository');
+const Environment = require('../models/environment.model');
+
+class EnvironmentRepository extends BaseRepository {
+  constructor() {
+    super(Environment);
+  }
+
+  async findByRepoId(repoId, options = {}) {
+    return await this.find({ repoId }, {}, { sort: { name: 1 }, ...options });
+  }
+
+  async upsertByRepoAndName(repoId, name, data) {
+    return await this.upsert({ repoId, name }, data);
+  }
+}
+
+module.exports = new EnvironmentRepository();
@@ -7,14 +7,43 @@ class IntegrationRepository extends BaseRepository {
   }
 
   /**
-   * Find an active integration by user ID
-   * @param {string} userId - GitHub user ID
+   * Find the most recently connected active integration by user ID
+   * @param {string} userId - Platform user ID
    * @returns {Promise<Object>} Integration document
    */
   async findActiveByUserId(userId) {
     return await this.model.findActiveByUserId(userId);
   }
 
+  /**
+   * Find all active integrations owned by a user
+   * @param {string} userId - Platform user ID
+   * @returns {Promise<Array>} Integration documents
+   */
+  async findAllActiveByUserId(userId) {
+    return await this.model.findAllActiveByUserId(userId);
+  }
+
+  /**
+   * Find an active integration by ID that belongs to a user
+   * @param {string} integrationId - Integration ObjectId
+   * @param {string} userId - Platform user ID
+   * @returns {Promise<Object>} Integration document
+   */
+  async findActiveByIdForUser(integrationId, userId) {
+    return await this.findOne({ _id: integrationId, userId, isActive: true });
+  }
+
+  /**
+   * Find the active integration a user connected for a GitHub account
+   * @param {string} userId - Platform user ID
+   * @param {string} githubUserId - GitHub account key
+   * @returns {Promise<Object>} Integration document
+   */
+  async findActiveByGithubUserId(userId, githubUserId) {
+    return await this.findOne({ userId, githubUserId, isActive: true });
+  }
+
   /**
    * Find or create an integration
    * @param {Object} userData - User data from GitHub
@@ -24,19 +53,58 @@ class IntegrationRepository extends BaseRepository {
     return await this.model.findOrCreate(userData);
   }
 
+  /**
+   * Find or create the integration of a GitHub App installation
+   * @param {string} userId - Platform user ID
+   * @param {Object} installationData - Integration data built from the installation
+   * @returns {Promise<Object>} Integration document
+   */
+  async findOrCreateInstallation(userId, installationData) {
+    return await this.model.findOrCreateInstallation(userId, installationData);
+  }
+
+  /**
+   * Find the active integrations syncing through a GitHub App installation
+   * @param {number} installationId - GitHub installation ID
+   * @returns {Promise<Array>} Integration documents
+   */
+  async findActiveByInstallationId(installationId) {
+    return await this.find({ authType: 'app', 'installation.id': installationId, isActive: true });
+  }
+
+  /**
+   * Cache a freshly minted installation token
+   * @param {string} integrationId - Integration ObjectId
+   * @param {string} token - Installation access token
+   * @param {Date} expiresAt - Token expiry
+   * @returns {Promise<Object>} Updated integration
+   */
+  async updateInstallationToken(integrationId, token, expiresAt) {
+    return await this.updateOne(
+      { _id: integrationId },
+      {
+        accessToken: token,
+        tokenType: 'token',
+        tokenExpiresAt: expiresAt,
+      }
+    );
+  }
+
   /**
    * Update integration tokens
-   * @param {string} userId - GitHub user ID
-   * @param {Object} tokens - Access and refresh tokens
+   * @param {string} integrationId - Integration ObjectId
+   * @param {Object} tokens - Access and refresh tokens, their expiry dates and scope
    * @returns {Promise<Object>} Updated integration
    */
-  async updateTokens(userId, tokens) {
+  async updateTokens(integrationId, tokens) {
     return await this.updateOne(
-      { userId },
+      { _id: integrationId },
       {
         accessToken: tokens.accessToken,
         refreshToken: tokens.refreshToken,
         tokenType: tokens.tokenType || 'Bearer',
+        tokenExpiresAt: tokens.tokenExpiresAt || null,
+        refreshTokenExpiresAt: tokens.refreshTokenExpiresAt || null,
         scope: tokens.scope,
       }
     );
@@ -44,12 +112,12 @@ class IntegrationRepository extends BaseRepository {
 
   /**
    * Update sync status
-   * @param {string} userId - GitHub user ID
+   * @param {string} integrationId - Integration ObjectId
    * @param {string} status - Sync status
    * @param {Object} progress - Progress info
    * @returns {Promise<Object>} Updated integration
    */
-  async updateSyncStatus(userId, status, progress = null) {
+  async updateSyncStatus(integrationId, status, progress = null) {
     const update = { syncStatus: status };
 
     if (progress) {
@@ -60,18 +128,18 @@ class IntegrationRepository extends BaseRepository {
       update.lastSyncAt = new Date();
     }
 
-    return await this.updateOne({ userId }, update);
+    return await this.updateById(integrationId, update);
   }
 
   /**
    * Update rate limit info
-   * @param {string} userId - GitHub user ID
+   * @param {string} integrationId - Integration ObjectId
    * @param {Object} rateLimitInfo - Rate limit information
    * @returns {Promise<Object>} Updated integration
    */
-  async updateRateLimit(userId, rateLimitInfo) {
+  async updateRateLimit(integrationId, rateLimitInfo) {
     return await this.updateOne(
-      { userId },
+      { _id: integrationId },
       {
         rateLimitInfo: {
           limit: rateLimitInfo.limit,
@@ -85,12 +153,12 @@ class IntegrationRepository extends BaseRepository {
 
   /**
    * Update integration metadata
-   * @param {string} userId - GitHub user ID
+   * @param {string} integrationId - Integration ObjectId
    * @param {Object} metadata - Metadata to update
    * @returns {Promise<Object>} Updated integration
    */
-  async updateMetadata(userId, metadata) {
-    const integration = await this.findOne({ userId });
+  async updateMetadata(integrationId, metadata) {
+    const integration = await this.findById(integrationId);
     if (!integration) {
       throw new Error('Integration not found');
     }
@@ -101,11 +169,11 @@ class IntegrationRepository extends BaseRepository {
 
   /**
    * Deactivate an integration
-   * @param {string} userId - GitHub user ID
+   * @param {string} integrationId - Integration ObjectId
    * @returns {Promise<Object>} Updated integration
    */
-  async deactivate(userId) {
-    const integration = await this.findOne({ userId });
+  async deactivate(integrationId) {
+    const integration = await this.findById(integrationId);
     if (!integration) {
       throw new Error('Integration not found');
     }
@@ -138,11 +206,11 @@ class IntegrationRepository extends BaseRepository {
 
   /**
    * Get integration statistics
-   * @param {string} userId - GitHub user ID
+   * @param {string} integrationId - Integration ObjectId
    * @returns {Promise<Object>} Statistics object
    */
-  async getStatistics(userId) {
-    const integration = await this.findOne({ userId });
+  async getStatistics(integrationId) {
+    const integration = await this.findById(integrationId);
     if (!integration) {
       throw new Error('Integration not found');
     }
@@ -163,7 +231,7 @@ class IntegrationRepository extends BaseRepository {
 
   /**
    * Check if user has active integration
-   * @param {string} userId - GitHub user ID
+   * @param {string} userId - Platform user ID
    * @returns {Promise<boolean>} True if active integration exists
    */
   async hasActiveIntegration(userId) {
@@ -173,11 +241,11 @@ class IntegrationRepository extends BaseRepository {
 
   /**
    * Get decrypted tokens
-   * @param {string} userId - GitHub user ID
+   * @param {string} integrationId - Integration ObjectId
    * @returns {Promise<Object>} Decrypted tokens
    */
-  async getDecryptedTokens(userId) {
-    const integration = await this.findActiveByUserId(userId);
+  async getDecryptedTokens(integrationId) {
+    const integration = await this.findOne({ _id: integrationId, isActive: true });
     if (!integration) {
       throw new Error('No active integration found');
     }
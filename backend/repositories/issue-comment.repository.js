@@ -0,0 +1,31 @@
+const BaseRepository = require('./base.repository');
+const IssueComment = require('../models/issue-comment.model');
+
+class IssueCommentRepository extends BaseRepository {
+  constructor() {
+    super(IssueComment);
+  }
+
+  async findByIssueId(issueId, options = {}) {
+    return await this.find({ issueId }, {}, { sort: { createdAt: 1 }, ...options });
+  }
+
+  async findByPullId(pullId, options = {}) {
+    return await this.find({ pullId }, {}, { sort: { createdAt: 1 }, ...options });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+
+  // Issue and pull request numbers whose comments aren't linked to a document yet
+  async findUnlinkedNumbers(repoId) {
+    return await this.distinct('number', { repoId, issueId: null, pullId: null });
+  }
+
+  async linkToParent(repoId, number, parent) {
+    return await this.updateMany({ repoId, number, issueId: null, pullId: null }, { $set: parent });
+  }
+}
+
+module.exports = new IssueCommentRepository();
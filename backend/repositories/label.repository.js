@@ -0,0 +1,22 @@
+const BaseRepository = require('./base.repository');
+const Label = require('../models/label.model');
+
+class LabelRepository extends BaseRepository {
+  constructor() {
+    super(Label);
+  }
+
+  async findByRepoId(repoId, options = {}) {
+    return await this.findPresent({ repoId }, {}, { sort: { name: 1 }, ...options });
+  }
+
+  async findByGithubId(integrationId, githubId) {
+    return await this.findOne({ integrationId, githubId });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+}
+
+module.exports = new LabelRepository();
@@ -0,0 +1,31 @@
+const BaseRepository = require('./base.repository');
+const Milestone = require('../models/milestone.model');
+
+class MilestoneRepository extends BaseRepository {
+  constructor() {
+    super(Milestone);
+  }
+
+  async findByRepoId(repoId, options = {}) {
+    return await this.findPresent({ repoId }, {}, { sort: { number: -1 }, ...options });
+  }
+
+  async findByGithubId(integrationId, githubId) {
+    return await this.findOne({ integrationId, githubId });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+
+  // Open milestones past their due date
+  async findOverdue(repoId, now = new Date()) {
+    return await this.findPresent(
+      { repoId, state: 'open', dueOn: { $ne: null, $lt: now } },
+      {},
+      { sort: { dueOn: 1 } }
+    );
+  }
+}
+
+module.exports = new MilestoneRepository();
@@ -0,0 +1,22 @@
+const BaseRepository = require('./base.repository');
+const OrgMembership = require('../models/org-membership.model');
+
+class OrgMembershipRepository extends BaseRepository {
+  constructor() {
+    super(OrgMembership);
+  }
+
+  async findByOrganizationId(organizationId, options = {}) {
+    return await this.findPresent({ organizationId }, {}, { sort: { login: 1 }, ...options });
+  }
+
+  async findByLogin(integrationId, login) {
+    return await this.findPresent({ integrationId, login });
+  }
+
+  async upsertByOrganizationAndUser(organizationId, userGithubId, data) {
+    return await this.upsert({ organizationId, userGithubId }, data);
+  }
+}
+
+module.exports = new OrgMembershipRepository();
@@ -10,12 +10,12 @@ class OrganizationRepository extends BaseRepository {
     return await this.find({ integrationId });
   }
 
-  async findByLogin(login) {
-    return await this.findOne({ login });
+  async findByLogin(integrationId, login, host) {
+    return await this.findOne({ integrationId, login, ...this.hostConditions(host) });
   }
 
-  async upsertByGithubId(githubId, data) {
-    return await this.upsert({ githubId }, data);
+  async upsertByGithubId(integrationId, host, githubId, data) {
+    return await this.upsertByIntegrationAndGithubId(integrationId, host, githubId, data);
   }
 
   async findStaleOrganizations(hours = 24) {
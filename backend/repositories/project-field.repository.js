@@ -0,0 +1,18 @@
+const BaseRepository = require('./base.repository');
+const ProjectField = require('../models/project-field.model');
+
+class ProjectFieldRepository extends BaseRepository {
+  constructor() {
+    super(ProjectField);
+  }
+
+  async findByProjectId(projectId, options = {}) {
+    return await this.findPresent({ projectId }, {}, { sort: { name: 1 }, ...options });
+  }
+
+  async upsertByNodeId(integrationId, nodeId, data) {
+    return await this.upsert({ integrationId, nodeId }, data);
+  }
+}
+
+module.exports = new ProjectFieldRepository();
@@ -0,0 +1,46 @@
+const BaseRepository = require('./base.repository');
+const ProjectItem = require('../models/project-item.model');
+
+class ProjectItemRepository extends BaseRepository {
+  constructor() {
+    super(ProjectItem);
+  }
+
+  async findByProjectId(projectId, options = {}) {
+    return await this.findPresent({ projectId }, {}, options);
+  }
+
+  // Project items tracking an issue or pull request, for showing status next to it
+  async findByContent({ issueId, pullId }) {
+    return await this.findPresent(issueId ? { issueId } : { pullId });
+  }
+
+  async upsertByNodeId(integrationId, nodeId, data) {
+    return await this.upsert({ integrationId, nodeId }, data);
+  }
+
+  // Items of an iteration per status (sprint report)
+  async getIterationReport(projectId, iterationId) {
+    return await this.aggregate([
+      {
+        $match: {
+          projectId,
+          'iteration.iterationId': iterationId,
+          isArchived: false,
+          removedFromSource: { $ne: true }
+        }
+      },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          issueIds: { $push: '$issueId' },
+          pullIds: { $push: '$pullId' }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+  }
+}
+
+module.exports = new ProjectItemRepository();
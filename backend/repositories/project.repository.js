@@ -0,0 +1,18 @@
+const BaseRepository = require('./base.repository');
+const Project = require('../models/project.model');
+
+class ProjectRepository extends BaseRepository {
+  constructor() {
+    super(Project);
+  }
+
+  async findByOrganizationId(organizationId, options = {}) {
+    return await this.findPresent({ organizationId }, {}, { sort: { number: -1 }, ...options });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+}
+
+module.exports = new ProjectRepository();
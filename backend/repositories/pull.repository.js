@@ -18,6 +18,15 @@ class PullRepository extends BaseRepository {
     return await this.upsert({ repoId, number }, data);
   }
 
+  async findByHeadSha(repoId, sha) {
+    return await this.find({ repoId, 'head.sha': sha });
+  }
+
+  // Pull requests whose head or merge commit is the given SHA
+  async findByCommitSha(repoId, sha) {
+    return await this.find({ repoId, $or: [{ 'head.sha': sha }, { mergeCommitSha: sha }] });
+  }
+
   async findByState(repoId, state, options = {}) {
     return await this.find({ repoId, state }, {}, options);
   }
@@ -0,0 +1,33 @@
+const BaseRepository = require('./base.repository');
+const Release = require('../models/release.model');
+
+class ReleaseRepository extends BaseRepository {
+  constructor() {
+    super(Release);
+  }
+
+  async findByRepoId(repoId, options = {}) {
+    return await this.find({ repoId }, {}, { sort: { publishedAt: -1 }, ...options });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+
+  // Published releases per month, for release cadence
+  async getCadenceByMonth(repoId) {
+    return await this.aggregate([
+      { $match: { repoId, draft: false, publishedAt: { $ne: null }, removedFromSource: { $ne: true } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m', date: '$publishedAt' } },
+          count: { $sum: 1 },
+          downloads: { $sum: '$totalDownloads' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+  }
+}
+
+module.exports = new ReleaseRepository();
@@ -0,0 +1,18 @@
+const BaseRepository = require('./base.repository');
+const RepoReferrer = require('../models/repo-referrer.model');
+
+class RepoReferrerRepository extends BaseRepository {
+  constructor() {
+    super(RepoReferrer);
+  }
+
+  async findByRepoId(repoId, options = {}) {
+    return await this.find({ repoId }, {}, { sort: { date: 1, count: -1 }, ...options });
+  }
+
+  async upsertByReferrer(repoId, date, referrer, data) {
+    return await this.upsert({ repoId, date, referrer }, data);
+  }
+}
+
+module.exports = new RepoReferrerRepository();
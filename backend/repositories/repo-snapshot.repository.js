@@ -0,0 +1,19 @@
+const BaseRepository = require('./base.repository');
+const RepoSnapshot = require('../models/repo-snapshot.model');
+
+class RepoSnapshotRepository extends BaseRepository {
+  constructor() {
+    super(RepoSnapshot);
+  }
+
+  async findByRepoId(repoId, options = {}) {
+    return await this.find({ repoId }, {}, { sort: { date: 1 }, ...options });
+  }
+
+  // Later syncs on the same day overwrite that day's counts
+  async upsertByDay(repoId, date, data) {
+    return await this.upsert({ repoId, date }, data);
+  }
+}
+
+module.exports = new RepoSnapshotRepository();
@@ -0,0 +1,18 @@
+const BaseRepository = require('./base.repository');
+const RepoTraffic = require('../models/repo-traffic.model');
+
+class RepoTrafficRepository extends BaseRepository {
+  constructor() {
+    super(RepoTraffic);
+  }
+
+  async findByRepoId(repoId, options = {}) {
+    return await this.find({ repoId }, {}, { sort: { date: 1 }, ...options });
+  }
+
+  async upsertByDay(repoId, date, data) {
+    return await this.upsert({ repoId, date }, data);
+  }
+}
+
+module.exports = new RepoTrafficRepository();
@@ -14,12 +14,12 @@ class RepoRepository extends BaseRepository {
     return await this.find({ organizationId });
   }
 
-  async findByFullName(fullName) {
-    return await this.findOne({ fullName });
+  async findByFullName(integrationId, fullName, host) {
+    return await this.findOne({ integrationId, fullName, ...this.hostConditions(host) });
   }
 
-  async upsertByGithubId(githubId, data) {
-    return await this.upsert({ githubId }, data);
+  async upsertByGithubId(integrationId, host, githubId, data) {
+    return await this.upsertByIntegrationAndGithubId(integrationId, host, githubId, data);
   }
 
   async findTopReposByStars(integrationId, limit = 10) {
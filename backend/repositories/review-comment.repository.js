@@ -0,0 +1,22 @@
+const BaseRepository = require('./base.repository');
+const ReviewComment = require('../models/review-comment.model');
+
+class ReviewCommentRepository extends BaseRepository {
+  constructor() {
+    super(ReviewComment);
+  }
+
+  async findByPullId(pullId, options = {}) {
+    return await this.find({ pullId }, {}, { sort: { createdAt: 1 }, ...options });
+  }
+
+  async findByReviewGithubId(integrationId, reviewGithubId) {
+    return await this.find({ integrationId, reviewGithubId });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+}
+
+module.exports = new ReviewCommentRepository();
@@ -0,0 +1,42 @@
+const BaseRepository = require('./base.repository');
+const Review = require('../models/review.model');
+
+class ReviewRepository extends BaseRepository {
+  constructor() {
+    super(Review);
+  }
+
+  async findByPullId(pullId, options = {}) {
+    return await this.find({ pullId }, {}, { sort: { submittedAt: 1 }, ...options });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+
+  async findByReviewer(integrationId, login, options = {}) {
+    return await this.find({ integrationId, 'user.login': login }, {}, options);
+  }
+
+  async findFirstReview(pullId) {
+    return await this.findOne(
+      { pullId, submittedAt: { $ne: null } },
+      {},
+      { sort: { submittedAt: 1 } }
+    );
+  }
+
+  async getStateDistribution(pullId) {
+    return await this.aggregate([
+      { $match: { pullId } },
+      {
+        $group: {
+          _id: '$state',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+  }
+}
+
+module.exports = new ReviewRepository();
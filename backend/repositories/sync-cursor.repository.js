@@ -0,0 +1,59 @@
+const BaseRepository = require('./base.repository');
+const SyncCursor = require('../models/sync-cursor.model');
+
+class SyncCursorRepository extends BaseRepository {
+  constructor() {
+    super(SyncCursor);
+  }
+
+  async findCursor(integrationId, repoId, entity) {
+    return await this.findOne({ integrationId, repoId, entity });
+  }
+
+  async getHighWaterMark(integrationId, repoId, entity) {
+    const cursor = await this.findCursor(integrationId, repoId, entity);
+    return cursor ? cursor.lastUpdatedAt : null;
+  }
+
+  // Only ever moves the high-water mark forward
+  async advanceCursor(integrationId, repoId, entity, lastUpdatedAt, itemCount = 0) {
+    const update = {
+      $set: {
+        lastSyncedAt: new Date(),
+        lastItemCount: itemCount
+      }
+    };
+
+    if (lastUpdatedAt) {
+      update.$max = { lastUpdatedAt: new Date(lastUpdatedAt) };
+    }
+
+    return await this.updateOne(
+      { integrationId, repoId, entity },
+      update,
+      { upsert: true }
+    );
+  }
+
+  // Incremental listings never show deletions, so entities are swept on an interval
+  async isSweepDue(integrationId, repoId, entity, intervalMs) {
+    const cursor = await this.findCursor(integrationId, repoId, entity);
+    return !cursor?.sweptAt || cursor.sweptAt.getTime() <= Date.now() - intervalMs;
+  }
+
+  async markSwept(integrationId, repoId, entity) {
+    return await this.updateOne(
+      { integrationId, repoId, entity },
+      { $set: { sweptAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  async resetCursors(integrationId, repoId = null) {
+    const conditions = { integrationId };
+    if (repoId) conditions.repoId = repoId;
+    return await this.deleteMany(conditions);
+  }
+}
+
+module.exports = new SyncCursorRepository();
@@ -0,0 +1,129 @@
+const BaseRepository = require('./base.repository');
+const SyncRun = require('../models/sync-run.model');
+
+// A running run that hasn't progressed for this long is treated as dead
+const STALE_RUN_MS = 60 * 60 * 1000;
+
+const staleBefore = () => new Date(Date.now() - STALE_RUN_MS);
+
+class SyncRunRepository extends BaseRepository {
+  constructor() {
+    super(SyncRun);
+  }
+
+  async createRun(integrationId, jobId = null) {
+    return await this.create({
+      integrationId,
+      jobId: jobId ? String(jobId) : null,
+      status: 'running',
+      steps: []
+    });
+  }
+
+  async findLatestRun(integrationId) {
+    return await this.findOne({ integrationId }, {}, { sort: { createdAt: -1 } });
+  }
+
+  // Newest run that is still progressing; its child jobs are queued or running
+  async findLiveRun(integrationId) {
+    return await this.findOne(
+      { integrationId, status: 'running', updatedAt: { $gte: staleBefore() } },
+      {},
+      { sort: { createdAt: -1 } }
+    );
+  }
+
+  // Newest failed or stale run started after `since`. Live runs aren't
+  // resumable, their pending steps would be dispatched a second time.
+  async findResumableRun(integrationId, since) {
+    return await this.findOne(
+      {
+        integrationId,
+        startedAt: { $gte: since },
+        $or: [
+          { status: 'failed' },
+          { status: 'running', updatedAt: { $lt: staleBefore() } }
+        ]
+      },
+      {},
+      { sort: { createdAt: -1 } }
+    );
+  }
+
+  // Failed steps go back to pending so they are run again
+  async resumeRun(runId, jobId = null) {
+    return await this.updateById(
+      runId,
+      {
+        $set: {
+          status: 'running',
+          jobId: jobId ? String(jobId) : null,
+          finishedAt: null,
+          'steps.$[failed].status': 'pending'
+        },
+        $inc: { resumeCount: 1 }
+      },
+      { arrayFilters: [{ 'failed.status': 'failed' }] }
+    );
+  }
+
+  // Append steps that aren't planned yet
+  async addSteps(run, steps) {
+    const known = new Set(run.steps.map(step => step.key));
+    const newSteps = steps.filter(step => !known.has(step.key));
+
+    if (newSteps.length === 0) return run;
+
+    return await this.updateById(run._id, { $push: { steps: { $each: newSteps } } });
+  }
+
+  async startStep(runId, key, label) {
+    return await this.updateOne(
+      { _id: runId, 'steps.key': key },
+      { $set: { currentStep: label }, $inc: { 'steps.$.attempts': 1 } }
+    );
+  }
+
+  async completeStep(runId, key, itemCount = 0) {
+    return await this.updateOne(
+      { _id: runId, 'steps.key': key },
+      {
+        $set: {
+          'steps.$.status': 'completed',
+          'steps.$.itemCount': itemCount,
+          'steps.$.error': null,
+          'steps.$.completedAt': new Date()
+        }
+      }
+    );
+  }
+
+  async failStep(runId, key, error) {
+    return await this.updateOne(
+      { _id: runId, 'steps.key': key },
+      { $set: { 'steps.$.status': 'failed', 'steps.$.error': error } }
+    );
+  }
+
+  // Returns null if the run was already finished or cancelled
+  async finishRun(runId, status, lastError = null) {
+    return await this.updateOne(
+      { _id: runId, status: 'running' },
+      {
+        status,
+        lastError,
+        currentStep: null,
+        finishedAt: new Date()
+      }
+    );
+  }
+
+  async cancelActiveRuns(integrationId) {
+    return await this.updateMany(
+      { integrationId, status: 'running' },
+      { status: 'cancelled', currentStep: null, finishedAt: new Date() }
+    );
+  }
+}
+
+module.exports = new SyncRunRepository();
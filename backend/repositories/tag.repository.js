@@ -0,0 +1,18 @@
+const BaseRepository = require('./base.repository');
+const Tag = require('../models/tag.model');
+
+class TagRepository extends BaseRepository {
+  constructor() {
+    super(Tag);
+  }
+
+  async findByRepoId(repoId, options = {}) {
+    return await this.find({ repoId }, {}, options);
+  }
+
+  async upsertByRepoAndName(repoId, name, data) {
+    return await this.upsert({ repoId, name }, data);
+  }
+}
+
+module.exports = new TagRepository();
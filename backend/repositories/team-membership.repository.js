@@ -0,0 +1,22 @@
+const BaseRepository = require('./base.repository');
+const TeamMembership = require('../models/team-membership.model');
+
+class TeamMembershipRepository extends BaseRepository {
+  constructor() {
+    super(TeamMembership);
+  }
+
+  async findByTeamId(teamId, options = {}) {
+    return await this.findPresent({ teamId }, {}, { sort: { login: 1 }, ...options });
+  }
+
+  async findByLogin(integrationId, login) {
+    return await this.findPresent({ integrationId, login });
+  }
+
+  async upsertByTeamAndUser(teamId, userGithubId, data) {
+    return await this.upsert({ teamId, userGithubId }, data);
+  }
+}
+
+module.exports = new TeamMembershipRepository();
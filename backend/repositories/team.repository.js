@@ -0,0 +1,29 @@
+const BaseRepository = require('./base.repository');
+const Team = require('../models/team.model');
+
+class TeamRepository extends BaseRepository {
+  constructor() {
+    super(Team);
+  }
+
+  async findByOrganizationId(organizationId, options = {}) {
+    return await this.findPresent({ organizationId }, {}, { sort: { name: 1 }, ...options });
+  }
+
+  async findByGithubId(integrationId, githubId) {
+    return await this.findOne({ integrationId, githubId });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+
+  // Teams granted a permission level on a repository
+  async findByRepoPermission(repoId, permission) {
+    return await this.findPresent({
+      repositories: { $elemMatch: { repoId, permission } }
+    });
+  }
+}
+
+module.exports = new TeamRepository();
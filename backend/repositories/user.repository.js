@@ -14,16 +14,16 @@ class UserRepository extends BaseRepository {
     return await this.find({ organizationId });
   }
 
-  async findByLogin(login) {
-    return await this.findOne({ login });
+  async findByLogin(integrationId, login, host) {
+    return await this.findOne({ integrationId, login, ...this.hostConditions(host) });
   }
 
   async findByEmail(email) {
     return await this.findOne({ email });
   }
 
-  async upsertByGithubId(githubId, data) {
-    return await this.upsert({ githubId }, data);
+  async upsertByGithubId(integrationId, host, githubId, data) {
+    return await this.upsertByIntegrationAndGithubId(integrationId, host, githubId, data);
   }
 
   async countByIntegration(integrationId) {
@@ -0,0 +1,34 @@
+const BaseRepository = require('./base.repository');
+const WorkflowJob = require('../models/workflow-job.model');
+
+class WorkflowJobRepository extends BaseRepository {
+  constructor() {
+    super(WorkflowJob);
+  }
+
+  async findByRunId(runId, options = {}) {
+    return await this.find({ runId }, {}, { sort: { runAttempt: 1, startedAt: 1 }, ...options });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+
+  // Jobs that failed in one attempt of a run and succeeded in another
+  async findFlaky(repoId) {
+    return await this.aggregate([
+      { $match: { repoId, conclusion: { $in: ['success', 'failure'] } } },
+      {
+        $group: {
+          _id: { runId: '$runId', name: '$name' },
+          conclusions: { $addToSet: '$conclusion' }
+        }
+      },
+      { $match: { conclusions: { $all: ['success', 'failure'] } } },
+      { $group: { _id: '$_id.name', flakyRuns: { $sum: 1 } } },
+      { $sort: { flakyRuns: -1 } }
+    ]);
+  }
+}
+
+module.exports = new WorkflowJobRepository();
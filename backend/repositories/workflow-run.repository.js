@@ -0,0 +1,42 @@
+const BaseRepository = require('./base.repository');
+const WorkflowRun = require('../models/workflow-run.model');
+
+class WorkflowRunRepository extends BaseRepository {
+  constructor() {
+    super(WorkflowRun);
+  }
+
+  async findByHeadSha(repoId, headSha) {
+    return await this.find({ repoId, headSha }, {}, { sort: { createdAt: -1 } });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+
+  // Runs stored while queued or in progress, oldest first
+  async findUnfinished(repoId, limit) {
+    return await this.find(
+      { repoId, status: { $ne: 'completed' } },
+      {},
+      { sort: { createdAt: 1 }, limit }
+    );
+  }
+
+  async getFailureRateByBranch(repoId) {
+    return await this.aggregate([
+      { $match: { repoId, status: 'completed' } },
+      {
+        $group: {
+          _id: '$headBranch',
+          total: { $sum: 1 },
+          failed: { $sum: { $cond: [{ $eq: ['$conclusion', 'failure'] }, 1, 0] } },
+          avgDurationMs: { $avg: '$durationMs' }
+        }
+      },
+      { $sort: { total: -1 } }
+    ]);
+  }
+}
+
+module.exports = new WorkflowRunRepository();
@@ -0,0 +1,18 @@
+const BaseRepository = require('./base.repository');
+const Workflow = require('../models/workflow.model');
+
+class WorkflowRepository extends BaseRepository {
+  constructor() {
+    super(Workflow);
+  }
+
+  async findByRepoId(repoId, options = {}) {
+    return await this.find({ repoId }, {}, { sort: { name: 1 }, ...options });
+  }
+
+  async upsertByGithubId(integrationId, githubId, data) {
+    return await this.upsert({ integrationId, githubId }, data);
+  }
+}
+
+module.exports = new WorkflowRepository();
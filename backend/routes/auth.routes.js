@@ -20,11 +20,27 @@ const validate = (req, res, next) => {
 // Public routes
 
 /**
- * @route   GET /api/auth/github
- * @desc    Initiate GitHub OAuth flow
+ * @route   GET /api/auth/github/hosts
+ * @desc    List the GitHub hosts accounts can be connected from
  * @access  Public
  */
-router.get('/github', asyncHandler(authController.initiateGitHubAuth));
+router.get('/github/hosts', asyncHandler(authController.listGitHubHosts));
+
+/**
+ * @route   GET /api/auth/github
+ * @desc    Initiate GitHub OAuth flow (links an additional account when authenticated;
+ *          `host` selects a GitHub Enterprise Server instance)
+ * @access  Public (optional auth)
+ */
+router.get(
+  '/github',
+  optionalAuth,
+  [
+    query('host').optional().isString().trim().notEmpty().withMessage('Host must be a host name'),
+    validate,
+  ],
+  asyncHandler(authController.initiateGitHubAuth)
+);
 
 /**
  * @route   GET /api/auth/github/callback
@@ -40,6 +56,28 @@ router.get(
   asyncHandler(authController.handleGitHubCallback)
 );
 
+/**
+ * @route   GET /api/auth/github/app/callback
+ * @desc    Handle the GitHub App setup callback (installation created or updated)
+ * @access  Public (the signed state identifies the user)
+ */
+router.get(
+  '/github/app/callback',
+  [
+    query('setup_action').optional().isIn(['install', 'update', 'request']),
+    query('installation_id')
+      .if(query('setup_action').not().equals('request'))
+      .isInt({ min: 1 })
+      .withMessage('Installation ID is required'),
+    query('state')
+      .if(query('setup_action').not().equals('request'))
+      .notEmpty()
+      .withMessage('State is required'),
+    validate,
+  ],
+  asyncHandler(authController.handleGitHubAppCallback)
+);
+
 /**
  * @route   GET /api/auth/status
  * @desc    Get integration status (can be called without auth)
@@ -60,6 +98,13 @@ router.get('/verify', asyncHandler(authController.verifyToken));
 
 // Protected routes (require authentication)
 
+/**
+ * @route   GET /api/auth/github/app/install
+ * @desc    Get the URL that installs the GitHub App for the signed-in user
+ * @access  Private
+ */
+router.get('/github/app/install', verifyToken, asyncHandler(authController.initiateGitHubAppInstall));
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user information
@@ -92,6 +137,7 @@ router.post(
 router.delete(
   '/disconnect',
   verifyToken,
+  requireIntegration,
   asyncHandler(authController.disconnectGitHub)
 );
 
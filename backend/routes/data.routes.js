@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const dataController = require('../controllers/data.controller');
+const { verifyToken, requireIntegration } = require('../middleware/auth.middleware');
+const { filterValidation, idParamValidation } = require('../middleware/validation.middleware');
+
+// All data routes are scoped to the caller's integration
+router.use(verifyToken, requireIntegration);
+
+// Commits
+router.get('/commits', filterValidation.commits, dataController.listCommits);
+router.get('/commits/:id', idParamValidation, dataController.getCommit);
+
+// Pull requests
+router.get('/pulls', filterValidation.pulls, dataController.listPulls);
+router.get('/pulls/:id', idParamValidation, dataController.getPull);
+
+// Pull request reviews
+router.get('/reviews', filterValidation.reviews, dataController.listReviews);
+router.get('/reviews/:id', idParamValidation, dataController.getReview);
+router.get('/review-comments', filterValidation.reviewComments, dataController.listReviewComments);
+router.get('/review-comments/:id', idParamValidation, dataController.getReviewComment);
+
+// Issues
+router.get('/issues', filterValidation.issues, dataController.listIssues);
+router.get('/issues/:id', idParamValidation, dataController.getIssue);
+router.get('/issue-comments', filterValidation.issueComments, dataController.listIssueComments);
+router.get('/issue-comments/:id', idParamValidation, dataController.getIssueComment);
+
+// GitHub Actions and checks
+router.get('/workflows', filterValidation.workflows, dataController.listWorkflows);
+router.get('/workflows/:id', idParamValidation, dataController.getWorkflow);
+router.get('/workflow-runs', filterValidation.workflowRuns, dataController.listWorkflowRuns);
+router.get('/workflow-runs/:id', idParamValidation, dataController.getWorkflowRun);
+router.get('/workflow-jobs', filterValidation.workflowJobs, dataController.listWorkflowJobs);
+router.get('/workflow-jobs/:id', idParamValidation, dataController.getWorkflowJob);
+router.get('/check-runs', filterValidation.checkRuns, dataController.listCheckRuns);
+router.get('/check-runs/:id', idParamValidation, dataController.getCheckRun);
+
+// Branches, tags and releases
+router.get('/branches', filterValidation.branches, dataController.listBranches);
+router.get('/branches/:id', idParamValidation, dataController.getBranch);
+router.get('/tags', filterValidation.tags, dataController.listTags);
+router.get('/tags/:id', idParamValidation, dataController.getTag);
+router.get('/releases', filterValidation.releases, dataController.listReleases);
+router.get('/releases/:id', idParamValidation, dataController.getRelease);
+
+// Labels and milestones
+router.get('/labels', filterValidation.labels, dataController.listLabels);
+router.get('/labels/:id', idParamValidation, dataController.getLabel);
+router.get('/milestones', filterValidation.milestones, dataController.listMilestones);
+router.get('/milestones/:id', idParamValidation, dataController.getMilestone);
+
+// Discussions
+router.get('/discussions', filterValidation.discussions, dataController.listDiscussions);
+router.get('/discussions/:id', idParamValidation, dataController.getDiscussion);
+router.get('/discussion-comments', filterValidation.discussionComments, dataController.listDiscussionComments);
+router.get('/discussion-comments/:id', idParamValidation, dataController.getDiscussionComment);
+
+// Projects
+router.get('/projects', filterValidation.projects, dataController.listProjects);
+router.get('/projects/:id', idParamValidation, dataController.getProject);
+router.get('/project-fields', filterValidation.projectFields, dataController.listProjectFields);
+router.get('/project-fields/:id', idParamValidation, dataController.getProjectField);
+router.get('/project-items', filterValidation.projectItems, dataController.listProjectItems);
+router.get('/project-items/:id', idParamValidation, dataController.getProjectItem);
+
+// Deployments
+router.get('/environments', filterValidation.environments, dataController.listEnvironments);
+router.get('/environments/:id', idParamValidation, dataController.getEnvironment);
+router.get('/deployments', filterValidation.deployments, dataController.listDeployments);
+router.get('/deployments/:id', idParamValidation, dataController.getDeployment);
+router.get('/deployment-statuses', filterValidation.deploymentStatuses, dataController.listDeploymentStatuses);
+router.get('/deployment-statuses/:id', idParamValidation, dataController.getDeploymentStatus);
+
+// Repositories
+router.get('/repos', filterValidation.repos, dataController.listRepos);
+router.get('/repos/:id', idParamValidation, dataController.getRepo);
+
+// Repository statistics over time
+router.get('/repo-snapshots', filterValidation.repoSnapshots, dataController.listRepoSnapshots);
+router.get('/repo-snapshots/:id', idParamValidation, dataController.getRepoSnapshot);
+router.get('/repo-traffic', filterValidation.repoTraffic, dataController.listRepoTraffic);
+router.get('/repo-traffic/:id', idParamValidation, dataController.getRepoTraffic);
+router.get('/repo-referrers', filterValidation.repoReferrers, dataController.listRepoReferrers);
+router.get('/repo-referrers/:id', idParamValidation, dataController.getRepoReferrer);
+router.get('/contributor-stats', filterValidation.contributorStats, dataController.listContributorStats);
+router.get('/contributor-stats/:id', idParamValidation, dataController.getContributorStat);
+
+// Organizations
+router.get('/organizations', filterValidation.organizations, dataController.listOrganizations);
+router.get('/organizations/:id', idParamValidation, dataController.getOrganization);
+
+// Users
+router.get('/users', filterValidation.users, dataController.listUsers);
+router.get('/users/:id', idParamValidation, dataController.getUser);
+
+// Teams and repository permissions
+router.get('/org-memberships', filterValidation.orgMemberships, dataController.listOrgMemberships);
+router.get('/org-memberships/:id', idParamValidation, dataController.getOrgMembership);
+router.get('/teams', filterValidation.teams, dataController.listTeams);
+router.get('/teams/:id', idParamValidation, dataController.getTeam);
+router.get('/team-memberships', filterValidation.teamMemberships, dataController.listTeamMemberships);
+router.get('/team-memberships/:id', idParamValidation, dataController.getTeamMembership);
+router.get('/collaborators', filterValidation.collaborators, dataController.listCollaborators);
+router.get('/collaborators/:id', idParamValidation, dataController.getCollaborator);
+
+// Changelogs
+router.get('/changelogs', filterValidation.changelogs, dataController.listChangelogs);
+router.get('/changelogs/:id', idParamValidation, dataController.getChangelog);
+
+module.exports = router;
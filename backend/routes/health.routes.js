@@ -15,4 +15,7 @@ router.get('/sync/:integrationId', verifyToken, healthController.getSyncStatus);
 // Queue statistics
 router.get('/queue/stats', verifyToken, healthController.getQueueStats);
 
+// GitHub ETag cache statistics
+router.get('/cache/stats', verifyToken, healthController.getCacheStats);
+
 module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const integrationController = require('../controllers/integration.controller');
+const { verifyToken, requireIntegration } = require('../middleware/auth.middleware');
+const { integrationValidation } = require('../middleware/validation.middleware');
+
+// All integration routes require authentication
+router.use(verifyToken);
+
+/**
+ * @route   GET /api/integrations
+ * @desc    List the caller's GitHub connections
+ * @access  Private
+ */
+router.get('/', integrationController.listIntegrations);
+
+/**
+ * @route   POST /api/integrations/token
+ * @desc    Connect a GitHub account with a classic or fine-grained personal access token
+ * @access  Private
+ */
+router.post(
+  '/token',
+  integrationValidation.personalAccessToken,
+  integrationController.connectPersonalAccessToken
+);
+
+/**
+ * @route   GET /api/integrations/:integrationId
+ * @desc    Get a GitHub connection
+ * @access  Private
+ */
+router.get(
+  '/:integrationId',
+  integrationValidation.integrationIdParam,
+  requireIntegration,
+  integrationController.getIntegration
+);
+
+/**
+ * @route   GET /api/integrations/:integrationId/access
+ * @desc    Compare granted with required scopes and list organizations blocking the OAuth app
+ * @access  Private
+ */
+router.get(
+  '/:integrationId/access',
+  integrationValidation.integrationIdParam,
+  requireIntegration,
+  integrationController.getAccess
+);
+
+/**
+ * @route   PATCH /api/integrations/:integrationId
+ * @desc    Rename a GitHub connection
+ * @access  Private
+ */
+router.patch(
+  '/:integrationId',
+  integrationValidation.rename,
+  requireIntegration,
+  integrationController.renameIntegration
+);
+
+/**
+ * @route   POST /api/integrations/:integrationId/pause
+ * @desc    Pause syncing for a GitHub connection
+ * @access  Private
+ */
+router.post(
+  '/:integrationId/pause',
+  integrationValidation.integrationIdParam,
+  requireIntegration,
+  integrationController.pauseIntegration
+);
+
+/**
+ * @route   POST /api/integrations/:integrationId/resume
+ * @desc    Resume syncing for a GitHub connection
+ * @access  Private
+ */
+router.post(
+  '/:integrationId/resume',
+  integrationValidation.integrationIdParam,
+  requireIntegration,
+  integrationController.resumeIntegration
+);
+
+/**
+ * @route   GET /api/integrations/:integrationId/schedule
+ * @desc    Get the automatic sync schedule of a GitHub connection
+ * @access  Private
+ */
+router.get(
+  '/:integrationId/schedule',
+  integrationValidation.integrationIdParam,
+  requireIntegration,
+  integrationController.getSchedule
+);
+
+/**
+ * @route   PATCH /api/integrations/:integrationId/schedule
+ * @desc    Update the automatic sync schedule of a GitHub connection
+ * @access  Private
+ */
+router.patch(
+  '/:integrationId/schedule',
+  integrationValidation.schedule,
+  requireIntegration,
+  integrationController.updateSchedule
+);
+
+/**
+ * @route   DELETE /api/integrations/:integrationId
+ * @desc    Remove a GitHub connection
+ * @access  Private
+ */
+router.delete(
+  '/:integrationId',
+  integrationValidation.integrationIdParam,
+  requireIntegration,
+  integrationController.deleteIntegration
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const syncController = require('../controllers/sync.controller');
-const { verifyToken, requireIntegration } = require('../middleware/auth.middleware');
+const { verifyToken, requireIntegration, requireSyncEnabled } = require('../middleware/auth.middleware');
 const { syncRateLimiter, trackGitHubRateLimit } = require('../middleware/rate-limit.middleware');
 const { syncValidation } = require('../middleware/validation.middleware');
 
@@ -14,6 +14,7 @@ router.post(
   '/all',
   verifyToken,
   requireIntegration,
+  requireSyncEnabled,
   syncValidation.integrationId,
   syncController.syncAll
 );
@@ -23,6 +24,7 @@ router.post(
   '/organizations',
   verifyToken,
   requireIntegration,
+  requireSyncEnabled,
   syncValidation.integrationId,
   syncController.syncOrganizations
 );
@@ -31,6 +33,7 @@ router.post(
   '/repositories',
   verifyToken,
   requireIntegration,
+  requireSyncEnabled,
   syncValidation.syncRepositories,
   syncController.syncRepositories
 );
@@ -39,6 +42,7 @@ router.post(
   '/commits',
   verifyToken,
   requireIntegration,
+  requireSyncEnabled,
   syncValidation.syncRepoEntity,
   syncController.syncCommits
 );
@@ -47,6 +51,7 @@ router.post(
   '/pulls',
   verifyToken,
   requireIntegration,
+  requireSyncEnabled,
   syncValidation.syncRepoEntity,
   syncController.syncPulls
 );
@@ -55,14 +60,88 @@ router.post(
   '/issues',
   verifyToken,
   requireIntegration,
+  requireSyncEnabled,
   syncValidation.syncRepoEntity,
   syncController.syncIssues
 );
 
+router.post(
+  '/actions',
+  verifyToken,
+  requireIntegration,
+  requireSyncEnabled,
+  syncValidation.syncRepoEntity,
+  syncController.syncActions
+);
+
+router.post(
+  '/refs',
+  verifyToken,
+  requireIntegration,
+  requireSyncEnabled,
+  syncValidation.syncRepoEntity,
+  syncController.syncRefs
+);
+
+router.post(
+  '/labels',
+  verifyToken,
+  requireIntegration,
+  requireSyncEnabled,
+  syncValidation.syncRepoEntity,
+  syncController.syncLabels
+);
+
+router.post(
+  '/discussions',
+  verifyToken,
+  requireIntegration,
+  requireSyncEnabled,
+  syncValidation.syncRepoEntity,
+  syncController.syncDiscussions
+);
+
+router.post(
+  '/projects',
+  verifyToken,
+  requireIntegration,
+  requireSyncEnabled,
+  syncValidation.syncRepositories,
+  syncController.syncProjects
+);
+
+router.post(
+  '/collaborators',
+  verifyToken,
+  requireIntegration,
+  requireSyncEnabled,
+  syncValidation.syncRepoEntity,
+  syncController.syncCollaborators
+);
+
+router.post(
+  '/deployments',
+  verifyToken,
+  requireIntegration,
+  requireSyncEnabled,
+  syncValidation.syncRepoEntity,
+  syncController.syncDeployments
+);
+
+router.post(
+  '/stats',
+  verifyToken,
+  requireIntegration,
+  requireSyncEnabled,
+  syncValidation.syncRepoEntity,
+  syncController.syncStats
+);
+
 router.post(
   '/users',
   verifyToken,
   requireIntegration,
+  requireSyncEnabled,
   syncValidation.integrationId,
   syncController.syncUsers
 );
@@ -72,6 +151,7 @@ router.get(
   '/progress/:integrationId',
   verifyToken,
   syncValidation.syncProgress,
+  requireIntegration,
   syncController.getSyncProgress
 );
 
@@ -79,6 +159,7 @@ router.post(
   '/cancel',
   verifyToken,
   syncValidation.integrationId,
+  requireIntegration,
   syncController.cancelSync
 );
 
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhook.controller');
+const { verifyGitHubSignature } = require('../middleware/webhook.middleware');
+
+/**
+ * @route   POST /api/webhooks/github
+ * @desc    Receive GitHub webhook deliveries (push, pull_request, issues,
+ *          issue_comment, organization, member, repository)
+ * @access  Public (authenticated by X-Hub-Signature-256)
+ */
+router.post('/github', verifyGitHubSignature, webhookController.receiveGitHubEvent);
+
+module.exports = router;
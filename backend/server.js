@@ -15,6 +15,11 @@ const startServer = async () => {
     // Connect to MongoDB
     await database.connect();
 
+    // Unique indexes changed: integrations per GitHub account, organizations,
+    // repositories and users per integration and host instead of per GitHub ID,
+    // and commits per repository instead of per SHA
+    await database.syncIndexes(['Integration', 'Organization', 'Repo', 'User', 'Commit']);
+
     // Start Express server
     const server = app.listen(config.port, () => {
       console.log(`
@@ -1,9 +1,38 @@
 const Commit = require('../models/commit.model');
 const Pull = require('../models/pull.model');
+const Review = require('../models/review.model');
+const ReviewComment = require('../models/review-comment.model');
 const Issue = require('../models/issue.model');
+const IssueComment = require('../models/issue-comment.model');
 const Changelog = require('../models/changelog.model');
+const Workflow = require('../models/workflow.model');
+const WorkflowRun = require('../models/workflow-run.model');
+const WorkflowJob = require('../models/workflow-job.model');
+const CheckRun = require('../models/check-run.model');
+const Branch = require('../models/branch.model');
+const Tag = require('../models/tag.model');
+const Release = require('../models/release.model');
+const Label = require('../models/label.model');
+const Milestone = require('../models/milestone.model');
+const Discussion = require('../models/discussion.model');
+const DiscussionComment = require('../models/discussion-comment.model');
+const Project = require('../models/project.model');
+const ProjectField = require('../models/project-field.model');
+const ProjectItem = require('../models/project-item.model');
+const Team = require('../models/team.model');
+const OrgMembership = require('../models/org-membership.model');
+const TeamMembership = require('../models/team-membership.model');
+const Collaborator = require('../models/collaborator.model');
+const Environment = require('../models/environment.model');
+const Deployment = require('../models/deployment.model');
+const DeploymentStatus = require('../models/deployment-status.model');
+const RepoSnapshot = require('../models/repo-snapshot.model');
+const RepoTraffic = require('../models/repo-traffic.model');
+const RepoReferrer = require('../models/repo-referrer.model');
+const ContributorStat = require('../models/contributor-stat.model');
 const User = require('../models/user.model');
 const Repo = require('../models/repo.model');
+const Organization = require('../models/organization.model');
 const { safeConsoleLog, safeConsoleError } = require('../utils/error-sanitizer.util');
 
 // Retention periods (in days)
@@ -12,8 +41,37 @@ const RETENTION_PERIODS = {
   pulls: 365, // 1 year
   issues: 365, // 1 year
   changelogs: 180, // 6 months
+  workflowRuns: 180, // 6 months, along with their jobs and check runs
+  deployments: 365, // 1 year of DORA history, along with their statuses
   inactiveRepos: 730, // 2 years (repos not updated in 2 years)
   inactiveUsers: 365, // 1 year (users not synced in 1 year)
+  tombstones: 30, // Objects removed on GitHub, counted from their deletion
+};
+
+// Collections that keep tombstones for objects removed on GitHub
+const TOMBSTONED_MODELS = {
+  organizations: Organization,
+  repositories: Repo,
+  users: User,
+  issues: Issue,
+  issueComments: IssueComment,
+  pulls: Pull,
+  reviews: Review,
+  reviewComments: ReviewComment,
+  branches: Branch,
+  tags: Tag,
+  releases: Release,
+  labels: Label,
+  milestones: Milestone,
+  discussions: Discussion,
+  discussionComments: DiscussionComment,
+  projects: Project,
+  projectFields: ProjectField,
+  projectItems: ProjectItem,
+  orgMemberships: OrgMembership,
+  teams: Team,
+  teamMemberships: TeamMembership,
+  collaborators: Collaborator,
 };
 
 class DataRetentionService {
@@ -55,11 +113,16 @@ class DataRetentionService {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
 
-      // Only delete closed/merged PRs that are old
-      const result = await Pull.deleteMany({
-        state: 'closed',
-        syncedAt: { $lt: cutoffDate },
-      });
+      // Only delete closed/merged PRs that are old, along with their reviews
+      const expired = { state: 'closed', syncedAt: { $lt: cutoffDate } };
+      const pullIds = await Pull.distinct('_id', expired);
+      await Promise.all([
+        Review.deleteMany({ pullId: { $in: pullIds } }),
+        ReviewComment.deleteMany({ pullId: { $in: pullIds } }),
+        IssueComment.deleteMany({ pullId: { $in: pullIds } }),
+      ]);
+
+      const result = await Pull.deleteMany(expired);
 
       safeConsoleLog(`Deleted ${result.deletedCount} old pull requests (older than ${daysToKeep} days)`);
 
@@ -85,11 +148,12 @@ class DataRetentionService {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
 
-      // Only delete closed issues that are old
-      const result = await Issue.deleteMany({
-        state: 'closed',
-        syncedAt: { $lt: cutoffDate },
-      });
+      // Only delete closed issues that are old, along with their comments
+      const expired = { state: 'closed', syncedAt: { $lt: cutoffDate } };
+      const issueIds = await Issue.distinct('_id', expired);
+      await IssueComment.deleteMany({ issueId: { $in: issueIds } });
+
+      const result = await Issue.deleteMany(expired);
 
       safeConsoleLog(`Deleted ${result.deletedCount} old issues (older than ${daysToKeep} days)`);
 
@@ -133,6 +197,73 @@ class DataRetentionService {
     }
   }
 
+  /**
+   * Clean up old workflow runs with their jobs, and old check runs
+   * @param {number} daysToKeep - Number of days to keep
+   * @returns {Promise<Object>} Cleanup results
+   */
+  async cleanupOldWorkflowRuns(daysToKeep = RETENTION_PERIODS.workflowRuns) {
+    try {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+
+      // Runs still in progress are kept until they complete
+      const expired = { status: 'completed', syncedAt: { $lt: cutoffDate } };
+      const runIds = await WorkflowRun.distinct('_id', expired);
+      const [jobs, checkRuns] = await Promise.all([
+        WorkflowJob.deleteMany({ runId: { $in: runIds } }),
+        CheckRun.deleteMany({ syncedAt: { $lt: cutoffDate } }),
+      ]);
+
+      const result = await WorkflowRun.deleteMany(expired);
+      const deletedCount = result.deletedCount + jobs.deletedCount + checkRuns.deletedCount;
+
+      safeConsoleLog(`Deleted ${deletedCount} old workflow runs, jobs and check runs (older than ${daysToKeep} days)`);
+
+      return {
+        success: true,
+        deletedCount,
+        cutoffDate,
+        entity: 'workflowRuns',
+      };
+    } catch (error) {
+      safeConsoleError('Failed to cleanup old workflow runs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clean up old deployments with their statuses
+   * @param {number} daysToKeep - Number of days to keep
+   * @returns {Promise<Object>} Cleanup results
+   */
+  async cleanupOldDeployments(daysToKeep = RETENTION_PERIODS.deployments) {
+    try {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+
+      // Measured from creation so frequency and lead time keep a full window of history
+      const expired = { createdAt: { $lt: cutoffDate } };
+      const deploymentIds = await Deployment.distinct('_id', expired);
+      const statuses = await DeploymentStatus.deleteMany({ deploymentId: { $in: deploymentIds } });
+
+      const result = await Deployment.deleteMany(expired);
+      const deletedCount = result.deletedCount + statuses.deletedCount;
+
+      safeConsoleLog(`Deleted ${deletedCount} old deployments and statuses (older than ${daysToKeep} days)`);
+
+      return {
+        success: true,
+        deletedCount,
+        cutoffDate,
+        entity: 'deployments',
+      };
+    } catch (error) {
+      safeConsoleError('Failed to cleanup old deployments:', error);
+      throw error;
+    }
+  }
+
   /**
    * Clean up inactive repositories
    * @param {number} daysToKeep - Number of days to keep
@@ -191,6 +322,79 @@ class DataRetentionService {
     }
   }
 
+  /**
+   * Purge tombstoned documents once they have been deleted on GitHub for long enough.
+   * Purged repositories take their commits, pull requests, reviews, issues, comments, CI data,
+   * branches, tags, releases and collaborators with them; purged teams take their memberships.
+   * @param {number} daysToKeep - Number of days to keep tombstones
+   * @returns {Promise<Object>} Cleanup results
+   */
+  async purgeTombstones(daysToKeep = RETENTION_PERIODS.tombstones) {
+    try {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+
+      const expired = { removedFromSource: true, deletedAt: { $lt: cutoffDate } };
+      const repoIds = await Repo.distinct('_id', expired);
+      const cascaded = await Promise.all([
+        Commit,
+        Pull,
+        Issue,
+        Review,
+        ReviewComment,
+        IssueComment,
+        Workflow,
+        WorkflowRun,
+        WorkflowJob,
+        CheckRun,
+        Branch,
+        Tag,
+        Release,
+        Label,
+        Milestone,
+        Discussion,
+        DiscussionComment,
+        Collaborator,
+        Environment,
+        Deployment,
+        DeploymentStatus,
+        RepoSnapshot,
+        RepoTraffic,
+        RepoReferrer,
+        ContributorStat,
+      ].map((Model) => Model.deleteMany({ repoId: { $in: repoIds } })));
+
+      const teamIds = await Team.distinct('_id', expired);
+      cascaded.push(await TeamMembership.deleteMany({ teamId: { $in: teamIds } }));
+
+      const projectIds = await Project.distinct('_id', expired);
+      cascaded.push(await ProjectField.deleteMany({ projectId: { $in: projectIds } }));
+      cascaded.push(await ProjectItem.deleteMany({ projectId: { $in: projectIds } }));
+
+      const purged = {};
+      for (const [entity, Model] of Object.entries(TOMBSTONED_MODELS)) {
+        const result = await Model.deleteMany(expired);
+        purged[entity] = result.deletedCount;
+      }
+
+      const deletedCount = Object.values(purged).reduce((sum, count) => sum + count, 0)
+        + cascaded.reduce((sum, result) => sum + result.deletedCount, 0);
+
+      safeConsoleLog(`Purged ${deletedCount} tombstoned documents (deleted on GitHub over ${daysToKeep} days ago)`);
+
+      return {
+        success: true,
+        deletedCount,
+        purged,
+        cutoffDate,
+        entity: 'tombstones',
+      };
+    } catch (error) {
+      safeConsoleError('Failed to purge tombstones:', error);
+      throw error;
+    }
+  }
+
   /**
    * Run full cleanup based on retention policy
    * @returns {Promise<Object>} Cleanup results for all entities
@@ -206,17 +410,20 @@ class DataRetentionService {
 
     try {
       // Run all cleanups in parallel
-      const [commits, pulls, issues, changelogs, repos, users] = await Promise.allSettled([
+      const [commits, pulls, issues, changelogs, workflowRuns, deployments, repos, users, tombstones] = await Promise.allSettled([
         this.cleanupOldCommits(),
         this.cleanupOldPulls(),
         this.cleanupOldIssues(),
         this.cleanupOldChangelogs(),
+        this.cleanupOldWorkflowRuns(),
+        this.cleanupOldDeployments(),
         this.cleanupInactiveRepos(),
         this.cleanupInactiveUsers(),
+        this.purgeTombstones(),
       ]);
 
       // Collect results
-      const cleanupResults = [commits, pulls, issues, changelogs, repos, users];
+      const cleanupResults = [commits, pulls, issues, changelogs, workflowRuns, deployments, repos, users, tombstones];
 
       cleanupResults.forEach((result) => {
         if (result.status === 'fulfilled') {
@@ -303,11 +510,18 @@ class DataRetentionService {
         ]),
       ]);
 
+      // Tombstones waiting to be purged, per collection
+      const tombstones = {};
+      for (const [entity, Model] of Object.entries(TOMBSTONED_MODELS)) {
+        tombstones[entity] = await Model.countDocuments({ removedFromSource: true });
+      }
+
       return {
         commits: stats[0][0] || { total: 0 },
         pulls: stats[1][0] || { total: 0 },
         issues: stats[2][0] || { total: 0 },
         changelogs: stats[3][0] || { total: 0 },
+        tombstones,
         retentionPeriods: RETENTION_PERIODS,
       };
     } catch (error) {
@@ -0,0 +1,790 @@
+const mongoose = require('mongoose');
+const commitRepo = require('../repositories/commit.repository');
+const pullRepo = require('../repositories/pull.repository');
+const issueRepo = require('../repositories/issue.repository');
+const issueCommentRepo = require('../repositories/issue-comment.repository');
+const reviewRepo = require('../repositories/review.repository');
+const reviewCommentRepo = require('../repositories/review-comment.repository');
+const repoRepo = require('../repositories/repo.repository');
+const organizationRepo = require('../repositories/organization.repository');
+const userRepo = require('../repositories/user.repository');
+const changelogRepo = require('../repositories/changelog.repository');
+const workflowRepo = require('../repositories/workflow.repository');
+const workflowRunRepo = require('../repositories/workflow-run.repository');
+const workflowJobRepo = require('../repositories/workflow-job.repository');
+const checkRunRepo = require('../repositories/check-run.repository');
+const branchRepo = require('../repositories/branch.repository');
+const tagRepo = require('../repositories/tag.repository');
+const releaseRepo = require('../repositories/release.repository');
+const labelRepo = require('../repositories/label.repository');
+const milestoneRepo = require('../repositories/milestone.repository');
+const discussionRepo = require('../repositories/discussion.repository');
+const discussionCommentRepo = require('../repositories/discussion-comment.repository');
+const projectRepo = require('../repositories/project.repository');
+const projectFieldRepo = require('../repositories/project-field.repository');
+const projectItemRepo = require('../repositories/project-item.repository');
+const teamRepo = require('../repositories/team.repository');
+const orgMembershipRepo = require('../repositories/org-membership.repository');
+const teamMembershipRepo = require('../repositories/team-membership.repository');
+const collaboratorRepo = require('../repositories/collaborator.repository');
+const environmentRepo = require('../repositories/environment.repository');
+const deploymentRepo = require('../repositories/deployment.repository');
+const deploymentStatusRepo = require('../repositories/deployment-status.repository');
+const repoSnapshotRepo = require('../repositories/repo-snapshot.repository');
+const repoTrafficRepo = require('../repositories/repo-traffic.repository');
+const repoReferrerRepo = require('../repositories/repo-referrer.repository');
+const contributorStatRepo = require('../repositories/contributor-stat.repository');
+const { AppError, NotFoundError } = require('../helpers/error.helper');
+const { parsePaginationParams, buildPaginationResponse } = require('../helpers/pagination.helper');
+
+/**
+ * Escape user input before using it inside a RegExp
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a boolean query parameter
+ * @param {string} value - Raw query value
+ * @returns {boolean|undefined} Parsed value, undefined when not provided
+ */
+const parseBoolean = (value) => {
+  if (value === undefined || value === '') return undefined;
+  return value === 'true' || value === '1';
+};
+
+/**
+ * Build a date range condition from since/until query parameters
+ * @param {Object} query - Request query parameters
+ * @returns {Object|null} MongoDB range condition
+ */
+const buildDateRange = (query) => {
+  if (!query.since && !query.until) return null;
+
+  const range = {};
+  if (query.since) range.$gte = new Date(query.since);
+  if (query.until) range.$lte = new Date(query.until);
+  return range;
+};
+
+// Per-entity query configuration.
+// Entities with `tombstones` hide objects removed on GitHub unless includeDeleted is set.
+const ENTITIES = {
+  commits: {
+    label: 'Commit',
+    repository: commitRepo,
+    defaultSort: { 'author.date': -1 },
+    sortFields: ['author.date', 'committer.date', 'additions', 'deletions', 'totalChanges', 'syncedAt'],
+    projection: { files: 0 },
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.author) {
+        conditions.$or = [
+          { 'author.login': query.author },
+          { 'author.email': query.author },
+        ];
+      }
+      const range = buildDateRange(query);
+      if (range) conditions['author.date'] = range;
+      if (query.search) conditions.message = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  pulls: {
+    label: 'Pull request',
+    tombstones: true,
+    repository: pullRepo,
+    defaultSort: { updatedAt: -1 },
+    sortFields: ['createdAt', 'updatedAt', 'closedAt', 'mergedAt', 'number', 'comments', 'additions', 'deletions'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.state && query.state !== 'all') conditions.state = query.state;
+      if (query.author) conditions['user.login'] = query.author;
+      if (query.assignee) conditions['assignees.login'] = query.assignee;
+      if (query.base) conditions['base.ref'] = query.base;
+      const merged = parseBoolean(query.merged);
+      if (merged !== undefined) conditions.merged = merged;
+      const range = buildDateRange(query);
+      if (range) conditions.createdAt = range;
+      if (query.search) conditions.title = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  reviews: {
+    label: 'Review',
+    tombstones: true,
+    repository: reviewRepo,
+    defaultSort: { submittedAt: -1 },
+    sortFields: ['submittedAt', 'pullNumber', 'state', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.pullId) conditions.pullId = query.pullId;
+      if (query.state) conditions.state = query.state;
+      if (query.reviewer) conditions['user.login'] = query.reviewer;
+      const range = buildDateRange(query);
+      if (range) conditions.submittedAt = range;
+      return conditions;
+    },
+  },
+
+  reviewComments: {
+    label: 'Review comment',
+    tombstones: true,
+    repository: reviewCommentRepo,
+    defaultSort: { createdAt: -1 },
+    sortFields: ['createdAt', 'updatedAt', 'pullNumber', 'path', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.pullId) conditions.pullId = query.pullId;
+      if (query.author) conditions['user.login'] = query.author;
+      if (query.path) conditions.path = query.path;
+      const range = buildDateRange(query);
+      if (range) conditions.createdAt = range;
+      if (query.search) conditions.body = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  issues: {
+    label: 'Issue',
+    tombstones: true,
+    repository: issueRepo,
+    defaultSort: { updatedAt: -1 },
+    sortFields: ['createdAt', 'updatedAt', 'closedAt', 'number', 'comments'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.state && query.state !== 'all') conditions.state = query.state;
+      if (query.author) conditions['user.login'] = query.author;
+      if (query.assignee) conditions['assignees.login'] = query.assignee;
+      if (query.labels) {
+        const labels = query.labels.split(',').map((label) => label.trim()).filter(Boolean);
+        if (labels.length > 0) conditions['labels.name'] = { $all: labels };
+      }
+      const range = buildDateRange(query);
+      if (range) conditions.createdAt = range;
+      if (query.search) conditions.title = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  issueComments: {
+    label: 'Issue comment',
+    tombstones: true,
+    repository: issueCommentRepo,
+    defaultSort: { createdAt: -1 },
+    sortFields: ['createdAt', 'updatedAt', 'number', 'reactions.totalCount', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.issueId) conditions.issueId = query.issueId;
+      if (query.pullId) conditions.pullId = query.pullId;
+      if (query.author) conditions['user.login'] = query.author;
+      const isPullRequest = parseBoolean(query.pullRequest);
+      if (isPullRequest !== undefined) conditions.isPullRequest = isPullRequest;
+      const range = buildDateRange(query);
+      if (range) conditions.createdAt = range;
+      if (query.search) conditions.body = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  workflows: {
+    label: 'Workflow',
+    repository: workflowRepo,
+    defaultSort: { name: 1 },
+    sortFields: ['name', 'path', 'state', 'createdAt', 'updatedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.state) conditions.state = query.state;
+      if (query.search) conditions.name = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  workflowRuns: {
+    label: 'Workflow run',
+    repository: workflowRunRepo,
+    defaultSort: { createdAt: -1 },
+    sortFields: ['createdAt', 'updatedAt', 'runStartedAt', 'runNumber', 'durationMs', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.workflowId) conditions.workflowId = query.workflowId;
+      if (query.pullId) conditions.pullIds = query.pullId;
+      if (query.branch) conditions.headBranch = query.branch;
+      if (query.headSha) conditions.headSha = query.headSha;
+      if (query.event) conditions.event = query.event;
+      if (query.status) conditions.status = query.status;
+      if (query.conclusion) conditions.conclusion = query.conclusion;
+      if (query.actor) conditions['actor.login'] = query.actor;
+      const range = buildDateRange(query);
+      if (range) conditions.createdAt = range;
+      return conditions;
+    },
+  },
+
+  workflowJobs: {
+    label: 'Workflow job',
+    repository: workflowJobRepo,
+    defaultSort: { startedAt: -1 },
+    sortFields: ['startedAt', 'completedAt', 'durationMs', 'name', 'runAttempt', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.runId) conditions.runId = query.runId;
+      if (query.name) conditions.name = query.name;
+      if (query.branch) conditions.headBranch = query.branch;
+      if (query.headSha) conditions.headSha = query.headSha;
+      if (query.status) conditions.status = query.status;
+      if (query.conclusion) conditions.conclusion = query.conclusion;
+      const range = buildDateRange(query);
+      if (range) conditions.startedAt = range;
+      return conditions;
+    },
+  },
+
+  checkRuns: {
+    label: 'Check run',
+    repository: checkRunRepo,
+    defaultSort: { startedAt: -1 },
+    sortFields: ['startedAt', 'completedAt', 'durationMs', 'name', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.commitId) conditions.commitId = query.commitId;
+      if (query.pullId) conditions.pullIds = query.pullId;
+      if (query.name) conditions.name = query.name;
+      if (query.app) conditions['app.slug'] = query.app;
+      if (query.headSha) conditions.headSha = query.headSha;
+      if (query.status) conditions.status = query.status;
+      if (query.conclusion) conditions.conclusion = query.conclusion;
+      const range = buildDateRange(query);
+      if (range) conditions.startedAt = range;
+      return conditions;
+    },
+  },
+
+  branches: {
+    label: 'Branch',
+    tombstones: true,
+    repository: branchRepo,
+    defaultSort: { name: 1 },
+    sortFields: ['name', 'syncedAt', 'protectionSyncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      const isDefault = parseBoolean(query.default);
+      if (isDefault !== undefined) conditions.isDefault = isDefault;
+      const isProtected = parseBoolean(query.protected);
+      if (isProtected !== undefined) conditions.protected = isProtected;
+      if (query.search) conditions.name = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  tags: {
+    label: 'Tag',
+    tombstones: true,
+    repository: tagRepo,
+    defaultSort: { name: -1 },
+    sortFields: ['name', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.commitSha) conditions.commitSha = query.commitSha;
+      if (query.search) conditions.name = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  releases: {
+    label: 'Release',
+    tombstones: true,
+    repository: releaseRepo,
+    defaultSort: { publishedAt: -1 },
+    sortFields: ['publishedAt', 'createdAt', 'tagName', 'totalDownloads', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.author) conditions['author.login'] = query.author;
+      const draft = parseBoolean(query.draft);
+      if (draft !== undefined) conditions.draft = draft;
+      const prerelease = parseBoolean(query.prerelease);
+      if (prerelease !== undefined) conditions.prerelease = prerelease;
+      const range = buildDateRange(query);
+      if (range) conditions.publishedAt = range;
+      if (query.search) conditions.name = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  labels: {
+    label: 'Label',
+    tombstones: true,
+    repository: labelRepo,
+    defaultSort: { name: 1 },
+    sortFields: ['name', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      const isDefault = parseBoolean(query.default);
+      if (isDefault !== undefined) conditions.isDefault = isDefault;
+      if (query.search) conditions.name = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  milestones: {
+    label: 'Milestone',
+    tombstones: true,
+    repository: milestoneRepo,
+    defaultSort: { number: -1 },
+    sortFields: ['dueOn', 'number', 'title', 'openIssues', 'closedIssues', 'createdAt', 'updatedAt', 'closedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.state) conditions.state = query.state;
+      const range = buildDateRange(query);
+      if (range) conditions.dueOn = range;
+      if (query.search) conditions.title = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  discussions: {
+    label: 'Discussion',
+    tombstones: true,
+    repository: discussionRepo,
+    defaultSort: { updatedAt: -1 },
+    sortFields: ['updatedAt', 'createdAt', 'number', 'upvoteCount', 'commentCount', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.category) conditions['category.slug'] = query.category;
+      if (query.author) conditions['author.login'] = query.author;
+      const answered = parseBoolean(query.answered);
+      if (answered !== undefined) conditions.isAnswered = answered;
+      const closed = parseBoolean(query.closed);
+      if (closed !== undefined) conditions.closed = closed;
+      const range = buildDateRange(query);
+      if (range) conditions.updatedAt = range;
+      if (query.search) conditions.title = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  discussionComments: {
+    label: 'Discussion comment',
+    tombstones: true,
+    repository: discussionCommentRepo,
+    defaultSort: { createdAt: 1 },
+    sortFields: ['createdAt', 'updatedAt', 'upvoteCount', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.discussionId) conditions.discussionId = query.discussionId;
+      if (query.replyToId) conditions.replyToId = query.replyToId;
+      if (query.author) conditions['author.login'] = query.author;
+      const isAnswer = parseBoolean(query.answer);
+      if (isAnswer !== undefined) conditions.isAnswer = isAnswer;
+      const range = buildDateRange(query);
+      if (range) conditions.createdAt = range;
+      return conditions;
+    },
+  },
+
+  projects: {
+    label: 'Project',
+    tombstones: true,
+    repository: projectRepo,
+    defaultSort: { updatedAt: -1 },
+    sortFields: ['updatedAt', 'createdAt', 'number', 'title', 'itemCount', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.organizationId) conditions.organizationId = query.organizationId;
+      const closed = parseBoolean(query.closed);
+      if (closed !== undefined) conditions.closed = closed;
+      if (query.search) conditions.title = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  projectFields: {
+    label: 'Project field',
+    tombstones: true,
+    repository: projectFieldRepo,
+    defaultSort: { name: 1 },
+    sortFields: ['name', 'dataType', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.projectId) conditions.projectId = query.projectId;
+      if (query.dataType) conditions.dataType = query.dataType;
+      return conditions;
+    },
+  },
+
+  projectItems: {
+    label: 'Project item',
+    tombstones: true,
+    repository: projectItemRepo,
+    defaultSort: { updatedAt: -1 },
+    sortFields: ['updatedAt', 'createdAt', 'status', 'contentNumber', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.projectId) conditions.projectId = query.projectId;
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.issueId) conditions.issueId = query.issueId;
+      if (query.pullId) conditions.pullId = query.pullId;
+      if (query.type) conditions.type = query.type;
+      if (query.status) conditions.status = query.status;
+      if (query.iterationId) conditions['iteration.iterationId'] = query.iterationId;
+      const archived = parseBoolean(query.archived);
+      if (archived !== undefined) conditions.isArchived = archived;
+      if (query.search) conditions.title = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  environments: {
+    label: 'Environment',
+    repository: environmentRepo,
+    defaultSort: { name: 1 },
+    sortFields: ['name', 'createdAt', 'updatedAt', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.search) conditions.name = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  deployments: {
+    label: 'Deployment',
+    repository: deploymentRepo,
+    defaultSort: { createdAt: -1 },
+    sortFields: ['createdAt', 'updatedAt', 'latestStatusAt', 'succeededAt', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.environmentId) conditions.environmentId = query.environmentId;
+      if (query.commitId) conditions.commitId = query.commitId;
+      if (query.pullId) conditions.pullIds = query.pullId;
+      if (query.environment) conditions.environment = query.environment;
+      if (query.state) conditions.latestState = query.state;
+      if (query.sha) conditions.sha = query.sha;
+      if (query.ref) conditions.ref = query.ref;
+      if (query.creator) conditions['creator.login'] = query.creator;
+      const production = parseBoolean(query.production);
+      if (production !== undefined) conditions.productionEnvironment = production;
+      const range = buildDateRange(query);
+      if (range) conditions.createdAt = range;
+      return conditions;
+    },
+  },
+
+  deploymentStatuses: {
+    label: 'Deployment status',
+    repository: deploymentStatusRepo,
+    defaultSort: { createdAt: -1 },
+    sortFields: ['createdAt', 'updatedAt', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.deploymentId) conditions.deploymentId = query.deploymentId;
+      if (query.environment) conditions.environment = query.environment;
+      if (query.state) conditions.state = query.state;
+      const range = buildDateRange(query);
+      if (range) conditions.createdAt = range;
+      return conditions;
+    },
+  },
+
+  repoSnapshots: {
+    label: 'Repository snapshot',
+    repository: repoSnapshotRepo,
+    defaultSort: { date: -1 },
+    sortFields: ['date', 'stargazersCount', 'forksCount', 'openIssuesCount'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      const range = buildDateRange(query);
+      if (range) conditions.date = range;
+      return conditions;
+    },
+  },
+
+  repoTraffic: {
+    label: 'Repository traffic',
+    repository: repoTrafficRepo,
+    defaultSort: { date: -1 },
+    sortFields: ['date', 'views', 'uniqueViews', 'clones', 'uniqueClones'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      const range = buildDateRange(query);
+      if (range) conditions.date = range;
+      return conditions;
+    },
+  },
+
+  repoReferrers: {
+    label: 'Repository referrer',
+    repository: repoReferrerRepo,
+    defaultSort: { date: -1, count: -1 },
+    sortFields: ['date', 'count', 'uniques', 'referrer'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.referrer) conditions.referrer = query.referrer;
+      const range = buildDateRange(query);
+      if (range) conditions.date = range;
+      return conditions;
+    },
+  },
+
+  contributorStats: {
+    label: 'Contributor statistic',
+    repository: contributorStatRepo,
+    defaultSort: { week: -1 },
+    sortFields: ['week', 'commits', 'additions', 'deletions', 'login'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.userId) conditions.userId = query.userId;
+      if (query.login) conditions.login = query.login;
+      const range = buildDateRange(query);
+      if (range) conditions.week = range;
+      return conditions;
+    },
+  },
+
+  repos: {
+    label: 'Repository',
+    tombstones: true,
+    repository: repoRepo,
+    defaultSort: { pushedAt: -1 },
+    sortFields: ['name', 'fullName', 'pushedAt', 'createdAt', 'updatedAt', 'stargazersCount', 'forksCount', 'openIssuesCount', 'size'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.organizationId) conditions.organizationId = query.organizationId;
+      if (query.language) conditions.language = query.language;
+      if (query.visibility) conditions.visibility = query.visibility;
+      const isPrivate = parseBoolean(query.private);
+      if (isPrivate !== undefined) conditions.private = isPrivate;
+      const archived = parseBoolean(query.archived);
+      if (archived !== undefined) conditions.archived = archived;
+      const fork = parseBoolean(query.fork);
+      if (fork !== undefined) conditions.fork = fork;
+      if (query.search) conditions.fullName = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  organizations: {
+    label: 'Organization',
+    tombstones: true,
+    repository: organizationRepo,
+    defaultSort: { login: 1 },
+    sortFields: ['login', 'name', 'publicRepos', 'followers', 'createdAt', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.type) conditions.type = query.type;
+      if (query.search) conditions.login = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  users: {
+    label: 'User',
+    tombstones: true,
+    repository: userRepo,
+    defaultSort: { login: 1 },
+    sortFields: ['login', 'name', 'publicRepos', 'followers', 'createdAt', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.organizationId) conditions.organizationId = query.organizationId;
+      if (query.type) conditions.type = query.type;
+      if (query.search) {
+        const pattern = new RegExp(escapeRegex(query.search), 'i');
+        conditions.$or = [{ login: pattern }, { name: pattern }];
+      }
+      return conditions;
+    },
+  },
+
+  teams: {
+    label: 'Team',
+    tombstones: true,
+    repository: teamRepo,
+    defaultSort: { name: 1 },
+    sortFields: ['name', 'slug', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.organizationId) conditions.organizationId = query.organizationId;
+      if (query.privacy) conditions.privacy = query.privacy;
+      // Teams with access to a repository, optionally at a permission level
+      if (query.repoId || query.permission) {
+        const grant = {};
+        if (query.repoId) grant.repoId = query.repoId;
+        if (query.permission) grant.permission = query.permission;
+        conditions.repositories = { $elemMatch: grant };
+      }
+      if (query.search) conditions.name = new RegExp(escapeRegex(query.search), 'i');
+      return conditions;
+    },
+  },
+
+  orgMemberships: {
+    label: 'Organization membership',
+    tombstones: true,
+    repository: orgMembershipRepo,
+    defaultSort: { login: 1 },
+    sortFields: ['login', 'role', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.organizationId) conditions.organizationId = query.organizationId;
+      if (query.userId) conditions.userId = query.userId;
+      if (query.login) conditions.login = query.login;
+      if (query.role) conditions.role = query.role;
+      return conditions;
+    },
+  },
+
+  teamMemberships: {
+    label: 'Team membership',
+    tombstones: true,
+    repository: teamMembershipRepo,
+    defaultSort: { login: 1 },
+    sortFields: ['login', 'role', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.organizationId) conditions.organizationId = query.organizationId;
+      if (query.teamId) conditions.teamId = query.teamId;
+      if (query.userId) conditions.userId = query.userId;
+      if (query.login) conditions.login = query.login;
+      if (query.role) conditions.role = query.role;
+      return conditions;
+    },
+  },
+
+  collaborators: {
+    label: 'Collaborator',
+    tombstones: true,
+    repository: collaboratorRepo,
+    defaultSort: { login: 1 },
+    sortFields: ['login', 'permission', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.organizationId) conditions.organizationId = query.organizationId;
+      if (query.repoId) conditions.repoId = query.repoId;
+      if (query.userId) conditions.userId = query.userId;
+      if (query.login) conditions.login = query.login;
+      if (query.permission) conditions.permission = query.permission;
+      return conditions;
+    },
+  },
+
+  changelogs: {
+    label: 'Changelog',
+    repository: changelogRepo,
+    defaultSort: { createdAt: -1 },
+    sortFields: ['createdAt', 'event', 'syncedAt'],
+    buildFilters: (query) => {
+      const conditions = {};
+      if (query.issueId) conditions.issueId = query.issueId;
+      if (query.event) conditions.event = query.event;
+      if (query.actor) conditions['actor.login'] = query.actor;
+      const range = buildDateRange(query);
+      if (range) conditions.createdAt = range;
+      return conditions;
+    },
+  },
+};
+
+class DataService {
+  /**
+   * Get the query configuration for an entity
+   * @param {string} entity - Entity key (commits, pulls, ...)
+   * @returns {Object} Entity configuration
+   */
+  getEntityConfig(entity) {
+    const entityConfig = ENTITIES[entity];
+    if (!entityConfig) {
+      throw new AppError(`Unknown entity: ${entity}`, 400);
+    }
+    return entityConfig;
+  }
+
+  /**
+   * List entities for an integration with filtering, sorting and pagination
+   * @param {string} entity - Entity key (commits, pulls, ...)
+   * @param {string} integrationId - Integration ObjectId
+   * @param {Object} query - Request query parameters
+   * @returns {Promise<Object>} Paginated response
+   */
+  async list(entity, integrationId, query = {}) {
+    const entityConfig = this.getEntityConfig(entity);
+
+    if (query.sort && !entityConfig.sortFields.includes(query.sort)) {
+      throw new AppError(
+        `Invalid sort field for ${entity}. Allowed: ${entityConfig.sortFields.join(', ')}`,
+        400
+      );
+    }
+
+    const { page, limit, sort } = parsePaginationParams(query, {
+      sort: entityConfig.defaultSort,
+    });
+
+    const conditions = {
+      ...entityConfig.buildFilters(query),
+      integrationId: new mongoose.Types.ObjectId(integrationId),
+    };
+
+    if (entityConfig.tombstones && !parseBoolean(query.includeDeleted)) {
+      conditions.removedFromSource = { $ne: true };
+    }
+
+    const { data, pagination } = await entityConfig.repository.findWithPagination(conditions, {
+      page,
+      limit,
+      sort,
+      projection: entityConfig.projection || {},
+    });
+
+    return buildPaginationResponse(data, pagination.total, page, limit);
+  }
+
+  /**
+   * Get a single entity that belongs to an integration
+   * @param {string} entity - Entity key (commits, pulls, ...)
+   * @param {string} integrationId - Integration ObjectId
+   * @param {string} id - Entity ObjectId
+   * @returns {Promise<Object>} Entity document
+   */
+  async getById(entity, integrationId, id) {
+    const entityConfig = this.getEntityConfig(entity);
+
+    const document = await entityConfig.repository.findOne({
+      _id: id,
+      integrationId: new mongoose.Types.ObjectId(integrationId),
+    });
+
+    if (!document) {
+      throw new NotFoundError(`${entityConfig.label} not found`);
+    }
+
+    return document;
+  }
+}
+
+module.exports = new DataService();
@@ -0,0 +1,141 @@
+const integrationRepository = require('../repositories/integration.repository');
+const githubConfig = require('../config/github.config');
+const GitHubApiService = require('./github-api.service');
+const { AppError } = require('../helpers/error.helper');
+
+// Scopes that include other scopes; a token granted `user` never lists `read:user`
+const IMPLIED_SCOPES = {
+  repo: ['repo:status', 'repo_deployment', 'public_repo', 'repo:invite', 'security_events'],
+  'admin:org': ['write:org'],
+  'write:org': ['read:org'],
+  user: ['read:user', 'user:email', 'user:follow'],
+  project: ['read:project'],
+  'admin:repo_hook': ['write:repo_hook'],
+  'write:repo_hook': ['read:repo_hook'],
+  'write:packages': ['read:packages'],
+};
+
+/**
+ * Compares what an integration's token was granted with what syncing needs:
+ * the OAuth scopes GitHub reports in X-OAuth-Scopes, and the organizations
+ * whose OAuth app access restrictions keep the app out. Reports are built on
+ * request, through the integration's rate-limited and cached GitHub client.
+ */
+class GitHubAccessService {
+  /**
+   * Split a scope list as GitHub sends it (comma separated) or as it is stored (space separated)
+   * @param {string|null} value - Scope list
+   * @returns {Array<string>} Scopes
+   */
+  parseScopes(value) {
+    return (value || '').split(/[\s,]+/).filter(Boolean);
+  }
+
+  /**
+   * Add the scopes implied by granted scopes
+   * @param {Array<string>} scopes - Granted scopes
+   * @returns {Set<string>} Granted and implied scopes
+   */
+  expandScopes(scopes) {
+    const expanded = new Set();
+    const queue = [...scopes];
+
+    while (queue.length) {
+      const scope = queue.shift();
+      if (expanded.has(scope)) continue;
+
+      expanded.add(scope);
+      queue.push(...(IMPLIED_SCOPES[scope] || []));
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Compare granted scopes with the scopes each sync feature needs
+   * @param {Array<string>} granted - Scopes reported by GitHub
+   * @returns {Object} { granted, required, missing, features }
+   */
+  diffScopes(granted) {
+    const available = this.expandScopes(granted);
+    const missingOf = (scopes) => scopes.filter(scope => !available.has(scope));
+
+    const features = Object.entries(githubConfig.scopeRequirements).map(([feature, requirement]) => {
+      const missing = missingOf(requirement.scopes);
+      return {
+        feature,
+        description: requirement.description,
+        required: requirement.scopes,
+        missing,
+        available: missing.length === 0,
+      };
+    });
+
+    return {
+      granted,
+      required: githubConfig.scope,
+      missing: missingOf(githubConfig.scope),
+      features,
+    };
+  }
+
+  /**
+   * Find the organizations the user belongs to that haven't approved the OAuth app
+   * @param {Object} integration - Integration document with authType 'oauth'
+   * @param {GitHubApiService} githubApi - Client of the integration
+   * @returns {Promise<Array>} { login, approvalUrl, policyUrl } per organization
+   */
+  async findRestrictedOrganizations(integration, githubApi) {
+    // Tokens without read:org can't list memberships; the scope report says so
+    const listing = await githubApi.listOrganizationMemberships();
+    if (!listing) return [];
+
+    // Members request approval on the app's authorization page, admins grant it in the org policy
+    const { webUrl } = integration.server;
+    const server = githubConfig.getServer(integration.server.host);
+    const approvalUrl = server?.clientID ? `${webUrl}/settings/connections/applications/${server.clientID}` : null;
+
+    const restricted = [];
+    for (const { organization } of listing.memberships) {
+      if (await githubApi.isRestrictedByOrganization(organization.login)) {
+        restricted.push({
+          login: organization.login,
+          approvalUrl,
+          policyUrl: `${webUrl}/organizations/${organization.login}/settings/oauth_application_policy`,
+        });
+      }
+    }
+
+    return restricted;
+  }
+
+  /**
+   * Report granted vs. required scopes and the organizations blocking the app.
+   * Granted scopes are recorded on the integration when they changed.
+   * @param {Object} integration - Integration document with a user token
+   * @returns {Promise<Object>} { scopes, restrictedOrganizations }
+   */
+  async getAccessReport(integration) {
+    if (integration.authType === 'app') {
+      throw new AppError('GitHub App installations have permissions instead of scopes', 400);
+    }
+
+    const githubApi = GitHubApiService.forIntegration(integration);
+
+    // Fine-grained tokens have permissions instead of scopes
+    const granted = await githubApi.getGrantedScopes();
+    if (granted && granted.join(' ') !== this.parseScopes(integration.scope).join(' ')) {
+      await integrationRepository.updateById(integration._id, { scope: granted.join(' ') });
+    }
+
+    return {
+      scopes: granted ? this.diffScopes(granted) : null,
+      // Access restrictions only apply to OAuth apps
+      restrictedOrganizations: integration.authType === 'oauth'
+        ? await this.findRestrictedOrganizations(integration, githubApi)
+        : [],
+    };
+  }
+}
+
+module.exports = new GitHubAccessService();
@@ -2,20 +2,97 @@ const { Octokit } = require('@octokit/rest');
 const { retryGitHubCall } = require('../utils/retry.util');
 const { parallelProcessSafe } = require('../utils/batch.util');
 const { safeConsoleError } = require('../utils/error-sanitizer.util');
+const githubCacheService = require('./github-cache.service');
+const rateLimitScheduler = require('./rate-limit-scheduler.service');
+const githubAppService = require('./github-app.service');
+const oauthTokenService = require('./oauth-token.service');
+const githubConfig = require('../config/github.config');
+
+// Organizations that haven't approved the OAuth app answer reads of their private data with 403 and this message
+const OAUTH_APP_RESTRICTION_MESSAGE = /OAuth App access restrictions/i;
 
 // Constants
 const MAX_COMMITS_PER_REPO = 1000;
 const MAX_PULLS_PER_REPO = 500;
 const MAX_ISSUES_PER_REPO = 500;
 const MAX_PAGES = 10;
+// ID listings for deletion sweeps store nothing, so they may page further than syncs
+const MAX_SWEEP_PAGES = 100;
+// Workflow runs one listing returns at most, and the narrowest creation window busy repositories are split into
+const MAX_WORKFLOW_RUNS = MAX_PAGES * 100;
+const MIN_WORKFLOW_RUN_WINDOW_MS = 60 * 1000;
+// Discussions per GraphQL page (comments and replies are fetched with their discussion)
+const DISCUSSIONS_PER_PAGE = 25;
+const DISCUSSION_COMMENTS_PER_PAGE = 50;
+const DISCUSSION_REPLIES_PER_COMMENT = 50;
+
+// Projects v2 per GraphQL page; items are fetched with their field values
+const PROJECTS_PER_PAGE = 20;
+const PROJECT_ITEMS_PER_PAGE = 50;
+const PROJECT_FIELDS_PER_PROJECT = 50;
+const PROJECT_FIELD_VALUES_PER_ITEM = 30;
+
+const PROJECT_FIELD_REF = `field { ... on ProjectV2FieldCommon { id name dataType } }`;
+
+const DISCUSSION_AUTHOR_FIELDS = `
+  author { login avatarUrl }
+`;
+
+const DISCUSSION_FIELDS = `
+  id
+  databaseId
+  number
+  title
+  body
+  url
+  locked
+  closed
+  closedAt
+  stateReason
+  upvoteCount
+  isAnswered
+  answerChosenAt
+  answerChosenBy { login avatarUrl }
+  answer { id }
+  category { id name slug emoji isAnswerable }
+  comments { totalCount }
+  createdAt
+  updatedAt
+  ${DISCUSSION_AUTHOR_FIELDS}
+`;
+
+const DISCUSSION_COMMENT_FIELDS = `
+  id
+  databaseId
+  body
+  url
+  upvoteCount
+  isAnswer
+  isMinimized
+  createdAt
+  updatedAt
+  ${DISCUSSION_AUTHOR_FIELDS}
+`;
 
 class GitHubApiService {
-  constructor(accessToken) {
+  /**
+   * @param {string|null} accessToken - User token (null when options.getToken supplies tokens)
+   * @param {Object} options - integrationId, cache, server (endpoints of the GitHub host; github.com
+   *   by default), and for rotating tokens getToken (resolves the token for each request),
+   *   refreshToken (replaces a token GitHub rejected) and identity (stable key for rate limit
+   *   buckets and the cache)
+   */
+  constructor(accessToken, options = {}) {
+    const server = options.server || githubConfig.endpointsFor(githubConfig.defaultHost);
+
+    // Organizations, repositories and users are matched per host
+    this.host = server.host;
+
     this.octokit = new Octokit({
       auth: accessToken,
       userAgent: 'GitHub-Integration-App v1.0',
       timeZone: 'UTC',
-      baseUrl: 'https://api.github.com',
+      baseUrl: server.apiUrl,
       retry: {
         enabled: true,
         retries: 3
@@ -33,6 +110,81 @@ class GitHubApiService {
         }
       }
     });
+
+    // Installation tokens rotate hourly, so long syncs resolve the token per request
+    if (options.getToken) {
+      this.octokit.hook.before('request', async (requestOptions) => {
+        requestOptions.headers.authorization = `token ${await options.getToken()}`;
+      });
+    }
+
+    // Retry a request once with a new token when GitHub rejects the token it was sent with
+    if (options.refreshToken) {
+      this.octokit.hook.wrap('request', async (request, requestOptions) => {
+        try {
+          return await request(requestOptions);
+        } catch (error) {
+          if (error.status !== 401) throw error;
+
+          const staleToken = (requestOptions.headers.authorization || '').replace(/^(token|bearer) /i, '');
+          await options.refreshToken(staleToken);
+
+          // getToken now resolves the new token
+          return await request(requestOptions);
+        }
+      });
+    }
+
+    // Octokit would derive the GraphQL endpoint from baseUrl; use the integration's own
+    this.octokit.graphql = this.octokit.graphql.defaults({ url: server.graphqlUrl });
+
+    const identity = options.identity || accessToken;
+
+    // Installation ID when authenticated as a GitHub App installation
+    this.installationId = options.installationId || null;
+
+    // Pace calls per token and pause before the rate limit runs out
+    this.rateLimitKey = rateLimitScheduler.attach(this.octokit, identity, options.integrationId || null);
+    this.graphqlRateLimitKey = rateLimitScheduler.resourceKey(this.rateLimitKey, 'graphql');
+
+    // Replay cached bodies on 304 Not Modified
+    if (options.cache !== false) {
+      githubCacheService.attach(this.octokit, identity);
+    }
+  }
+
+  /**
+   * Build a client for an integration: its user token, or installation
+   * tokens for GitHub App integrations
+   * @param {Object} integration - Integration document
+   * @returns {GitHubApiService} Client
+   */
+  static forIntegration(integration) {
+    const integrationId = integration._id.toString();
+
+    if (integration.authType === 'app') {
+      return new GitHubApiService(null, {
+        integrationId,
+        server: integration.server,
+        getToken: () => githubAppService.getInstallationToken(integration),
+        installationId: integration.installation.id,
+        // The rate limit belongs to the installation, not to any one of its tokens
+        identity: `installation:${integration.installation.id}`,
+      });
+    }
+
+    if (oauthTokenService.isRefreshable(integration)) {
+      return new GitHubApiService(null, {
+        integrationId,
+        server: integration.server,
+        getToken: () => oauthTokenService.getAccessToken(integration),
+        refreshToken: (staleToken) => oauthTokenService.refreshAccessToken(integration, staleToken),
+        // Expiring tokens are replaced every eight hours
+        identity: `integration:${integrationId}`,
+      });
+    }
+
+    return new GitHubApiService(integration.getDecryptedAccessToken(), { integrationId, server: integration.server });
   }
 
   // Get rate limit status
@@ -67,6 +219,71 @@ class GitHubApiService {
     }
   }
 
+  // Get the OAuth scopes granted to the token. Returns null for tokens
+  // without scopes, such as fine-grained personal access tokens.
+  async getGrantedScopes() {
+    try {
+      const response = await this.octokit.users.getAuthenticated();
+      const header = response.headers['x-oauth-scopes'];
+      if (header === undefined) return null;
+
+      return header.split(',').map(scope => scope.trim()).filter(Boolean);
+    } catch (error) {
+      throw new Error(`Failed to get granted scopes: ${error.message}`);
+    }
+  }
+
+  // List the user's active organization memberships, including organizations
+  // that restrict OAuth app access. Returns null when the token lacks read:org.
+  // `complete` is false when paging stopped at the page limit.
+  async listOrganizationMemberships() {
+    return retryGitHubCall(async () => {
+      try {
+        const memberships = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.orgs.listMembershipsForAuthenticatedUser({
+            state: 'active',
+            per_page: 100,
+            page
+          });
+
+          memberships.push(...response.data);
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return { memberships, complete: !hasMore };
+      } catch (error) {
+        if (error.status === 403 && !error.resumeAt) return null;
+
+        safeConsoleError('Failed to get organization memberships:', error);
+        throw new Error(`Failed to get organization memberships: ${error.message}`);
+      }
+    });
+  }
+
+  // Check whether an organization's OAuth app access restrictions keep the token out
+  async isRestrictedByOrganization(org) {
+    try {
+      await this.octokit.teams.list({ org, per_page: 1 });
+      return false;
+    } catch (error) {
+      if (error.status === 403 && OAUTH_APP_RESTRICTION_MESSAGE.test(error.response?.data?.message || '')) {
+        return true;
+      }
+      // Other refusals (e.g. no read:org) aren't an access restriction
+      if ((error.status === 403 && !error.resumeAt) || error.status === 404) return false;
+
+      throw new Error(`Failed to check access to organization ${org}: ${error.message}`);
+    }
+  }
+
   // Get organization details
   async getOrganization(org) {
     try {
@@ -106,6 +323,10 @@ class GitHubApiService {
 
   // Get organization repositories
   async getOrgRepositories(org) {
+    if (this.installationId) {
+      return await this.getInstallationRepositories(org);
+    }
+
     try {
       const repos = [];
       let page = 1;
@@ -130,6 +351,31 @@ class GitHubApiService {
     }
   }
 
+  // Get the repositories an app installation was granted, limited to one owner
+  // (installations on personal accounts can't list through the org endpoint)
+  async getInstallationRepositories(owner) {
+    try {
+      const repos = [];
+      let page = 1;
+      let hasMore = true;
+
+      while (hasMore) {
+        const response = await this.octokit.apps.listReposAccessibleToInstallation({
+          per_page: 100,
+          page
+        });
+
+        repos.push(...response.data.repositories);
+        hasMore = response.data.repositories.length === 100;
+        page++;
+      }
+
+      return repos.filter(repo => repo.owner.login.toLowerCase() === owner.toLowerCase());
+    } catch (error) {
+      throw new Error(`Failed to get installation repositories: ${error.message}`);
+    }
+  }
+
   // Get commits for a repository
   async getCommits(owner, repo, since = null, until = null) {
     return retryGitHubCall(async () => {
@@ -184,11 +430,21 @@ class GitHubApiService {
     }
   }
 
-  // Get pull requests
-  async getPullRequests(owner, repo, state = 'all') {
+  // Get pull requests, most recently updated first.
+  // The pulls endpoint has no `since` filter, so paging stops at the first
+  // pull request last updated before `since`.
+  async getPullRequests(owner, repo, state = 'all', since = null) {
+    const { pulls } = await this.listPullRequests(owner, repo, state, since);
+    return pulls;
+  }
+
+  // List pull requests like getPullRequests; `complete` is false when paging
+  // stopped at the per-repository limit before reaching `since` or the last page
+  async listPullRequests(owner, repo, state = 'all', since = null) {
     return retryGitHubCall(async () => {
       try {
         const pulls = [];
+        const sinceTime = since ? new Date(since).getTime() : null;
         let page = 1;
         let hasMore = true;
 
@@ -203,7 +459,17 @@ class GitHubApiService {
             direction: 'desc'
           });
 
-          pulls.push(...response.data);
+          if (sinceTime) {
+            const updated = response.data.filter(pull => new Date(pull.updated_at).getTime() >= sinceTime);
+            pulls.push(...updated);
+            if (updated.length < response.data.length) {
+              hasMore = false;
+              break;
+            }
+          } else {
+            pulls.push(...response.data);
+          }
+
           hasMore = response.data.length === 100;
           page++;
 
@@ -211,7 +477,7 @@ class GitHubApiService {
           if (page > MAX_PAGES) break;
         }
 
-        return pulls;
+        return { pulls, complete: !hasMore };
       } catch (error) {
         safeConsoleError(`Failed to get pull requests for ${owner}/${repo}:`, error);
         throw new Error(`Failed to get pull requests: ${error.message}`);
@@ -219,43 +485,63 @@ class GitHubApiService {
     });
   }
 
-  // Get pull request details
-  async getPullRequest(owner, repo, pullNumber) {
+  // List the IDs of every object a REST listing returns, for deletion sweeps.
+  // `complete` is false when paging stopped at the sweep page limit.
+  async listIds(list, params, keep = () => true) {
+    return retryGitHubCall(async () => {
+      const ids = [];
+      let page = 1;
+      let hasMore = true;
+
+      while (hasMore) {
+        const response = await list({ ...params, per_page: 100, page });
+
+        ids.push(...response.data.filter(keep).map(item => item.id));
+        hasMore = response.data.length === 100;
+        page++;
+
+        // Limit to prevent excessive API calls
+        if (page > MAX_SWEEP_PAGES) break;
+      }
+
+      return { ids, complete: !hasMore };
+    });
+  }
+
+  // List the IDs of all pull requests of a repository
+  async listPullRequestIds(owner, repo) {
     try {
-      const response = await this.octokit.pulls.get({
-        owner,
-        repo,
-        pull_number: pullNumber
-      });
-      return response.data;
+      return await this.listIds(this.octokit.pulls.list, { owner, repo, state: 'all' });
     } catch (error) {
-      throw new Error(`Failed to get pull request: ${error.message}`);
+      throw new Error(`Failed to list pull request IDs: ${error.message}`);
     }
   }
 
-  // Get issues
-  async getIssues(owner, repo, state = 'all') {
+  // Get the reviews of a pull request, oldest first
+  async getPullReviews(owner, repo, pullNumber) {
+    const { reviews } = await this.listPullReviews(owner, repo, pullNumber);
+    return reviews;
+  }
+
+  // List the reviews of a pull request like getPullReviews; `complete` is
+  // false when paging stopped at the page limit
+  async listPullReviews(owner, repo, pullNumber) {
     return retryGitHubCall(async () => {
       try {
-        const issues = [];
+        const reviews = [];
         let page = 1;
         let hasMore = true;
 
-        while (hasMore && issues.length < MAX_ISSUES_PER_REPO) {
-          const response = await this.octokit.issues.listForRepo({
+        while (hasMore) {
+          const response = await this.octokit.pulls.listReviews({
             owner,
             repo,
-            state,
+            pull_number: pullNumber,
             per_page: 100,
-            page,
-            sort: 'updated',
-            direction: 'desc'
+            page
           });
 
-          // Filter out pull requests (GitHub API returns PRs as issues)
-          const filteredIssues = response.data.filter(issue => !issue.pull_request);
-          issues.push(...filteredIssues);
-
+          reviews.push(...response.data);
           hasMore = response.data.length === 100;
           page++;
 
@@ -263,122 +549,1342 @@ class GitHubApiService {
           if (page > MAX_PAGES) break;
         }
 
-        return issues;
+        return { reviews, complete: !hasMore };
       } catch (error) {
-        safeConsoleError(`Failed to get issues for ${owner}/${repo}:`, error);
-        throw new Error(`Failed to get issues: ${error.message}`);
+        safeConsoleError(`Failed to get reviews for ${owner}/${repo}#${pullNumber}:`, error);
+        throw new Error(`Failed to get pull request reviews: ${error.message}`);
       }
     });
   }
 
-  // Get issue details
-  async getIssue(owner, repo, issueNumber) {
-    try {
-      const response = await this.octokit.issues.get({
-        owner,
-        repo,
-        issue_number: issueNumber
-      });
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to get issue: ${error.message}`);
-    }
+  // Get the review (diff) comments of a pull request
+  async getPullReviewComments(owner, repo, pullNumber) {
+    const { comments } = await this.listPullReviewComments(owner, repo, pullNumber);
+    return comments;
   }
 
-  // Get issue timeline/events
-  async getIssueTimeline(owner, repo, issueNumber) {
+  // List the review comments of a pull request like getPullReviewComments;
+  // `complete` is false when paging stopped at the page limit
+  async listPullReviewComments(owner, repo, pullNumber) {
     return retryGitHubCall(async () => {
       try {
-        const events = [];
+        const comments = [];
         let page = 1;
         let hasMore = true;
 
         while (hasMore) {
-          const response = await this.octokit.issues.listEventsForTimeline({
+          const response = await this.octokit.pulls.listReviewComments({
             owner,
             repo,
-            issue_number: issueNumber,
+            pull_number: pullNumber,
             per_page: 100,
             page
           });
 
-          events.push(...response.data);
+          comments.push(...response.data);
           hasMore = response.data.length === 100;
           page++;
 
           // Limit to prevent excessive API calls
-          if (page > 3) break;
+          if (page > MAX_PAGES) break;
         }
 
-        return events;
+        return { comments, complete: !hasMore };
       } catch (error) {
-        safeConsoleError(`Failed to get issue timeline for ${owner}/${repo}#${issueNumber}:`, error);
-        throw new Error(`Failed to get issue timeline: ${error.message}`);
+        safeConsoleError(`Failed to get review comments for ${owner}/${repo}#${pullNumber}:`, error);
+        throw new Error(`Failed to get pull request review comments: ${error.message}`);
       }
     });
   }
 
-  /**
-   * Batch fetch users with concurrency control
-   * @param {Array<string>} usernames - Array of usernames to fetch
-   * @returns {Promise<Object>} Results and errors
-   */
-  async batchGetUsers(usernames) {
-    return parallelProcessSafe(usernames, async (username) => {
-      return await this.getUser(username);
-    });
-  }
+  // List pull requests updated at or after `since`, least recently updated
+  // first, so a capped listing can be continued from `updatedThrough`. The
+  // pulls endpoint can't filter by `since`, so pull requests are found through
+  // the issues endpoint (which lists them too) and then read one by one.
+  // `complete` is false when paging stopped at a limit.
+  async listPullRequestsSince(owner, repo, since = null) {
+    return retryGitHubCall(async () => {
+      try {
+        const pulls = [];
+        let updatedThrough = null;
+        let page = 1;
+        let hasMore = true;
 
-  /**
-   * Batch fetch commits with details
-   * @param {string} owner - Repository owner
-   * @param {string} repo - Repository name
-   * @param {Array<string>} shas - Array of commit SHAs
-   * @returns {Promise<Object>} Results and errors
-   */
-  async batchGetCommitDetails(owner, repo, shas) {
-    return parallelProcessSafe(shas, async (sha) => {
-      return await this.getCommit(owner, repo, sha);
-    });
-  }
+        const params = {
+          owner,
+          repo,
+          state: 'all',
+          per_page: 100,
+          sort: 'updated',
+          direction: 'asc'
+        };
 
-  // Get organization members
-  async getOrganizationMembers(org) {
-    try {
-      const members = [];
-      let page = 1;
-      let hasMore = true;
+        if (since) params.since = new Date(since).toISOString();
 
-      while (hasMore) {
-        const response = await this.octokit.orgs.listMembers({
-          org,
-          per_page: 100,
-          page
-        });
+        while (hasMore && pulls.length < MAX_PULLS_PER_REPO) {
+          const response = await this.octokit.issues.listForRepo({
+            ...params,
+            page
+          });
 
-        members.push(...response.data);
-        hasMore = response.data.length === 100;
-        page++;
-      }
+          for (const issue of response.data.filter(item => item.pull_request)) {
+            const { data: pull } = await this.octokit.pulls.get({ owner, repo, pull_number: issue.number });
+            pulls.push(pull);
+          }
 
-      return members;
-    } catch (error) {
-      throw new Error(`Failed to get organization members: ${error.message}`);
-    }
+          // Everything listed up to here has been read
+          if (response.data.length) {
+            updatedThrough = response.data[response.data.length - 1].updated_at;
+          }
+
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return { pulls, complete: !hasMore, updatedThrough };
+      } catch (error) {
+        safeConsoleError(`Failed to get pull requests for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to get pull requests: ${error.message}`);
+      }
+    });
   }
 
-  // Get user details
-  async getUser(username) {
+  // Get pull request details
+  async getPullRequest(owner, repo, pullNumber) {
     try {
-      const response = await this.octokit.users.getByUsername({
-        username
+      const response = await this.octokit.pulls.get({
+        owner,
+        repo,
+        pull_number: pullNumber
       });
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to get user: ${error.message}`);
+      throw new Error(`Failed to get pull request: ${error.message}`);
     }
   }
 
+  // Get issues, optionally only those updated at or after `since`
+  async getIssues(owner, repo, state = 'all', since = null) {
+    const { issues } = await this.listIssues(owner, repo, state, since);
+    return issues;
+  }
+
+  // List issues like getIssues, least recently updated first so a capped
+  // listing can be continued from its newest timestamp. `complete` is false
+  // when paging stopped at the per-repository limit before the last page.
+  async listIssues(owner, repo, state = 'all', since = null) {
+    return retryGitHubCall(async () => {
+      try {
+        const issues = [];
+        let page = 1;
+        let hasMore = true;
+
+        const params = {
+          owner,
+          repo,
+          state,
+          per_page: 100,
+          sort: 'updated',
+          direction: 'asc'
+        };
+
+        if (since) params.since = new Date(since).toISOString();
+
+        while (hasMore && issues.length < MAX_ISSUES_PER_REPO) {
+          const response = await this.octokit.issues.listForRepo({
+            ...params,
+            page
+          });
+
+          // Filter out pull requests (GitHub API returns PRs as issues)
+          const filteredIssues = response.data.filter(issue => !issue.pull_request);
+          issues.push(...filteredIssues);
+
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return { issues, complete: !hasMore };
+      } catch (error) {
+        safeConsoleError(`Failed to get issues for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to get issues: ${error.message}`);
+      }
+    });
+  }
+
+  // List the IDs of all issues of a repository, without pull requests
+  async listIssueIds(owner, repo) {
+    try {
+      return await this.listIds(
+        this.octokit.issues.listForRepo,
+        { owner, repo, state: 'all' },
+        issue => !issue.pull_request
+      );
+    } catch (error) {
+      throw new Error(`Failed to list issue IDs: ${error.message}`);
+    }
+  }
+
+  // List the IDs of all issue and pull request comments of a repository
+  async listIssueCommentIds(owner, repo) {
+    try {
+      return await this.listIds(this.octokit.issues.listCommentsForRepo, { owner, repo });
+    } catch (error) {
+      throw new Error(`Failed to list issue comment IDs: ${error.message}`);
+    }
+  }
+
+  // List issue and pull request comments of a repository, least recently
+  // updated first so a capped listing can be continued from its newest
+  // timestamp. `complete` is false when paging stopped at the page limit.
+  async listIssueComments(owner, repo, since = null) {
+    return retryGitHubCall(async () => {
+      try {
+        const comments = [];
+        let page = 1;
+        let hasMore = true;
+
+        const params = {
+          owner,
+          repo,
+          per_page: 100,
+          sort: 'updated',
+          direction: 'asc'
+        };
+
+        if (since) params.since = new Date(since).toISOString();
+
+        while (hasMore) {
+          const response = await this.octokit.issues.listCommentsForRepo({
+            ...params,
+            page
+          });
+
+          comments.push(...response.data);
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return { comments, complete: !hasMore };
+      } catch (error) {
+        safeConsoleError(`Failed to get issue comments for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to get issue comments: ${error.message}`);
+      }
+    });
+  }
+
+  // Get issue details
+  async getIssue(owner, repo, issueNumber) {
+    try {
+      const response = await this.octokit.issues.get({
+        owner,
+        repo,
+        issue_number: issueNumber
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to get issue: ${error.message}`);
+    }
+  }
+
+  // Get issue timeline/events
+  async getIssueTimeline(owner, repo, issueNumber) {
+    return retryGitHubCall(async () => {
+      try {
+        const events = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.issues.listEventsForTimeline({
+            owner,
+            repo,
+            issue_number: issueNumber,
+            per_page: 100,
+            page
+          });
+
+          events.push(...response.data);
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > 3) break;
+        }
+
+        return events;
+      } catch (error) {
+        safeConsoleError(`Failed to get issue timeline for ${owner}/${repo}#${issueNumber}:`, error);
+        throw new Error(`Failed to get issue timeline: ${error.message}`);
+      }
+    });
+  }
+
+  // Get the GitHub Actions workflows of a repository
+  async getWorkflows(owner, repo) {
+    return retryGitHubCall(async () => {
+      try {
+        const workflows = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.actions.listRepoWorkflows({
+            owner,
+            repo,
+            per_page: 100,
+            page
+          });
+
+          workflows.push(...response.data.workflows);
+          hasMore = response.data.workflows.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return workflows;
+      } catch (error) {
+        safeConsoleError(`Failed to get workflows for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to get workflows: ${error.message}`);
+      }
+    });
+  }
+
+  // List workflow runs created at or after `since`. Runs are only listed
+  // newest first, so when more were created since then than one listing
+  // holds, the window is narrowed to its oldest part and `createdThrough`
+  // tells how far the runs were listed. `complete` is false when paging
+  // still stopped at the page limit.
+  async getWorkflowRuns(owner, repo, since = null) {
+    if (!since) {
+      const { runs, complete } = await this.listWorkflowRuns(owner, repo);
+      return { runs, complete, createdThrough: null };
+    }
+
+    const from = new Date(since).getTime();
+    let until = Date.now();
+    let narrowed = false;
+
+    while (
+      until - from > MIN_WORKFLOW_RUN_WINDOW_MS &&
+      await this.countWorkflowRuns(owner, repo, from, until) > MAX_WORKFLOW_RUNS
+    ) {
+      until = from + Math.floor((until - from) / 2);
+      narrowed = true;
+    }
+
+    const { runs, complete } = await this.listWorkflowRuns(owner, repo, from, narrowed ? until : null);
+
+    return { runs, complete, createdThrough: narrowed ? new Date(until) : null };
+  }
+
+  // Creation filter of the workflow runs endpoint
+  workflowRunCreatedFilter(from, until) {
+    const fromIso = new Date(from).toISOString();
+    return until ? `${fromIso}..${new Date(until).toISOString()}` : `>=${fromIso}`;
+  }
+
+  // Count the workflow runs created in a window
+  async countWorkflowRuns(owner, repo, from, until) {
+    return retryGitHubCall(async () => {
+      try {
+        const response = await this.octokit.actions.listWorkflowRunsForRepo({
+          owner,
+          repo,
+          created: this.workflowRunCreatedFilter(from, until),
+          per_page: 1
+        });
+
+        return response.data.total_count;
+      } catch (error) {
+        safeConsoleError(`Failed to count workflow runs for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to count workflow runs: ${error.message}`);
+      }
+    });
+  }
+
+  // List workflow runs, newest first, optionally only those created in a
+  // window. `complete` is false when paging stopped at the page limit.
+  async listWorkflowRuns(owner, repo, from = null, until = null) {
+    return retryGitHubCall(async () => {
+      try {
+        const runs = [];
+        let page = 1;
+        let hasMore = true;
+
+        const params = {
+          owner,
+          repo,
+          per_page: 100
+        };
+
+        if (from) params.created = this.workflowRunCreatedFilter(from, until);
+
+        while (hasMore) {
+          const response = await this.octokit.actions.listWorkflowRunsForRepo({
+            ...params,
+            page
+          });
+
+          runs.push(...response.data.workflow_runs);
+          hasMore = response.data.workflow_runs.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return { runs, complete: !hasMore };
+      } catch (error) {
+        safeConsoleError(`Failed to get workflow runs for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to get workflow runs: ${error.message}`);
+      }
+    });
+  }
+
+  // Get workflow run details
+  async getWorkflowRun(owner, repo, runId) {
+    try {
+      const response = await this.octokit.actions.getWorkflowRun({
+        owner,
+        repo,
+        run_id: runId
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to get workflow run: ${error.message}`);
+    }
+  }
+
+  // Get the jobs of every attempt of a workflow run
+  async getWorkflowRunJobs(owner, repo, runId) {
+    return retryGitHubCall(async () => {
+      try {
+        const jobs = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.actions.listJobsForWorkflowRun({
+            owner,
+            repo,
+            run_id: runId,
+            filter: 'all',
+            per_page: 100,
+            page
+          });
+
+          jobs.push(...response.data.jobs);
+          hasMore = response.data.jobs.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return jobs;
+      } catch (error) {
+        safeConsoleError(`Failed to get jobs for workflow run ${owner}/${repo}#${runId}:`, error);
+        throw new Error(`Failed to get workflow run jobs: ${error.message}`);
+      }
+    });
+  }
+
+  // Get the check runs reported for a commit SHA, branch or tag
+  async getCheckRuns(owner, repo, ref) {
+    return retryGitHubCall(async () => {
+      try {
+        const checkRuns = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.checks.listForRef({
+            owner,
+            repo,
+            ref,
+            filter: 'all',
+            per_page: 100,
+            page
+          });
+
+          checkRuns.push(...response.data.check_runs);
+          hasMore = response.data.check_runs.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > 3) break;
+        }
+
+        return checkRuns;
+      } catch (error) {
+        safeConsoleError(`Failed to get check runs for ${owner}/${repo}@${ref}:`, error);
+        throw new Error(`Failed to get check runs: ${error.message}`);
+      }
+    });
+  }
+
+  // List the branches of a repository. `complete` is false when paging stopped at the page limit.
+  async listBranches(owner, repo) {
+    return retryGitHubCall(async () => {
+      try {
+        const branches = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.repos.listBranches({
+            owner,
+            repo,
+            per_page: 100,
+            page
+          });
+
+          branches.push(...response.data);
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return { branches, complete: !hasMore };
+      } catch (error) {
+        safeConsoleError(`Failed to get branches for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to get branches: ${error.message}`);
+      }
+    });
+  }
+
+  // Get the protection rules of a branch, or null when the branch isn't
+  // protected or the token may not read its rules (GitHub answers 404 for both)
+  async getBranchProtection(owner, repo, branch) {
+    try {
+      const response = await this.octokit.repos.getBranchProtection({
+        owner,
+        repo,
+        branch
+      });
+      return response.data;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw new Error(`Failed to get branch protection: ${error.message}`);
+    }
+  }
+
+  // List the tags of a repository. `complete` is false when paging stopped at the page limit.
+  async listTags(owner, repo) {
+    return retryGitHubCall(async () => {
+      try {
+        const tags = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.repos.listTags({
+            owner,
+            repo,
+            per_page: 100,
+            page
+          });
+
+          tags.push(...response.data);
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return { tags, complete: !hasMore };
+      } catch (error) {
+        safeConsoleError(`Failed to get tags for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to get tags: ${error.message}`);
+      }
+    });
+  }
+
+  // List the releases of a repository with their assets, newest first.
+  // `complete` is false when paging stopped at the page limit.
+  async listReleases(owner, repo) {
+    return retryGitHubCall(async () => {
+      try {
+        const releases = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.repos.listReleases({
+            owner,
+            repo,
+            per_page: 100,
+            page
+          });
+
+          releases.push(...response.data);
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return { releases, complete: !hasMore };
+      } catch (error) {
+        safeConsoleError(`Failed to get releases for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to get releases: ${error.message}`);
+      }
+    });
+  }
+
+  // List the labels of a repository.
+  // `complete` is false when paging stopped at the page limit.
+  async listLabels(owner, repo) {
+    return retryGitHubCall(async () => {
+      try {
+        const labels = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.issues.listLabelsForRepo({
+            owner,
+            repo,
+            per_page: 100,
+            page
+          });
+
+          labels.push(...response.data);
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return { labels, complete: !hasMore };
+      } catch (error) {
+        safeConsoleError(`Failed to get labels for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to get labels: ${error.message}`);
+      }
+    });
+  }
+
+  // List the open and closed milestones of a repository.
+  // `complete` is false when paging stopped at the page limit.
+  async listMilestones(owner, repo) {
+    return retryGitHubCall(async () => {
+      try {
+        const milestones = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.issues.listMilestones({
+            owner,
+            repo,
+            state: 'all',
+            per_page: 100,
+            page
+          });
+
+          milestones.push(...response.data);
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return { milestones, complete: !hasMore };
+      } catch (error) {
+        safeConsoleError(`Failed to get milestones for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to get milestones: ${error.message}`);
+      }
+    });
+  }
+
+  // Get the deployment environments of a repository (empty when the plan has none)
+  async getEnvironments(owner, repo) {
+    return retryGitHubCall(async () => {
+      try {
+        const environments = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.repos.getAllEnvironments({
+            owner,
+            repo,
+            per_page: 100,
+            page
+          });
+
+          const items = response.data.environments || [];
+          environments.push(...items);
+          hasMore = items.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return environments;
+      } catch (error) {
+        if (error.status === 404) return [];
+
+        safeConsoleError(`Failed to get environments for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to get environments: ${error.message}`);
+      }
+    });
+  }
+
+  // List deployments, newest first. The deployments endpoint has no `since`
+  // filter, so paging stops at the first deployment created before `since`.
+  // `complete` is false when paging stopped at the page limit before that.
+  async listDeployments(owner, repo, since = null) {
+    return retryGitHubCall(async () => {
+      try {
+        const deployments = [];
+        const sinceTime = since ? new Date(since).getTime() : null;
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.repos.listDeployments({
+            owner,
+            repo,
+            per_page: 100,
+            page
+          });
+
+          if (sinceTime) {
+            const created = response.data.filter(deployment => new Date(deployment.created_at).getTime() >= sinceTime);
+            deployments.push(...created);
+            if (created.length < response.data.length) {
+              hasMore = false;
+              break;
+            }
+          } else {
+            deployments.push(...response.data);
+          }
+
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return { deployments, complete: !hasMore };
+      } catch (error) {
+        safeConsoleError(`Failed to get deployments for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to get deployments: ${error.message}`);
+      }
+    });
+  }
+
+  // Get deployment details
+  async getDeployment(owner, repo, deploymentId) {
+    try {
+      const response = await this.octokit.repos.getDeployment({
+        owner,
+        repo,
+        deployment_id: deploymentId
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to get deployment: ${error.message}`);
+    }
+  }
+
+  // Get the statuses of a deployment, newest first
+  async getDeploymentStatuses(owner, repo, deploymentId) {
+    return retryGitHubCall(async () => {
+      try {
+        const statuses = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.repos.listDeploymentStatuses({
+            owner,
+            repo,
+            deployment_id: deploymentId,
+            per_page: 100,
+            page
+          });
+
+          statuses.push(...response.data);
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > 3) break;
+        }
+
+        return statuses;
+      } catch (error) {
+        safeConsoleError(`Failed to get statuses of deployment ${owner}/${repo}#${deploymentId}:`, error);
+        throw new Error(`Failed to get deployment statuses: ${error.message}`);
+      }
+    });
+  }
+
+  // Run a GraphQL query. Calls go through the same request pipeline as REST
+  // calls, so they are paced against the token's GraphQL points budget.
+  async graphql(query, variables = {}) {
+    return retryGitHubCall(async () => {
+      try {
+        return await this.octokit.graphql(query, variables);
+      } catch (error) {
+        safeConsoleError('GitHub GraphQL query failed:', error);
+        throw error;
+      }
+    });
+  }
+
+  // List discussions, most recently updated first. GraphQL has no `since`
+  // filter, so paging stops at the first discussion updated before `since`.
+  // `complete` is false when paging stopped at the page limit.
+  async listDiscussions(owner, repo, since = null) {
+    const query = `
+      query ($owner: String!, $repo: String!, $first: Int!, $after: String) {
+        repository(owner: $owner, name: $repo) {
+          discussions(first: $first, after: $after, orderBy: { field: UPDATED_AT, direction: DESC }) {
+            pageInfo { hasNextPage endCursor }
+            nodes { ${DISCUSSION_FIELDS} }
+          }
+        }
+      }
+    `;
+
+    try {
+      const discussions = [];
+      const sinceTime = since ? new Date(since).getTime() : null;
+      let after = null;
+      let hasMore = true;
+      let page = 1;
+
+      while (hasMore) {
+        const data = await this.graphql(query, { owner, repo, first: DISCUSSIONS_PER_PAGE, after });
+        const connection = data.repository?.discussions;
+        if (!connection) break;
+
+        const updated = sinceTime
+          ? connection.nodes.filter(discussion => new Date(discussion.updatedAt).getTime() >= sinceTime)
+          : connection.nodes;
+        discussions.push(...updated);
+
+        if (updated.length < connection.nodes.length) {
+          return { discussions, complete: true };
+        }
+
+        hasMore = connection.pageInfo.hasNextPage;
+        after = connection.pageInfo.endCursor;
+        page++;
+
+        // Limit to prevent excessive API calls
+        if (page > MAX_PAGES) break;
+      }
+
+      return { discussions, complete: !hasMore };
+    } catch (error) {
+      throw new Error(`Failed to get discussions: ${error.message}`);
+    }
+  }
+
+  // List the database IDs of all discussions of a repository, for deletion sweeps.
+  // `complete` is false when paging stopped at the sweep page limit.
+  async listDiscussionIds(owner, repo) {
+    const query = `
+      query ($owner: String!, $repo: String!, $after: String) {
+        repository(owner: $owner, name: $repo) {
+          discussions(first: 100, after: $after) {
+            pageInfo { hasNextPage endCursor }
+            nodes { databaseId }
+          }
+        }
+      }
+    `;
+
+    try {
+      const ids = [];
+      let after = null;
+      let hasMore = true;
+      let page = 1;
+
+      while (hasMore) {
+        const data = await this.graphql(query, { owner, repo, after });
+        const connection = data.repository?.discussions;
+        if (!connection) break;
+
+        ids.push(...connection.nodes.map(discussion => discussion.databaseId));
+        hasMore = connection.pageInfo.hasNextPage;
+        after = connection.pageInfo.endCursor;
+        page++;
+
+        // Limit to prevent excessive API calls
+        if (page > MAX_SWEEP_PAGES) break;
+      }
+
+      return { ids, complete: !hasMore };
+    } catch (error) {
+      throw new Error(`Failed to list discussion IDs: ${error.message}`);
+    }
+  }
+
+  // Get the comments of a discussion with their replies.
+  // `complete` is false when paging stopped at the page limit.
+  async getDiscussionComments(discussionNodeId) {
+    const query = `
+      query ($id: ID!, $first: Int!, $after: String, $replies: Int!) {
+        node(id: $id) {
+          ... on Discussion {
+            comments(first: $first, after: $after) {
+              pageInfo { hasNextPage endCursor }
+              nodes {
+                ${DISCUSSION_COMMENT_FIELDS}
+                replies(first: $replies) {
+                  totalCount
+                  nodes { ${DISCUSSION_COMMENT_FIELDS} }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    try {
+      const comments = [];
+      let after = null;
+      let hasMore = true;
+      let page = 1;
+
+      while (hasMore) {
+        const data = await this.graphql(query, {
+          id: discussionNodeId,
+          first: DISCUSSION_COMMENTS_PER_PAGE,
+          after,
+          replies: DISCUSSION_REPLIES_PER_COMMENT
+        });
+        const connection = data.node?.comments;
+        if (!connection) break;
+
+        comments.push(...connection.nodes);
+        hasMore = connection.pageInfo.hasNextPage;
+        after = connection.pageInfo.endCursor;
+        page++;
+
+        // Limit to prevent excessive API calls
+        if (page > MAX_PAGES) break;
+      }
+
+      return { comments, complete: !hasMore };
+    } catch (error) {
+      throw new Error(`Failed to get discussion comments: ${error.message}`);
+    }
+  }
+
+  // List the Projects v2 of an organization or user with their fields. Returns
+  // null when the token lacks the read:project scope.
+  // `complete` is false when paging stopped at the page limit.
+  async listProjects(login) {
+    const query = `
+      query ($login: String!, $first: Int!, $after: String, $fields: Int!) {
+        repositoryOwner(login: $login) {
+          ... on ProjectV2Owner {
+            projectsV2(first: $first, after: $after) {
+              pageInfo { hasNextPage endCursor }
+              nodes {
+                id
+                databaseId
+                number
+                title
+                shortDescription
+                url
+                public
+                closed
+                closedAt
+                createdAt
+                updatedAt
+                creator { login avatarUrl }
+                items { totalCount }
+                fields(first: $fields) {
+                  nodes {
+                    ... on ProjectV2FieldCommon { id name dataType }
+                    ... on ProjectV2SingleSelectField { options { id name color } }
+                    ... on ProjectV2IterationField {
+                      configuration {
+                        iterations { id title startDate duration }
+                        completedIterations { id title startDate duration }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    try {
+      const projects = [];
+      let after = null;
+      let hasMore = true;
+      let page = 1;
+
+      while (hasMore) {
+        const data = await this.graphql(query, { login, first: PROJECTS_PER_PAGE, after, fields: PROJECT_FIELDS_PER_PROJECT });
+        const connection = data.repositoryOwner?.projectsV2;
+        if (!connection) break;
+
+        projects.push(...connection.nodes);
+        hasMore = connection.pageInfo.hasNextPage;
+        after = connection.pageInfo.endCursor;
+        page++;
+
+        // Limit to prevent excessive API calls
+        if (page > MAX_PAGES) break;
+      }
+
+      return { projects, complete: !hasMore };
+    } catch (error) {
+      if (error.errors?.some(item => item.type === 'INSUFFICIENT_SCOPES')) return null;
+
+      throw new Error(`Failed to get projects: ${error.message}`);
+    }
+  }
+
+  // Get the items of a project with their content and field values.
+  // `complete` is false when paging stopped at the page limit.
+  async getProjectItems(projectNodeId) {
+    const query = `
+      query ($id: ID!, $first: Int!, $after: String, $values: Int!) {
+        node(id: $id) {
+          ... on ProjectV2 {
+            items(first: $first, after: $after) {
+              pageInfo { hasNextPage endCursor }
+              nodes {
+                id
+                type
+                isArchived
+                createdAt
+                updatedAt
+                content {
+                  ... on Issue { id number title repository { nameWithOwner } }
+                  ... on PullRequest { id number title repository { nameWithOwner } }
+                  ... on DraftIssue { id title }
+                }
+                fieldValues(first: $values) {
+                  nodes {
+                    ... on ProjectV2ItemFieldTextValue { text ${PROJECT_FIELD_REF} }
+                    ... on ProjectV2ItemFieldNumberValue { number ${PROJECT_FIELD_REF} }
+                    ... on ProjectV2ItemFieldDateValue { date ${PROJECT_FIELD_REF} }
+                    ... on ProjectV2ItemFieldSingleSelectValue { name optionId ${PROJECT_FIELD_REF} }
+                    ... on ProjectV2ItemFieldIterationValue { title iterationId startDate duration ${PROJECT_FIELD_REF} }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    try {
+      const items = [];
+      let after = null;
+      let hasMore = true;
+      let page = 1;
+
+      while (hasMore) {
+        const data = await this.graphql(query, {
+          id: projectNodeId,
+          first: PROJECT_ITEMS_PER_PAGE,
+          after,
+          values: PROJECT_FIELD_VALUES_PER_ITEM
+        });
+        const connection = data.node?.items;
+        if (!connection) break;
+
+        items.push(...connection.nodes);
+        hasMore = connection.pageInfo.hasNextPage;
+        after = connection.pageInfo.endCursor;
+        page++;
+
+        // Limit to prevent excessive API calls
+        if (page > MAX_PAGES) break;
+      }
+
+      return { items, complete: !hasMore };
+    } catch (error) {
+      throw new Error(`Failed to get project items: ${error.message}`);
+    }
+  }
+
+  /**
+   * Batch fetch users with concurrency control
+   * @param {Array<string>} usernames - Array of usernames to fetch
+   * @returns {Promise<Object>} Results and errors
+   */
+  async batchGetUsers(usernames) {
+    return parallelProcessSafe(usernames, async (username) => {
+      return await this.getUser(username);
+    });
+  }
+
+  /**
+   * Batch fetch commits with details
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array<string>} shas - Array of commit SHAs
+   * @returns {Promise<Object>} Results and errors
+   */
+  async batchGetCommitDetails(owner, repo, shas) {
+    return parallelProcessSafe(shas, async (sha) => {
+      return await this.getCommit(owner, repo, sha);
+    });
+  }
+
+  // Get organization members
+  async getOrganizationMembers(org, role = 'all') {
+    const { members } = await this.listOrganizationMembers(org, role);
+    return members;
+  }
+
+  // List organization members like getOrganizationMembers.
+  // `complete` is false when paging stopped at the sweep page limit.
+  async listOrganizationMembers(org, role = 'all') {
+    try {
+      const members = [];
+      let page = 1;
+      let hasMore = true;
+
+      while (hasMore) {
+        const response = await this.octokit.orgs.listMembers({
+          org,
+          role,
+          per_page: 100,
+          page
+        });
+
+        members.push(...response.data);
+        hasMore = response.data.length === 100;
+        page++;
+
+        // Limit to prevent excessive API calls
+        if (page > MAX_SWEEP_PAGES) break;
+      }
+
+      return { members, complete: !hasMore };
+    } catch (error) {
+      throw new Error(`Failed to get organization members: ${error.message}`);
+    }
+  }
+
+  // List the teams of an organization. `complete` is false when paging stopped at the page limit.
+  async listTeams(org) {
+    return retryGitHubCall(async () => {
+      try {
+        const teams = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.teams.list({
+            org,
+            per_page: 100,
+            page
+          });
+
+          teams.push(...response.data);
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return { teams, complete: !hasMore };
+      } catch (error) {
+        safeConsoleError(`Failed to get teams for ${org}:`, error);
+        throw new Error(`Failed to get teams: ${error.message}`);
+      }
+    });
+  }
+
+  // List the members of a team, optionally only those with a role ('member' or 'maintainer').
+  // `complete` is false when paging stopped at the page limit.
+  async listTeamMembers(org, teamSlug, role = 'all') {
+    return retryGitHubCall(async () => {
+      try {
+        const members = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.teams.listMembersInOrg({
+            org,
+            team_slug: teamSlug,
+            role,
+            per_page: 100,
+            page
+          });
+
+          members.push(...response.data);
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return { members, complete: !hasMore };
+      } catch (error) {
+        safeConsoleError(`Failed to get members of team ${org}/${teamSlug}:`, error);
+        throw new Error(`Failed to get team members: ${error.message}`);
+      }
+    });
+  }
+
+  // Get the repositories a team can access, with the team's permissions on each
+  async getTeamRepos(org, teamSlug) {
+    return retryGitHubCall(async () => {
+      try {
+        const repos = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.teams.listReposInOrg({
+            org,
+            team_slug: teamSlug,
+            per_page: 100,
+            page
+          });
+
+          repos.push(...response.data);
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return repos;
+      } catch (error) {
+        safeConsoleError(`Failed to get repositories of team ${org}/${teamSlug}:`, error);
+        throw new Error(`Failed to get team repositories: ${error.message}`);
+      }
+    });
+  }
+
+  // List everyone with access to a repository and their effective permission.
+  // Returns null when the token lacks the push access GitHub requires for this;
+  // `complete` is false when paging stopped at the page limit.
+  async listCollaborators(owner, repo) {
+    return retryGitHubCall(async () => {
+      try {
+        const collaborators = [];
+        let page = 1;
+        let hasMore = true;
+
+        while (hasMore) {
+          const response = await this.octokit.repos.listCollaborators({
+            owner,
+            repo,
+            affiliation: 'all',
+            per_page: 100,
+            page
+          });
+
+          collaborators.push(...response.data);
+          hasMore = response.data.length === 100;
+          page++;
+
+          // Limit to prevent excessive API calls
+          if (page > MAX_PAGES) break;
+        }
+
+        return { collaborators, complete: !hasMore };
+      } catch (error) {
+        // Rate limited requests carry resumeAt and are deferred by the caller
+        if (error.status === 403 && !error.resumeAt) return null;
+
+        safeConsoleError(`Failed to get collaborators for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to get collaborators: ${error.message}`);
+      }
+    });
+  }
+
+  // Get user details
+  async getUser(username) {
+    try {
+      const response = await this.octokit.users.getByUsername({
+        username
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to get user: ${error.message}`);
+    }
+  }
+
+  // Get the daily views and clones and the top referrers of the last 14 days.
+  // Returns null when the token lacks push access, which traffic requires.
+  async getTraffic(owner, repo) {
+    return retryGitHubCall(async () => {
+      try {
+        const views = await this.octokit.repos.getViews({ owner, repo, per: 'day' });
+        const clones = await this.octokit.repos.getClones({ owner, repo, per: 'day' });
+        const referrers = await this.octokit.repos.getTopReferrers({ owner, repo });
+
+        return {
+          views: views.data.views || [],
+          clones: clones.data.clones || [],
+          referrers: referrers.data || []
+        };
+      } catch (error) {
+        // Rate limited requests carry resumeAt and are deferred by the caller
+        if (error.status === 403 && !error.resumeAt) return null;
+
+        safeConsoleError(`Failed to get traffic for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to get traffic: ${error.message}`);
+      }
+    });
+  }
+
+  // Get the weekly additions, deletions and commits of the top 100 contributors.
+  // Returns null while GitHub is still computing the statistics (202).
+  async getContributorStats(owner, repo) {
+    return retryGitHubCall(async () => {
+      try {
+        const response = await this.octokit.repos.getContributorsStats({ owner, repo });
+
+        if (response.status === 202) return null;
+
+        // Empty repositories answer 204 without a body
+        return Array.isArray(response.data) ? response.data : [];
+      } catch (error) {
+        safeConsoleError(`Failed to get contributor statistics for ${owner}/${repo}:`, error);
+        throw new Error(`Failed to get contributor statistics: ${error.message}`);
+      }
+    });
+  }
+
   // Get repository contributors
   async getRepositoryContributors(owner, repo) {
     try {
@@ -0,0 +1,175 @@
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const integrationRepository = require('../repositories/integration.repository');
+const githubConfig = require('../config/github.config');
+const { AppError } = require('../helpers/error.helper');
+const { safeConsoleError } = require('../utils/error-sanitizer.util');
+
+// Installation tokens live for an hour; a new one is minted this long before expiry
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// GitHub accepts app JWTs valid for up to 10 minutes; iat is backdated for clock drift
+const APP_JWT_TTL_SECONDS = 9 * 60;
+const APP_JWT_CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Authenticates as the configured GitHub App and mints installation access
+ * tokens. Tokens are cached per installation in memory and on the
+ * integration, so API and worker processes reuse them until shortly before
+ * they expire.
+ */
+class GitHubAppService {
+  constructor() {
+    // Installation ID -> { token, expiresAt }
+    this.tokens = new Map();
+    // Installation ID -> mint in progress, shared by concurrent callers
+    this.pending = new Map();
+  }
+
+  /**
+   * Check that an app ID and private key are configured
+   * @returns {boolean} True if installation auth is available
+   */
+  isConfigured() {
+    return Boolean(githubConfig.app.appId && githubConfig.app.privateKey);
+  }
+
+  /**
+   * Sign a JWT that authenticates as the app itself
+   * @returns {string} App JWT
+   */
+  createAppJwt() {
+    if (!this.isConfigured()) {
+      throw new AppError('GitHub App is not configured', 503);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    return jwt.sign(
+      {
+        iat: now - APP_JWT_CLOCK_SKEW_SECONDS,
+        exp: now + APP_JWT_TTL_SECONDS,
+        iss: String(githubConfig.app.appId),
+      },
+      githubConfig.app.privateKey,
+      { algorithm: 'RS256' }
+    );
+  }
+
+  /**
+   * Call a GitHub API endpoint as the app
+   * @param {string} method - HTTP method
+   * @param {string} path - API path, e.g. /app/installations/1
+   * @returns {Promise<Object>} Response body
+   */
+  async requestAsApp(method, path) {
+    const response = await axios.request({
+      method,
+      url: `${githubConfig.endpointsFor(githubConfig.app.host).apiUrl}${path}`,
+      headers: {
+        ...githubConfig.api.headers,
+        Authorization: `Bearer ${this.createAppJwt()}`,
+        'X-GitHub-Api-Version': githubConfig.api.version,
+      },
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Get an installation of the app
+   * @param {number} installationId - GitHub installation ID
+   * @returns {Promise<Object|null>} Installation, or null if it was removed
+   */
+  async getInstallation(installationId) {
+    try {
+      return await this.requestAsApp('GET', `/app/installations/${installationId}`);
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      if (error instanceof AppError) throw error;
+
+      safeConsoleError('Error fetching GitHub App installation:', error);
+      throw new AppError('Failed to fetch GitHub App installation', 502);
+    }
+  }
+
+  /**
+   * Mint an installation access token
+   * @param {number} installationId - GitHub installation ID
+   * @returns {Promise<Object>} { token, expiresAt }
+   */
+  async createInstallationToken(installationId) {
+    try {
+      const data = await this.requestAsApp('POST', `/app/installations/${installationId}/access_tokens`);
+      return { token: data.token, expiresAt: new Date(data.expires_at) };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+
+      safeConsoleError('Error minting GitHub App installation token:', error);
+      throw new AppError('Failed to obtain a GitHub App installation token', 502);
+    }
+  }
+
+  /**
+   * Check that a token expiry is far enough away to keep using the token
+   * @param {Date|null} expiresAt - Token expiry
+   * @returns {boolean} True if the token is still fresh
+   */
+  isFresh(expiresAt) {
+    return Boolean(expiresAt) && new Date(expiresAt).getTime() - TOKEN_REFRESH_MARGIN_MS > Date.now();
+  }
+
+  /**
+   * Get a usable installation token for an integration, minting one when the
+   * cached token is missing or about to expire
+   * @param {Object} integration - Integration document with authType 'app'
+   * @returns {Promise<string>} Installation access token
+   */
+  async getInstallationToken(integration) {
+    const installationId = integration.installation.id;
+
+    const cached = this.tokens.get(installationId);
+    if (cached && this.isFresh(cached.expiresAt)) {
+      return cached.token;
+    }
+
+    // Another process may have minted a token already
+    if (!cached && this.isFresh(integration.tokenExpiresAt)) {
+      const token = integration.getDecryptedAccessToken();
+      this.tokens.set(installationId, { token, expiresAt: integration.tokenExpiresAt });
+      return token;
+    }
+
+    if (!this.pending.has(installationId)) {
+      const mint = this.refreshInstallationToken(integration._id, installationId)
+        .finally(() => this.pending.delete(installationId));
+      this.pending.set(installationId, mint);
+    }
+
+    return await this.pending.get(installationId);
+  }
+
+  /**
+   * Mint a new installation token and cache it
+   * @param {string} integrationId - Integration ObjectId
+   * @param {number} installationId - GitHub installation ID
+   * @returns {Promise<string>} Installation access token
+   */
+  async refreshInstallationToken(integrationId, installationId) {
+    const { token, expiresAt } = await this.createInstallationToken(installationId);
+
+    this.tokens.set(installationId, { token, expiresAt });
+    await integrationRepository.updateInstallationToken(integrationId, token, expiresAt);
+
+    return token;
+  }
+
+  /**
+   * Drop the cached token of an installation, e.g. after it was suspended or removed
+   * @param {number} installationId - GitHub installation ID
+   */
+  forgetInstallationToken(installationId) {
+    this.tokens.delete(installationId);
+  }
+}
+
+module.exports = new GitHubAppService();
@@ -0,0 +1,251 @@
+const config = require('../config/environment');
+const cryptoHelper = require('../helpers/crypto.helper');
+const { redisClient } = require('../middleware/rate-limit.middleware');
+const { safeConsoleError } = require('../utils/error-sanitizer.util');
+
+const CACHE_PREFIX = 'github:etag:';
+const STATS_KEY = 'github:etag:stats';
+// Entry keys by write time, entry sizes, and their total, for the memory bound
+const INDEX_KEY = 'github:etag:index';
+const SIZES_KEY = 'github:etag:sizes';
+const BYTES_KEY = 'github:etag:bytes';
+
+// Oldest entries looked at per eviction round
+const EVICTION_BATCH = 100;
+
+// Writes an entry and its size, returning the total size of all entries
+const WRITE_ENTRY_SCRIPT = `
+  local previous = tonumber(redis.call('hget', KEYS[3], KEYS[1]) or '0')
+  redis.call('setex', KEYS[1], ARGV[2], ARGV[1])
+  redis.call('zadd', KEYS[2], ARGV[4], KEYS[1])
+  redis.call('hset', KEYS[3], KEYS[1], ARGV[3])
+  return redis.call('incrby', KEYS[4], tonumber(ARGV[3]) - previous)
+`;
+
+// Removes entries (KEYS[4] onwards) and their sizes, returning the remaining total
+const REMOVE_ENTRIES_SCRIPT = `
+  local freed = 0
+  for i = 4, #KEYS do
+    freed = freed + tonumber(redis.call('hget', KEYS[2], KEYS[i]) or '0')
+    redis.call('del', KEYS[i])
+    redis.call('zrem', KEYS[1], KEYS[i])
+    redis.call('hdel', KEYS[2], KEYS[i])
+  end
+  return redis.call('decrby', KEYS[3], freed)
+`;
+
+// Response headers worth replaying from the cache
+const CACHED_HEADERS = ['etag', 'last-modified', 'link', 'content-type'];
+
+/**
+ * Conditional request cache for GitHub REST calls.
+ *
+ * Stores ETag / Last-Modified validators and response bodies per URL and
+ * token in Redis. Cached validators are sent as If-None-Match /
+ * If-Modified-Since, and a 304 (which GitHub does not count against the
+ * rate limit) is answered with the cached body.
+ *
+ * Redis is shared with Bull and the rate limiter, so responses over
+ * maxEntryBytes are not cached and the oldest entries are evicted once all
+ * entries together exceed maxBytes.
+ */
+class GitHubCacheService {
+  constructor() {
+    this.enabled = config.githubCache.enabled;
+    this.ttlSeconds = config.githubCache.ttlSeconds;
+    this.maxEntryBytes = config.githubCache.maxEntryBytes;
+    this.maxBytes = config.githubCache.maxBytes;
+  }
+
+  /**
+   * Build the cache key for a request
+   * @param {string} token - Access token the request is made with
+   * @param {string} url - Fully resolved request URL
+   * @returns {string} Redis key
+   */
+  buildKey(token, url) {
+    // Tokens are hashed so they never reach Redis in clear text
+    return `${CACHE_PREFIX}${cryptoHelper.hash(`${token || 'anonymous'}:${url}`)}`;
+  }
+
+  /**
+   * Get a cached entry
+   * @param {string} key - Redis key
+   * @returns {Promise<Object|null>} Cached entry
+   */
+  async get(key) {
+    try {
+      const cached = await redisClient.get(key);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      safeConsoleError('Failed to read GitHub response cache:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a response if it carries validators and fits the entry size limit
+   * @param {string} key - Redis key
+   * @param {Object} response - Octokit response
+   */
+  async set(key, response) {
+    const { etag } = response.headers;
+    const lastModified = response.headers['last-modified'];
+
+    if (!etag && !lastModified) return;
+
+    const headers = {};
+    CACHED_HEADERS.forEach((name) => {
+      if (response.headers[name]) headers[name] = response.headers[name];
+    });
+
+    try {
+      const entry = JSON.stringify({ etag, lastModified, headers, data: response.data });
+      const size = Buffer.byteLength(entry);
+
+      // An older entry would keep sending validators for a body that is no longer cached
+      if (size > this.maxEntryBytes) {
+        await this.remove([key]);
+        return;
+      }
+
+      const totalBytes = await redisClient.eval(
+        WRITE_ENTRY_SCRIPT, 4, key, INDEX_KEY, SIZES_KEY, BYTES_KEY,
+        entry, this.ttlSeconds, size, Date.now()
+      );
+      await this.evict(totalBytes);
+    } catch (error) {
+      safeConsoleError('Failed to write GitHub response cache:', error);
+    }
+  }
+
+  /**
+   * Remove entries and their sizes
+   * @param {Array<string>} keys - Redis keys of entries
+   * @returns {Promise<number>} Total size of the remaining entries
+   */
+  async remove(keys) {
+    return await redisClient.eval(
+      REMOVE_ENTRIES_SCRIPT, 3 + keys.length, INDEX_KEY, SIZES_KEY, BYTES_KEY, ...keys
+    );
+  }
+
+  /**
+   * Forget expired entries, then evict the oldest until the cache fits maxBytes
+   * @param {number} totalBytes - Total size of all entries
+   */
+  async evict(totalBytes) {
+    let total = totalBytes;
+
+    // Entries expire ttlSeconds after they were written, leaving their sizes behind
+    const expired = await redisClient.zrangebyscore(
+      INDEX_KEY, 0, Date.now() - this.ttlSeconds * 1000, 'LIMIT', 0, EVICTION_BATCH
+    );
+    if (expired.length > 0) total = await this.remove(expired);
+
+    while (total > this.maxBytes) {
+      const oldest = await redisClient.zrange(INDEX_KEY, 0, EVICTION_BATCH - 1);
+      if (oldest.length === 0) break;
+
+      // Evict only as many of the oldest entries as needed to fit
+      const entrySizes = await redisClient.hmget(SIZES_KEY, ...oldest);
+      const evicted = [];
+      let freed = 0;
+      for (let i = 0; i < oldest.length && total - freed > this.maxBytes; i++) {
+        evicted.push(oldest[i]);
+        freed += parseInt(entrySizes[i]) || 0;
+      }
+
+      total = await this.remove(evicted);
+    }
+  }
+
+  /**
+   * Increment a hit/miss counter
+   * @param {string} field - Counter name
+   */
+  async record(field) {
+    try {
+      await redisClient.hincrby(STATS_KEY, field, 1);
+    } catch (error) {
+      safeConsoleError('Failed to record GitHub cache stats:', error);
+    }
+  }
+
+  /**
+   * Get cache hit statistics
+   * @returns {Promise<Object>} Hits, misses and hit ratio
+   */
+  async getStats() {
+    const stats = await redisClient.hgetall(STATS_KEY);
+    const hits = parseInt(stats.hits) || 0;
+    const misses = parseInt(stats.misses) || 0;
+    const uncached = parseInt(stats.uncached) || 0;
+    const conditional = hits + misses;
+
+    return {
+      enabled: this.enabled,
+      hits,
+      misses,
+      uncached,
+      // Share of conditional requests answered with 304
+      hitRatio: conditional > 0 ? Number((hits / conditional).toFixed(4)) : 0,
+      requestsSaved: hits,
+    };
+  }
+
+  /**
+   * Reset cache hit statistics
+   */
+  async resetStats() {
+    await redisClient.del(STATS_KEY);
+  }
+
+  /**
+   * Attach the cache to an Octokit instance
+   * @param {Object} octokit - Octokit instance
+   * @param {string} token - Access token used by the instance
+   */
+  attach(octokit, token) {
+    if (!this.enabled) return;
+
+    octokit.hook.wrap('request', async (request, options) => {
+      if ((options.method || 'GET').toUpperCase() !== 'GET') {
+        return request(options);
+      }
+
+      const { url } = octokit.request.endpoint.parse(options);
+      const key = this.buildKey(token, url);
+      const cached = await this.get(key);
+
+      if (!cached) {
+        const response = await request(options);
+        await Promise.all([this.set(key, response), this.record('uncached')]);
+        return response;
+      }
+
+      // Inner hooks are bound to this options object, so set validators in place
+      options.headers = options.headers || {};
+      if (cached.etag) options.headers['if-none-match'] = cached.etag;
+      if (cached.lastModified) options.headers['if-modified-since'] = cached.lastModified;
+
+      try {
+        const response = await request(options);
+        await Promise.all([this.set(key, response), this.record('misses')]);
+        return response;
+      } catch (error) {
+        if (error.status !== 304) throw error;
+
+        await this.record('hits');
+        return {
+          status: 200,
+          url,
+          headers: { ...cached.headers, ...error.response.headers },
+          data: cached.data,
+        };
+      }
+    });
+  }
+}
+
+module.exports = new GitHubCacheService();
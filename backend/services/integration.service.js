@@ -2,28 +2,71 @@ const axios = require('axios');
 const integrationRepository = require('../repositories/integration.repository');
 const { AppError } = require('../helpers/error.helper');
 const githubConfig = require('../config/github.config');
+const config = require('../config/environment');
+const githubAppService = require('./github-app.service');
+const oauthTokenService = require('./oauth-token.service');
+const githubAccessService = require('./github-access.service');
+
+// GitHub IDs are only unique per host, so accounts on other hosts carry the host
+const githubAccountKey = (host, githubId) => (
+  host === githubConfig.defaultHost ? String(githubId) : `${host}:${githubId}`
+);
+
+// Fine-grained personal access tokens are recorded with up to this many repositories
+const PAT_REPOSITORIES_PER_PAGE = 100;
+const PAT_REPOSITORY_PAGES = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// OAuth token responses give lifetimes in seconds; tokens without one don't expire
+const expiresInToDate = (seconds) => (seconds ? new Date(Date.now() + Number(seconds) * 1000) : null);
+
+// GitHub-Authentication-Token-Expiration looks like `2026-11-02 09:00:00 UTC` or `2026-11-02 09:00:00 -0700`
+const parseTokenExpiration = (value) => {
+  const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) (UTC|[+-]\d{4})$/.exec((value || '').trim());
+  if (!match) return null;
+
+  const [, date, time, zone] = match;
+  const offset = zone === 'UTC' ? 'Z' : `${zone.slice(0, 3)}:${zone.slice(3)}`;
+  const expiresAt = new Date(`${date}T${time}${offset}`);
+  return Number.isNaN(expiresAt.getTime()) ? null : expiresAt;
+};
 
 class IntegrationService {
   /**
-   * Create or update integration from OAuth callback
+   * Create or update integration from OAuth callback. Signing in with an
+   * account that was connected by personal access token switches it to OAuth.
    * @param {Object} profile - GitHub profile from OAuth
-   * @param {string} accessToken - GitHub access token
-   * @param {string} refreshToken - GitHub refresh token
+   * @param {Object} tokenData - Token response: access_token, and for expiring tokens
+   *   refresh_token, expires_in and refresh_token_expires_in
+   * @param {string} ownerUserId - Platform user linking an additional account (defaults to the GitHub user)
+   * @param {Object} server - GitHub host the profile belongs to (defaults to github.com)
    * @returns {Promise<Object>} Created/updated integration
    */
-  async createOrUpdateIntegration(profile, accessToken, refreshToken = null) {
+  async createOrUpdateIntegration(profile, tokenData, ownerUserId = null, server = null) {
     try {
+      // Only the endpoints are stored, never the host's OAuth app credentials
+      const endpoints = githubConfig.endpointsFor(server ? server.host : githubConfig.defaultHost);
+      const githubUserId = githubAccountKey(endpoints.host, profile.id);
       const userData = {
-        userId: profile.id.toString(),
+        userId: ownerUserId || githubUserId,
+        githubUserId,
+        server: endpoints,
+        authType: 'oauth',
+        personalAccessToken: { kind: null, repositories: [] },
         username: profile.username || profile.login,
         email: profile.emails?.[0]?.value || null,
         name: profile.displayName || profile.name || null,
         avatarUrl: profile.photos?.[0]?.value || profile.avatar_url || null,
         profileUrl: profile.profileUrl || profile.html_url || null,
-        accessToken,
-        refreshToken,
+        accessToken: tokenData.access_token,
+        refreshToken: tokenData.refresh_token || null,
         tokenType: 'Bearer',
-        scope: profile.scope || githubConfig.scope.join(' '),
+        tokenExpiresAt: expiresInToDate(tokenData.expires_in),
+        refreshTokenExpiresAt: expiresInToDate(tokenData.refresh_token_expires_in),
+        scope: tokenData.scope != null
+          ? githubAccessService.parseScopes(tokenData.scope).join(' ')
+          : (profile.scope || githubConfig.scope.join(' ')),
         connectedAt: new Date(),
         isActive: true,
       };
@@ -37,8 +80,287 @@ class IntegrationService {
   }
 
   /**
-   * Get integration by user ID
-   * @param {string} userId - GitHub user ID
+   * Connect an account with a personal access token, e.g. for an automation
+   * account. The token is checked against /user, and what it was granted and
+   * when it expires are recorded. Like OAuth tokens, it is encrypted when the
+   * integration is saved. An account the user connected through OAuth can't
+   * be switched to a token; it has to be disconnected first.
+   * @param {string} userId - Platform user connecting the token
+   * @param {string} token - Classic or fine-grained personal access token
+   * @param {Object} options - host (defaults to github.com) and label
+   * @returns {Promise<Object>} Created/updated integration
+   */
+  async connectPersonalAccessToken(userId, token, { host = null, label = null } = {}) {
+    const server = this.getServer(host);
+    const { profile, kind, scopes, expiresAt } = await this.inspectPersonalAccessToken(token, server);
+    const githubUserId = githubAccountKey(server.host, profile.id);
+
+    if (expiresAt && expiresAt <= new Date()) {
+      throw new AppError('The personal access token has expired', 400);
+    }
+
+    const existing = await integrationRepository.findActiveByGithubUserId(userId, githubUserId);
+    if (existing && existing.authType === 'oauth') {
+      throw new AppError(`${profile.login} is already connected through OAuth. Disconnect it before connecting a personal access token.`, 409);
+    }
+
+    const repositories = kind === 'fine-grained'
+      ? await this.listPersonalAccessTokenRepositories(token, server)
+      : [];
+
+    try {
+      const userData = {
+        userId,
+        githubUserId,
+        server: githubConfig.endpointsFor(server.host),
+        authType: 'pat',
+        personalAccessToken: { kind, repositories },
+        username: profile.login,
+        email: profile.email || null,
+        name: profile.name || null,
+        avatarUrl: profile.avatar_url || null,
+        profileUrl: profile.html_url || null,
+        accessToken: token,
+        refreshToken: null,
+        tokenType: 'token',
+        tokenExpiresAt: expiresAt,
+        scope: kind === 'classic' ? scopes.join(' ') : null,
+        connectedAt: new Date(),
+        isActive: true,
+      };
+      if (label) {
+        userData.label = label;
+      }
+
+      return await integrationRepository.findOrCreate(userData);
+    } catch (error) {
+      console.error('Error saving personal access token integration:', error);
+      throw new AppError('Failed to save integration', 500);
+    }
+  }
+
+  /**
+   * Check a personal access token against /user
+   * @param {string} token - Personal access token
+   * @param {Object} server - GitHub host the token belongs to
+   * @returns {Promise<Object>} { profile, kind, scopes, expiresAt }
+   */
+  async inspectPersonalAccessToken(token, server) {
+    let response;
+    try {
+      response = await axios.get(`${server.apiUrl}/user`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          Accept: 'application/vnd.github+json',
+        },
+      });
+    } catch (error) {
+      if (error.response?.status === 401) {
+        throw new AppError('The personal access token is invalid, expired or revoked', 400);
+      }
+      console.error('Error verifying personal access token:', error.message);
+      throw new AppError('Failed to verify the personal access token with GitHub', 502);
+    }
+
+    // Classic tokens report their scopes; fine-grained tokens have none
+    const kind = token.startsWith('github_pat_') ? 'fine-grained' : 'classic';
+    const scopes = (response.headers['x-oauth-scopes'] || '')
+      .split(',')
+      .map(scope => scope.trim())
+      .filter(Boolean);
+
+    return {
+      profile: response.data,
+      kind,
+      scopes,
+      // Tokens without an expiry date send no header
+      expiresAt: parseTokenExpiration(response.headers['github-authentication-token-expiration']),
+    };
+  }
+
+  /**
+   * List the repositories a fine-grained personal access token can access
+   * @param {string} token - Fine-grained personal access token
+   * @param {Object} server - GitHub host the token belongs to
+   * @returns {Promise<Array>} { githubId, fullName, permissions } per repository
+   */
+  async listPersonalAccessTokenRepositories(token, server) {
+    const repositories = [];
+
+    try {
+      for (let page = 1; page <= PAT_REPOSITORY_PAGES; page++) {
+        const response = await axios.get(`${server.apiUrl}/user/repos`, {
+          params: { per_page: PAT_REPOSITORIES_PER_PAGE, page },
+          headers: {
+            Authorization: `Bearer ${token}`,
+            Accept: 'application/vnd.github+json',
+          },
+        });
+
+        repositories.push(...response.data.map(repo => ({
+          githubId: repo.id,
+          fullName: repo.full_name,
+          permissions: repo.permissions || null,
+        })));
+
+        if (response.data.length < PAT_REPOSITORIES_PER_PAGE) break;
+      }
+    } catch (error) {
+      console.error('Error listing personal access token repositories:', error.message);
+      throw new AppError('Failed to list the repositories of the personal access token', 502);
+    }
+
+    return repositories;
+  }
+
+  /**
+   * Get the expiry warning of a personal access token integration
+   * @param {Object} integration - Integration document
+   * @returns {Object|null} { level, expiresAt, daysLeft, message }, or null if there is nothing to warn about
+   */
+  getTokenExpiryWarning(integration) {
+    if (integration.authType !== 'pat' || !integration.tokenExpiresAt) return null;
+
+    const expiresAt = new Date(integration.tokenExpiresAt);
+    const msLeft = expiresAt.getTime() - Date.now();
+
+    if (msLeft <= 0) {
+      return {
+        level: 'expired',
+        expiresAt,
+        daysLeft: 0,
+        message: 'The personal access token has expired. Please connect a new one.',
+      };
+    }
+
+    const daysLeft = Math.max(Math.floor(msLeft / DAY_MS), 1);
+    if (daysLeft > config.personalAccessTokens.expiryWarningDays) return null;
+
+    return {
+      level: 'warning',
+      expiresAt,
+      daysLeft,
+      message: `The personal access token expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Please replace it before then.`,
+    };
+  }
+
+  /**
+   * Create or update the integration of a GitHub App installation
+   * @param {string} userId - Platform user who installed the app
+   * @param {Object} installation - GitHub installation (from GET /app/installations/:id)
+   * @returns {Promise<Object>} Created/updated integration
+   */
+  async createOrUpdateInstallation(userId, installation) {
+    try {
+      const { account } = installation;
+      const installationData = {
+        githubUserId: `installation:${installation.id}`,
+        server: githubConfig.endpointsFor(githubConfig.app.host),
+        authType: 'app',
+        installation: {
+          id: installation.id,
+          appId: installation.app_id,
+          account: { id: account.id, login: account.login, type: account.type },
+          repositorySelection: installation.repository_selection,
+          permissions: installation.permissions,
+          suspendedAt: installation.suspended_at || null,
+        },
+        username: account.login,
+        name: account.name || account.login,
+        avatarUrl: account.avatar_url || null,
+        profileUrl: account.html_url || null,
+        // Minted on first use
+        accessToken: null,
+        refreshToken: null,
+        tokenExpiresAt: null,
+        scope: null,
+        connectedAt: new Date(),
+        isActive: true,
+      };
+
+      return await integrationRepository.findOrCreateInstallation(userId, installationData);
+    } catch (error) {
+      console.error('Error creating/updating installation integration:', error);
+      throw new AppError('Failed to save integration', 500);
+    }
+  }
+
+  /**
+   * Make sure a user may connect an installation. The setup callback's
+   * installation ID can't be trusted on its own, so the user must have signed
+   * in with the account the app is installed on, or with an owner of the
+   * organization it is installed on.
+   * @param {string} userId - Platform user ID
+   * @param {Object} installation - GitHub installation
+   */
+  async assertCanClaimInstallation(userId, installation) {
+    const { account } = installation;
+    const host = githubConfig.app.host;
+    const integrations = (await integrationRepository.findAllActiveByUserId(userId))
+      .filter(integration => integration.authType !== 'app' && integration.server.host === host);
+
+    if (account.type === 'User') {
+      const githubUserId = githubAccountKey(host, account.id);
+      if (integrations.some(integration => integration.githubUserId === githubUserId)) return;
+    } else {
+      for (const integration of integrations) {
+        try {
+          const token = await oauthTokenService.getUserToken(integration);
+          const response = await axios.get(`${integration.server.apiUrl}/user/memberships/orgs/${account.login}`, {
+            headers: {
+              Authorization: `Bearer ${token}`,
+              Accept: 'application/vnd.github+json',
+            },
+          });
+
+          if (response.data.state === 'active' && response.data.role === 'admin') return;
+        } catch (error) {
+          // Not a member with this account; try the user's other accounts
+        }
+      }
+    }
+
+    throw new AppError(`Only ${account.login} or one of its owners can connect this installation`, 403);
+  }
+
+  /**
+   * Check that an integration can still reach GitHub: its user token is
+   * valid, or its app installation still exists (suspensions pause syncing instead).
+   * Expiring OAuth tokens are refreshed first when needed. Only a definitive
+   * rejection by GitHub counts as invalid; outages and timeouts are thrown.
+   * @param {Object} integration - Integration document
+   * @returns {Promise<boolean>} True if valid
+   */
+  async verifyIntegration(integration) {
+    if (oauthTokenService.isRefreshable(integration)) {
+      try {
+        const token = await oauthTokenService.getAccessToken(integration);
+        if (await this.verifyToken(token, integration.server)) return true;
+
+        // Revoked or expired early; the refresh token may still be good
+        const refreshed = await oauthTokenService.refreshAccessToken(integration, token);
+        return await this.verifyToken(refreshed, integration.server);
+      } catch (error) {
+        // Refreshes answer 401 once the authorization is gone (bad_refresh_token, expired, revoked)
+        if (error.statusCode === 401) {
+          console.error('Error refreshing GitHub token:', error.message);
+          return false;
+        }
+        throw error;
+      }
+    }
+
+    if (integration.authType !== 'app') {
+      return await this.verifyToken(integration.getDecryptedAccessToken(), integration.server);
+    }
+
+    const installation = await githubAppService.getInstallation(integration.installation.id);
+    return Boolean(installation);
+  }
+
+  /**
+   * Get the most recently connected integration by user ID
+   * @param {string} userId - Platform user ID
    * @returns {Promise<Object>} Integration document
    */
   async getIntegrationByUserId(userId) {
@@ -49,14 +371,57 @@ class IntegrationService {
     return integration;
   }
 
+  /**
+   * Get an integration by ID, ensuring it belongs to the user
+   * @param {string} integrationId - Integration ObjectId
+   * @param {string} userId - Platform user ID
+   * @returns {Promise<Object>} Integration document
+   */
+  async getIntegrationForUser(integrationId, userId) {
+    const integration = await integrationRepository.findActiveByIdForUser(integrationId, userId);
+    if (!integration) {
+      throw new AppError('Integration not found', 404);
+    }
+    return integration;
+  }
+
+  /**
+   * List all active integrations owned by a user
+   * @param {string} userId - Platform user ID
+   * @returns {Promise<Array>} Integration documents
+   */
+  async listIntegrations(userId) {
+    return await integrationRepository.findAllActiveByUserId(userId);
+  }
+
+  /**
+   * Rename an integration
+   * @param {Object} integration - Integration document
+   * @param {string} label - New display label
+   * @returns {Promise<Object>} Updated integration
+   */
+  async renameIntegration(integration, label) {
+    integration.label = label || null;
+    return await integration.save();
+  }
+
+  /**
+   * Pause or resume syncing for an integration
+   * @param {Object} integration - Integration document
+   * @param {boolean} paused - Whether syncing should be paused
+   * @returns {Promise<Object>} Updated integration
+   */
+  async setIntegrationPaused(integration, paused) {
+    return await integration.setPaused(paused);
+  }
+
   /**
    * Get integration status
-   * @param {string} userId - GitHub user ID
+   * @param {Object} integration - Integration document (null when none is connected)
    * @returns {Promise<Object>} Integration status
    */
-  async getIntegrationStatus(userId) {
+  async getIntegrationStatus(integration) {
     try {
-      const integration = await integrationRepository.findActiveByUserId(userId);
 
       if (!integration) {
         return {
@@ -65,20 +430,40 @@ class IntegrationService {
         };
       }
 
-      // Verify the token is still valid
-      const isValid = await this.verifyToken(integration.getDecryptedAccessToken());
+      // Verify the token (or app installation) is still valid
+      const isValid = await this.verifyIntegration(integration);
 
       if (!isValid) {
         // Token is invalid, deactivate integration
-        await integrationRepository.deactivate(userId);
+        await integrationRepository.deactivate(integration._id);
+        const messages = {
+          app: 'The GitHub App was uninstalled. Please reinstall it.',
+          pat: 'The personal access token expired or was revoked. Please connect a new one.',
+        };
         return {
           connected: false,
-          message: 'GitHub token is no longer valid. Please reconnect.',
+          message: messages[integration.authType] || 'GitHub token is no longer valid. Please reconnect.',
         };
       }
 
       return {
         connected: true,
+        integrationId: integration._id,
+        label: integration.label,
+        authType: integration.authType,
+        host: integration.server.host,
+        installation: integration.authType === 'app' ? {
+          id: integration.installation.id,
+          account: integration.installation.account,
+          repositorySelection: integration.installation.repositorySelection,
+        } : null,
+        personalAccessToken: integration.authType === 'pat' ? {
+          kind: integration.personalAccessToken.kind,
+          scopes: integration.scope ? integration.scope.split(' ') : [],
+          repositoryCount: integration.personalAccessToken.repositories.length,
+          expiresAt: integration.tokenExpiresAt,
+        } : null,
+        tokenExpiryWarning: this.getTokenExpiryWarning(integration),
         username: integration.username,
         email: integration.email,
         name: integration.name,
@@ -86,6 +471,8 @@ class IntegrationService {
         connectedAt: integration.connectedAt,
         lastSyncAt: integration.lastSyncAt,
         syncStatus: integration.syncStatus,
+        syncProgress: integration.syncProgress,
+        isPaused: integration.isPaused,
         needsSync: integration.needsSync,
         metadata: {
           totalRepos: integration.metadata.totalRepos || 0,
@@ -98,6 +485,7 @@ class IntegrationService {
       };
     } catch (error) {
       console.error('Error getting integration status:', error);
+      if (error instanceof AppError) throw error;
       throw new AppError('Failed to get integration status', 500);
     }
   }
@@ -105,11 +493,13 @@ class IntegrationService {
   /**
    * Verify GitHub access token
    * @param {string} token - Access token to verify
-   * @returns {Promise<boolean>} True if valid
+   * @param {Object} server - GitHub host the token belongs to (defaults to github.com)
+   * @returns {Promise<boolean>} True if valid, false if GitHub rejected it
    */
-  async verifyToken(token) {
+  async verifyToken(token, server = null) {
     try {
-      const response = await axios.get('https://api.github.com/user', {
+      const { apiUrl } = server || githubConfig.endpointsFor(githubConfig.defaultHost);
+      const response = await axios.get(`${apiUrl}/user`, {
         headers: {
           Authorization: `Bearer ${token}`,
           Accept: 'application/vnd.github+json',
@@ -122,24 +512,25 @@ class IntegrationService {
         return false;
       }
       console.error('Error verifying token:', error.message);
-      return false;
+      throw new AppError('Failed to verify the GitHub token', 502);
     }
   }
 
   /**
    * Remove integration
-   * @param {string} userId - GitHub user ID
+   * @param {string} integrationId - Integration ObjectId
+   * @param {string} userId - Platform user ID
    * @returns {Promise<Object>} Result
    */
-  async removeIntegration(userId) {
+  async removeIntegration(integrationId, userId) {
     try {
-      const integration = await integrationRepository.findActiveByUserId(userId);
+      const integration = await integrationRepository.findActiveByIdForUser(integrationId, userId);
 
       if (!integration) {
         throw new AppError('No active integration found', 404);
       }
 
-      await integrationRepository.deactivate(userId);
+      await integrationRepository.deactivate(integration._id);
 
       return {
         success: true,
@@ -170,44 +561,46 @@ class IntegrationService {
 
   /**
    * Update sync status
-   * @param {string} userId - GitHub user ID
+   * @param {string} integrationId - Integration ObjectId
    * @param {string} status - New status
    * @param {Object} progress - Progress info
    * @returns {Promise<Object>} Updated integration
    */
-  async updateSyncStatus(userId, status, progress = null) {
-    return await integrationRepository.updateSyncStatus(userId, status, progress);
+  async updateSyncStatus(integrationId, status, progress = null) {
+    return await integrationRepository.updateSyncStatus(integrationId, status, progress);
   }
 
   /**
    * Update rate limit info
-   * @param {string} userId - GitHub user ID
+   * @param {string} integrationId - Integration ObjectId
    * @param {Object} headers - Response headers from GitHub API
    * @returns {Promise<Object>} Updated integration
    */
-  async updateRateLimitFromHeaders(userId, headers) {
+  async updateRateLimitFromHeaders(integrationId, headers) {
+    const remaining = parseInt(headers['x-ratelimit-remaining']);
     const rateLimitInfo = {
       limit: parseInt(headers['x-ratelimit-limit']) || 5000,
-      remaining: parseInt(headers['x-ratelimit-remaining']) || 5000,
+      // 0 is a meaningful value here, so don't fall back with ||
+      remaining: Number.isNaN(remaining) ? 5000 : remaining,
       reset: parseInt(headers['x-ratelimit-reset']) || null,
       used: parseInt(headers['x-ratelimit-used']) || 0,
     };
 
-    return await integrationRepository.updateRateLimit(userId, rateLimitInfo);
+    return await integrationRepository.updateRateLimit(integrationId, rateLimitInfo);
   }
 
   /**
    * Get integration statistics
-   * @param {string} userId - GitHub user ID
+   * @param {string} integrationId - Integration ObjectId
    * @returns {Promise<Object>} Statistics
    */
-  async getStatistics(userId) {
-    return await integrationRepository.getStatistics(userId);
+  async getStatistics(integrationId) {
+    return await integrationRepository.getStatistics(integrationId);
   }
 
   /**
    * Check if user has active integration
-   * @param {string} userId - GitHub user ID
+   * @param {string} userId - Platform user ID
    * @returns {Promise<boolean>} True if active integration exists
    */
   async hasActiveIntegration(userId) {
@@ -216,25 +609,40 @@ class IntegrationService {
 
   /**
    * Get decrypted tokens for API calls
-   * @param {string} userId - GitHub user ID
+   * @param {string} integrationId - Integration ObjectId
    * @returns {Promise<Object>} Decrypted tokens
    */
-  async getTokensForUser(userId) {
-    return await integrationRepository.getDecryptedTokens(userId);
+  async getTokensForIntegration(integrationId) {
+    return await integrationRepository.getDecryptedTokens(integrationId);
+  }
+
+  /**
+   * Get a host's endpoints and OAuth app
+   * @param {string} host - Host name; github.com when omitted
+   * @returns {Object} Server
+   */
+  getServer(host) {
+    const server = githubConfig.getServer(host);
+    if (!server) {
+      throw new AppError(`GitHub host ${host} is not configured`, 400);
+    }
+    return server;
   }
 
   /**
    * Exchange code for access token (OAuth flow)
    * @param {string} code - Authorization code from GitHub
+   * @param {Object} server - GitHub host the code was issued by (defaults to github.com)
    * @returns {Promise<Object>} Token response
    */
-  async exchangeCodeForToken(code) {
+  async exchangeCodeForToken(code, server = null) {
     try {
+      const { tokenUrl, clientID, clientSecret } = server || this.getServer(githubConfig.defaultHost);
       const response = await axios.post(
-        'https://github.com/login/oauth/access_token',
+        tokenUrl,
         {
-          client_id: githubConfig.clientID,
-          client_secret: githubConfig.clientSecret,
+          client_id: clientID,
+          client_secret: clientSecret,
           code,
         },
         {
@@ -259,11 +667,13 @@ class IntegrationService {
   /**
    * Get user profile from GitHub
    * @param {string} accessToken - GitHub access token
+   * @param {Object} server - GitHub host the token belongs to (defaults to github.com)
    * @returns {Promise<Object>} User profile
    */
-  async getUserProfile(accessToken) {
+  async getUserProfile(accessToken, server = null) {
     try {
-      const response = await axios.get('https://api.github.com/user', {
+      const { apiUrl } = server || githubConfig.endpointsFor(githubConfig.defaultHost);
+      const response = await axios.get(`${apiUrl}/user`, {
         headers: {
           Authorization: `Bearer ${accessToken}`,
           Accept: 'application/vnd.github+json',
@@ -0,0 +1,223 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const integrationRepository = require('../repositories/integration.repository');
+const githubConfig = require('../config/github.config');
+const { redisClient } = require('../middleware/rate-limit.middleware');
+const { AppError } = require('../helpers/error.helper');
+const { safeConsoleError, safeConsoleLog } = require('../utils/error-sanitizer.util');
+
+// Expiring user tokens are refreshed this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 10 * 60 * 1000;
+
+// Refresh tokens are single-use, so only one process may refresh an integration at a time
+const REFRESH_LOCK_PREFIX = 'github:oauth:refresh:';
+const REFRESH_LOCK_TTL_MS = 30 * 1000;
+const REFRESH_WAIT_INTERVAL_MS = 500;
+// Gives up on GitHub well before the lock expires and another process could refresh too
+const REFRESH_REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Deletes the lock only if this process still holds it
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+  end
+  return 0
+`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const expiresInToDate = (seconds) => (seconds ? new Date(Date.now() + Number(seconds) * 1000) : null);
+
+/**
+ * Keeps expiring OAuth user tokens usable. GitHub user-to-server tokens
+ * expire after eight hours and come with a single-use refresh token; tokens
+ * are refreshed shortly before they expire and whenever GitHub rejects one.
+ *
+ * Refreshes are single-flight: concurrent callers in a process share one
+ * refresh, and a Redis lock keeps other processes from spending the same
+ * refresh token. They wait for the new token to be saved instead.
+ */
+class OAuthTokenService {
+  constructor() {
+    // Integration ID -> { token, expiresAt } of the latest token seen by this process
+    this.tokens = new Map();
+    // Integration ID -> refresh in progress, shared by concurrent callers
+    this.pending = new Map();
+  }
+
+  /**
+   * Check that an integration's token expires and can be refreshed
+   * @param {Object} integration - Integration document
+   * @returns {boolean} True for expiring OAuth tokens with a refresh token
+   */
+  isRefreshable(integration) {
+    return integration.authType === 'oauth' && Boolean(integration.refreshToken);
+  }
+
+  /**
+   * Check that a token expiry is far enough away to keep using the token
+   * @param {Date|null} expiresAt - Token expiry (null for tokens that don't expire)
+   * @returns {boolean} True if the token is still fresh
+   */
+  isFresh(expiresAt) {
+    return !expiresAt || new Date(expiresAt).getTime() - TOKEN_REFRESH_MARGIN_MS > Date.now();
+  }
+
+  /**
+   * Get the token of an OAuth or personal access token integration, going
+   * through getAccessToken for tokens that expire
+   * @param {Object} integration - Integration document
+   * @returns {Promise<string>} Access token
+   */
+  async getUserToken(integration) {
+    if (!this.isRefreshable(integration)) {
+      return integration.getDecryptedAccessToken();
+    }
+    return await this.getAccessToken(integration);
+  }
+
+  /**
+   * Get a usable access token for an integration, refreshing it first when it
+   * is about to expire
+   * @param {Object} integration - Integration document
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken(integration) {
+    const integrationId = integration._id.toString();
+
+    const cached = this.tokens.get(integrationId);
+    if (cached && this.isFresh(cached.expiresAt)) {
+      return cached.token;
+    }
+
+    if (!cached && this.isFresh(integration.tokenExpiresAt)) {
+      const token = integration.getDecryptedAccessToken();
+      this.tokens.set(integrationId, { token, expiresAt: integration.tokenExpiresAt });
+      return token;
+    }
+
+    return await this.refreshAccessToken(integration, cached ? cached.token : integration.getDecryptedAccessToken());
+  }
+
+  /**
+   * Replace an integration's access token, e.g. after GitHub rejected it
+   * @param {Object} integration - Integration document
+   * @param {string} staleToken - Token that expired or was rejected
+   * @returns {Promise<string>} New access token
+   */
+  async refreshAccessToken(integration, staleToken) {
+    const integrationId = integration._id.toString();
+
+    if (!this.pending.has(integrationId)) {
+      const refresh = this.refreshWithLock(integrationId, staleToken)
+        .finally(() => this.pending.delete(integrationId));
+      this.pending.set(integrationId, refresh);
+    }
+
+    return await this.pending.get(integrationId);
+  }
+
+  /**
+   * Refresh under the integration's Redis lock, or wait for the process holding it
+   * @param {string} integrationId - Integration ObjectId
+   * @param {string} staleToken - Token being replaced
+   * @returns {Promise<string>} New access token
+   */
+  async refreshWithLock(integrationId, staleToken) {
+    const lockKey = `${REFRESH_LOCK_PREFIX}${integrationId}`;
+    const lockValue = crypto.randomBytes(16).toString('hex');
+    const deadline = Date.now() + REFRESH_LOCK_TTL_MS;
+
+    while (Date.now() < deadline) {
+      const acquired = await redisClient.set(lockKey, lockValue, 'PX', REFRESH_LOCK_TTL_MS, 'NX');
+
+      // Whoever held the lock may have refreshed already
+      const integration = await integrationRepository.findById(integrationId);
+      if (!integration || !integration.isActive) {
+        if (acquired) await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, lockValue);
+        throw new AppError('GitHub integration is no longer active', 401);
+      }
+
+      const current = integration.getDecryptedAccessToken();
+      if (current !== staleToken && this.isFresh(integration.tokenExpiresAt)) {
+        if (acquired) await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, lockValue);
+        this.tokens.set(integrationId, { token: current, expiresAt: integration.tokenExpiresAt });
+        return current;
+      }
+
+      if (acquired) {
+        try {
+          return await this.refresh(integration);
+        } finally {
+          await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, lockValue);
+        }
+      }
+
+      await sleep(REFRESH_WAIT_INTERVAL_MS);
+    }
+
+    throw new AppError('Timed out waiting for the GitHub token to be refreshed', 503);
+  }
+
+  /**
+   * Exchange an integration's refresh token for new tokens and save them
+   * @param {Object} integration - Integration document, freshly read
+   * @returns {Promise<string>} New access token
+   */
+  async refresh(integration) {
+    const integrationId = integration._id.toString();
+
+    if (!this.isRefreshable(integration)) {
+      throw new AppError('GitHub token expired. Please reconnect.', 401);
+    }
+    if (integration.refreshTokenExpiresAt && integration.refreshTokenExpiresAt <= new Date()) {
+      throw new AppError('GitHub authorization expired. Please reconnect.', 401);
+    }
+
+    const server = githubConfig.getServer(integration.server.host);
+    if (!server) {
+      throw new AppError(`GitHub host ${integration.server.host} is not configured`, 503);
+    }
+
+    let data;
+    try {
+      const response = await axios.post(
+        integration.server.tokenUrl,
+        {
+          client_id: server.clientID,
+          client_secret: server.clientSecret,
+          grant_type: 'refresh_token',
+          refresh_token: integration.getDecryptedRefreshToken(),
+        },
+        { headers: { Accept: 'application/json' }, timeout: REFRESH_REQUEST_TIMEOUT_MS }
+      );
+      data = response.data;
+    } catch (error) {
+      safeConsoleError('Error refreshing GitHub token:', error);
+      throw new AppError('Failed to refresh the GitHub token', 502);
+    }
+
+    // GitHub answers a spent or revoked refresh token with 200 and an error
+    if (data.error) {
+      throw new AppError(data.error_description || 'GitHub authorization expired. Please reconnect.', 401);
+    }
+
+    const tokenExpiresAt = expiresInToDate(data.expires_in);
+    await integrationRepository.updateTokens(integrationId, {
+      accessToken: data.access_token,
+      refreshToken: data.refresh_token,
+      tokenType: data.token_type,
+      tokenExpiresAt,
+      refreshTokenExpiresAt: expiresInToDate(data.refresh_token_expires_in),
+      // GitHub separates scopes with commas; they are stored space separated
+      scope: data.scope != null ? data.scope.split(',').filter(Boolean).join(' ') : integration.scope,
+    });
+
+    this.tokens.set(integrationId, { token: data.access_token, expiresAt: tokenExpiresAt });
+    safeConsoleLog(`Refreshed GitHub token of integration ${integrationId}`);
+
+    return data.access_token;
+  }
+}
+
+module.exports = new OAuthTokenService();
@@ -0,0 +1,288 @@
+const config = require('../config/environment');
+const cryptoHelper = require('../helpers/crypto.helper');
+const { RateLimitError } = require('../helpers/error.helper');
+const integrationService = require('./integration.service');
+const { redisClient } = require('../middleware/rate-limit.middleware');
+const { safeConsoleError, safeConsoleLog } = require('../utils/error-sanitizer.util');
+
+const BUCKET_PREFIX = 'github:ratelimit:';
+
+// GitHub asks clients to wait at least a minute after a secondary limit without Retry-After
+const DEFAULT_SECONDARY_WAIT_SECONDS = 60;
+
+// Integration.rateLimitInfo is refreshed at most this often per integration
+const PERSIST_INTERVAL_MS = 15 * 1000;
+
+// Spread resumed jobs so they don't all hit GitHub in the same second
+const RESUME_JITTER_MS = 5 * 1000;
+
+// Counts a call down in one step, so workers sharing a token don't lose calls;
+// buckets GitHub hasn't sized yet are left alone
+const TAKE_SCRIPT = `
+  if redis.call('hexists', KEYS[1], 'remaining') == 1 then
+    return redis.call('hincrby', KEYS[1], 'remaining', -1)
+  end
+  return false
+`;
+
+/**
+ * Token-bucket scheduler for GitHub API calls.
+ *
+ * Keeps one bucket per access token in Redis, shared by every worker. Each
+ * response refills the bucket from x-ratelimit-remaining/reset and each call
+ * takes one token from it. Once a token is down to the configured reserve, or
+ * GitHub asked for a Retry-After pause, calls fail fast with a RateLimitError
+ * and queued jobs for that token are deferred until the bucket resets.
+ */
+class RateLimitScheduler {
+  constructor() {
+    this.reserve = config.githubRateLimit.reserve;
+    this.lastPersistedAt = new Map();
+  }
+
+  /**
+   * Build the bucket key for a token
+   * @param {string} token - Access token
+   * @returns {string} Redis key
+   */
+  buildKey(token) {
+    // Tokens are hashed so they never reach Redis in clear text
+    return `${BUCKET_PREFIX}${cryptoHelper.hash(token || 'anonymous')}`;
+  }
+
+  /**
+   * Build the bucket key for one of a token's separately limited resources
+   * @param {string} key - Bucket key of the token's REST (core) limit
+   * @param {string} resource - x-ratelimit-resource, e.g. 'graphql'
+   * @returns {string} Redis key
+   */
+  resourceKey(key, resource) {
+    return resource === 'core' ? key : `${key}:${resource}`;
+  }
+
+  /**
+   * Get the current bucket state
+   * @param {string} key - Bucket key
+   * @returns {Promise<Object>} Remaining calls, reset and retry-after times (ms)
+   */
+  async getState(key) {
+    const state = await redisClient.hgetall(key);
+    const toNumber = (value) => (value === undefined ? null : Number(value));
+
+    return {
+      limit: toNumber(state.limit),
+      remaining: toNumber(state.remaining),
+      resetAt: toNumber(state.resetAt),
+      retryAfterUntil: toNumber(state.retryAfterUntil),
+    };
+  }
+
+  /**
+   * Get the time a paused token may be used again
+   * @param {string} key - Bucket key
+   * @returns {Promise<Date|null>} Resume time, or null if the token is usable
+   */
+  async getResumeAt(key) {
+    try {
+      const state = await this.getState(key);
+      const now = Date.now();
+
+      if (state.retryAfterUntil && state.retryAfterUntil > now) {
+        return new Date(state.retryAfterUntil);
+      }
+
+      if (state.remaining !== null && state.remaining <= this.reserve && state.resetAt > now) {
+        return new Date(state.resetAt);
+      }
+
+      return null;
+    } catch (error) {
+      safeConsoleError('Failed to read GitHub rate limit bucket:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Take one call from a token's bucket
+   * @param {string} key - Bucket key
+   * @throws {RateLimitError} If the token is paused
+   */
+  async take(key) {
+    const resumeAt = await this.getResumeAt(key);
+    if (resumeAt) {
+      throw new RateLimitError('GitHub rate limit reserve reached', resumeAt);
+    }
+
+    try {
+      await redisClient.eval(TAKE_SCRIPT, 1, key);
+    } catch (error) {
+      safeConsoleError('Failed to update GitHub rate limit bucket:', error);
+    }
+  }
+
+  /**
+   * Refill a token's bucket from response headers
+   * @param {string} key - Bucket key
+   * @param {Object} headers - GitHub response headers
+   * @param {string|null} integrationId - Integration to mirror the limits to
+   */
+  async record(key, headers, integrationId = null) {
+    if (!headers || headers['x-ratelimit-remaining'] === undefined) return;
+
+    const resetAt = parseInt(headers['x-ratelimit-reset']) * 1000;
+
+    try {
+      await redisClient.hset(key, {
+        limit: parseInt(headers['x-ratelimit-limit']) || 0,
+        remaining: parseInt(headers['x-ratelimit-remaining']),
+        resetAt,
+      });
+      // Drop the bucket shortly after its window resets
+      await redisClient.pexpireat(key, resetAt + 60 * 1000);
+    } catch (error) {
+      safeConsoleError('Failed to update GitHub rate limit bucket:', error);
+    }
+
+    if (integrationId) {
+      await this.persist(integrationId, headers);
+    }
+  }
+
+  /**
+   * Pause a token after a secondary rate limit
+   * @param {string} key - Bucket key
+   * @param {number} seconds - Retry-After seconds
+   * @returns {Promise<Date>} Resume time
+   */
+  async recordRetryAfter(key, seconds) {
+    const retryAfterUntil = Date.now() + seconds * 1000;
+
+    try {
+      await redisClient.hset(key, 'retryAfterUntil', retryAfterUntil);
+      await redisClient.pexpireat(key, retryAfterUntil + 60 * 1000);
+    } catch (error) {
+      safeConsoleError('Failed to record GitHub Retry-After:', error);
+    }
+
+    return new Date(retryAfterUntil);
+  }
+
+  /**
+   * Mirror the latest limits to Integration.rateLimitInfo
+   * @param {string} integrationId - Integration ObjectId
+   * @param {Object} headers - GitHub response headers
+   */
+  async persist(integrationId, headers) {
+    const id = integrationId.toString();
+    const last = this.lastPersistedAt.get(id) || 0;
+    const remaining = parseInt(headers['x-ratelimit-remaining']);
+
+    const now = Date.now();
+
+    // Always persist when the token is about to pause so the UI reflects it
+    if (now - last < PERSIST_INTERVAL_MS && remaining > this.reserve) return;
+
+    // Entries past the interval throttle nothing, so removed integrations don't pile up
+    for (const [persistedId, persistedAt] of this.lastPersistedAt) {
+      if (now - persistedAt >= PERSIST_INTERVAL_MS) this.lastPersistedAt.delete(persistedId);
+    }
+    this.lastPersistedAt.set(id, now);
+
+    try {
+      await integrationService.updateRateLimitFromHeaders(id, headers);
+    } catch (error) {
+      safeConsoleError('Failed to persist GitHub rate limit:', error);
+    }
+  }
+
+  /**
+   * Translate a rate-limited GitHub error into a RateLimitError
+   * @param {string} key - Bucket key
+   * @param {Object} error - Octokit RequestError
+   * @returns {Promise<Error>} Error to throw
+   */
+  async handleError(key, error) {
+    if (error.status !== 403 && error.status !== 429) return error;
+
+    const headers = error.response?.headers || {};
+    const retryAfter = parseInt(headers['retry-after']);
+    const message = error.response?.data?.message || error.message || '';
+
+    if (retryAfter || /secondary rate limit/i.test(message)) {
+      const resumeAt = await this.recordRetryAfter(key, retryAfter || DEFAULT_SECONDARY_WAIT_SECONDS);
+      return new RateLimitError('GitHub secondary rate limit exceeded', resumeAt);
+    }
+
+    if (headers['x-ratelimit-remaining'] === '0') {
+      const resumeAt = new Date(parseInt(headers['x-ratelimit-reset']) * 1000);
+      return new RateLimitError('GitHub rate limit exceeded', resumeAt);
+    }
+
+    return error;
+  }
+
+  /**
+   * Schedule an Octokit instance's requests through the token's bucket
+   * @param {Object} octokit - Octokit instance
+   * @param {string} token - Access token used by the instance
+   * @param {string|null} integrationId - Integration the token belongs to
+   * @returns {string} Bucket key
+   */
+  attach(octokit, token, integrationId = null) {
+    const key = this.buildKey(token);
+    const graphqlKey = this.resourceKey(key, 'graphql');
+
+    octokit.hook.wrap('request', async (request, options) => {
+      // GraphQL has its own points budget; only the REST limit is mirrored to the integration
+      // GitHub Enterprise Server clients post to an absolute .../api/graphql URL
+      const isGraphql = /\/graphql$/.test(options.url);
+      const bucket = isGraphql ? graphqlKey : key;
+      const persistTo = isGraphql ? null : integrationId;
+
+      await this.take(bucket);
+
+      try {
+        const response = await request(options);
+        await this.record(bucket, response.headers, persistTo);
+        return response;
+      } catch (error) {
+        await this.record(bucket, error.response?.headers, persistTo);
+        throw await this.handleError(bucket, error);
+      }
+    });
+
+    return key;
+  }
+
+  /**
+   * Re-queue a job to run once its token resumes
+   * @param {Object} job - Bull job
+   * @param {string} key - Bucket key of the job's token
+   * @returns {Promise<Object|null>} Deferral result, or null if the token is usable
+   */
+  async deferJob(job, key) {
+    const resumeAt = await this.getResumeAt(key);
+    if (!resumeAt) return null;
+
+    // Repeatable and fixed job IDs would clash with the job being processed
+    const options = { ...job.opts };
+    delete options.repeat;
+
+    await job.queue.add(job.data, {
+      ...options,
+      jobId: `${job.opts.jobId || job.id}:resume:${resumeAt.getTime()}`,
+      delay: Math.max(resumeAt.getTime() - Date.now(), 0) + Math.floor(Math.random() * RESUME_JITTER_MS),
+    });
+
+    safeConsoleLog(`Deferred ${job.queue.name} job ${job.id} until ${resumeAt.toISOString()} (GitHub rate limit)`);
+
+    return {
+      success: false,
+      deferred: true,
+      resumeAt,
+      message: 'Deferred until the GitHub rate limit resets',
+    };
+  }
+}
+
+module.exports = new RateLimitScheduler();
@@ -0,0 +1,345 @@
+const cronParser = require('cron-parser');
+const {
+  scheduledSyncQueue,
+  syncQueue,
+  organizationQueue,
+  syncJobOptions,
+} = require('../config/queue.config');
+const integrationService = require('./integration.service');
+const syncRunRepo = require('../repositories/sync-run.repository');
+const { ValidationError } = require('../helpers/error.helper');
+const { safeConsoleError, safeConsoleLog } = require('../utils/error-sanitizer.util');
+
+// 'cheap' syncs organizations and repositories, 'expensive' runs a full sync
+const SCHEDULE_KINDS = ['cheap', 'expensive'];
+
+const buildJobId = (integrationId, kind) => `schedule:${integrationId}:${kind}`;
+
+// One catch-up sync per integration; Bull ignores adds while a job with the ID
+// exists, so catch-up jobs are removed once they finish
+const buildCatchUpJobId = (integrationId) => `catchup:${integrationId}`;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Get the minutes since midnight of a date in a timezone
+ */
+const getLocalMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+
+  return value('hour') * 60 + value('minute');
+};
+
+/**
+ * Runs automatic syncs for each integration.
+ *
+ * Every integration gets up to two repeatable jobs on the scheduled sync queue,
+ * one per schedule kind, each on a cron expression or a fixed interval. When a
+ * repeatable job fires, the actual sync is queued after quiet hours end plus a
+ * random jitter, so integrations sharing a schedule don't hit GitHub together.
+ */
+class SyncSchedulerService {
+  /**
+   * Build the Bull repeat options for one schedule kind
+   * @param {Object} schedule - Integration.syncSchedule
+   * @param {string} kind - 'cheap' or 'expensive'
+   * @returns {Object|null} Repeat options, or null if the kind is off
+   */
+  getRepeatOptions(schedule, kind) {
+    const { cron, intervalMinutes } = schedule[kind] || {};
+
+    if (cron) {
+      return { cron, tz: schedule.timezone || 'UTC' };
+    }
+    if (intervalMinutes) {
+      return { every: intervalMinutes * 60 * 1000 };
+    }
+    return null;
+  }
+
+  /**
+   * Check a merged schedule before it is saved
+   * @param {Object} schedule - Schedule to validate
+   * @throws {ValidationError} If the schedule can't be run
+   */
+  validateSchedule(schedule) {
+    for (const kind of SCHEDULE_KINDS) {
+      const { cron } = schedule[kind];
+      if (!cron) continue;
+
+      try {
+        cronParser.parseExpression(cron, { tz: schedule.timezone });
+      } catch (error) {
+        throw new ValidationError(`Invalid ${kind} cron expression: ${error.message}`);
+      }
+    }
+
+    const { start, end } = schedule.quietHours;
+    if (Boolean(start) !== Boolean(end)) {
+      throw new ValidationError('Quiet hours need both a start and an end');
+    }
+  }
+
+  /**
+   * Find the repeatable jobs registered for an integration
+   * @param {string} integrationId - Integration ObjectId
+   * @returns {Promise<Array>} Bull repeatable job descriptors
+   */
+  async getRepeatableJobs(integrationId) {
+    const prefix = buildJobId(integrationId, '');
+    const jobs = await scheduledSyncQueue.getRepeatableJobs();
+    return jobs.filter(job => job.id && job.id.startsWith(prefix));
+  }
+
+  /**
+   * Get an integration's schedule and its next planned runs
+   * @param {Object} integration - Integration document
+   * @returns {Promise<Object>} Schedule with next run times
+   */
+  async getSchedule(integration) {
+    const integrationId = integration._id.toString();
+    const jobs = await this.getRepeatableJobs(integrationId);
+    const nextRuns = {};
+
+    for (const kind of SCHEDULE_KINDS) {
+      const job = jobs.find(repeatable => repeatable.id === buildJobId(integrationId, kind));
+      nextRuns[kind] = job ? new Date(job.next) : null;
+    }
+
+    return {
+      integrationId,
+      ...integration.toObject().syncSchedule,
+      active: jobs.length > 0,
+      nextRuns,
+    };
+  }
+
+  /**
+   * Merge changes into an integration's schedule and reschedule it
+   * @param {Object} integration - Integration document
+   * @param {Object} changes - Validated schedule fields
+   * @returns {Promise<Object>} Updated schedule
+   */
+  async updateSchedule(integration, changes) {
+    const current = integration.toObject().syncSchedule;
+    const schedule = {
+      ...current,
+      quietHours: { ...current.quietHours, ...changes.quietHours },
+    };
+
+    for (const key of ['enabled', 'timezone', 'jitterSeconds']) {
+      if (changes[key] !== undefined) schedule[key] = changes[key];
+    }
+
+    for (const kind of SCHEDULE_KINDS) {
+      const change = changes[kind] || {};
+
+      if (change.cron && change.intervalMinutes) {
+        throw new ValidationError(`Set either a cron expression or an interval for ${kind} syncs, not both`);
+      }
+
+      // Setting one way of scheduling a kind replaces the other
+      schedule[kind] = { ...current[kind], ...change };
+      if (change.cron) schedule[kind].intervalMinutes = null;
+      if (change.intervalMinutes) schedule[kind].cron = null;
+    }
+
+    this.validateSchedule(schedule);
+
+    integration.syncSchedule = schedule;
+    await integration.save();
+    await this.applySchedule(integration);
+
+    return await this.getSchedule(integration);
+  }
+
+  /**
+   * Replace an integration's repeatable jobs with its current schedule
+   * @param {Object} integration - Integration document
+   * @returns {Promise<Array>} Schedule kinds that are now scheduled
+   */
+  async applySchedule(integration) {
+    const integrationId = integration._id.toString();
+    const schedule = integration.syncSchedule;
+
+    await this.removeSchedule(integrationId);
+
+    if (!integration.isActive || integration.isPaused || !schedule || !schedule.enabled) {
+      return [];
+    }
+
+    const scheduled = [];
+    for (const kind of SCHEDULE_KINDS) {
+      const repeat = this.getRepeatOptions(schedule, kind);
+      if (!repeat) continue;
+
+      await scheduledSyncQueue.add(
+        { integrationId, kind },
+        {
+          repeat,
+          jobId: buildJobId(integrationId, kind),
+          removeOnComplete: true,
+          removeOnFail: 50,
+        }
+      );
+      scheduled.push(kind);
+    }
+
+    return scheduled;
+  }
+
+  /**
+   * Stop all scheduled syncs of an integration
+   * @param {string} integrationId - Integration ObjectId
+   * @returns {Promise<number>} Number of repeatable jobs removed
+   */
+  async removeSchedule(integrationId) {
+    const jobs = await this.getRepeatableJobs(integrationId.toString());
+    await Promise.all(jobs.map(job => scheduledSyncQueue.removeRepeatableByKey(job.key)));
+    return jobs.length;
+  }
+
+  /**
+   * Register schedules for all active integrations and catch up on integrations
+   * whose full sync is overdue, e.g. after the queues were down. Runs when the
+   * worker starts; restarts don't queue a second catch-up for an integration
+   * whose catch-up is still queued or running.
+   * @returns {Promise<Object>} Numbers of scheduled and caught-up integrations
+   */
+  async bootstrap() {
+    const integrations = await integrationService.getAllActiveIntegrations();
+    let scheduled = 0;
+
+    for (const integration of integrations) {
+      try {
+        const kinds = await this.applySchedule(integration);
+        if (kinds.length > 0) scheduled++;
+      } catch (error) {
+        safeConsoleError(`Failed to schedule syncs for integration ${integration._id}:`, error);
+      }
+    }
+
+    const overdue = await integrationService.getIntegrationsNeedingSync();
+    let caughtUp = 0;
+
+    for (const integration of overdue) {
+      if (integration.isPaused || !integration.syncSchedule?.enabled || !integration.needsSync) continue;
+
+      const result = await this.enqueueSync(integration, 'expensive', {
+        jobId: buildCatchUpJobId(integration._id),
+        removeOnComplete: true,
+        removeOnFail: true,
+      });
+      if (result.success) caughtUp++;
+    }
+
+    safeConsoleLog(`Scheduled syncs for ${scheduled} integrations, ${caughtUp} overdue syncs queued`);
+
+    return { scheduled, caughtUp };
+  }
+
+  /**
+   * Get how long until quiet hours end
+   * @param {Object} schedule - Integration.syncSchedule
+   * @param {Date} now - Current time
+   * @returns {number} Delay in ms, 0 outside quiet hours
+   */
+  getQuietHoursDelay(schedule, now = new Date()) {
+    const { start, end } = schedule.quietHours || {};
+    if (!start || !end) return 0;
+
+    const startMinutes = toMinutes(start);
+    const endMinutes = toMinutes(end);
+    const current = getLocalMinutes(now, schedule.timezone || 'UTC');
+
+    // Quiet hours may wrap midnight, e.g. 22:00-06:00
+    const inQuietHours = startMinutes <= endMinutes
+      ? current >= startMinutes && current < endMinutes
+      : current >= startMinutes || current < endMinutes;
+
+    if (!inQuietHours) return 0;
+
+    const minutesLeft = (endMinutes - current + 24 * 60) % (24 * 60);
+    return (minutesLeft * 60 - now.getSeconds()) * 1000;
+  }
+
+  /**
+   * Check whether a full sync is already in progress
+   * @param {string} integrationId - Integration ObjectId
+   * @returns {Promise<boolean>} True if a live run exists
+   */
+  async hasActiveRun(integrationId) {
+    return Boolean(await syncRunRepo.findLiveRun(integrationId));
+  }
+
+  /**
+   * Queue a scheduled sync after quiet hours and jitter
+   * @param {Object} integration - Integration document
+   * @param {string} kind - 'cheap' or 'expensive'
+   * @param {Object} options - Extra Bull job options, e.g. a jobId
+   * @returns {Promise<Object>} Queued job details
+   */
+  async enqueueSync(integration, kind, options = {}) {
+    const integrationId = integration._id.toString();
+    const schedule = integration.syncSchedule;
+
+    if (kind === 'expensive' && await this.hasActiveRun(integrationId)) {
+      return { success: false, skipped: true, message: 'Full sync already running' };
+    }
+
+    const jitter = Math.floor(Math.random() * (schedule.jitterSeconds || 0) * 1000);
+    const delay = this.getQuietHoursDelay(schedule) + jitter;
+    const queue = kind === 'expensive' ? syncQueue : organizationQueue;
+
+    const job = await queue.add({ integrationId, scheduled: true }, { ...syncJobOptions, ...options, delay });
+
+    return {
+      success: true,
+      message: `Scheduled ${kind} sync queued`,
+      kind,
+      jobId: job.id,
+      startsAt: new Date(Date.now() + delay),
+    };
+  }
+
+  /**
+   * Handle a fired repeatable job
+   * @param {Object} job - Bull job with { integrationId, kind }
+   * @returns {Promise<Object>} Outcome
+   */
+  async runScheduledJob(job) {
+    const { integrationId, kind } = job.data;
+    const integration = await integrationService.getIntegrationById(integrationId).catch(() => null);
+
+    // Schedules of removed or disabled integrations clean themselves up
+    if (!integration || !integration.isActive || !integration.syncSchedule?.enabled) {
+      await this.removeSchedule(integrationId);
+      return { success: false, skipped: true, message: 'Schedule no longer active' };
+    }
+
+    if (integration.isPaused) {
+      return { success: false, skipped: true, message: 'Integration paused' };
+    }
+
+    const expiryWarning = integrationService.getTokenExpiryWarning(integration);
+    if (expiryWarning?.level === 'expired') {
+      return { success: false, skipped: true, message: expiryWarning.message };
+    }
+    if (expiryWarning) {
+      safeConsoleLog(`Integration ${integrationId}: ${expiryWarning.message}`);
+    }
+
+    return await this.enqueueSync(integration, kind);
+  }
+}
+
+module.exports = new SyncSchedulerService();
@@ -5,60 +5,381 @@ const repoRepo = require('../repositories/repo.repository');
 const commitRepo = require('../repositories/commit.repository');
 const pullRepo = require('../repositories/pull.repository');
 const issueRepo = require('../repositories/issue.repository');
+const reviewRepo = require('../repositories/review.repository');
+const reviewCommentRepo = require('../repositories/review-comment.repository');
+const issueCommentRepo = require('../repositories/issue-comment.repository');
+const workflowRepo = require('../repositories/workflow.repository');
+const workflowRunRepo = require('../repositories/workflow-run.repository');
+const workflowJobRepo = require('../repositories/workflow-job.repository');
+const checkRunRepo = require('../repositories/check-run.repository');
+const branchRepo = require('../repositories/branch.repository');
+const tagRepo = require('../repositories/tag.repository');
+const releaseRepo = require('../repositories/release.repository');
+const labelRepo = require('../repositories/label.repository');
+const milestoneRepo = require('../repositories/milestone.repository');
+const discussionRepo = require('../repositories/discussion.repository');
+const discussionCommentRepo = require('../repositories/discussion-comment.repository');
+const projectRepo = require('../repositories/project.repository');
+const projectFieldRepo = require('../repositories/project-field.repository');
+const projectItemRepo = require('../repositories/project-item.repository');
+const teamRepo = require('../repositories/team.repository');
+const orgMembershipRepo = require('../repositories/org-membership.repository');
+const teamMembershipRepo = require('../repositories/team-membership.repository');
+const collaboratorRepo = require('../repositories/collaborator.repository');
+const environmentRepo = require('../repositories/environment.repository');
+const deploymentRepo = require('../repositories/deployment.repository');
+const deploymentStatusRepo = require('../repositories/deployment-status.repository');
+const repoSnapshotRepo = require('../repositories/repo-snapshot.repository');
+const repoTrafficRepo = require('../repositories/repo-traffic.repository');
+const repoReferrerRepo = require('../repositories/repo-referrer.repository');
+const contributorStatRepo = require('../repositories/contributor-stat.repository');
 const changelogRepo = require('../repositories/changelog.repository');
 const userRepo = require('../repositories/user.repository');
+const syncCursorRepo = require('../repositories/sync-cursor.repository');
+const syncRunRepo = require('../repositories/sync-run.repository');
 const mongoose = require('mongoose');
+const config = require('../config/environment');
+const {
+  repositoryQueue,
+  commitQueue,
+  pullQueue,
+  issueQueue,
+  actionsQueue,
+  refsQueue,
+  labelQueue,
+  discussionQueue,
+  projectQueue,
+  collaboratorQueue,
+  deploymentQueue,
+  statsQueue,
+  userQueue,
+  syncJobOptions
+} = require('../config/queue.config');
 const { parallelProcessSafe, processBatch } = require('../utils/batch.util');
 const { safeConsoleError, safeConsoleLog } = require('../utils/error-sanitizer.util');
-const { redisClient } = require('../middleware/rate-limit.middleware');
+const {
+  mapOrganization,
+  mapRepository,
+  mapCommit,
+  mapPull,
+  mapReview,
+  mapReviewComment,
+  mapIssue,
+  mapIssueComment,
+  mapWorkflow,
+  mapWorkflowRun,
+  mapWorkflowJob,
+  mapCheckRun,
+  mapBranch,
+  mapTag,
+  mapRelease,
+  mapLabelRef,
+  mapMilestoneRef,
+  mapLabel,
+  mapMilestone,
+  mapDiscussion,
+  mapDiscussionComment,
+  mapProject,
+  mapProjectField,
+  mapProjectItem,
+  mapTeam,
+  mapTeamRepository,
+  mapOrgMembership,
+  mapTeamMembership,
+  mapCollaborator,
+  mapEnvironment,
+  mapDeployment,
+  mapDeploymentStatus,
+  summarizeDeploymentStatuses,
+  mapRepoSnapshot,
+  mapTrafficDays,
+  mapReferrer,
+  mapContributorWeeks,
+  mapUser
+} = require('../utils/github-mapper.util');
+
+// Unfinished runs older than this start over instead of resuming
+const RESUME_WINDOW_HOURS = 24;
+
+// Per-repository child jobs of a full sync
+const REPO_ENTITIES = [
+  'commits', 'pulls', 'issues', 'actions', 'refs', 'labels', 'discussions', 'collaborators', 'deployments', 'stats'
+];
+const REPO_QUEUES = {
+  commits: commitQueue,
+  pulls: pullQueue,
+  issues: issueQueue,
+  actions: actionsQueue,
+  refs: refsQueue,
+  labels: labelQueue,
+  discussions: discussionQueue,
+  collaborators: collaboratorQueue,
+  deployments: deploymentQueue,
+  stats: statsQueue
+};
+
+// Default commit window when a repository has no commit cursor yet
+const DEFAULT_COMMIT_WINDOW_DAYS = 30;
+
+// Default workflow run window when a repository has no run cursor yet
+const DEFAULT_WORKFLOW_RUN_WINDOW_DAYS = 30;
+
+// Stored runs still queued or in progress that are re-fetched per sync
+const MAX_UNFINISHED_RUN_REFRESH = 100;
+
+// Stored deployments without a final status that are re-fetched per sync
+const MAX_UNFINISHED_DEPLOYMENT_REFRESH = 100;
+
+// Head SHAs per sync whose check runs are fetched, newest runs first
+const MAX_CHECK_RUN_REFS = 50;
+
+// Objects missing from complete listings for this long are tombstoned
+const DELETION_GRACE_MS = config.sync.deletionGraceHours * 60 * 60 * 1000;
+
+// Incremental syncs list every ID of pulls, issues, comments and discussions this often to find deletions
+const SWEEP_INTERVAL_MS = config.sync.sweepIntervalHours * 60 * 60 * 1000;
+
+// Newest timestamp among items, used to advance sync cursors
+const latestTimestamp = (items, getTimestamp) => {
+  let latest = null;
+  for (const item of items) {
+    const value = getTimestamp(item);
+    if (value && (!latest || new Date(value) > latest)) {
+      latest = new Date(value);
+    }
+  }
+  return latest;
+};
 
 class SyncService {
-  constructor() {
-    this.syncProgress = new Map();
+  // Get sync progress for an integration from its latest sync run
+  async getSyncProgress(integrationId) {
+    const run = await syncRunRepo.findLatestRun(integrationId);
+    return run ? run.getProgress() : null;
   }
 
-  // Get sync progress for a specific integration
-  getSyncProgress(integrationId) {
-    return this.syncProgress.get(integrationId) || null;
+  // Whether a full sync run of the integration is still progressing
+  async hasLiveRun(integrationId) {
+    return Boolean(await syncRunRepo.findLiveRun(integrationId));
   }
 
-  // Update sync progress (now uses Redis for distributed systems)
-  async updateSyncProgress(integrationId, progress) {
-    const progressData = {
-      ...progress,
-      timestamp: new Date().toISOString()
-    };
+  // Cancel running syncs; queued child jobs skip their work once the run is cancelled
+  async cancelSync(integrationId) {
+    const result = await syncRunRepo.cancelActiveRuns(integrationId);
+    await integrationService.updateSyncStatus(integrationId, 'idle');
+    return result.modifiedCount;
+  }
+
+  // Resume the latest failed or stale run, or start a new one
+  async startRun(integrationId, jobId = null) {
+    const since = new Date(Date.now() - RESUME_WINDOW_HOURS * 60 * 60 * 1000);
+    const resumable = await syncRunRepo.findResumableRun(integrationId, since);
+
+    if (resumable) {
+      safeConsoleLog(`Resuming sync run ${resumable._id} for integration ${integrationId}`);
+      return await syncRunRepo.resumeRun(resumable._id, jobId);
+    }
+
+    const run = await syncRunRepo.createRun(integrationId, jobId);
+    return await syncRunRepo.addSteps(run, [
+      { key: 'organizations', label: 'Syncing organizations' },
+      { key: 'users', label: 'Syncing users' }
+    ]);
+  }
+
+  // Publish run progress to the job and the integration, returning the fresh run
+  async reportProgress(integrationId, runId, job) {
+    const run = await syncRunRepo.findById(runId);
+    const progress = run.getProgress();
+
+    if (job && progress.total > 0) {
+      await job.progress(Math.floor((progress.current / progress.total) * 100));
+    }
+
+    await integrationService.updateSyncStatus(integrationId, 'syncing', {
+      current: progress.current,
+      total: progress.total,
+      message: progress.message
+    });
+
+    return run;
+  }
 
-    // Store in memory
-    this.syncProgress.set(integrationId, progressData);
+  // Run a checkpointed step unless an earlier attempt already completed it
+  async runStep(integrationId, run, key, work, job) {
+    const step = run.steps.find(item => item.key === key);
+    if (step && step.status === 'completed') {
+      return run;
+    }
+
+    await syncRunRepo.startStep(run._id, key, step ? step.label : key);
 
-    // Store in Redis for distributed systems
     try {
-      await redisClient.setex(
-        `sync:progress:${integrationId}`,
-        3600, // 1 hour TTL
-        JSON.stringify(progressData)
-      );
+      const result = await work();
+
+      if (result?.success) {
+        await syncRunRepo.completeStep(run._id, key, result.count || 0);
+      } else {
+        await syncRunRepo.failStep(run._id, key, result?.message || 'Step did not complete');
+      }
     } catch (error) {
-      safeConsoleError('Failed to update sync progress in Redis:', error);
+      await syncRunRepo.failStep(run._id, key, error.message);
+      throw error;
+    }
+
+    return await this.reportProgress(integrationId, run._id, job);
+  }
+
+  // Enqueue child jobs for run steps
+  async dispatchSteps(run, steps) {
+    const integrationId = run.integrationId.toString();
+    let dispatched = 0;
+
+    for (const step of steps) {
+      const [type, target, entity] = step.key.split(':');
+      const data = { integrationId, runId: run._id.toString(), stepKey: step.key };
+      // Resumed runs get fresh job IDs so failed children are retried
+      const options = { ...syncJobOptions, jobId: `${run._id}:${run.resumeCount}:${step.key}` };
+
+      if (type === 'repos') {
+        await repositoryQueue.add({ ...data, owner: target }, options);
+      } else if (type === 'projects') {
+        await projectQueue.add({ ...data, owner: target }, options);
+      } else if (type === 'repo') {
+        const repo = await repoRepo.findById(target);
+        if (!repo) {
+          await syncRunRepo.failStep(run._id, step.key, 'Repository no longer exists');
+          continue;
+        }
+
+        const [owner, repoName] = repo.fullName.split('/');
+        await REPO_QUEUES[entity].add({ ...data, owner, repo: repoName }, options);
+      } else if (type === 'users') {
+        await userQueue.add(data, options);
+      } else {
+        continue;
+      }
+
+      dispatched++;
     }
 
-    return progressData;
+    return dispatched;
   }
 
-  // Clear sync progress
-  async clearSyncProgress(integrationId) {
-    this.syncProgress.delete(integrationId);
+  /**
+   * Run a child job of a full sync.
+   * Records the outcome on the job's SyncRun step and settles the run once
+   * no step is pending. Jobs without a run (manual syncs) just do the work.
+   * `defer` re-queues the job when its token is rate limited; a deferred job
+   * leaves its step pending instead of failing it.
+   */
+  async runChildJob(job, work, defer = async () => null) {
+    const { integrationId, runId, stepKey } = job.data;
+    let run = null;
+    let step = null;
+
+    if (runId) {
+      run = await syncRunRepo.findById(runId);
+      step = run?.steps.find(item => item.key === stepKey);
+
+      if (!run || run.status !== 'running' || !step) {
+        return { success: false, skipped: true, message: 'Sync run is no longer active' };
+      }
+
+      if (step.status === 'completed') {
+        return { success: true, skipped: true, message: 'Step already completed' };
+      }
+    }
+
+    // Don't spend calls on a token that is already paused
+    const deferred = await defer();
+    if (deferred) {
+      return deferred;
+    }
+
+    if (run) {
+      await syncRunRepo.startStep(runId, stepKey, step.label);
+    }
 
+    let result;
     try {
-      await redisClient.del(`sync:progress:${integrationId}`);
+      result = await work(run);
     } catch (error) {
-      safeConsoleError('Failed to clear sync progress from Redis:', error);
+      const retryLater = await defer();
+      if (retryLater) {
+        return retryLater;
+      }
+
+      // Leave the step pending while Bull still has attempts left
+      if (run && job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+        await syncRunRepo.failStep(runId, stepKey, error.message);
+        await this.settleRun(integrationId, runId);
+      }
+      throw error;
+    }
+
+    // Sync methods swallow their errors, so check for a rate limit pause here too
+    if (!result?.success) {
+      const retryLater = await defer();
+      if (retryLater) {
+        return retryLater;
+      }
+    }
+
+    if (!run) {
+      return result;
+    }
+
+    if (result?.success) {
+      await syncRunRepo.completeStep(runId, stepKey, result.count || 0);
+    } else {
+      await syncRunRepo.failStep(runId, stepKey, result?.message || 'Step did not complete');
+    }
+
+    await this.settleRun(integrationId, runId);
+    return result;
+  }
+
+  // Finish a run once every step is done; only the first caller to see that wins
+  async settleRun(integrationId, runId) {
+    const run = await syncRunRepo.findById(runId);
+    if (!run || run.status !== 'running') {
+      return run;
+    }
+
+    if (run.steps.some(step => step.status === 'pending')) {
+      return await this.reportProgress(integrationId, runId, null);
+    }
+
+    const failedSteps = run.steps.filter(step => step.status === 'failed');
+    const status = failedSteps.length > 0 ? 'failed' : 'completed';
+    const finished = await syncRunRepo.finishRun(
+      runId,
+      status,
+      failedSteps.length > 0 ? `${failedSteps.length} step(s) failed` : null
+    );
+
+    if (!finished) {
+      return run;
+    }
+
+    if (status === 'completed') {
+      await integrationService.updateLastSync(integrationId);
+    } else {
+      // Failed steps are retried by the next sync, which resumes this run
+      await integrationService.updateSyncStatus(integrationId, 'failed');
     }
+
+    return finished;
   }
 
   /**
-   * Sync all with progress reporting (for queue worker)
+   * Coordinate a full sync (for queue worker).
+   * Syncs the accounts inline, then fans out per-owner repository and project
+   * jobs and a users job; repository jobs in turn fan out per-repository
+   * commit, pull and issue jobs. Every child is a step of the integration's SyncRun, so a
+   * retried or restarted sync resumes the unfinished run and only
+   * re-dispatches steps that haven't completed.
    */
   async syncAllWithProgress(integrationId, job) {
     const integration = await integrationService.getIntegrationById(integrationId);
@@ -66,205 +387,140 @@ class SyncService {
       throw new Error('Integration not found');
     }
 
-    const githubApi = new GitHubApiService(integration.accessToken);
-
-    await this.updateSyncProgress(integrationId, {
-      status: 'running',
-      message: 'Starting full sync',
-      current: 0,
-      total: 100
-    });
+    if (integration.isPaused) {
+      return { success: false, skipped: true, message: 'Integration is paused' };
+    }
 
-    // Sync organizations
-    await this.syncOrganizations(integrationId, githubApi);
-    if (job) await job.progress(20);
-
-    // Sync repositories
-    const repos = await repoRepo.findByIntegrationId(integrationId);
-    let current = 0;
-    const total = repos.length;
-
-    for (const repo of repos) {
-      const [owner, repoName] = repo.fullName.split('/');
-
-      // Sync commits, pulls, and issues for each repo
-      await this.syncCommits(integrationId, owner, repoName, githubApi);
-      await this.syncPulls(integrationId, owner, repoName, githubApi);
-      await this.syncIssues(integrationId, owner, repoName, githubApi);
-
-      current++;
-      const progress = 20 + Math.floor((current / total) * 60); // 20% to 80%
-      if (job) await job.progress(progress);
-
-      await this.updateSyncProgress(integrationId, {
-        status: 'running',
-        message: `Syncing repository ${repo.fullName}`,
-        current,
-        total
-      });
+    // A second coordinator, e.g. a manual sync overlapping a scheduled one, leaves the live run alone
+    const liveRun = await syncRunRepo.findLiveRun(integrationId);
+    if (liveRun) {
+      return { success: false, skipped: true, message: 'Full sync already running', runId: liveRun._id };
     }
 
-    // Sync users
-    await this.syncUsers(integrationId, githubApi);
-    if (job) await job.progress(90);
+    const githubApi = GitHubApiService.forIntegration(integration);
+    let run = await this.startRun(integrationId, job ? job.id : null);
 
-    // Update integration last sync time
-    await integrationService.updateLastSync(integrationId);
+    try {
+      run = await this.reportProgress(integrationId, run._id, job);
 
-    await this.updateSyncProgress(integrationId, {
-      status: 'completed',
-      message: 'Sync completed successfully',
-      current: total,
-      total
-    });
+      // Accounts must be stored before their repositories can be fanned out
+      run = await this.runStep(
+        integrationId, run, 'organizations',
+        () => this.syncOrganizationAccounts(integrationId, githubApi),
+        job
+      );
+      if (run.status === 'cancelled') {
+        return { success: false, cancelled: true, message: 'Sync cancelled', runId: run._id };
+      }
 
-    // Clear progress after 5 minutes
-    setTimeout(() => this.clearSyncProgress(integrationId), 5 * 60 * 1000);
+      const organizations = await organizationRepo.findPresent({ integrationId });
+      run = await syncRunRepo.addSteps(run, organizations.flatMap(org => [
+        { key: `repos:${org.login}`, label: `Syncing repositories for ${org.login}` },
+        { key: `projects:${org.login}`, label: `Syncing projects for ${org.login}` }
+      ]));
 
-    return { success: true, message: 'Full sync completed', repositoriesSynced: total };
+      const childJobs = await this.dispatchSteps(
+        run,
+        run.steps.filter(step => step.key !== 'organizations' && step.status !== 'completed')
+      );
+
+      // Nothing may have been left to dispatch on a resumed run
+      await this.settleRun(integrationId, run._id);
+
+      return {
+        success: true,
+        message: 'Full sync dispatched',
+        runId: run._id,
+        childJobs
+      };
+    } catch (error) {
+      await syncRunRepo.finishRun(run._id, 'failed', error.message);
+      await integrationService.updateSyncStatus(integrationId, 'failed');
+      throw error;
+    }
   }
 
   // Full sync for an integration
   async syncAll(integrationId) {
-    try {
-      const integration = await integrationService.getIntegrationById(integrationId);
-      if (!integration) {
-        throw new Error('Integration not found');
-      }
-
-      const githubApi = new GitHubApiService(integration.accessToken);
-
-      this.updateSyncProgress(integrationId, {
-        status: 'running',
-        message: 'Starting full sync',
-        current: 0,
-        total: 100
-      });
+    return await this.syncAllWithProgress(integrationId, null);
+  }
 
-      // Sync organizations
-      await this.syncOrganizations(integrationId, githubApi);
+  // Sync the authenticated user and their organizations, without repositories
+  async syncOrganizationAccounts(integrationId, githubApi) {
+    const integration = await integrationService.getIntegrationById(integrationId);
+    if (integration.authType === 'app') {
+      return await this.syncInstallationAccount(integrationId, integration.installation, githubApi);
+    }
 
-      // Sync repositories
-      const repos = await repoRepo.findByIntegrationId(integrationId);
+    const user = await githubApi.getAuthenticatedUser();
+    const orgs = await githubApi.getUserOrganizations();
 
-      let current = 0;
-      const total = repos.length;
+    // Sync user as an organization
+    const userData = mapOrganization(integrationId, user, 'User');
 
-      for (const repo of repos) {
-        const [owner, repoName] = repo.fullName.split('/');
+    await organizationRepo.upsertByGithubId(integrationId, githubApi.host, user.id, userData);
 
-        // Sync commits, pulls, and issues for each repo
-        await this.syncCommits(integrationId, owner, repoName, githubApi);
-        await this.syncPulls(integrationId, owner, repoName, githubApi);
-        await this.syncIssues(integrationId, owner, repoName, githubApi);
-
-        current++;
-        this.updateSyncProgress(integrationId, {
-          status: 'running',
-          message: `Syncing repository ${repo.fullName}`,
-          current,
-          total
-        });
-      }
+    // Sync organizations
+    const owners = [];
+    const seenIds = [user.id];
+    for (const org of orgs) {
+      const orgDetails = await githubApi.getOrganization(org.login);
 
-      // Sync users
-      await this.syncUsers(integrationId, githubApi);
+      const orgData = mapOrganization(integrationId, orgDetails);
 
-      // Update integration last sync time
-      await integrationService.updateLastSync(integrationId);
+      await organizationRepo.upsertByGithubId(integrationId, githubApi.host, orgDetails.id, orgData);
+      owners.push(orgDetails.login);
+      seenIds.push(orgDetails.id);
+    }
 
-      this.updateSyncProgress(integrationId, {
-        status: 'completed',
-        message: 'Sync completed successfully',
-        current: total,
-        total
-      });
+    // Organizations the user left or that were deleted
+    await organizationRepo.sweepMissing({ integrationId }, seenIds, DELETION_GRACE_MS);
+    await this.tombstoneOrganizationContents(integrationId);
 
-      // Clear progress after 5 minutes
-      setTimeout(() => this.clearSyncProgress(integrationId), 5 * 60 * 1000);
+    // The user's personal repositories come last
+    owners.push(user.login);
 
-      return { success: true, message: 'Full sync completed' };
-    } catch (error) {
-      this.updateSyncProgress(integrationId, {
-        status: 'error',
-        message: error.message,
-        current: 0,
-        total: 0
-      });
-      throw error;
-    }
+    return { success: true, message: 'Organizations synced', owners, count: owners.length };
   }
 
-  // Sync organizations
-  async syncOrganizations(integrationId, githubApi) {
-    try {
-      this.updateSyncProgress(integrationId, {
-        status: 'running',
-        message: 'Syncing organizations',
-        current: 0,
-        total: 100
-      });
+  // An app installation covers exactly one account, and installation tokens
+  // can't list the memberships of a user
+  async syncInstallationAccount(integrationId, installation, githubApi) {
+    const { account } = installation;
+    const accountData = account.type === 'Organization'
+      ? mapOrganization(integrationId, await githubApi.getOrganization(account.login))
+      : mapOrganization(integrationId, await githubApi.getUser(account.login), 'User');
 
-      const user = await githubApi.getAuthenticatedUser();
-      const orgs = await githubApi.getUserOrganizations();
-
-      // Sync user as an organization
-      const userData = {
-        integrationId: new mongoose.Types.ObjectId(integrationId),
-        githubId: user.id,
-        login: user.login,
-        name: user.name,
-        description: user.bio,
-        url: user.url,
-        htmlUrl: user.html_url,
-        avatarUrl: user.avatar_url,
-        location: user.location,
-        email: user.email,
-        publicRepos: user.public_repos,
-        publicGists: user.public_gists,
-        followers: user.followers,
-        following: user.following,
-        createdAt: user.created_at,
-        updatedAt: user.updated_at,
-        type: 'User',
-        syncedAt: new Date()
-      };
+    await organizationRepo.upsertByGithubId(integrationId, githubApi.host, account.id, accountData);
 
-      await organizationRepo.upsertByGithubId(user.id, userData);
+    // Only the installation account belongs to this integration
+    await organizationRepo.sweepMissing({ integrationId }, [account.id], DELETION_GRACE_MS);
+    await this.tombstoneOrganizationContents(integrationId);
 
-      // Sync organizations
-      for (const org of orgs) {
-        const orgDetails = await githubApi.getOrganization(org.login);
+    return { success: true, message: 'Organizations synced', owners: [account.login], count: 1 };
+  }
 
-        const orgData = {
-          integrationId: new mongoose.Types.ObjectId(integrationId),
-          githubId: orgDetails.id,
-          login: orgDetails.login,
-          name: orgDetails.name,
-          description: orgDetails.description,
-          url: orgDetails.url,
-          htmlUrl: orgDetails.html_url,
-          avatarUrl: orgDetails.avatar_url,
-          location: orgDetails.location,
-          email: orgDetails.email,
-          publicRepos: orgDetails.public_repos,
-          publicGists: orgDetails.public_gists,
-          followers: orgDetails.followers,
-          following: orgDetails.following,
-          createdAt: orgDetails.created_at,
-          updatedAt: orgDetails.updated_at,
-          type: 'Organization',
-          syncedAt: new Date()
-        };
+  // Repositories and members of a removed organization are gone with it
+  async tombstoneOrganizationContents(integrationId) {
+    const removed = await organizationRepo.distinct('_id', { integrationId, removedFromSource: true });
+    if (removed.length === 0) return;
 
-        await organizationRepo.upsertByGithubId(orgDetails.id, orgData);
+    await repoRepo.markRemoved({ organizationId: { $in: removed } });
+    await userRepo.markRemoved({ organizationId: { $in: removed } });
+    await orgMembershipRepo.markRemoved({ organizationId: { $in: removed } });
+    await teamRepo.markRemoved({ organizationId: { $in: removed } });
+    await projectRepo.markRemoved({ organizationId: { $in: removed } });
+  }
 
-        // Sync repositories for this organization
-        await this.syncRepositories(integrationId, orgDetails.login, githubApi);
-      }
+  // Sync organizations
+  async syncOrganizations(integrationId, githubApi) {
+    try {
+      const { owners } = await this.syncOrganizationAccounts(integrationId, githubApi);
 
-      // Also sync user's personal repositories
-      await this.syncRepositories(integrationId, user.login, githubApi);
+      // Sync repositories for each organization and the user
+      for (const owner of owners) {
+        await this.syncRepositories(integrationId, owner, githubApi);
+      }
 
       return { success: true, message: 'Organizations synced' };
     } catch (error) {
@@ -272,56 +528,55 @@ class SyncService {
     }
   }
 
+  // Sync an owner's repositories and, within a full sync, fan out their per-repository jobs
+  async syncRepositoriesAndDispatch(integrationId, owner, githubApi, run) {
+    const result = await this.syncRepositories(integrationId, owner, githubApi);
+    if (!run) {
+      return result;
+    }
+
+    const organization = await organizationRepo.findByLogin(integrationId, owner, githubApi.host);
+    const repos = organization ? await repoRepo.findPresent({ organizationId: organization._id }) : [];
+
+    const steps = repos.flatMap(repo => REPO_ENTITIES.map(entity => ({
+      key: `repo:${repo._id}:${entity}`,
+      label: `Syncing ${entity} for ${repo.fullName}`
+    })));
+    const keys = new Set(steps.map(step => step.key));
+
+    // Steps are added before this job's own step completes, so the run can't settle early
+    const updatedRun = await syncRunRepo.addSteps(run, steps);
+    await this.dispatchSteps(
+      updatedRun,
+      updatedRun.steps.filter(step => keys.has(step.key) && step.status !== 'completed')
+    );
+
+    return { ...result, count: repos.length };
+  }
+
   // Sync repositories
   async syncRepositories(integrationId, owner, githubApi) {
     try {
       const repos = await githubApi.getOrgRepositories(owner);
-      const organization = await organizationRepo.findByLogin(owner);
+      const organization = await organizationRepo.findByLogin(integrationId, owner, githubApi.host);
 
       for (const repo of repos) {
-        const repoData = {
-          integrationId: new mongoose.Types.ObjectId(integrationId),
-          organizationId: organization ? organization._id : null,
-          githubId: repo.id,
-          name: repo.name,
-          fullName: repo.full_name,
-          description: repo.description,
-          private: repo.private,
-          fork: repo.fork,
-          url: repo.url,
-          htmlUrl: repo.html_url,
-          cloneUrl: repo.clone_url,
-          gitUrl: repo.git_url,
-          sshUrl: repo.ssh_url,
-          homepage: repo.homepage,
-          language: repo.language,
-          size: repo.size,
-          stargazersCount: repo.stargazers_count,
-          watchersCount: repo.watchers_count,
-          forksCount: repo.forks_count,
-          openIssuesCount: repo.open_issues_count,
-          defaultBranch: repo.default_branch,
-          topics: repo.topics || [],
-          hasIssues: repo.has_issues,
-          hasProjects: repo.has_projects,
-          hasWiki: repo.has_wiki,
-          hasPages: repo.has_pages,
-          hasDownloads: repo.has_downloads,
-          archived: repo.archived,
-          disabled: repo.disabled,
-          visibility: repo.visibility,
-          pushedAt: repo.pushed_at,
-          createdAt: repo.created_at,
-          updatedAt: repo.updated_at,
-          owner: {
-            login: repo.owner.login,
-            avatarUrl: repo.owner.avatar_url,
-            type: repo.owner.type
-          },
-          syncedAt: new Date()
-        };
+        const repoData = mapRepository(integrationId, repo, organization ? organization._id : null);
+
+        const savedRepo = await repoRepo.upsertByGithubId(integrationId, githubApi.host, repo.id, repoData);
+
+        // Counters are overwritten on the repository, so keep a daily history
+        const snapshot = mapRepoSnapshot(savedRepo);
+        await repoSnapshotRepo.upsertByDay(savedRepo._id, snapshot.date, snapshot);
+      }
 
-        await repoRepo.upsertByGithubId(repo.id, repoData);
+      // Repositories deleted or transferred away from this owner
+      if (organization) {
+        await repoRepo.sweepMissing(
+          { integrationId, organizationId: organization._id },
+          repos.map(repo => repo.id),
+          DELETION_GRACE_MS
+        );
       }
 
       return { success: true, message: 'Repositories synced' };
@@ -330,17 +585,20 @@ class SyncService {
     }
   }
 
-  // Sync commits for a repository
-  async syncCommits(integrationId, owner, repoName, githubApi) {
+  // Sync commits for a repository (incremental from the commit cursor unless options.full)
+  async syncCommits(integrationId, owner, repoName, githubApi, options = {}) {
     try {
-      const repo = await repoRepo.findByFullName(`${owner}/${repoName}`);
+      const repo = await repoRepo.findByFullName(integrationId, `${owner}/${repoName}`, githubApi.host);
       if (!repo) {
         console.warn(`Repository ${owner}/${repoName} not found in database`);
         return;
       }
 
-      // Get commits from last 30 days
-      const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+      // Resume from the commit cursor, falling back to the default window
+      const cursor = options.full
+        ? null
+        : await syncCursorRepo.getHighWaterMark(integrationId, repo._id, 'commits');
+      const since = (cursor || new Date(Date.now() - DEFAULT_COMMIT_WINDOW_DAYS * 24 * 60 * 60 * 1000)).toISOString();
       const commits = await githubApi.getCommits(owner, repoName, since);
 
       for (const commit of commits) {
@@ -353,328 +611,728 @@ class SyncService {
           detailedCommit = commit;
         }
 
-        const commitData = {
-          integrationId: new mongoose.Types.ObjectId(integrationId),
-          repoId: repo._id,
-          sha: commit.sha,
-          message: commit.commit.message,
-          author: {
-            name: commit.commit.author.name,
-            email: commit.commit.author.email,
-            date: commit.commit.author.date,
-            login: commit.author?.login,
-            avatarUrl: commit.author?.avatar_url
-          },
-          committer: {
-            name: commit.commit.committer.name,
-            email: commit.commit.committer.email,
-            date: commit.commit.committer.date,
-            login: commit.committer?.login,
-            avatarUrl: commit.committer?.avatar_url
-          },
-          url: commit.url,
-          htmlUrl: commit.html_url,
-          commentCount: commit.commit.comment_count,
-          additions: detailedCommit.stats?.additions || 0,
-          deletions: detailedCommit.stats?.deletions || 0,
-          totalChanges: detailedCommit.stats?.total || 0,
-          files: detailedCommit.files?.map(file => ({
-            filename: file.filename,
-            status: file.status,
-            additions: file.additions,
-            deletions: file.deletions,
-            changes: file.changes
-          })) || [],
-          parents: commit.parents?.map(parent => ({
-            sha: parent.sha,
-            url: parent.url
-          })) || [],
-          verified: commit.commit.verification?.verified || false,
-          signature: commit.commit.verification?.signature,
-          syncedAt: new Date()
-        };
+        const commitData = mapCommit(integrationId, repo._id, commit, detailedCommit);
 
-        await commitRepo.upsertBySha(commit.sha, commitData);
+        await commitRepo.upsertByRepoAndSha(repo._id, commit.sha, commitData);
       }
 
-      return { success: true, message: 'Commits synced' };
+      await syncCursorRepo.advanceCursor(
+        integrationId,
+        repo._id,
+        'commits',
+        latestTimestamp(commits, commit => commit.commit.committer?.date),
+        commits.length
+      );
+
+      return { success: true, message: 'Commits synced', count: commits.length, since };
     } catch (error) {
       console.error(`Failed to sync commits for ${owner}/${repoName}: ${error.message}`);
       // Don't throw, continue with other syncs
     }
   }
 
-  // Sync pull requests
-  async syncPulls(integrationId, owner, repoName, githubApi) {
+  // Sync pull requests (only those updated since the pull cursor unless options.full)
+  async syncPulls(integrationId, owner, repoName, githubApi, options = {}) {
     try {
-      const repo = await repoRepo.findByFullName(`${owner}/${repoName}`);
+      const repo = await repoRepo.findByFullName(integrationId, `${owner}/${repoName}`, githubApi.host);
       if (!repo) {
         console.warn(`Repository ${owner}/${repoName} not found in database`);
         return;
       }
 
-      const pulls = await githubApi.getPullRequests(owner, repoName);
+      const since = options.full
+        ? null
+        : await syncCursorRepo.getHighWaterMark(integrationId, repo._id, 'pulls');
+      let { pulls, complete } = await githubApi.listPullRequests(owner, repoName, 'all', since);
+      let updatedThrough = latestTimestamp(pulls, pull => pull.updated_at);
+
+      // More pull requests changed than one newest-first listing holds, and the
+      // ones it didn't reach would be skipped once the cursor moved past them.
+      // Catch up oldest-first from the cursor instead, continuing next time.
+      if (!complete) {
+        ({ pulls, complete, updatedThrough } = await githubApi.listPullRequestsSince(owner, repoName, since));
+      }
+
+      let reviewsFailedAt = null;
 
       for (const pull of pulls) {
-        const pullData = {
-          integrationId: new mongoose.Types.ObjectId(integrationId),
-          repoId: repo._id,
-          githubId: pull.id,
-          number: pull.number,
-          title: pull.title,
-          body: pull.body,
-          state: pull.state,
-          locked: pull.locked,
-          user: {
-            login: pull.user.login,
-            avatarUrl: pull.user.avatar_url,
-            type: pull.user.type
-          },
-          labels: pull.labels?.map(label => ({
-            name: label.name,
-            color: label.color,
-            description: label.description
-          })) || [],
-          milestone: pull.milestone ? {
-            title: pull.milestone.title,
-            number: pull.milestone.number,
-            state: pull.milestone.state
-          } : null,
-          assignees: pull.assignees?.map(assignee => ({
-            login: assignee.login,
-            avatarUrl: assignee.avatar_url
-          })) || [],
-          requestedReviewers: pull.requested_reviewers?.map(reviewer => ({
-            login: reviewer.login,
-            avatarUrl: reviewer.avatar_url
-          })) || [],
-          head: {
-            ref: pull.head.ref,
-            sha: pull.head.sha,
-            label: pull.head.label,
-            user: {
-              login: pull.head.user.login,
-              avatarUrl: pull.head.user.avatar_url
-            }
-          },
-          base: {
-            ref: pull.base.ref,
-            sha: pull.base.sha,
-            label: pull.base.label
-          },
-          draft: pull.draft,
-          merged: pull.merged,
-          mergeable: pull.mergeable,
-          mergedBy: pull.merged_by ? {
-            login: pull.merged_by.login,
-            avatarUrl: pull.merged_by.avatar_url
-          } : null,
-          comments: pull.comments,
-          reviewComments: pull.review_comments,
-          commits: pull.commits,
-          additions: pull.additions,
-          deletions: pull.deletions,
-          changedFiles: pull.changed_files,
-          url: pull.url,
-          htmlUrl: pull.html_url,
-          diffUrl: pull.diff_url,
-          patchUrl: pull.patch_url,
-          createdAt: pull.created_at,
-          updatedAt: pull.updated_at,
-          closedAt: pull.closed_at,
-          mergedAt: pull.merged_at,
-          syncedAt: new Date()
-        };
+        const pullData = mapPull(integrationId, repo._id, pull);
 
-        await pullRepo.upsertByRepoAndNumber(repo._id, pull.number, pullData);
+        const savedPull = await pullRepo.upsertByRepoAndNumber(repo._id, pull.number, pullData);
+
+        // Reviews only change along with their pull request, so only updated pulls reach this point
+        const reviewResult = await this.syncReviews(integrationId, owner, repoName, repo._id, savedPull, githubApi);
+
+        if (!reviewResult?.success) {
+          const updatedAt = new Date(pull.updated_at);
+          if (!reviewsFailedAt || updatedAt < reviewsFailedAt) reviewsFailedAt = updatedAt;
+        }
       }
 
-      return { success: true, message: 'Pull requests synced' };
+      await this.sweepRepoEntity(
+        integrationId, repo, 'pulls', pullRepo,
+        !since && complete ? pulls.map(pull => pull.id) : null,
+        () => githubApi.listPullRequestIds(owner, repoName)
+      );
+
+      // Stop the cursor at the oldest pull whose reviews failed; listings include
+      // pulls updated at the cursor, so it and everything after it are read again
+      await syncCursorRepo.advanceCursor(
+        integrationId,
+        repo._id,
+        'pulls',
+        reviewsFailedAt || updatedThrough,
+        pulls.length
+      );
+
+      return { success: true, message: 'Pull requests synced', count: pulls.length, since };
     } catch (error) {
       console.error(`Failed to sync pulls for ${owner}/${repoName}: ${error.message}`);
       // Don't throw, continue with other syncs
     }
   }
 
-  // Sync issues
-  async syncIssues(integrationId, owner, repoName, githubApi) {
+  // Sweep a repository's objects of one entity that are gone from GitHub. Only
+  // a full, untruncated listing shows deletions; incremental syncs pass no IDs
+  // and list every ID on their own once the sweep interval has passed.
+  async sweepRepoEntity(integrationId, repo, entity, repository, listedIds, listIds) {
+    let ids = listedIds;
+
+    if (!ids) {
+      if (!await syncCursorRepo.isSweepDue(integrationId, repo._id, entity, SWEEP_INTERVAL_MS)) return;
+
+      const listing = await listIds();
+      if (!listing.complete) {
+        // Not retried before the next interval; the listing would be cut off again
+        await syncCursorRepo.markSwept(integrationId, repo._id, entity);
+        console.warn(`Too many ${entity} in ${repo.fullName} to list for a deletion sweep`);
+        return;
+      }
+      ids = listing.ids;
+    }
+
+    await repository.sweepMissing({ repoId: repo._id }, ids, DELETION_GRACE_MS);
+    await syncCursorRepo.markSwept(integrationId, repo._id, entity);
+  }
+
+  // Sync the reviews and review comments of a pull request, sweeping the ones
+  // deleted on GitHub when their listing wasn't cut off
+  async syncReviews(integrationId, owner, repoName, repoId, pull, githubApi) {
+    try {
+      const [{ reviews, complete: reviewsComplete }, { comments, complete: commentsComplete }] = await Promise.all([
+        githubApi.listPullReviews(owner, repoName, pull.number),
+        githubApi.listPullReviewComments(owner, repoName, pull.number)
+      ]);
+
+      for (const review of reviews) {
+        const reviewData = mapReview(integrationId, repoId, pull, review);
+
+        await reviewRepo.upsertByGithubId(reviewData.integrationId, review.id, reviewData);
+      }
+
+      for (const comment of comments) {
+        const commentData = mapReviewComment(integrationId, repoId, pull, comment);
+
+        await reviewCommentRepo.upsertByGithubId(commentData.integrationId, comment.id, commentData);
+      }
+
+      if (reviewsComplete) {
+        await reviewRepo.sweepMissing({ pullId: pull._id }, reviews.map(review => review.id), DELETION_GRACE_MS);
+      }
+      if (commentsComplete) {
+        await reviewCommentRepo.sweepMissing({ pullId: pull._id }, comments.map(comment => comment.id), DELETION_GRACE_MS);
+      }
+
+      return { success: true, message: 'Reviews synced', count: reviews.length + comments.length };
+    } catch (error) {
+      console.error(`Failed to sync reviews for ${owner}/${repoName}#${pull.number}: ${error.message}`);
+      // Don't throw, continue with other syncs
+    }
+  }
+
+  // Sync issues and their changelogs (only those updated since the cursors unless options.full)
+  async syncIssues(integrationId, owner, repoName, githubApi, options = {}) {
     try {
-      const repo = await repoRepo.findByFullName(`${owner}/${repoName}`);
+      const repo = await repoRepo.findByFullName(integrationId, `${owner}/${repoName}`, githubApi.host);
       if (!repo) {
         console.warn(`Repository ${owner}/${repoName} not found in database`);
         return;
       }
 
-      const issues = await githubApi.getIssues(owner, repoName);
+      const [since, changelogSince] = options.full
+        ? [null, null]
+        : await Promise.all([
+          syncCursorRepo.getHighWaterMark(integrationId, repo._id, 'issues'),
+          syncCursorRepo.getHighWaterMark(integrationId, repo._id, 'changelogs')
+        ]);
+      const { issues, complete } = await githubApi.listIssues(owner, repoName, 'all', since);
+
+      let latestEventAt = null;
+      let changelogsComplete = true;
 
       for (const issue of issues) {
-        const issueData = {
-          integrationId: new mongoose.Types.ObjectId(integrationId),
-          repoId: repo._id,
-          githubId: issue.id,
-          number: issue.number,
-          title: issue.title,
-          body: issue.body,
-          state: issue.state,
-          stateReason: issue.state_reason,
-          locked: issue.locked,
-          user: {
-            login: issue.user.login,
-            avatarUrl: issue.user.avatar_url,
-            type: issue.user.type
-          },
-          labels: issue.labels?.map(label => ({
-            name: label.name,
-            color: label.color,
-            description: label.description
-          })) || [],
-          assignees: issue.assignees?.map(assignee => ({
-            login: assignee.login,
-            avatarUrl: assignee.avatar_url
-          })) || [],
-          milestone: issue.milestone ? {
-            title: issue.milestone.title,
-            number: issue.milestone.number,
-            state: issue.milestone.state,
-            description: issue.milestone.description
-          } : null,
-          comments: issue.comments,
-          closedBy: issue.closed_by ? {
-            login: issue.closed_by.login,
-            avatarUrl: issue.closed_by.avatar_url
-          } : null,
-          pullRequest: issue.pull_request ? {
-            url: issue.pull_request.url,
-            htmlUrl: issue.pull_request.html_url,
-            diffUrl: issue.pull_request.diff_url,
-            patchUrl: issue.pull_request.patch_url
-          } : null,
-          url: issue.url,
-          htmlUrl: issue.html_url,
-          createdAt: issue.created_at,
-          updatedAt: issue.updated_at,
-          closedAt: issue.closed_at,
-          syncedAt: new Date()
-        };
+        const issueData = mapIssue(integrationId, repo._id, issue);
 
         const savedIssue = await issueRepo.upsertByRepoAndNumber(repo._id, issue.number, issueData);
 
-        // Sync issue timeline/changelog
-        await this.syncChangelogs(integrationId, owner, repoName, issue.number, savedIssue._id, githubApi);
+        // Sync issue timeline/changelog (only issues that changed reach this point)
+        const changelogResult = await this.syncChangelogs(
+          integrationId, owner, repoName, issue.number, savedIssue._id, githubApi, changelogSince
+        );
+
+        if (!changelogResult?.success) {
+          changelogsComplete = false;
+        } else if (changelogResult.latestEventAt && (!latestEventAt || changelogResult.latestEventAt > latestEventAt)) {
+          latestEventAt = changelogResult.latestEventAt;
+        }
+      }
+
+      await this.sweepRepoEntity(
+        integrationId, repo, 'issues', issueRepo,
+        !since && complete ? issues.map(issue => issue.id) : null,
+        () => githubApi.listIssueIds(owner, repoName)
+      );
+
+      await syncCursorRepo.advanceCursor(
+        integrationId,
+        repo._id,
+        'issues',
+        latestTimestamp(issues, issue => issue.updated_at),
+        issues.length
+      );
+
+      // Keep the changelog cursor where it was if any timeline failed, so those events are retried
+      if (changelogsComplete) {
+        await syncCursorRepo.advanceCursor(integrationId, repo._id, 'changelogs', latestEventAt, issues.length);
       }
 
-      return { success: true, message: 'Issues synced' };
+      // Comments on issues and pull requests are listed per repository, not per issue
+      await this.syncIssueComments(integrationId, owner, repoName, githubApi, options);
+
+      return { success: true, message: 'Issues synced', count: issues.length, since };
     } catch (error) {
       console.error(`Failed to sync issues for ${owner}/${repoName}: ${error.message}`);
       // Don't throw, continue with other syncs
     }
   }
 
-  // Sync changelogs (issue events)
-  async syncChangelogs(integrationId, owner, repoName, issueNumber, issueId, githubApi) {
+  // Sync issue and pull request comments (only those updated since the comment cursor unless options.full)
+  async syncIssueComments(integrationId, owner, repoName, githubApi, options = {}) {
     try {
-      const events = await githubApi.getIssueTimeline(owner, repoName, issueNumber);
+      const repo = await repoRepo.findByFullName(integrationId, `${owner}/${repoName}`, githubApi.host);
+      if (!repo) {
+        console.warn(`Repository ${owner}/${repoName} not found in database`);
+        return;
+      }
 
-      for (const event of events) {
-        const changelogData = {
-          integrationId: new mongoose.Types.ObjectId(integrationId),
-          issueId,
-          githubId: event.id,
-          event: event.event,
-          actor: event.actor ? {
-            login: event.actor.login,
-            avatarUrl: event.actor.avatar_url,
-            type: event.actor.type
-          } : null,
-          commitId: event.commit_id,
-          commitUrl: event.commit_url,
-          label: event.label ? {
-            name: event.label.name,
-            color: event.label.color
-          } : null,
-          assignee: event.assignee ? {
-            login: event.assignee.login,
-            avatarUrl: event.assignee.avatar_url
-          } : null,
-          milestone: event.milestone ? {
-            title: event.milestone.title
-          } : null,
-          rename: event.rename ? {
-            from: event.rename.from,
-            to: event.rename.to
-          } : null,
-          reviewRequester: event.review_requester ? {
-            login: event.review_requester.login,
-            avatarUrl: event.review_requester.avatar_url
-          } : null,
-          requestedReviewer: event.requested_reviewer ? {
-            login: event.requested_reviewer.login,
-            avatarUrl: event.requested_reviewer.avatar_url
-          } : null,
-          url: event.url,
-          createdAt: event.created_at,
-          syncedAt: new Date()
-        };
+      const since = options.full
+        ? null
+        : await syncCursorRepo.getHighWaterMark(integrationId, repo._id, 'issueComments');
+      const { comments, complete } = await githubApi.listIssueComments(owner, repoName, since);
+
+      for (const comment of comments) {
+        const commentData = mapIssueComment(integrationId, repo._id, comment);
 
-        await changelogRepo.create(changelogData);
+        await issueCommentRepo.upsertByGithubId(commentData.integrationId, comment.id, commentData);
       }
 
-      return { success: true, message: 'Changelogs synced' };
+      await this.linkIssueComments(repo._id);
+
+      await this.sweepRepoEntity(
+        integrationId, repo, 'issueComments', issueCommentRepo,
+        !since && complete ? comments.map(comment => comment.id) : null,
+        () => githubApi.listIssueCommentIds(owner, repoName)
+      );
+
+      await syncCursorRepo.advanceCursor(
+        integrationId,
+        repo._id,
+        'issueComments',
+        latestTimestamp(comments, comment => comment.updated_at),
+        comments.length
+      );
+
+      return { success: true, message: 'Issue comments synced', count: comments.length, since };
     } catch (error) {
-      console.error(`Failed to sync changelogs for issue #${issueNumber}: ${error.message}`);
+      console.error(`Failed to sync issue comments for ${owner}/${repoName}: ${error.message}`);
       // Don't throw, continue with other syncs
     }
   }
 
-  // Sync users with batch processing
-  async syncUsers(integrationId, githubApi) {
-    try {
-      const orgs = await organizationRepo.findByIntegrationId(integrationId);
+  // Link comments to their issue or pull request once that has been stored
+  async linkIssueComments(repoId) {
+    const numbers = await issueCommentRepo.findUnlinkedNumbers(repoId);
 
-      for (const org of orgs) {
-        if (org.type === 'Organization') {
-          const members = await githubApi.getOrganizationMembers(org.login);
+    for (const number of numbers) {
+      const issue = await issueRepo.findByRepoAndNumber(repoId, number);
+      const pull = issue ? null : await pullRepo.findByRepoAndNumber(repoId, number);
 
-          // Batch fetch user details
-          const { results: userDetails, errors } = await parallelProcessSafe(
-            members,
-            async (member) => await githubApi.getUser(member.login)
-          );
+      if (issue) {
+        await issueCommentRepo.linkToParent(repoId, number, { issueId: issue._id });
+      } else if (pull) {
+        await issueCommentRepo.linkToParent(repoId, number, { pullId: pull._id });
+      }
+    }
+  }
 
-          if (errors.length > 0) {
+  // Sync GitHub Actions workflows, runs, jobs and check runs (runs created since the cursor unless options.full)
+  async syncActions(integrationId, owner, repoName, githubApi, options = {}) {
+    try {
+      const repo = await repoRepo.findByFullName(integrationId, `${owner}/${repoName}`, githubApi.host);
+      if (!repo) {
+        console.warn(`Repository ${owner}/${repoName} not found in database`);
+        return;
+      }
+
+      const workflows = await githubApi.getWorkflows(owner, repoName);
+      const workflowIds = new Map();
+
+      for (const workflow of workflows) {
+        const workflowData = mapWorkflow(integrationId, repo._id, workflow);
+
+        const savedWorkflow = await workflowRepo.upsertByGithubId(workflowData.integrationId, workflow.id, workflowData);
+        workflowIds.set(workflow.id, savedWorkflow._id);
+      }
+
+      // Runs are listed by creation time, falling back to the default window
+      const cursor = options.full
+        ? null
+        : await syncCursorRepo.getHighWaterMark(integrationId, repo._id, 'workflowRuns');
+      const since = (cursor || new Date(Date.now() - DEFAULT_WORKFLOW_RUN_WINDOW_DAYS * 24 * 60 * 60 * 1000)).toISOString();
+      const { runs, complete, createdThrough } = await githubApi.getWorkflowRuns(owner, repoName, since);
+      const listedThrough = createdThrough || latestTimestamp(runs, run => run.created_at);
+
+      // Runs stored before they finished fall behind the cursor, so refresh them one by one
+      const listedRunIds = new Set(runs.map(run => run.id));
+      const unfinishedRuns = await workflowRunRepo.findUnfinished(repo._id, MAX_UNFINISHED_RUN_REFRESH);
+
+      for (const storedRun of unfinishedRuns) {
+        if (listedRunIds.has(storedRun.githubId)) continue;
+
+        try {
+          runs.push(await githubApi.getWorkflowRun(owner, repoName, storedRun.githubId));
+        } catch (error) {
+          console.warn(`Failed to refresh workflow run ${storedRun.githubId}: ${error.message}`);
+        }
+      }
+
+      const shaLinks = new Map();
+      const linksFor = async (sha) => {
+        if (!shaLinks.has(sha)) {
+          shaLinks.set(sha, await this.findShaLinks(repo._id, sha));
+        }
+        return shaLinks.get(sha);
+      };
+
+      let jobCount = 0;
+
+      for (const run of runs) {
+        const runData = mapWorkflowRun(integrationId, repo._id, run, {
+          workflowId: workflowIds.get(run.workflow_id) || null,
+          ...(await linksFor(run.head_sha))
+        });
+
+        const savedRun = await workflowRunRepo.upsertByGithubId(runData.integrationId, run.id, runData);
+
+        // Jobs of all attempts, so re-runs that flipped a job's conclusion stay visible
+        const jobs = await githubApi.getWorkflowRunJobs(owner, repoName, run.id);
+
+        for (const job of jobs) {
+          const jobData = mapWorkflowJob(integrationId, repo._id, savedRun, job);
+
+          await workflowJobRepo.upsertByGithubId(jobData.integrationId, job.id, jobData);
+        }
+
+        jobCount += jobs.length;
+      }
+
+      // Check runs also cover CI services outside GitHub Actions
+      const headShas = [...new Set(runs.map(run => run.head_sha))].slice(0, MAX_CHECK_RUN_REFS);
+      let checkRunCount = 0;
+
+      for (const sha of headShas) {
+        const checkRuns = await githubApi.getCheckRuns(owner, repoName, sha);
+
+        for (const checkRun of checkRuns) {
+          const checkRunData = mapCheckRun(integrationId, repo._id, checkRun, await linksFor(sha));
+
+          await checkRunRepo.upsertByGithubId(checkRunData.integrationId, checkRun.id, checkRunData);
+        }
+
+        checkRunCount += checkRuns.length;
+      }
+
+      // The runs endpoint lists newest first; a truncated listing left older runs behind
+      if (complete) {
+        await syncCursorRepo.advanceCursor(integrationId, repo._id, 'workflowRuns', listedThrough, runs.length);
+      } else {
+        console.warn(`Workflow runs of ${owner}/${repoName} were truncated; keeping the cursor at ${since}`);
+      }
+
+      return {
+        success: true,
+        message: 'Actions synced',
+        count: runs.length,
+        jobCount,
+        checkRunCount,
+        since
+      };
+    } catch (error) {
+      console.error(`Failed to sync actions for ${owner}/${repoName}: ${error.message}`);
+      // Don't throw, continue with other syncs
+    }
+  }
+
+  // Stored commit and pull requests whose head is the given SHA
+  async findShaLinks(repoId, sha) {
+    const [commit, pulls] = await Promise.all([
+      commitRepo.findByRepoAndSha(repoId, sha),
+      pullRepo.findByHeadSha(repoId, sha)
+    ]);
+
+    return {
+      commitId: commit ? commit._id : null,
+      pullIds: pulls.map(pull => pull._id)
+    };
+  }
+
+  // Sync branches (with protection rules), tags and releases of a repository
+  async syncRefs(integrationId, owner, repoName, githubApi) {
+    const results = [
+      await this.syncBranches(integrationId, owner, repoName, githubApi),
+      await this.syncTags(integrationId, owner, repoName, githubApi),
+      await this.syncReleases(integrationId, owner, repoName, githubApi)
+    ];
+
+    const failed = ['branches', 'tags', 'releases'].filter((_, index) => !results[index]?.success);
+
+    return {
+      success: failed.length === 0,
+      message: failed.length === 0 ? 'Refs synced' : `Failed to sync ${failed.join(', ')}`,
+      count: results.reduce((sum, result) => sum + (result?.count || 0), 0)
+    };
+  }
+
+  // Sync the label set and milestones of a repository
+  async syncLabelsAndMilestones(integrationId, owner, repoName, githubApi) {
+    const results = [
+      await this.syncLabels(integrationId, owner, repoName, githubApi),
+      await this.syncMilestones(integrationId, owner, repoName, githubApi)
+    ];
+
+    const failed = ['labels', 'milestones'].filter((_, index) => !results[index]?.success);
+
+    return {
+      success: failed.length === 0,
+      message: failed.length === 0 ? 'Labels and milestones synced' : `Failed to sync ${failed.join(', ')}`,
+      count: results.reduce((sum, result) => sum + (result?.count || 0), 0)
+    };
+  }
+
+  // Sync labels and bring the copies embedded in issues and pull requests in line with them
+  async syncLabels(integrationId, owner, repoName, githubApi) {
+    try {
+      const repo = await repoRepo.findByFullName(integrationId, `${owner}/${repoName}`, githubApi.host);
+      if (!repo) {
+        console.warn(`Repository ${owner}/${repoName} not found in database`);
+        return;
+      }
+
+      const { labels, complete } = await githubApi.listLabels(owner, repoName);
+      let reconciled = 0;
+
+      for (const label of labels) {
+        const stored = await labelRepo.findByGithubId(integrationId, label.id);
+        const labelData = mapLabel(integrationId, repo._id, label);
+
+        await labelRepo.upsertByGithubId(labelData.integrationId, label.id, labelData);
+
+        // Issues and pull requests synced before a rename still carry the old name
+        const snapshot = mapLabelRef(label);
+        const previousNames = stored && stored.name !== label.name ? [stored.name] : [];
+        reconciled += await issueRepo.reconcileLabel(repo._id, snapshot, previousNames);
+        reconciled += await pullRepo.reconcileLabel(repo._id, snapshot, previousNames);
+      }
+
+      // Only an untruncated listing shows which labels were deleted
+      if (complete) {
+        await labelRepo.sweepMissing({ repoId: repo._id }, labels.map(label => label.id), DELETION_GRACE_MS);
+      }
+
+      return { success: true, message: 'Labels synced', count: labels.length, reconciled };
+    } catch (error) {
+      console.error(`Failed to sync labels for ${owner}/${repoName}: ${error.message}`);
+      // Don't throw, continue with other syncs
+    }
+  }
+
+  // Sync milestones and bring the copies embedded in issues and pull requests in line with them
+  async syncMilestones(integrationId, owner, repoName, githubApi) {
+    try {
+      const repo = await repoRepo.findByFullName(integrationId, `${owner}/${repoName}`, githubApi.host);
+      if (!repo) {
+        console.warn(`Repository ${owner}/${repoName} not found in database`);
+        return;
+      }
+
+      const { milestones, complete } = await githubApi.listMilestones(owner, repoName);
+      let reconciled = 0;
+
+      for (const milestone of milestones) {
+        const milestoneData = mapMilestone(integrationId, repo._id, milestone);
+
+        await milestoneRepo.upsertByGithubId(milestoneData.integrationId, milestone.id, milestoneData);
+
+        const snapshot = mapMilestoneRef(milestone);
+        reconciled += await issueRepo.reconcileMilestone(repo._id, snapshot);
+        reconciled += await pullRepo.reconcileMilestone(repo._id, snapshot);
+      }
+
+      // Only an untruncated listing shows which milestones were deleted
+      if (complete) {
+        await milestoneRepo.sweepMissing(
+          { repoId: repo._id },
+          milestones.map(milestone => milestone.id),
+          DELETION_GRACE_MS
+        );
+      }
+
+      return { success: true, message: 'Milestones synced', count: milestones.length, reconciled };
+    } catch (error) {
+      console.error(`Failed to sync milestones for ${owner}/${repoName}: ${error.message}`);
+      // Don't throw, continue with other syncs
+    }
+  }
+
+  // Sync branches and the protection rules of protected branches
+  async syncBranches(integrationId, owner, repoName, githubApi) {
+    try {
+      const repo = await repoRepo.findByFullName(integrationId, `${owner}/${repoName}`, githubApi.host);
+      if (!repo) {
+        console.warn(`Repository ${owner}/${repoName} not found in database`);
+        return;
+      }
+
+      const { branches, complete } = await githubApi.listBranches(owner, repoName);
+
+      for (const branch of branches) {
+        // Only protected branches have rules to read, and reading them needs admin access
+        // Protection rules that can't be read (non-admin tokens get a 404) keep what was stored
+        let protection = null;
+        if (branch.protected) {
+          protection = undefined;
+          try {
+            protection = await githubApi.getBranchProtection(owner, repoName, branch.name) ?? undefined;
+          } catch (error) {
+            console.warn(`Failed to fetch protection for ${owner}/${repoName}@${branch.name}: ${error.message}`);
+          }
+        }
+
+        const commit = branch.commit?.sha ? await commitRepo.findByRepoAndSha(repo._id, branch.commit.sha) : null;
+        const branchData = mapBranch(integrationId, repo, branch, protection, {
+          commitId: commit ? commit._id : null
+        });
+
+        await branchRepo.upsertByRepoAndName(repo._id, branch.name, branchData);
+      }
+
+      // Only an untruncated listing shows which branches were deleted
+      if (complete) {
+        await branchRepo.sweepMissing(
+          { repoId: repo._id },
+          branches.map(branch => branch.name),
+          DELETION_GRACE_MS,
+          'name'
+        );
+      }
+
+      return { success: true, message: 'Branches synced', count: branches.length };
+    } catch (error) {
+      console.error(`Failed to sync branches for ${owner}/${repoName}: ${error.message}`);
+      // Don't throw, continue with other syncs
+    }
+  }
+
+  // Sync tags and link them to the tagged commits
+  async syncTags(integrationId, owner, repoName, githubApi) {
+    try {
+      const repo = await repoRepo.findByFullName(integrationId, `${owner}/${repoName}`, githubApi.host);
+      if (!repo) {
+        console.warn(`Repository ${owner}/${repoName} not found in database`);
+        return;
+      }
+
+      const { tags, complete } = await githubApi.listTags(owner, repoName);
+
+      for (const tag of tags) {
+        const commit = tag.commit?.sha ? await commitRepo.findByRepoAndSha(repo._id, tag.commit.sha) : null;
+        const tagData = mapTag(integrationId, repo._id, tag, {
+          commitId: commit ? commit._id : null
+        });
+
+        await tagRepo.upsertByRepoAndName(repo._id, tag.name, tagData);
+      }
+
+      // Only an untruncated listing shows which tags were deleted
+      if (complete) {
+        await tagRepo.sweepMissing({ repoId: repo._id }, tags.map(tag => tag.name), DELETION_GRACE_MS, 'name');
+      }
+
+      return { success: true, message: 'Tags synced', count: tags.length };
+    } catch (error) {
+      console.error(`Failed to sync tags for ${owner}/${repoName}: ${error.message}`);
+      // Don't throw, continue with other syncs
+    }
+  }
+
+  // Sync releases with their assets and download counts
+  async syncReleases(integrationId, owner, repoName, githubApi) {
+    try {
+      const repo = await repoRepo.findByFullName(integrationId, `${owner}/${repoName}`, githubApi.host);
+      if (!repo) {
+        console.warn(`Repository ${owner}/${repoName} not found in database`);
+        return;
+      }
+
+      // Download counts change without the release being updated, so every release is re-read
+      const { releases, complete } = await githubApi.listReleases(owner, repoName);
+
+      for (const release of releases) {
+        const releaseData = mapRelease(integrationId, repo._id, release);
+
+        await releaseRepo.upsertByGithubId(releaseData.integrationId, release.id, releaseData);
+      }
+
+      // Only an untruncated listing shows which releases were deleted
+      if (complete) {
+        await releaseRepo.sweepMissing(
+          { repoId: repo._id },
+          releases.map(release => release.id),
+          DELETION_GRACE_MS
+        );
+      }
+
+      return { success: true, message: 'Releases synced', count: releases.length };
+    } catch (error) {
+      console.error(`Failed to sync releases for ${owner}/${repoName}: ${error.message}`);
+      // Don't throw, continue with other syncs
+    }
+  }
+
+  // Sync changelogs (issue events), skipping events at or before `since`
+  async syncChangelogs(integrationId, owner, repoName, issueNumber, issueId, githubApi, since = null) {
+    try {
+      const timeline = await githubApi.getIssueTimeline(owner, repoName, issueNumber);
+      const events = since
+        ? timeline.filter(event => !event.created_at || new Date(event.created_at) > new Date(since))
+        : timeline;
+
+      for (const event of events) {
+        const changelogData = {
+          integrationId: new mongoose.Types.ObjectId(integrationId),
+          issueId,
+          githubId: event.id,
+          event: event.event,
+          actor: event.actor ? {
+            login: event.actor.login,
+            avatarUrl: event.actor.avatar_url,
+            type: event.actor.type
+          } : null,
+          commitId: event.commit_id,
+          commitUrl: event.commit_url,
+          label: event.label ? {
+            name: event.label.name,
+            color: event.label.color
+          } : null,
+          assignee: event.assignee ? {
+            login: event.assignee.login,
+            avatarUrl: event.assignee.avatar_url
+          } : null,
+          milestone: event.milestone ? {
+            title: event.milestone.title
+          } : null,
+          rename: event.rename ? {
+            from: event.rename.from,
+            to: event.rename.to
+          } : null,
+          reviewRequester: event.review_requester ? {
+            login: event.review_requester.login,
+            avatarUrl: event.review_requester.avatar_url
+          } : null,
+          requestedReviewer: event.requested_reviewer ? {
+            login: event.requested_reviewer.login,
+            avatarUrl: event.requested_reviewer.avatar_url
+          } : null,
+          url: event.url,
+          createdAt: event.created_at,
+          syncedAt: new Date()
+        };
+
+        await changelogRepo.upsertEvent(changelogData.integrationId, issueId, changelogData);
+      }
+
+      return {
+        success: true,
+        message: 'Changelogs synced',
+        latestEventAt: latestTimestamp(events, event => event.created_at)
+      };
+    } catch (error) {
+      console.error(`Failed to sync changelogs for issue #${issueNumber}: ${error.message}`);
+      // Don't throw, continue with other syncs
+    }
+  }
+
+  // Sync users with batch processing
+  async syncUsers(integrationId, githubApi) {
+    try {
+      const orgs = await organizationRepo.findPresent({ integrationId });
+
+      for (const org of orgs) {
+        if (org.type === 'Organization') {
+          const [{ members, complete }, { members: owners }] = await Promise.all([
+            githubApi.listOrganizationMembers(org.login),
+            githubApi.listOrganizationMembers(org.login, 'admin')
+          ]);
+          const ownerIds = new Set(owners.map(owner => owner.id));
+
+          // Batch fetch user details
+          const { results: userDetails, errors } = await parallelProcessSafe(
+            members,
+            async (member) => await githubApi.getUser(member.login)
+          );
+
+          if (errors.length > 0) {
             safeConsoleError(`Failed to fetch ${errors.length} users`);
           }
 
-          // Save users in batches with transaction
+          const savedUsers = new Map();
           for (const userDetail of userDetails) {
-            const userData = {
-              integrationId: new mongoose.Types.ObjectId(integrationId),
-              organizationId: org._id,
-              githubId: userDetail.id,
-              login: userDetail.login,
-              name: userDetail.name,
-              email: userDetail.email,
-              avatarUrl: userDetail.avatar_url,
-              url: userDetail.url,
-              htmlUrl: userDetail.html_url,
-              type: userDetail.type,
-              siteAdmin: userDetail.site_admin,
-              company: userDetail.company,
-              blog: userDetail.blog,
-              location: userDetail.location,
-              bio: userDetail.bio,
-              twitterUsername: userDetail.twitter_username,
-              publicRepos: userDetail.public_repos,
-              publicGists: userDetail.public_gists,
-              followers: userDetail.followers,
-              following: userDetail.following,
-              createdAt: userDetail.created_at,
-              updatedAt: userDetail.updated_at,
-              syncedAt: new Date()
-            };
-
-            await userRepo.upsertByGithubId(userDetail.id, userData);
+            const userData = mapUser(integrationId, userDetail, org._id);
+
+            const savedUser = await userRepo.upsertByGithubId(integrationId, githubApi.host, userDetail.id, userData);
+            savedUsers.set(userDetail.id, savedUser);
+          }
+
+          // A user can belong to several organizations with a different role in each
+          for (const member of members) {
+            const savedUser = savedUsers.get(member.id);
+            const role = ownerIds.has(member.id) ? 'owner' : 'member';
+            const membershipData = mapOrgMembership(integrationId, org, member, role, {
+              userId: savedUser ? savedUser._id : null
+            });
+
+            await orgMembershipRepo.upsertByOrganizationAndUser(org._id, member.id, membershipData);
+          }
+
+          // Members who left the organization; a truncated listing can't tell
+          if (complete) {
+            const memberIds = members.map(member => member.id);
+            await userRepo.sweepMissing({ integrationId, organizationId: org._id }, memberIds, DELETION_GRACE_MS);
+            await orgMembershipRepo.sweepMissing({ organizationId: org._id }, memberIds, DELETION_GRACE_MS, 'userGithubId');
           }
+
+          // Teams link their members to the users stored above
+          await this.syncTeams(integrationId, org, githubApi);
         }
       }
 
@@ -684,6 +1342,535 @@ class SyncService {
       // Don't throw, continue with other syncs
     }
   }
+
+  // Sync the teams of an organization with their repository grants and members
+  async syncTeams(integrationId, org, githubApi) {
+    try {
+      const { teams, complete } = await githubApi.listTeams(org.login);
+      const savedTeams = new Map();
+
+      for (const team of teams) {
+        const teamRepos = await githubApi.getTeamRepos(org.login, team.slug);
+        const repositories = [];
+
+        for (const teamRepo of teamRepos) {
+          const repo = await repoRepo.findOne({ integrationId, githubId: teamRepo.id });
+          repositories.push(mapTeamRepository(teamRepo, repo ? repo._id : null));
+        }
+
+        const teamData = mapTeam(integrationId, org._id, team, { repositories });
+        const savedTeam = await teamRepo.upsertByGithubId(teamData.integrationId, team.id, teamData);
+        savedTeams.set(team.id, savedTeam);
+
+        await this.syncTeamMembers(integrationId, org, savedTeam, githubApi);
+      }
+
+      // Parents are linked once every team of the organization is stored
+      for (const team of teams) {
+        const parent = team.parent ? savedTeams.get(team.parent.id) : null;
+        await teamRepo.updateById(savedTeams.get(team.id)._id, { parentTeamId: parent ? parent._id : null });
+      }
+
+      // Only an untruncated listing shows which teams were deleted
+      if (complete) {
+        await teamRepo.sweepMissing(
+          { integrationId, organizationId: org._id },
+          teams.map(team => team.id),
+          DELETION_GRACE_MS
+        );
+      }
+
+      return { success: true, message: 'Teams synced', count: teams.length };
+    } catch (error) {
+      console.error(`Failed to sync teams for ${org.login}: ${error.message}`);
+      // Don't throw, continue with other syncs
+    }
+  }
+
+  // Sync the members of a team and whether they maintain it
+  async syncTeamMembers(integrationId, org, team, githubApi) {
+    const [{ members, complete }, { members: maintainers }] = await Promise.all([
+      githubApi.listTeamMembers(org.login, team.slug),
+      githubApi.listTeamMembers(org.login, team.slug, 'maintainer')
+    ]);
+    const maintainerIds = new Set(maintainers.map(maintainer => maintainer.id));
+
+    for (const member of members) {
+      const user = await userRepo.findOne({ integrationId, githubId: member.id });
+      const role = maintainerIds.has(member.id) ? 'maintainer' : 'member';
+      const membershipData = mapTeamMembership(integrationId, team, member, role, {
+        userId: user ? user._id : null
+      });
+
+      await teamMembershipRepo.upsertByTeamAndUser(team._id, member.id, membershipData);
+    }
+
+    // Members who left the team
+    if (complete) {
+      await teamMembershipRepo.sweepMissing(
+        { teamId: team._id },
+        members.map(member => member.id),
+        DELETION_GRACE_MS,
+        'userGithubId'
+      );
+    }
+  }
+
+  // Sync everyone with access to a repository and their effective permission level
+  async syncCollaborators(integrationId, owner, repoName, githubApi) {
+    try {
+      const repo = await repoRepo.findByFullName(integrationId, `${owner}/${repoName}`, githubApi.host);
+      if (!repo) {
+        console.warn(`Repository ${owner}/${repoName} not found in database`);
+        return;
+      }
+
+      const listing = await githubApi.listCollaborators(owner, repoName);
+
+      // Tokens without push access can't list collaborators; keep what was stored
+      if (!listing) {
+        return { success: true, message: 'Collaborators not accessible with this token', count: 0, skipped: true };
+      }
+
+      const { collaborators, complete } = listing;
+
+      for (const collaborator of collaborators) {
+        const user = await userRepo.findOne({ integrationId, githubId: collaborator.id });
+        const collaboratorData = mapCollaborator(integrationId, repo, collaborator, {
+          userId: user ? user._id : null
+        });
+
+        await collaboratorRepo.upsertByRepoAndUser(repo._id, collaborator.id, collaboratorData);
+      }
+
+      // Only an untruncated listing shows who lost access
+      if (complete) {
+        await collaboratorRepo.sweepMissing(
+          { repoId: repo._id },
+          collaborators.map(collaborator => collaborator.id),
+          DELETION_GRACE_MS,
+          'userGithubId'
+        );
+      }
+
+      return { success: true, message: 'Collaborators synced', count: collaborators.length };
+    } catch (error) {
+      console.error(`Failed to sync collaborators for ${owner}/${repoName}: ${error.message}`);
+      // Don't throw, continue with other syncs
+    }
+  }
+
+  // Sync discussions with their comments and replies over GraphQL
+  // (only those updated since the discussion cursor unless options.full)
+  async syncDiscussions(integrationId, owner, repoName, githubApi, options = {}) {
+    try {
+      const repo = await repoRepo.findByFullName(integrationId, `${owner}/${repoName}`, githubApi.host);
+      if (!repo) {
+        console.warn(`Repository ${owner}/${repoName} not found in database`);
+        return;
+      }
+
+      if (repo.hasDiscussions === false) {
+        return { success: true, message: 'Discussions are disabled for this repository', count: 0, skipped: true };
+      }
+
+      const since = options.full
+        ? null
+        : await syncCursorRepo.getHighWaterMark(integrationId, repo._id, 'discussions');
+      const { discussions, complete } = await githubApi.listDiscussions(owner, repoName, since);
+
+      let commentCount = 0;
+
+      for (const discussion of discussions) {
+        const discussionData = mapDiscussion(integrationId, repo._id, discussion);
+
+        const savedDiscussion = await discussionRepo.upsertByGithubId(
+          discussionData.integrationId,
+          discussion.databaseId,
+          discussionData
+        );
+
+        commentCount += await this.syncDiscussionComments(integrationId, savedDiscussion, githubApi);
+      }
+
+      await this.sweepRepoEntity(
+        integrationId, repo, 'discussions', discussionRepo,
+        !since && complete ? discussions.map(discussion => discussion.databaseId) : null,
+        () => githubApi.listDiscussionIds(owner, repoName)
+      );
+
+      // A truncated listing left a gap between the cursor and the oldest discussion listed;
+      // keep the cursor so the gap is listed again. A first sync only promises the newest ones.
+      if (complete || !since) {
+        await syncCursorRepo.advanceCursor(
+          integrationId,
+          repo._id,
+          'discussions',
+          latestTimestamp(discussions, discussion => discussion.updatedAt),
+          discussions.length
+        );
+      } else {
+        console.warn(`Discussions of ${owner}/${repoName} were truncated; keeping the cursor at ${since.toISOString()}`);
+      }
+
+      return { success: true, message: 'Discussions synced', count: discussions.length, commentCount, since };
+    } catch (error) {
+      console.error(`Failed to sync discussions for ${owner}/${repoName}: ${error.message}`);
+      // Don't throw, continue with other syncs
+    }
+  }
+
+  // Sync the comments and replies of a stored discussion and link its answer
+  async syncDiscussionComments(integrationId, discussion, githubApi) {
+    const { comments, complete } = await githubApi.getDiscussionComments(discussion.nodeId);
+    const seenIds = [];
+    const fullyListedParentIds = [];
+    let answerId = null;
+
+    for (const comment of comments) {
+      const commentData = mapDiscussionComment(integrationId, discussion, comment);
+      const savedComment = await discussionCommentRepo.upsertByGithubId(
+        commentData.integrationId,
+        comment.databaseId,
+        commentData
+      );
+      seenIds.push(comment.databaseId);
+      if (comment.id === discussion.answerNodeId) answerId = savedComment._id;
+
+      const replies = comment.replies?.nodes || [];
+      for (const reply of replies) {
+        const replyData = mapDiscussionComment(integrationId, discussion, reply, savedComment._id);
+        const savedReply = await discussionCommentRepo.upsertByGithubId(
+          replyData.integrationId,
+          reply.databaseId,
+          replyData
+        );
+        seenIds.push(reply.databaseId);
+        if (reply.id === discussion.answerNodeId) answerId = savedReply._id;
+      }
+
+      // Replies past the per-comment limit aren't listed, so only those threads can be swept
+      if (replies.length >= (comment.replies?.totalCount || 0)) {
+        fullyListedParentIds.push(savedComment._id);
+      }
+    }
+
+    await discussionRepo.updateById(discussion._id, { answerId });
+
+    // Only an untruncated listing shows which comments and replies were deleted
+    if (complete) {
+      await discussionCommentRepo.sweepMissing(
+        {
+          discussionId: discussion._id,
+          $or: [{ replyToId: null }, { replyToId: { $in: fullyListedParentIds } }]
+        },
+        seenIds,
+        DELETION_GRACE_MS
+      );
+    }
+
+    return seenIds.length;
+  }
+
+  // Sync an owner's Projects (v2) with their fields and items over GraphQL.
+  // Items of open projects are re-read every time; closed projects only when they changed.
+  async syncProjects(integrationId, owner, githubApi) {
+    try {
+      const organization = await organizationRepo.findByLogin(integrationId, owner, githubApi.host);
+      if (!organization) {
+        console.warn(`Owner ${owner} not found in database`);
+        return;
+      }
+
+      const listing = await githubApi.listProjects(owner);
+
+      // Tokens without the read:project scope can't list projects; keep what was stored
+      if (!listing) {
+        return { success: true, message: 'Projects not accessible with this token', count: 0, skipped: true };
+      }
+
+      const { projects, complete } = listing;
+      const repoCache = new Map();
+      let itemCount = 0;
+
+      for (const project of projects) {
+        const projectData = mapProject(integrationId, organization._id, project);
+        const previous = await projectRepo.findOne({ integrationId: projectData.integrationId, githubId: project.databaseId });
+        const savedProject = await projectRepo.upsertByGithubId(
+          projectData.integrationId,
+          project.databaseId,
+          projectData
+        );
+
+        const fieldIds = await this.syncProjectFields(integrationId, savedProject, project.fields?.nodes || []);
+
+        const unchanged = project.closed && previous?.itemsSyncedAt &&
+          new Date(project.updatedAt) <= previous.itemsSyncedAt;
+        if (!unchanged) {
+          itemCount += await this.syncProjectItems(integrationId, savedProject, fieldIds, githubApi, repoCache);
+        }
+      }
+
+      // Only an untruncated listing shows which projects were deleted
+      if (complete) {
+        await projectRepo.sweepMissing(
+          { organizationId: organization._id },
+          projects.map(project => project.databaseId),
+          DELETION_GRACE_MS
+        );
+      }
+
+      return { success: true, message: 'Projects synced', count: projects.length, itemCount };
+    } catch (error) {
+      console.error(`Failed to sync projects for ${owner}: ${error.message}`);
+      // Don't throw, continue with other syncs
+    }
+  }
+
+  // Sync the custom fields of a stored project, returning their ObjectIds by node ID
+  async syncProjectFields(integrationId, project, fields) {
+    const fieldIds = new Map();
+
+    for (const field of fields) {
+      // Field types the query doesn't select come back as empty objects
+      if (!field.id) continue;
+
+      const fieldData = mapProjectField(integrationId, project._id, field);
+      const savedField = await projectFieldRepo.upsertByNodeId(fieldData.integrationId, field.id, fieldData);
+      fieldIds.set(field.id, savedField._id);
+    }
+
+    await projectFieldRepo.sweepMissing(
+      { projectId: project._id },
+      [...fieldIds.keys()],
+      DELETION_GRACE_MS,
+      'nodeId'
+    );
+
+    return fieldIds;
+  }
+
+  // Sync the items of a stored project and link them to synced issues and pull requests
+  async syncProjectItems(integrationId, project, fieldIds, githubApi, repoCache) {
+    const { items, complete } = await githubApi.getProjectItems(project.nodeId);
+
+    for (const item of items) {
+      const links = await this.findProjectContentLinks(integrationId, item, repoCache, githubApi.host);
+      const itemData = mapProjectItem(integrationId, project, item, fieldIds, links);
+
+      await projectItemRepo.upsertByNodeId(itemData.integrationId, item.id, itemData);
+    }
+
+    // Only an untruncated listing shows which items were removed from the project
+    if (complete) {
+      await projectItemRepo.sweepMissing(
+        { projectId: project._id },
+        items.map(item => item.id),
+        DELETION_GRACE_MS,
+        'nodeId'
+      );
+    }
+
+    await projectRepo.updateById(project._id, { itemsSyncedAt: new Date() });
+
+    return items.length;
+  }
+
+  // Find the stored issue or pull request a project item tracks. Items can come
+  // from repositories that aren't synced (or not yet), which stay unlinked.
+  async findProjectContentLinks(integrationId, item, repoCache, host) {
+    const content = item.content;
+    if (!content?.id || !['ISSUE', 'PULL_REQUEST'].includes(item.type)) {
+      return {};
+    }
+
+    const fullName = content.repository?.nameWithOwner;
+    if (fullName && !repoCache.has(fullName)) {
+      repoCache.set(fullName, await repoRepo.findByFullName(integrationId, fullName, host));
+    }
+    const repo = fullName ? repoCache.get(fullName) : null;
+
+    // Documents synced before they carried a node ID are matched on their number
+    const conditions = repo
+      ? { integrationId, $or: [{ nodeId: content.id }, { repoId: repo._id, number: content.number }] }
+      : { integrationId, nodeId: content.id };
+
+    if (item.type === 'PULL_REQUEST') {
+      const pull = await pullRepo.findOne(conditions);
+      return { repoId: repo ? repo._id : null, pullId: pull ? pull._id : null };
+    }
+
+    const issue = await issueRepo.findOne(conditions);
+    return { repoId: repo ? repo._id : null, issueId: issue ? issue._id : null };
+  }
+
+  // Sync environments, deployments and their statuses (deployments created since the cursor unless options.full)
+  async syncDeployments(integrationId, owner, repoName, githubApi, options = {}) {
+    try {
+      const repo = await repoRepo.findByFullName(integrationId, `${owner}/${repoName}`, githubApi.host);
+      if (!repo) {
+        console.warn(`Repository ${owner}/${repoName} not found in database`);
+        return;
+      }
+
+      const environments = await githubApi.getEnvironments(owner, repoName);
+      const environmentIds = new Map();
+
+      for (const environment of environments) {
+        const environmentData = mapEnvironment(integrationId, repo._id, environment);
+
+        const savedEnvironment = await environmentRepo.upsertByRepoAndName(repo._id, environment.name, environmentData);
+        environmentIds.set(environment.name, savedEnvironment._id);
+      }
+
+      // Deployments can name environments that were never configured in the repository settings
+      const environmentIdFor = async (name) => {
+        if (!name) return null;
+        if (!environmentIds.has(name)) {
+          const savedEnvironment = await environmentRepo.upsertByRepoAndName(repo._id, name, {
+            integrationId: new mongoose.Types.ObjectId(integrationId),
+            repoId: repo._id,
+            name,
+            syncedAt: new Date()
+          });
+          environmentIds.set(name, savedEnvironment._id);
+        }
+        return environmentIds.get(name);
+      };
+
+      const cursor = options.full
+        ? null
+        : await syncCursorRepo.getHighWaterMark(integrationId, repo._id, 'deployments');
+      const { deployments, complete } = await githubApi.listDeployments(owner, repoName, cursor);
+      const listedThrough = latestTimestamp(deployments, deployment => deployment.created_at);
+
+      // Deployments stored before they finished fall behind the cursor, so refresh them one by one
+      const listedDeploymentIds = new Set(deployments.map(deployment => deployment.id));
+      const unfinishedDeployments = await deploymentRepo.findUnfinished(repo._id, MAX_UNFINISHED_DEPLOYMENT_REFRESH);
+
+      for (const storedDeployment of unfinishedDeployments) {
+        if (listedDeploymentIds.has(storedDeployment.githubId)) continue;
+
+        try {
+          deployments.push(await githubApi.getDeployment(owner, repoName, storedDeployment.githubId));
+        } catch (error) {
+          console.warn(`Failed to refresh deployment ${storedDeployment.githubId}: ${error.message}`);
+        }
+      }
+
+      let statusCount = 0;
+
+      for (const deployment of deployments) {
+        const deploymentData = mapDeployment(integrationId, repo._id, deployment, {
+          environmentId: await environmentIdFor(deployment.environment),
+          ...(await this.findDeployedShaLinks(repo._id, deployment.sha))
+        });
+
+        const savedDeployment = await deploymentRepo.upsertByGithubId(deploymentData.integrationId, deployment.id, deploymentData);
+
+        const statuses = await githubApi.getDeploymentStatuses(owner, repoName, deployment.id);
+
+        for (const status of statuses) {
+          const statusData = mapDeploymentStatus(integrationId, savedDeployment, status);
+
+          await deploymentStatusRepo.upsertByGithubId(statusData.integrationId, status.id, statusData);
+        }
+
+        await deploymentRepo.updateById(savedDeployment._id, summarizeDeploymentStatuses(statuses));
+        statusCount += statuses.length;
+      }
+
+      // A truncated listing left a gap between the cursor and the oldest deployment listed;
+      // keep the cursor so the gap is listed again. A first sync only promises the newest ones.
+      if (complete || !cursor) {
+        await syncCursorRepo.advanceCursor(integrationId, repo._id, 'deployments', listedThrough, deployments.length);
+      } else {
+        console.warn(`Deployments of ${owner}/${repoName} were truncated; keeping the cursor at ${cursor.toISOString()}`);
+      }
+
+      return {
+        success: true,
+        message: 'Deployments synced',
+        count: deployments.length,
+        statusCount,
+        environmentCount: environmentIds.size
+      };
+    } catch (error) {
+      console.error(`Failed to sync deployments for ${owner}/${repoName}: ${error.message}`);
+      // Don't throw, continue with other syncs
+    }
+  }
+
+  // Stored commit and pull requests a deployed SHA belongs to (as head or merge commit)
+  async findDeployedShaLinks(repoId, sha) {
+    const [commit, pulls] = await Promise.all([
+      commitRepo.findByRepoAndSha(repoId, sha),
+      pullRepo.findByCommitSha(repoId, sha)
+    ]);
+
+    return {
+      commitId: commit ? commit._id : null,
+      pullIds: pulls.map(pull => pull._id)
+    };
+  }
+
+  // Archive traffic (GitHub keeps only 14 days of it) and weekly contributor statistics
+  async syncStats(integrationId, owner, repoName, githubApi) {
+    try {
+      const repo = await repoRepo.findByFullName(integrationId, `${owner}/${repoName}`, githubApi.host);
+      if (!repo) {
+        console.warn(`Repository ${owner}/${repoName} not found in database`);
+        return;
+      }
+
+      const traffic = await githubApi.getTraffic(owner, repoName);
+      let trafficDays = 0;
+
+      // Tokens without push access can't read traffic; keep what was archived
+      if (traffic) {
+        const days = mapTrafficDays(integrationId, repo._id, traffic.views, traffic.clones);
+        for (const day of days) {
+          await repoTrafficRepo.upsertByDay(repo._id, day.date, day);
+        }
+        trafficDays = days.length;
+
+        for (const referrer of traffic.referrers) {
+          const referrerData = mapReferrer(integrationId, repo._id, referrer);
+          await repoReferrerRepo.upsertByReferrer(repo._id, referrerData.date, referrer.referrer, referrerData);
+        }
+      }
+
+      const stats = await githubApi.getContributorStats(owner, repoName);
+      let contributorCount = 0;
+
+      // GitHub computes the statistics in the background; the next sync picks them up
+      if (stats) {
+        for (const stat of stats) {
+          // Commits by deleted accounts have no author
+          if (!stat.author) continue;
+
+          const user = await userRepo.findOne({ integrationId, githubId: stat.author.id });
+          await contributorStatRepo.upsertWeeks(
+            mapContributorWeeks(integrationId, repo._id, stat, user ? user._id : null)
+          );
+          contributorCount++;
+        }
+      }
+
+      return {
+        success: true,
+        message: 'Statistics synced',
+        count: trafficDays + contributorCount,
+        trafficDays,
+        contributorCount,
+        trafficAccessible: Boolean(traffic),
+        contributorStatsReady: Boolean(stats)
+      };
+    } catch (error) {
+      console.error(`Failed to sync statistics for ${owner}/${repoName}: ${error.message}`);
+      // Don't throw, continue with other syncs
+    }
+  }
 }
 
 module.exports = new SyncService();
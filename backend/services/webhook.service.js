@@ -0,0 +1,766 @@
+const integrationRepo = require('../repositories/integration.repository');
+const organizationRepo = require('../repositories/organization.repository');
+const repoRepo = require('../repositories/repo.repository');
+const commitRepo = require('../repositories/commit.repository');
+const pullRepo = require('../repositories/pull.repository');
+const issueRepo = require('../repositories/issue.repository');
+const issueCommentRepo = require('../repositories/issue-comment.repository');
+const branchRepo = require('../repositories/branch.repository');
+const tagRepo = require('../repositories/tag.repository');
+const releaseRepo = require('../repositories/release.repository');
+const labelRepo = require('../repositories/label.repository');
+const milestoneRepo = require('../repositories/milestone.repository');
+const teamRepo = require('../repositories/team.repository');
+const orgMembershipRepo = require('../repositories/org-membership.repository');
+const teamMembershipRepo = require('../repositories/team-membership.repository');
+const collaboratorRepo = require('../repositories/collaborator.repository');
+const environmentRepo = require('../repositories/environment.repository');
+const deploymentRepo = require('../repositories/deployment.repository');
+const deploymentStatusRepo = require('../repositories/deployment-status.repository');
+const userRepo = require('../repositories/user.repository');
+const githubAppService = require('./github-app.service');
+const syncScheduler = require('./sync-scheduler.service');
+const githubConfig = require('../config/github.config');
+const { redisClient } = require('../middleware/rate-limit.middleware');
+const {
+  mapOrganization,
+  mapRepository,
+  mapPushCommit,
+  mapPull,
+  mapIssue,
+  mapIssueComment,
+  mapRelease,
+  mapLabel,
+  mapLabelRef,
+  mapMilestone,
+  mapMilestoneRef,
+  mapDeployment,
+  mapDeploymentStatus,
+  summarizeDeploymentStatuses,
+  mapOrgMembership,
+  mapTeamMembership,
+  mapUser,
+  withoutUndefined,
+} = require('../utils/github-mapper.util');
+
+const DELIVERY_PREFIX = 'github:webhook:delivery:';
+
+// Events applied once for the app rather than per integration
+const INSTALLATION_EVENTS = ['installation', 'installation_repositories'];
+
+// GitHub allows redelivery of recent deliveries, so remember IDs for a few days
+const DELIVERY_TTL_SECONDS = 3 * 24 * 60 * 60;
+
+/**
+ * Applies GitHub webhook deliveries to the same collections SyncService fills.
+ *
+ * Deliveries are matched to the integrations syncing the repository or
+ * organization they concern, and applied to each integration's copy; events
+ * for anything we don't track, or for inactive and paused integrations, are
+ * acknowledged and ignored.
+ */
+class WebhookService {
+  constructor() {
+    this.handlers = {
+      push: this.handlePush.bind(this),
+      pull_request: this.handlePullRequest.bind(this),
+      issues: this.handleIssues.bind(this),
+      issue_comment: this.handleIssueComment.bind(this),
+      release: this.handleRelease.bind(this),
+      delete: this.handleDelete.bind(this),
+      label: this.handleLabel.bind(this),
+      milestone: this.handleMilestone.bind(this),
+      deployment: this.handleDeployment.bind(this),
+      deployment_status: this.handleDeploymentStatus.bind(this),
+      organization: this.handleOrganization.bind(this),
+      member: this.handleMember.bind(this),
+      membership: this.handleMembership.bind(this),
+      team: this.handleTeam.bind(this),
+      repository: this.handleRepository.bind(this),
+      installation: this.handleInstallation.bind(this),
+      installation_repositories: this.handleInstallationRepositories.bind(this),
+    };
+  }
+
+  /**
+   * Claim a delivery ID so redeliveries are processed once
+   * @param {string} deliveryId - X-GitHub-Delivery header
+   * @returns {Promise<boolean>} False if the delivery was already seen
+   */
+  async claimDelivery(deliveryId) {
+    const result = await redisClient.set(
+      `${DELIVERY_PREFIX}${deliveryId}`,
+      Date.now().toString(),
+      'EX',
+      DELIVERY_TTL_SECONDS,
+      'NX'
+    );
+    return result === 'OK';
+  }
+
+  /**
+   * Release a claimed delivery so a GitHub redelivery is retried
+   * @param {string} deliveryId - X-GitHub-Delivery header
+   */
+  async releaseDelivery(deliveryId) {
+    await redisClient.del(`${DELIVERY_PREFIX}${deliveryId}`);
+  }
+
+  /**
+   * Apply a webhook event
+   * @param {string} event - X-GitHub-Event header
+   * @param {Object} payload - Webhook payload
+   * @param {string} host - GitHub host that sent the delivery (X-GitHub-Enterprise-Host, or github.com)
+   * @returns {Promise<Object>} Outcome of the delivery
+   */
+  async handleEvent(event, payload, host = githubConfig.defaultHost) {
+    const outcome = { event, action: payload.action || null };
+
+    if (event === 'ping') {
+      return { ...outcome, applied: false, reason: 'pong' };
+    }
+
+    const handler = this.handlers[event];
+    if (!handler) {
+      return { ...outcome, applied: false, reason: 'Unsupported event' };
+    }
+
+    // Every integration syncing the repository or organization keeps its own copy;
+    // installation events find the app's integrations themselves
+    const integrationIds = INSTALLATION_EVENTS.includes(event)
+      ? []
+      : await this.findTrackingIntegrationIds(payload, host);
+    if (integrationIds.length <= 1) {
+      const result = await handler(payload, host, integrationIds[0] || null);
+      return { ...outcome, applied: true, ...result };
+    }
+
+    const results = [];
+    for (const integrationId of integrationIds) {
+      results.push({ integrationId, applied: true, ...await handler(payload, host, integrationId) });
+    }
+    return { ...outcome, applied: results.some(result => result.applied), integrations: results };
+  }
+
+  /**
+   * Check that an integration should receive webhook updates
+   * @param {string} integrationId - Integration ObjectId
+   * @returns {Promise<boolean>} Whether the integration is active and not paused
+   */
+  async isIntegrationSyncable(integrationId) {
+    const integration = await integrationRepo.findById(integrationId);
+    return Boolean(integration && integration.isActive && !integration.isPaused);
+  }
+
+  /**
+   * Find the integrations that sync the repository or organization a payload refers to
+   * @param {Object} payload - Webhook payload
+   * @param {string} host - GitHub host that sent the delivery
+   * @returns {Promise<Array<string>>} Integration ObjectIds
+   */
+  async findTrackingIntegrationIds(payload, host) {
+    const ids = new Set();
+    const account = payload.organization || payload.repository?.owner;
+
+    if (payload.repository) {
+      const repoIntegrationIds = await repoRepo.distinct('integrationId', {
+        ...repoRepo.hostConditions(host),
+        githubId: payload.repository.id,
+      });
+      repoIntegrationIds.forEach(id => ids.add(id.toString()));
+    }
+
+    if (account) {
+      const organizationIntegrationIds = await organizationRepo.distinct('integrationId', {
+        ...organizationRepo.hostConditions(host),
+        githubId: account.id,
+      });
+      organizationIntegrationIds.forEach(id => ids.add(id.toString()));
+    }
+
+    return [...ids];
+  }
+
+  /**
+   * Find an integration's tracked repository a payload refers to
+   * @param {Object} payload - Webhook payload
+   * @param {string} host - GitHub host that sent the delivery
+   * @param {string} integrationId - Integration ObjectId
+   * @returns {Promise<Object|null>} Repo document
+   */
+  async resolveRepo(payload, host, integrationId) {
+    if (!payload.repository || !integrationId) return null;
+
+    const repo = await repoRepo.findOne({
+      integrationId,
+      ...repoRepo.hostConditions(host),
+      githubId: payload.repository.id,
+    });
+    if (!repo || !(await this.isIntegrationSyncable(repo.integrationId))) {
+      return null;
+    }
+    return repo;
+  }
+
+  /**
+   * Find an integration's tracked organization (or user account) a payload refers to
+   * @param {Object} account - GitHub organization or user from the payload
+   * @param {string} host - GitHub host that sent the delivery
+   * @param {string} integrationId - Integration ObjectId
+   * @returns {Promise<Object|null>} Organization document
+   */
+  async resolveOrganization(account, host, integrationId) {
+    if (!account || !integrationId) return null;
+
+    const organization = await organizationRepo.findOne({
+      integrationId,
+      ...organizationRepo.hostConditions(host),
+      githubId: account.id,
+    });
+    if (!organization || !(await this.isIntegrationSyncable(organization.integrationId))) {
+      return null;
+    }
+    return organization;
+  }
+
+  /**
+   * Store commits pushed to a tracked repository
+   */
+  async handlePush(payload, host, integrationId) {
+    const repo = await this.resolveRepo(payload, host, integrationId);
+    if (!repo) return { applied: false, reason: 'Repository not tracked' };
+
+    let count = 0;
+    for (const commit of payload.commits || []) {
+      // Commits already synced from the API carry stats we must not drop
+      if (await commitRepo.findByRepoAndSha(repo._id, commit.id)) continue;
+
+      const commitData = withoutUndefined(
+        mapPushCommit(repo.integrationId, repo._id, commit, payload.repository.html_url)
+      );
+      await commitRepo.upsertByRepoAndSha(repo._id, commit.id, commitData);
+      count++;
+    }
+
+    // Push payloads report pushed_at as a Unix timestamp
+    const pushedAt = payload.repository.pushed_at;
+    await repoRepo.updateById(repo._id, {
+      pushedAt: typeof pushedAt === 'number' ? new Date(pushedAt * 1000) : pushedAt,
+      syncedAt: new Date(),
+    });
+
+    return { count };
+  }
+
+  /**
+   * Upsert a pull request from its webhook payload
+   */
+  async handlePullRequest(payload, host, integrationId) {
+    const repo = await this.resolveRepo(payload, host, integrationId);
+    if (!repo) return { applied: false, reason: 'Repository not tracked' };
+
+    const pull = payload.pull_request;
+    await pullRepo.upsertByRepoAndNumber(
+      repo._id,
+      pull.number,
+      mapPull(repo.integrationId, repo._id, pull)
+    );
+
+    return { number: pull.number };
+  }
+
+  /**
+   * Upsert or remove an issue from its webhook payload
+   */
+  async handleIssues(payload, host, integrationId) {
+    const repo = await this.resolveRepo(payload, host, integrationId);
+    if (!repo) return { applied: false, reason: 'Repository not tracked' };
+
+    const { issue } = payload;
+
+    // Pull requests are stored from pull_request events, as in SyncService
+    if (issue.pull_request) {
+      return { applied: false, reason: 'Issue is a pull request' };
+    }
+
+    if (payload.action === 'deleted' || payload.action === 'transferred') {
+      await issueRepo.markRemoved({ repoId: repo._id, number: issue.number });
+      return { number: issue.number, removed: true };
+    }
+
+    await issueRepo.upsertByRepoAndNumber(
+      repo._id,
+      issue.number,
+      mapIssue(repo.integrationId, repo._id, issue)
+    );
+
+    return { number: issue.number };
+  }
+
+  /**
+   * Store the comment and refresh the comment count of the issue or pull request commented on
+   */
+  async handleIssueComment(payload, host, integrationId) {
+    const repo = await this.resolveRepo(payload, host, integrationId);
+    if (!repo) return { applied: false, reason: 'Repository not tracked' };
+
+    const { issue, comment } = payload;
+    let parent = {};
+
+    if (issue.pull_request) {
+      const pull = await pullRepo.updateOne(
+        { repoId: repo._id, number: issue.number },
+        { $set: { comments: issue.comments, syncedAt: new Date() } }
+      );
+      if (pull) parent = { pullId: pull._id };
+    } else {
+      const savedIssue = await issueRepo.upsertByRepoAndNumber(
+        repo._id,
+        issue.number,
+        mapIssue(repo.integrationId, repo._id, issue)
+      );
+      parent = { issueId: savedIssue._id };
+    }
+
+    if (payload.action === 'deleted') {
+      await issueCommentRepo.markRemoved({ integrationId: repo.integrationId, githubId: comment.id });
+      return { number: issue.number, commentId: comment.id, removed: true };
+    }
+
+    await issueCommentRepo.upsertByGithubId(
+      repo.integrationId,
+      comment.id,
+      withoutUndefined(mapIssueComment(repo.integrationId, repo._id, comment, parent))
+    );
+
+    return { number: issue.number, commentId: comment.id };
+  }
+
+  /**
+   * Upsert or remove a release from its webhook payload
+   */
+  async handleRelease(payload, host, integrationId) {
+    const repo = await this.resolveRepo(payload, host, integrationId);
+    if (!repo) return { applied: false, reason: 'Repository not tracked' };
+
+    const { release } = payload;
+
+    if (payload.action === 'deleted') {
+      await releaseRepo.markRemoved({ integrationId: repo.integrationId, githubId: release.id });
+      return { releaseId: release.id, removed: true };
+    }
+
+    await releaseRepo.upsertByGithubId(
+      repo.integrationId,
+      release.id,
+      withoutUndefined(mapRelease(repo.integrationId, repo._id, release))
+    );
+
+    return { releaseId: release.id };
+  }
+
+  /**
+   * Tombstone a deleted branch or tag. Created refs carry no commit, so they
+   * are picked up by the next sync instead.
+   */
+  async handleDelete(payload, host, integrationId) {
+    const repo = await this.resolveRepo(payload, host, integrationId);
+    if (!repo) return { applied: false, reason: 'Repository not tracked' };
+
+    const refRepo = payload.ref_type === 'tag' ? tagRepo : branchRepo;
+    await refRepo.markRemoved({ repoId: repo._id, name: payload.ref });
+
+    return { ref: payload.ref, refType: payload.ref_type, removed: true };
+  }
+
+  /**
+   * Apply label changes and carry renames over to issues and pull requests
+   */
+  async handleLabel(payload, host, integrationId) {
+    const repo = await this.resolveRepo(payload, host, integrationId);
+    if (!repo) return { applied: false, reason: 'Repository not tracked' };
+
+    const { label } = payload;
+
+    if (payload.action === 'deleted') {
+      await labelRepo.markRemoved({ integrationId: repo.integrationId, githubId: label.id });
+      await issueRepo.removeLabel(repo._id, label.id);
+      await pullRepo.removeLabel(repo._id, label.id);
+      return { labelId: label.id, removed: true };
+    }
+
+    await labelRepo.upsertByGithubId(
+      repo.integrationId,
+      label.id,
+      withoutUndefined(mapLabel(repo.integrationId, repo._id, label))
+    );
+
+    const previousNames = payload.changes?.name ? [payload.changes.name.from] : [];
+    await issueRepo.reconcileLabel(repo._id, mapLabelRef(label), previousNames);
+    await pullRepo.reconcileLabel(repo._id, mapLabelRef(label), previousNames);
+
+    return { labelId: label.id };
+  }
+
+  /**
+   * Apply milestone changes to the milestone and the issues and pull requests in it
+   */
+  async handleMilestone(payload, host, integrationId) {
+    const repo = await this.resolveRepo(payload, host, integrationId);
+    if (!repo) return { applied: false, reason: 'Repository not tracked' };
+
+    const { milestone } = payload;
+
+    if (payload.action === 'deleted') {
+      await milestoneRepo.markRemoved({ integrationId: repo.integrationId, githubId: milestone.id });
+      await issueRepo.removeMilestone(repo._id, milestone.id);
+      await pullRepo.removeMilestone(repo._id, milestone.id);
+      return { milestoneId: milestone.id, removed: true };
+    }
+
+    await milestoneRepo.upsertByGithubId(
+      repo.integrationId,
+      milestone.id,
+      withoutUndefined(mapMilestone(repo.integrationId, repo._id, milestone))
+    );
+
+    await issueRepo.reconcileMilestone(repo._id, mapMilestoneRef(milestone));
+    await pullRepo.reconcileMilestone(repo._id, mapMilestoneRef(milestone));
+
+    return { milestoneId: milestone.id };
+  }
+
+  /**
+   * Store a created deployment, linked to its commit, pull requests and environment
+   */
+  async handleDeployment(payload, host, integrationId) {
+    const repo = await this.resolveRepo(payload, host, integrationId);
+    if (!repo) return { applied: false, reason: 'Repository not tracked' };
+
+    await this.upsertDeployment(repo, payload.deployment);
+
+    return { deploymentId: payload.deployment.id };
+  }
+
+  /**
+   * Store a deployment status and refresh the deployment's latest state
+   */
+  async handleDeploymentStatus(payload, host, integrationId) {
+    const repo = await this.resolveRepo(payload, host, integrationId);
+    if (!repo) return { applied: false, reason: 'Repository not tracked' };
+
+    const { deployment_status: status } = payload;
+    const deployment = await this.upsertDeployment(repo, payload.deployment);
+
+    await deploymentStatusRepo.upsertByGithubId(
+      repo.integrationId,
+      status.id,
+      withoutUndefined(mapDeploymentStatus(repo.integrationId, deployment, status))
+    );
+
+    // Statuses can arrive out of order, so summarize from everything stored
+    const statuses = await deploymentStatusRepo.findByDeploymentId(deployment._id);
+    await deploymentRepo.updateById(
+      deployment._id,
+      summarizeDeploymentStatuses(statuses.map(stored => ({ state: stored.state, created_at: stored.createdAt })))
+    );
+
+    return { deploymentId: payload.deployment.id, state: status.state };
+  }
+
+  /**
+   * Upsert a deployment from a webhook payload
+   * @param {Object} repo - Repo document
+   * @param {Object} deployment - GitHub deployment
+   * @returns {Promise<Object>} Deployment document
+   */
+  async upsertDeployment(repo, deployment) {
+    const [commit, pulls, environment] = await Promise.all([
+      commitRepo.findByRepoAndSha(repo._id, deployment.sha),
+      pullRepo.findByCommitSha(repo._id, deployment.sha),
+      environmentRepo.findOne({ repoId: repo._id, name: deployment.environment })
+    ]);
+
+    return await deploymentRepo.upsertByGithubId(
+      repo.integrationId,
+      deployment.id,
+      withoutUndefined(mapDeployment(repo.integrationId, repo._id, deployment, {
+        commitId: commit ? commit._id : null,
+        pullIds: pulls.map(pull => pull._id),
+        environmentId: environment ? environment._id : null
+      }))
+    );
+  }
+
+  /**
+   * Apply organization renames, deletions and membership changes
+   */
+  async handleOrganization(payload, host, integrationId) {
+    const organization = await this.resolveOrganization(payload.organization, host, integrationId);
+    if (!organization) return { applied: false, reason: 'Organization not tracked' };
+
+    switch (payload.action) {
+      case 'deleted':
+        await organizationRepo.markRemoved({ _id: organization._id });
+        await repoRepo.markRemoved({ organizationId: organization._id });
+        await userRepo.markRemoved({ organizationId: organization._id });
+        await orgMembershipRepo.markRemoved({ organizationId: organization._id });
+        await teamRepo.markRemoved({ organizationId: organization._id });
+        return { login: organization.login, removed: true };
+
+      case 'member_added':
+        return await this.addOrganizationMember(integrationId, host, organization, payload.membership);
+
+      case 'member_removed':
+        await orgMembershipRepo.markRemoved({
+          organizationId: organization._id,
+          userGithubId: payload.membership.user.id,
+        });
+        await userRepo.markRemoved({
+          integrationId,
+          organizationId: organization._id,
+          githubId: payload.membership.user.id,
+        });
+        return { member: payload.membership.user.login, removed: true };
+
+      case 'renamed':
+        await organizationRepo.upsertByGithubId(
+          integrationId,
+          host,
+          payload.organization.id,
+          withoutUndefined(mapOrganization(integrationId, payload.organization))
+        );
+        return { login: payload.organization.login };
+
+      default:
+        return { applied: false, reason: 'Unsupported action' };
+    }
+  }
+
+  /**
+   * Store a new organization member and their role
+   * @param {string} integrationId - Integration ObjectId
+   * @param {string} host - GitHub host that sent the delivery
+   * @param {Object} organization - Organization document
+   * @param {Object} membership - GitHub membership from the payload
+   * @returns {Promise<Object>} Outcome
+   */
+  async addOrganizationMember(integrationId, host, organization, membership) {
+    const { user: member } = membership;
+    const user = await userRepo.upsertByGithubId(
+      integrationId,
+      host,
+      member.id,
+      withoutUndefined(mapUser(integrationId, member, organization._id))
+    );
+
+    // Membership payloads call owners 'admin'
+    const role = membership.role === 'admin' ? 'owner' : 'member';
+    await orgMembershipRepo.upsertByOrganizationAndUser(
+      organization._id,
+      member.id,
+      mapOrgMembership(integrationId, organization, member, role, { userId: user._id })
+    );
+
+    return { member: member.login };
+  }
+
+  /**
+   * Record collaborators added to a tracked repository
+   */
+  async handleMember(payload, host, integrationId) {
+    const repo = await this.resolveRepo(payload, host, integrationId);
+    if (!repo) return { applied: false, reason: 'Repository not tracked' };
+
+    // A removed collaborator may still belong to the organization, so only their access goes
+    if (payload.action === 'removed') {
+      await collaboratorRepo.markRemoved({ repoId: repo._id, userGithubId: payload.member.id });
+      return { member: payload.member.login, removed: true };
+    }
+
+    await userRepo.upsertByGithubId(
+      integrationId,
+      host,
+      payload.member.id,
+      withoutUndefined(mapUser(repo.integrationId, payload.member, repo.organizationId))
+    );
+
+    return { member: payload.member.login };
+  }
+
+  /**
+   * Add or remove a team member. The member's role is refreshed by the next sync.
+   */
+  async handleMembership(payload, host, integrationId) {
+    if (payload.scope !== 'team') {
+      return { applied: false, reason: 'Unsupported scope' };
+    }
+
+    const organization = await this.resolveOrganization(payload.organization, host, integrationId);
+    if (!organization) return { applied: false, reason: 'Organization not tracked' };
+
+    const team = await teamRepo.findByGithubId(organization.integrationId, payload.team.id);
+    if (!team) return { applied: false, reason: 'Team not synced yet' };
+
+    const { member } = payload;
+
+    if (payload.action === 'removed') {
+      await teamMembershipRepo.markRemoved({ teamId: team._id, userGithubId: member.id });
+      return { team: team.slug, member: member.login, removed: true };
+    }
+
+    const user = await userRepo.findOne({ integrationId: organization.integrationId, githubId: member.id });
+    const existing = await teamMembershipRepo.findOne({ teamId: team._id, userGithubId: member.id });
+
+    await teamMembershipRepo.upsertByTeamAndUser(
+      team._id,
+      member.id,
+      mapTeamMembership(organization.integrationId, team, member, existing ? existing.role : 'member', {
+        userId: user ? user._id : null,
+      })
+    );
+
+    return { team: team.slug, member: member.login };
+  }
+
+  /**
+   * Tombstone deleted teams; other team changes are picked up by the next sync
+   */
+  async handleTeam(payload, host, integrationId) {
+    const organization = await this.resolveOrganization(payload.organization, host, integrationId);
+    if (!organization) return { applied: false, reason: 'Organization not tracked' };
+
+    if (payload.action !== 'deleted') {
+      return { applied: false, reason: 'Unsupported action' };
+    }
+
+    await teamRepo.markRemoved({ integrationId: organization.integrationId, githubId: payload.team.id });
+    return { team: payload.team.slug, removed: true };
+  }
+
+  /**
+   * Upsert or tombstone a repository from its webhook payload
+   */
+  async handleRepository(payload, host, integrationId) {
+    const { repository } = payload;
+    let repo = await this.resolveRepo(payload, host, integrationId);
+
+    if (payload.action === 'deleted') {
+      if (!repo) return { applied: false, reason: 'Repository not tracked' };
+      await repoRepo.markRemoved({ _id: repo._id });
+      return { fullName: repository.full_name, removed: true };
+    }
+
+    // New and transferred repositories are tracked when their owner is
+    let organizationId = repo ? repo.organizationId : null;
+
+    if (!repo || payload.action === 'transferred') {
+      const owner = await this.resolveOrganization(payload.organization || repository.owner, host, integrationId);
+      if (!owner) {
+        if (!repo) return { applied: false, reason: 'Repository owner not tracked' };
+
+        // Transferred to an owner we don't sync
+        await repoRepo.markRemoved({ _id: repo._id });
+        return { fullName: repository.full_name, removed: true };
+      }
+      organizationId = owner._id;
+    }
+
+    repo = await repoRepo.upsertByGithubId(
+      integrationId,
+      host,
+      repository.id,
+      mapRepository(integrationId, repository, organizationId)
+    );
+
+    return { fullName: repo.fullName };
+  }
+
+  /**
+   * Deactivate, suspend or resume the integrations of a GitHub App installation
+   */
+  async handleInstallation(payload, host) {
+    if (host !== githubConfig.app.host) return { applied: false, reason: 'Installation not connected' };
+
+    const { installation } = payload;
+    const integrations = await integrationRepo.findActiveByInstallationId(installation.id);
+    if (integrations.length === 0) return { applied: false, reason: 'Installation not connected' };
+
+    switch (payload.action) {
+      case 'deleted':
+        githubAppService.forgetInstallationToken(installation.id);
+        for (const integration of integrations) {
+          await integration.deactivate();
+          await syncScheduler.removeSchedule(integration._id);
+        }
+        return { installationId: installation.id, deactivated: integrations.length };
+
+      case 'suspend':
+        githubAppService.forgetInstallationToken(installation.id);
+        for (const integration of integrations) {
+          integration.installation.suspendedAt = new Date(installation.suspended_at || Date.now());
+          integration.tokenExpiresAt = null;
+          if (!integration.isPaused) {
+            await integration.setPaused(true);
+          } else {
+            await integration.save();
+          }
+          await syncScheduler.applySchedule(integration);
+        }
+        return { installationId: installation.id, suspended: true };
+
+      case 'unsuspend':
+        for (const integration of integrations) {
+          const { suspendedAt } = integration.installation;
+          integration.installation.suspendedAt = null;
+
+          // Integrations the user paused before the suspension stay paused
+          const pausedBySuspension = integration.isPaused && suspendedAt && integration.pausedAt >= suspendedAt;
+          if (pausedBySuspension) {
+            await integration.setPaused(false);
+          } else {
+            await integration.save();
+          }
+          await syncScheduler.applySchedule(integration);
+        }
+        return { installationId: installation.id, suspended: false };
+
+      case 'new_permissions_accepted':
+        for (const integration of integrations) {
+          integration.installation.permissions = installation.permissions;
+          // Tokens carry the permissions they were minted with
+          integration.tokenExpiresAt = null;
+          await integration.save();
+        }
+        githubAppService.forgetInstallationToken(installation.id);
+        return { installationId: installation.id, permissions: installation.permissions };
+
+      default:
+        return { applied: false, reason: 'Unsupported action' };
+    }
+  }
+
+  /**
+   * Tombstone repositories taken away from a GitHub App installation;
+   * added ones are picked up by the next sync
+   */
+  async handleInstallationRepositories(payload, host) {
+    if (payload.action !== 'removed') {
+      return { applied: false, reason: 'Unsupported action' };
+    }
+    if (host !== githubConfig.app.host) return { applied: false, reason: 'Installation not connected' };
+
+    const integrations = await integrationRepo.findActiveByInstallationId(payload.installation.id);
+    if (integrations.length === 0) return { applied: false, reason: 'Installation not connected' };
+
+    const githubIds = payload.repositories_removed.map(repository => repository.id);
+    await repoRepo.markRemoved({
+      integrationId: { $in: integrations.map(integration => integration._id) },
+      githubId: { $in: githubIds },
+    });
+
+    return { removed: githubIds.length };
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,1418 @@
+/**
+ * Map GitHub API / webhook payloads to our document shapes
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Map a GitHub user-like object to an embedded user reference
+ * @param {Object} user - GitHub user
+ * @returns {Object|null} Embedded user
+ */
+function mapUserRef(user) {
+  return user ? { login: user.login, avatarUrl: user.avatar_url } : null;
+}
+
+/**
+ * Map a GitHub label to the snapshot embedded in issues and pull requests
+ * @param {Object} label - GitHub label
+ * @returns {Object} Embedded label
+ */
+function mapLabelRef(label) {
+  return {
+    githubId: label.id,
+    name: label.name,
+    color: label.color,
+    description: label.description
+  };
+}
+
+/**
+ * Map a GitHub milestone to the snapshot embedded in issues and pull requests
+ * @param {Object} milestone - GitHub milestone
+ * @returns {Object|null} Embedded milestone
+ */
+function mapMilestoneRef(milestone) {
+  return milestone ? {
+    githubId: milestone.id,
+    title: milestone.title,
+    number: milestone.number,
+    state: milestone.state,
+    description: milestone.description
+  } : null;
+}
+
+/**
+ * Map a GraphQL actor (login/avatarUrl) to an embedded user reference
+ * @param {Object} actor - GraphQL actor, null for deleted accounts
+ * @returns {Object|null} Embedded user
+ */
+function mapActorRef(actor) {
+  return actor ? { login: actor.login, avatarUrl: actor.avatarUrl } : null;
+}
+
+// Anything GitHub returns exists there, so an earlier tombstone is lifted
+const PRESENT_IN_SOURCE = {
+  missingSince: null,
+  deletedAt: null,
+  removedFromSource: false
+};
+
+/**
+ * Map a GitHub organization (or user acting as owner) to an Organization document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {Object} org - GitHub organization or user
+ * @param {string} type - 'Organization' or 'User'
+ * @returns {Object} Organization data
+ */
+function mapOrganization(integrationId, org, type = 'Organization') {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    githubId: org.id,
+    login: org.login,
+    name: org.name,
+    description: type === 'User' ? org.bio : org.description,
+    url: org.url,
+    htmlUrl: org.html_url,
+    avatarUrl: org.avatar_url,
+    location: org.location,
+    email: org.email,
+    publicRepos: org.public_repos,
+    publicGists: org.public_gists,
+    followers: org.followers,
+    following: org.following,
+    createdAt: org.created_at,
+    updatedAt: org.updated_at,
+    type,
+    ...PRESENT_IN_SOURCE,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a GitHub repository to a Repo document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {Object} repo - GitHub repository
+ * @param {string|null} organizationId - Organization ObjectId
+ * @returns {Object} Repo data
+ */
+function mapRepository(integrationId, repo, organizationId = null) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    organizationId,
+    githubId: repo.id,
+    name: repo.name,
+    fullName: repo.full_name,
+    description: repo.description,
+    private: repo.private,
+    fork: repo.fork,
+    url: repo.url,
+    htmlUrl: repo.html_url,
+    cloneUrl: repo.clone_url,
+    gitUrl: repo.git_url,
+    sshUrl: repo.ssh_url,
+    homepage: repo.homepage,
+    language: repo.language,
+    size: repo.size,
+    stargazersCount: repo.stargazers_count,
+    watchersCount: repo.watchers_count,
+    forksCount: repo.forks_count,
+    openIssuesCount: repo.open_issues_count,
+    defaultBranch: repo.default_branch,
+    topics: repo.topics || [],
+    hasIssues: repo.has_issues,
+    hasProjects: repo.has_projects,
+    hasWiki: repo.has_wiki,
+    hasDiscussions: repo.has_discussions,
+    hasPages: repo.has_pages,
+    hasDownloads: repo.has_downloads,
+    archived: repo.archived,
+    disabled: repo.disabled,
+    visibility: repo.visibility,
+    pushedAt: repo.pushed_at,
+    createdAt: repo.created_at,
+    updatedAt: repo.updated_at,
+    owner: {
+      login: repo.owner.login,
+      avatarUrl: repo.owner.avatar_url,
+      type: repo.owner.type
+    },
+    ...PRESENT_IN_SOURCE,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a GitHub commit (list or detail response) to a Commit document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} commit - GitHub commit
+ * @param {Object} detailedCommit - Commit detail response with stats/files
+ * @returns {Object} Commit data
+ */
+function mapCommit(integrationId, repoId, commit, detailedCommit = commit) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    sha: commit.sha,
+    message: commit.commit.message,
+    author: {
+      name: commit.commit.author.name,
+      email: commit.commit.author.email,
+      date: commit.commit.author.date,
+      login: commit.author?.login,
+      avatarUrl: commit.author?.avatar_url
+    },
+    committer: {
+      name: commit.commit.committer.name,
+      email: commit.commit.committer.email,
+      date: commit.commit.committer.date,
+      login: commit.committer?.login,
+      avatarUrl: commit.committer?.avatar_url
+    },
+    url: commit.url,
+    htmlUrl: commit.html_url,
+    commentCount: commit.commit.comment_count,
+    additions: detailedCommit.stats?.additions || 0,
+    deletions: detailedCommit.stats?.deletions || 0,
+    totalChanges: detailedCommit.stats?.total || 0,
+    files: detailedCommit.files?.map(file => ({
+      filename: file.filename,
+      status: file.status,
+      additions: file.additions,
+      deletions: file.deletions,
+      changes: file.changes
+    })) || [],
+    parents: commit.parents?.map(parent => ({
+      sha: parent.sha,
+      url: parent.url
+    })) || [],
+    verified: commit.commit.verification?.verified || false,
+    signature: commit.commit.verification?.signature,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a commit from a push webhook payload to a partial Commit document.
+ * Push payloads carry no stats, so additions/deletions are left untouched.
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} commit - Push payload commit
+ * @param {string} htmlBaseUrl - Repository html_url
+ * @returns {Object} Commit data
+ */
+function mapPushCommit(integrationId, repoId, commit, htmlBaseUrl) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    sha: commit.id,
+    message: commit.message,
+    author: {
+      name: commit.author?.name,
+      email: commit.author?.email,
+      date: commit.timestamp,
+      login: commit.author?.username
+    },
+    committer: {
+      name: commit.committer?.name,
+      email: commit.committer?.email,
+      date: commit.timestamp,
+      login: commit.committer?.username
+    },
+    htmlUrl: commit.url || `${htmlBaseUrl}/commit/${commit.id}`,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a GitHub pull request to a Pull document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} pull - GitHub pull request
+ * @returns {Object} Pull data
+ */
+function mapPull(integrationId, repoId, pull) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    githubId: pull.id,
+    nodeId: pull.node_id,
+    number: pull.number,
+    title: pull.title,
+    body: pull.body,
+    state: pull.state,
+    locked: pull.locked,
+    user: {
+      login: pull.user.login,
+      avatarUrl: pull.user.avatar_url,
+      type: pull.user.type
+    },
+    labels: pull.labels?.map(mapLabelRef) || [],
+    milestone: mapMilestoneRef(pull.milestone),
+    assignees: pull.assignees?.map(mapUserRef) || [],
+    requestedReviewers: pull.requested_reviewers?.map(mapUserRef) || [],
+    requestedTeams: pull.requested_teams?.map(team => ({ slug: team.slug, name: team.name })) || [],
+    head: {
+      ref: pull.head.ref,
+      sha: pull.head.sha,
+      label: pull.head.label,
+      user: {
+        login: pull.head.user?.login,
+        avatarUrl: pull.head.user?.avatar_url
+      }
+    },
+    base: {
+      ref: pull.base.ref,
+      sha: pull.base.sha,
+      label: pull.base.label
+    },
+    draft: pull.draft,
+    merged: pull.merged,
+    mergeable: pull.mergeable,
+    mergedBy: mapUserRef(pull.merged_by),
+    mergeCommitSha: pull.merge_commit_sha,
+    comments: pull.comments,
+    reviewComments: pull.review_comments,
+    commits: pull.commits,
+    additions: pull.additions,
+    deletions: pull.deletions,
+    changedFiles: pull.changed_files,
+    url: pull.url,
+    htmlUrl: pull.html_url,
+    diffUrl: pull.diff_url,
+    patchUrl: pull.patch_url,
+    createdAt: pull.created_at,
+    updatedAt: pull.updated_at,
+    closedAt: pull.closed_at,
+    mergedAt: pull.merged_at,
+    ...PRESENT_IN_SOURCE,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a GitHub pull request review to a Review document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} pull - Stored Pull document
+ * @param {Object} review - GitHub review
+ * @returns {Object} Review data
+ */
+function mapReview(integrationId, repoId, pull, review) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    pullId: pull._id,
+    pullNumber: pull.number,
+    githubId: review.id,
+    user: review.user ? {
+      login: review.user.login,
+      avatarUrl: review.user.avatar_url,
+      type: review.user.type
+    } : null,
+    state: review.state,
+    body: review.body,
+    commitId: review.commit_id,
+    authorAssociation: review.author_association,
+    htmlUrl: review.html_url,
+    submittedAt: review.submitted_at,
+    ...PRESENT_IN_SOURCE,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a GitHub pull request review comment to a ReviewComment document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} pull - Stored Pull document
+ * @param {Object} comment - GitHub review comment
+ * @returns {Object} ReviewComment data
+ */
+function mapReviewComment(integrationId, repoId, pull, comment) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    pullId: pull._id,
+    pullNumber: pull.number,
+    githubId: comment.id,
+    reviewGithubId: comment.pull_request_review_id,
+    inReplyToId: comment.in_reply_to_id,
+    user: comment.user ? {
+      login: comment.user.login,
+      avatarUrl: comment.user.avatar_url,
+      type: comment.user.type
+    } : null,
+    body: comment.body,
+    path: comment.path,
+    line: comment.line,
+    originalLine: comment.original_line,
+    side: comment.side,
+    diffHunk: comment.diff_hunk,
+    commitId: comment.commit_id,
+    originalCommitId: comment.original_commit_id,
+    authorAssociation: comment.author_association,
+    htmlUrl: comment.html_url,
+    createdAt: comment.created_at,
+    updatedAt: comment.updated_at,
+    ...PRESENT_IN_SOURCE,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a GitHub issue to an Issue document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} issue - GitHub issue
+ * @returns {Object} Issue data
+ */
+function mapIssue(integrationId, repoId, issue) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    githubId: issue.id,
+    nodeId: issue.node_id,
+    number: issue.number,
+    title: issue.title,
+    body: issue.body,
+    state: issue.state,
+    stateReason: issue.state_reason,
+    locked: issue.locked,
+    user: {
+      login: issue.user.login,
+      avatarUrl: issue.user.avatar_url,
+      type: issue.user.type
+    },
+    labels: issue.labels?.map(mapLabelRef) || [],
+    assignees: issue.assignees?.map(mapUserRef) || [],
+    milestone: mapMilestoneRef(issue.milestone),
+    comments: issue.comments,
+    closedBy: mapUserRef(issue.closed_by),
+    pullRequest: issue.pull_request ? {
+      url: issue.pull_request.url,
+      htmlUrl: issue.pull_request.html_url,
+      diffUrl: issue.pull_request.diff_url,
+      patchUrl: issue.pull_request.patch_url
+    } : null,
+    url: issue.url,
+    htmlUrl: issue.html_url,
+    createdAt: issue.created_at,
+    updatedAt: issue.updated_at,
+    closedAt: issue.closed_at,
+    ...PRESENT_IN_SOURCE,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map GitHub reaction counts
+ * @param {Object} reactions - GitHub reaction rollup
+ * @returns {Object|undefined} Reaction counts
+ */
+function mapReactions(reactions) {
+  if (!reactions) return undefined;
+
+  return {
+    totalCount: reactions.total_count,
+    plusOne: reactions['+1'],
+    minusOne: reactions['-1'],
+    laugh: reactions.laugh,
+    hooray: reactions.hooray,
+    confused: reactions.confused,
+    heart: reactions.heart,
+    rocket: reactions.rocket,
+    eyes: reactions.eyes
+  };
+}
+
+/**
+ * Map a GitHub issue or pull request comment to an IssueComment document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} comment - GitHub issue comment
+ * @param {Object} parent - { issueId } or { pullId } when the parent is stored
+ * @returns {Object} IssueComment data
+ */
+function mapIssueComment(integrationId, repoId, comment, parent = {}) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    ...parent,
+    // issue_url ends with the issue or pull request number
+    number: Number(comment.issue_url.split('/').pop()),
+    isPullRequest: /\/pull\/\d+/.test(comment.html_url),
+    githubId: comment.id,
+    user: comment.user ? {
+      login: comment.user.login,
+      avatarUrl: comment.user.avatar_url,
+      type: comment.user.type
+    } : null,
+    body: comment.body,
+    authorAssociation: comment.author_association,
+    reactions: mapReactions(comment.reactions),
+    url: comment.url,
+    htmlUrl: comment.html_url,
+    createdAt: comment.created_at,
+    updatedAt: comment.updated_at,
+    ...PRESENT_IN_SOURCE,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Milliseconds between two GitHub timestamps
+ * @param {string|null} start - Start timestamp
+ * @param {string|null} end - End timestamp
+ * @returns {number|null} Duration, or null while either end is unknown
+ */
+function durationBetween(start, end) {
+  if (!start || !end) return null;
+  const duration = new Date(end) - new Date(start);
+  return duration >= 0 ? duration : null;
+}
+
+/**
+ * Map a GitHub Actions workflow to a Workflow document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} workflow - GitHub workflow
+ * @returns {Object} Workflow data
+ */
+function mapWorkflow(integrationId, repoId, workflow) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    githubId: workflow.id,
+    name: workflow.name,
+    path: workflow.path,
+    state: workflow.state,
+    url: workflow.url,
+    htmlUrl: workflow.html_url,
+    badgeUrl: workflow.badge_url,
+    createdAt: workflow.created_at,
+    updatedAt: workflow.updated_at,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a GitHub Actions workflow run to a WorkflowRun document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} run - GitHub workflow run
+ * @param {Object} links - { workflowId, commitId, pullIds } of stored documents
+ * @returns {Object} WorkflowRun data
+ */
+function mapWorkflowRun(integrationId, repoId, run, links = {}) {
+  const completed = run.status === 'completed';
+
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    ...links,
+    workflowGithubId: run.workflow_id,
+    githubId: run.id,
+    name: run.name,
+    displayTitle: run.display_title,
+    runNumber: run.run_number,
+    runAttempt: run.run_attempt,
+    event: run.event,
+    status: run.status,
+    conclusion: run.conclusion,
+    headBranch: run.head_branch,
+    headSha: run.head_sha,
+    actor: mapUserRef(run.actor),
+    triggeringActor: mapUserRef(run.triggering_actor),
+    url: run.url,
+    htmlUrl: run.html_url,
+    runStartedAt: run.run_started_at,
+    durationMs: completed ? durationBetween(run.run_started_at, run.updated_at) : null,
+    createdAt: run.created_at,
+    updatedAt: run.updated_at,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a GitHub Actions job to a WorkflowJob document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} run - Stored WorkflowRun document
+ * @param {Object} job - GitHub workflow job
+ * @returns {Object} WorkflowJob data
+ */
+function mapWorkflowJob(integrationId, repoId, run, job) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    runId: run._id,
+    runGithubId: job.run_id,
+    githubId: job.id,
+    name: job.name,
+    workflowName: job.workflow_name,
+    runAttempt: job.run_attempt,
+    status: job.status,
+    conclusion: job.conclusion,
+    headBranch: job.head_branch || run.headBranch,
+    headSha: job.head_sha,
+    runnerName: job.runner_name,
+    labels: job.labels || [],
+    steps: job.steps?.map(step => ({
+      name: step.name,
+      number: step.number,
+      status: step.status,
+      conclusion: step.conclusion,
+      startedAt: step.started_at,
+      completedAt: step.completed_at
+    })) || [],
+    htmlUrl: job.html_url,
+    startedAt: job.started_at,
+    completedAt: job.completed_at,
+    durationMs: durationBetween(job.started_at, job.completed_at),
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a GitHub check run to a CheckRun document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} checkRun - GitHub check run
+ * @param {Object} links - { commitId, pullIds } of stored documents
+ * @returns {Object} CheckRun data
+ */
+function mapCheckRun(integrationId, repoId, checkRun, links = {}) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    ...links,
+    githubId: checkRun.id,
+    name: checkRun.name,
+    headSha: checkRun.head_sha,
+    checkSuiteGithubId: checkRun.check_suite?.id,
+    app: checkRun.app ? {
+      slug: checkRun.app.slug,
+      name: checkRun.app.name
+    } : null,
+    status: checkRun.status,
+    conclusion: checkRun.conclusion,
+    output: checkRun.output ? {
+      title: checkRun.output.title,
+      summary: checkRun.output.summary
+    } : null,
+    detailsUrl: checkRun.details_url,
+    htmlUrl: checkRun.html_url,
+    startedAt: checkRun.started_at,
+    completedAt: checkRun.completed_at,
+    durationMs: durationBetween(checkRun.started_at, checkRun.completed_at),
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map GitHub branch protection rules
+ * @param {Object|null} protection - GitHub branch protection
+ * @returns {Object|null} Protection settings
+ */
+function mapBranchProtection(protection) {
+  if (!protection) return null;
+
+  const reviews = protection.required_pull_request_reviews;
+  const statusChecks = protection.required_status_checks;
+
+  return {
+    requiredReviews: reviews ? {
+      requiredApprovingReviewCount: reviews.required_approving_review_count,
+      dismissStaleReviews: reviews.dismiss_stale_reviews,
+      requireCodeOwnerReviews: reviews.require_code_owner_reviews,
+      requireLastPushApproval: reviews.require_last_push_approval
+    } : null,
+    requiredStatusChecks: statusChecks ? {
+      strict: statusChecks.strict,
+      contexts: statusChecks.contexts || []
+    } : null,
+    enforceAdmins: protection.enforce_admins?.enabled,
+    requiredLinearHistory: protection.required_linear_history?.enabled,
+    requiredSignatures: protection.required_signatures?.enabled,
+    requiredConversationResolution: protection.required_conversation_resolution?.enabled,
+    allowForcePushes: protection.allow_force_pushes?.enabled,
+    allowDeletions: protection.allow_deletions?.enabled
+  };
+}
+
+/**
+ * Map a GitHub branch to a Branch document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {Object} repo - Stored Repo document
+ * @param {Object} branch - GitHub branch
+ * @param {Object|null|undefined} protection - GitHub branch protection, null for
+ *   unprotected branches, undefined when it couldn't be read (the stored rules are kept)
+ * @param {Object} links - { commitId } of the stored head commit
+ * @returns {Object} Branch data
+ */
+function mapBranch(integrationId, repo, branch, protection, links = {}) {
+  const data = {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId: repo._id,
+    ...links,
+    name: branch.name,
+    isDefault: branch.name === repo.defaultBranch,
+    protected: branch.protected,
+    commitSha: branch.commit?.sha,
+    ...PRESENT_IN_SOURCE,
+    syncedAt: new Date()
+  };
+
+  if (protection !== undefined) {
+    data.protection = mapBranchProtection(protection);
+    data.protectionSyncedAt = protection ? new Date() : null;
+  }
+
+  return data;
+}
+
+/**
+ * Map a GitHub tag to a Tag document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} tag - GitHub tag
+ * @param {Object} links - { commitId } of the stored tagged commit
+ * @returns {Object} Tag data
+ */
+function mapTag(integrationId, repoId, tag, links = {}) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    ...links,
+    name: tag.name,
+    commitSha: tag.commit?.sha,
+    zipballUrl: tag.zipball_url,
+    tarballUrl: tag.tarball_url,
+    ...PRESENT_IN_SOURCE,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a GitHub release to a Release document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} release - GitHub release
+ * @returns {Object} Release data
+ */
+function mapRelease(integrationId, repoId, release) {
+  const assets = release.assets?.map(asset => ({
+    githubId: asset.id,
+    name: asset.name,
+    label: asset.label,
+    contentType: asset.content_type,
+    state: asset.state,
+    size: asset.size,
+    downloadCount: asset.download_count,
+    browserDownloadUrl: asset.browser_download_url,
+    createdAt: asset.created_at,
+    updatedAt: asset.updated_at
+  })) || [];
+
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    githubId: release.id,
+    tagName: release.tag_name,
+    targetCommitish: release.target_commitish,
+    name: release.name,
+    body: release.body,
+    draft: release.draft,
+    prerelease: release.prerelease,
+    author: mapUserRef(release.author),
+    assets,
+    totalDownloads: assets.reduce((sum, asset) => sum + (asset.downloadCount || 0), 0),
+    url: release.url,
+    htmlUrl: release.html_url,
+    createdAt: release.created_at,
+    publishedAt: release.published_at,
+    ...PRESENT_IN_SOURCE,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Highest repository permission level in a GitHub permissions object
+ * @param {Object} permissions - { admin, maintain, push, triage, pull }
+ * @returns {string|null} admin, maintain, write, triage or read
+ */
+function permissionLevel(permissions) {
+  if (!permissions) return null;
+  if (permissions.admin) return 'admin';
+  if (permissions.maintain) return 'maintain';
+  if (permissions.push) return 'write';
+  if (permissions.triage) return 'triage';
+  if (permissions.pull) return 'read';
+  return null;
+}
+
+/**
+ * Map a GitHub team to a Team document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} organizationId - Organization ObjectId
+ * @param {Object} team - GitHub team
+ * @param {Object} links - { parentTeamId, repositories } resolved against stored documents
+ * @returns {Object} Team data
+ */
+function mapTeam(integrationId, organizationId, team, links = {}) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    organizationId,
+    ...links,
+    githubId: team.id,
+    slug: team.slug,
+    name: team.name,
+    description: team.description,
+    privacy: team.privacy,
+    notificationSetting: team.notification_setting,
+    parentGithubId: team.parent ? team.parent.id : null,
+    url: team.url,
+    htmlUrl: team.html_url,
+    ...PRESENT_IN_SOURCE,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a repository a team can access to an entry of Team.repositories
+ * @param {Object} repo - GitHub repository from the team's repository listing
+ * @param {string|null} repoId - Repo ObjectId when the repository is stored
+ * @returns {Object} Team repository grant
+ */
+function mapTeamRepository(repo, repoId = null) {
+  return {
+    repoId,
+    githubId: repo.id,
+    fullName: repo.full_name,
+    permission: permissionLevel(repo.permissions) || repo.role_name
+  };
+}
+
+/**
+ * Map a GitHub organization member to an OrgMembership document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {Object} organization - Stored Organization document
+ * @param {Object} member - GitHub user
+ * @param {string} role - 'owner' or 'member'
+ * @param {Object} links - { userId } of the stored User
+ * @returns {Object} OrgMembership data
+ */
+function mapOrgMembership(integrationId, organization, member, role, links = {}) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    organizationId: organization._id,
+    ...links,
+    userGithubId: member.id,
+    login: member.login,
+    avatarUrl: member.avatar_url,
+    role,
+    ...PRESENT_IN_SOURCE,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a GitHub team member to a TeamMembership document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {Object} team - Stored Team document
+ * @param {Object} member - GitHub user
+ * @param {string} role - 'maintainer' or 'member'
+ * @param {Object} links - { userId } of the stored User
+ * @returns {Object} TeamMembership data
+ */
+function mapTeamMembership(integrationId, team, member, role, links = {}) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    organizationId: team.organizationId,
+    teamId: team._id,
+    ...links,
+    userGithubId: member.id,
+    login: member.login,
+    avatarUrl: member.avatar_url,
+    role,
+    ...PRESENT_IN_SOURCE,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a GitHub repository collaborator to a Collaborator document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {Object} repo - Stored Repo document
+ * @param {Object} collaborator - GitHub collaborator
+ * @param {Object} links - { userId } of the stored User
+ * @returns {Object} Collaborator data
+ */
+function mapCollaborator(integrationId, repo, collaborator, links = {}) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId: repo._id,
+    organizationId: repo.organizationId,
+    ...links,
+    userGithubId: collaborator.id,
+    login: collaborator.login,
+    avatarUrl: collaborator.avatar_url,
+    type: collaborator.type,
+    permission: permissionLevel(collaborator.permissions),
+    roleName: collaborator.role_name,
+    ...PRESENT_IN_SOURCE,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a GitHub label to a Label document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} label - GitHub label
+ * @returns {Object} Label data
+ */
+function mapLabel(integrationId, repoId, label) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    ...mapLabelRef(label),
+    isDefault: label.default,
+    url: label.url,
+    syncedAt: new Date(),
+    ...PRESENT_IN_SOURCE
+  };
+}
+
+/**
+ * Map a GitHub milestone to a Milestone document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} milestone - GitHub milestone
+ * @returns {Object} Milestone data
+ */
+function mapMilestone(integrationId, repoId, milestone) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    ...mapMilestoneRef(milestone),
+    openIssues: milestone.open_issues,
+    closedIssues: milestone.closed_issues,
+    creator: mapUserRef(milestone.creator),
+    dueOn: milestone.due_on,
+    closedAt: milestone.closed_at,
+    htmlUrl: milestone.html_url,
+    createdAt: milestone.created_at,
+    updatedAt: milestone.updated_at,
+    syncedAt: new Date(),
+    ...PRESENT_IN_SOURCE
+  };
+}
+
+/**
+ * Map a GraphQL discussion to a Discussion document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} discussion - GraphQL discussion
+ * @returns {Object} Discussion data
+ */
+function mapDiscussion(integrationId, repoId, discussion) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    githubId: discussion.databaseId,
+    nodeId: discussion.id,
+    number: discussion.number,
+    title: discussion.title,
+    body: discussion.body,
+    author: mapActorRef(discussion.author),
+    category: discussion.category ? {
+      nodeId: discussion.category.id,
+      name: discussion.category.name,
+      slug: discussion.category.slug,
+      emoji: discussion.category.emoji,
+      isAnswerable: discussion.category.isAnswerable
+    } : null,
+    isAnswered: Boolean(discussion.isAnswered),
+    answerNodeId: discussion.answer ? discussion.answer.id : null,
+    answerChosenAt: discussion.answerChosenAt,
+    answerChosenBy: mapActorRef(discussion.answerChosenBy),
+    upvoteCount: discussion.upvoteCount,
+    commentCount: discussion.comments?.totalCount || 0,
+    locked: discussion.locked,
+    closed: discussion.closed,
+    closedAt: discussion.closedAt,
+    stateReason: discussion.stateReason,
+    url: discussion.url,
+    createdAt: discussion.createdAt,
+    updatedAt: discussion.updatedAt,
+    syncedAt: new Date(),
+    ...PRESENT_IN_SOURCE
+  };
+}
+
+/**
+ * Map a GraphQL discussion comment or reply to a DiscussionComment document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {Object} discussion - Stored Discussion document
+ * @param {Object} comment - GraphQL discussion comment
+ * @param {string|null} replyToId - Stored top-level comment a reply belongs to
+ * @returns {Object} DiscussionComment data
+ */
+function mapDiscussionComment(integrationId, discussion, comment, replyToId = null) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId: discussion.repoId,
+    discussionId: discussion._id,
+    number: discussion.number,
+    githubId: comment.databaseId,
+    nodeId: comment.id,
+    replyToId,
+    author: mapActorRef(comment.author),
+    body: comment.body,
+    upvoteCount: comment.upvoteCount,
+    isAnswer: Boolean(comment.isAnswer),
+    isMinimized: Boolean(comment.isMinimized),
+    replyCount: comment.replies?.totalCount || 0,
+    url: comment.url,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt,
+    syncedAt: new Date(),
+    ...PRESENT_IN_SOURCE
+  };
+}
+
+/**
+ * Map a GraphQL Projects v2 project to a Project document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} organizationId - Organization ObjectId of the owner
+ * @param {Object} project - GraphQL project
+ * @returns {Object} Project data
+ */
+function mapProject(integrationId, organizationId, project) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    organizationId,
+    githubId: project.databaseId,
+    nodeId: project.id,
+    number: project.number,
+    title: project.title,
+    shortDescription: project.shortDescription,
+    public: project.public,
+    closed: project.closed,
+    closedAt: project.closedAt,
+    creator: mapActorRef(project.creator),
+    itemCount: project.items?.totalCount || 0,
+    url: project.url,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    syncedAt: new Date(),
+    ...PRESENT_IN_SOURCE
+  };
+}
+
+/**
+ * Map a GraphQL project field to a ProjectField document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} projectId - Project ObjectId
+ * @param {Object} field - GraphQL project field
+ * @returns {Object} ProjectField data
+ */
+function mapProjectField(integrationId, projectId, field) {
+  const configuration = field.configuration || {};
+  const mapIteration = completed => iteration => ({
+    iterationId: iteration.id,
+    title: iteration.title,
+    startDate: iteration.startDate,
+    duration: iteration.duration,
+    completed
+  });
+
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    projectId,
+    nodeId: field.id,
+    name: field.name,
+    dataType: field.dataType,
+    options: (field.options || []).map(option => ({
+      optionId: option.id,
+      name: option.name,
+      color: option.color
+    })),
+    iterations: [
+      ...(configuration.iterations || []).map(mapIteration(false)),
+      ...(configuration.completedIterations || []).map(mapIteration(true))
+    ],
+    syncedAt: new Date(),
+    ...PRESENT_IN_SOURCE
+  };
+}
+
+/**
+ * Map a GraphQL project item to a ProjectItem document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {Object} project - Stored Project document
+ * @param {Object} item - GraphQL project item
+ * @param {Map} fieldIds - Stored ProjectField ObjectIds by node ID
+ * @param {Object} links - Stored { repoId, issueId, pullId } of the content, if synced
+ * @returns {Object} ProjectItem data
+ */
+function mapProjectItem(integrationId, project, item, fieldIds, links = {}) {
+  const content = item.content || {};
+
+  // Values of unsupported field types come back as empty objects
+  const fieldValues = (item.fieldValues?.nodes || [])
+    .filter(value => value && value.field)
+    .map(value => ({
+      fieldId: fieldIds.get(value.field.id) || null,
+      fieldNodeId: value.field.id,
+      fieldName: value.field.name,
+      dataType: value.field.dataType,
+      text: value.text,
+      number: value.number,
+      date: value.date,
+      optionId: value.optionId,
+      optionName: value.optionId ? value.name : undefined,
+      iterationId: value.iterationId,
+      iterationTitle: value.iterationId ? value.title : undefined,
+      iterationStartDate: value.startDate,
+      iterationDuration: value.duration
+    }));
+
+  const status = fieldValues.find(value => value.dataType === 'SINGLE_SELECT' && value.fieldName === 'Status');
+  const iteration = fieldValues.find(value => value.dataType === 'ITERATION');
+
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    projectId: project._id,
+    nodeId: item.id,
+    type: item.type,
+    contentNodeId: content.id || null,
+    contentRepository: content.repository?.nameWithOwner,
+    contentNumber: content.number,
+    repoId: links.repoId || null,
+    issueId: links.issueId || null,
+    pullId: links.pullId || null,
+    title: content.title,
+    isArchived: Boolean(item.isArchived),
+    fieldValues,
+    status: status ? status.optionName : null,
+    iteration: iteration ? {
+      iterationId: iteration.iterationId,
+      title: iteration.iterationTitle,
+      startDate: iteration.iterationStartDate,
+      duration: iteration.iterationDuration
+    } : null,
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+    syncedAt: new Date(),
+    ...PRESENT_IN_SOURCE
+  };
+}
+
+/**
+ * Map a GitHub deployment environment to an Environment document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} environment - GitHub environment
+ * @returns {Object} Environment data
+ */
+function mapEnvironment(integrationId, repoId, environment) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    githubId: environment.id,
+    name: environment.name,
+    protectionRules: environment.protection_rules?.map(rule => ({
+      type: rule.type,
+      waitTimer: rule.wait_timer,
+      reviewerCount: rule.reviewers?.length
+    })) || [],
+    deploymentBranchPolicy: environment.deployment_branch_policy ? {
+      protectedBranches: environment.deployment_branch_policy.protected_branches,
+      customBranchPolicies: environment.deployment_branch_policy.custom_branch_policies
+    } : null,
+    url: environment.url,
+    htmlUrl: environment.html_url,
+    createdAt: environment.created_at,
+    updatedAt: environment.updated_at,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a GitHub deployment to a Deployment document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} deployment - GitHub deployment
+ * @param {Object} links - { commitId, pullIds, environmentId } of stored documents
+ * @returns {Object} Deployment data
+ */
+function mapDeployment(integrationId, repoId, deployment, links = {}) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    ...links,
+    githubId: deployment.id,
+    sha: deployment.sha,
+    ref: deployment.ref,
+    task: deployment.task,
+    environment: deployment.environment,
+    originalEnvironment: deployment.original_environment,
+    transientEnvironment: deployment.transient_environment,
+    productionEnvironment: deployment.production_environment,
+    description: deployment.description,
+    creator: mapUserRef(deployment.creator),
+    url: deployment.url,
+    createdAt: deployment.created_at,
+    updatedAt: deployment.updated_at,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map a GitHub deployment status to a DeploymentStatus document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {Object} deployment - Stored Deployment document
+ * @param {Object} status - GitHub deployment status
+ * @returns {Object} DeploymentStatus data
+ */
+function mapDeploymentStatus(integrationId, deployment, status) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId: deployment.repoId,
+    deploymentId: deployment._id,
+    deploymentGithubId: deployment.githubId,
+    githubId: status.id,
+    state: status.state,
+    description: status.description,
+    environment: status.environment,
+    environmentUrl: status.environment_url,
+    logUrl: status.log_url,
+    creator: mapUserRef(status.creator),
+    createdAt: status.created_at,
+    updatedAt: status.updated_at,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Summarize the statuses of a deployment onto the Deployment document
+ * @param {Array} statuses - GitHub deployment statuses
+ * @returns {Object} { latestState, latestStatusAt, succeededAt }
+ */
+function summarizeDeploymentStatuses(statuses) {
+  const ordered = [...statuses].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const latest = ordered[ordered.length - 1];
+  const firstSuccess = ordered.find(status => status.state === 'success');
+
+  return {
+    latestState: latest ? latest.state : null,
+    latestStatusAt: latest ? latest.created_at : null,
+    succeededAt: firstSuccess ? firstSuccess.created_at : null
+  };
+}
+
+// Midnight UTC of the day a timestamp falls on
+function startOfUtcDay(timestamp) {
+  const day = new Date(timestamp);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Map the counters of a stored repository to a RepoSnapshot document
+ * @param {Object} repo - Stored Repo document
+ * @param {Date} takenAt - Time of the snapshot
+ * @returns {Object} RepoSnapshot data
+ */
+function mapRepoSnapshot(repo, takenAt = new Date()) {
+  return {
+    integrationId: repo.integrationId,
+    repoId: repo._id,
+    date: startOfUtcDay(takenAt),
+    stargazersCount: repo.stargazersCount,
+    watchersCount: repo.watchersCount,
+    forksCount: repo.forksCount,
+    openIssuesCount: repo.openIssuesCount,
+    size: repo.size,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Merge GitHub's daily views and clones into RepoTraffic documents, one per day
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Array} views - GitHub daily views ({ timestamp, count, uniques })
+ * @param {Array} clones - GitHub daily clones ({ timestamp, count, uniques })
+ * @returns {Array} RepoTraffic data
+ */
+function mapTrafficDays(integrationId, repoId, views, clones) {
+  const days = new Map();
+  const dayFor = (timestamp) => {
+    const date = startOfUtcDay(timestamp);
+    if (!days.has(date.getTime())) {
+      days.set(date.getTime(), {
+        integrationId: new mongoose.Types.ObjectId(integrationId),
+        repoId,
+        date,
+        views: 0,
+        uniqueViews: 0,
+        clones: 0,
+        uniqueClones: 0,
+        syncedAt: new Date()
+      });
+    }
+    return days.get(date.getTime());
+  };
+
+  for (const view of views) {
+    Object.assign(dayFor(view.timestamp), { views: view.count, uniqueViews: view.uniques });
+  }
+  for (const clone of clones) {
+    Object.assign(dayFor(clone.timestamp), { clones: clone.count, uniqueClones: clone.uniques });
+  }
+
+  return [...days.values()];
+}
+
+/**
+ * Map a GitHub top referrer to a RepoReferrer document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} referrer - GitHub referrer ({ referrer, count, uniques })
+ * @param {Date} readAt - Time the referrers were read
+ * @returns {Object} RepoReferrer data
+ */
+function mapReferrer(integrationId, repoId, referrer, readAt = new Date()) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    repoId,
+    date: startOfUtcDay(readAt),
+    referrer: referrer.referrer,
+    count: referrer.count,
+    uniques: referrer.uniques,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Map the weekly statistics of a GitHub contributor to ContributorStat documents.
+ * Weeks without activity are left out.
+ * @param {string} integrationId - Integration ObjectId
+ * @param {string} repoId - Repo ObjectId
+ * @param {Object} stat - GitHub contributor statistics ({ author, weeks: [{ w, a, d, c }] })
+ * @param {string|null} userId - Stored User ObjectId of the contributor
+ * @returns {Array} ContributorStat data
+ */
+function mapContributorWeeks(integrationId, repoId, stat, userId = null) {
+  return (stat.weeks || [])
+    .filter(week => week.a > 0 || week.d > 0 || week.c > 0)
+    .map(week => ({
+      integrationId: new mongoose.Types.ObjectId(integrationId),
+      repoId,
+      userGithubId: stat.author.id,
+      login: stat.author.login,
+      userId,
+      // GitHub sends the week start as a Unix timestamp in seconds
+      week: new Date(week.w * 1000),
+      additions: week.a,
+      deletions: week.d,
+      commits: week.c,
+      syncedAt: new Date()
+    }));
+}
+
+/**
+ * Map a GitHub user to a User document
+ * @param {string} integrationId - Integration ObjectId
+ * @param {Object} user - GitHub user (full or simple)
+ * @param {string|null} organizationId - Organization ObjectId
+ * @returns {Object} User data
+ */
+function mapUser(integrationId, user, organizationId = null) {
+  return {
+    integrationId: new mongoose.Types.ObjectId(integrationId),
+    organizationId,
+    githubId: user.id,
+    login: user.login,
+    name: user.name,
+    email: user.email,
+    avatarUrl: user.avatar_url,
+    url: user.url,
+    htmlUrl: user.html_url,
+    type: user.type,
+    siteAdmin: user.site_admin,
+    company: user.company,
+    blog: user.blog,
+    location: user.location,
+    bio: user.bio,
+    twitterUsername: user.twitter_username,
+    publicRepos: user.public_repos,
+    publicGists: user.public_gists,
+    followers: user.followers,
+    following: user.following,
+    createdAt: user.created_at,
+    updatedAt: user.updated_at,
+    ...PRESENT_IN_SOURCE,
+    syncedAt: new Date()
+  };
+}
+
+/**
+ * Drop undefined fields so partial payloads don't overwrite stored values
+ * @param {Object} data - Mapped document data
+ * @returns {Object} Data without undefined fields
+ */
+function withoutUndefined(data) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined)
+  );
+}
+
+module.exports = {
+  mapUserRef,
+  mapOrganization,
+  mapRepository,
+  mapCommit,
+  mapPushCommit,
+  mapPull,
+  mapReview,
+  mapReviewComment,
+  mapIssue,
+  mapIssueComment,
+  mapWorkflow,
+  mapWorkflowRun,
+  mapWorkflowJob,
+  mapCheckRun,
+  mapBranch,
+  mapTag,
+  mapRelease,
+  mapTeam,
+  mapTeamRepository,
+  mapOrgMembership,
+  mapTeamMembership,
+  mapCollaborator,
+  mapLabelRef,
+  mapMilestoneRef,
+  mapLabel,
+  mapMilestone,
+  mapDiscussion,
+  mapDiscussionComment,
+  mapProject,
+  mapProjectField,
+  mapProjectItem,
+  mapEnvironment,
+  mapDeployment,
+  mapDeploymentStatus,
+  summarizeDeploymentStatuses,
+  mapRepoSnapshot,
+  mapTrafficDays,
+  mapReferrer,
+  mapContributorWeeks,
+  mapUser,
+  withoutUndefined,
+};
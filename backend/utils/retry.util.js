@@ -119,6 +119,10 @@ async function retryGitHubCall(fn, options = {}) {
       if (error.status === 401 || error.status === 403) {
         return false;
       }
+      // Paused tokens are resumed by the rate limit scheduler, not by retrying
+      if (error.resumeAt) {
+        return false;
+      }
       return isRetryableError(error);
     },
     onRetry: (error, attempt, delay) => {
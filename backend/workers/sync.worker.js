@@ -5,14 +5,50 @@ const {
   commitQueue,
   pullQueue,
   issueQueue,
+  actionsQueue,
+  refsQueue,
+  labelQueue,
+  discussionQueue,
+  projectQueue,
+  collaboratorQueue,
+  deploymentQueue,
+  statsQueue,
   userQueue,
+  scheduledSyncQueue,
 } = require('../config/queue.config');
+const database = require('../config/database');
 const syncService = require('../services/sync.service');
+const syncScheduler = require('../services/sync-scheduler.service');
 const integrationService = require('../services/integration.service');
 const GitHubApiService = require('../services/github-api.service');
+const rateLimitScheduler = require('../services/rate-limit-scheduler.service');
 
 /**
- * Process full sync jobs
+ * Build a GitHub client for a job. Child jobs of a full sync carry only the
+ * integration ID, so the token is read from the integration when needed
+ * (or minted, for GitHub App installations).
+ */
+const getGitHubApi = async ({ integrationId, accessToken }) => {
+  if (accessToken) {
+    return new GitHubApiService(accessToken, { integrationId });
+  }
+
+  const integration = await integrationService.getIntegrationById(integrationId);
+  if (!integration) {
+    throw new Error('Integration not found');
+  }
+
+  return GitHubApiService.forIntegration(integration);
+};
+
+/**
+ * Re-queue a job until its token's rate limit resets, if the token is paused
+ */
+const deferIfRateLimited = (job, githubApi, key = githubApi.rateLimitKey) => () =>
+  rateLimitScheduler.deferJob(job, key);
+
+/**
+ * Process full sync jobs (coordinator that fans out child jobs)
  */
 syncQueue.process(async (job) => {
   const { integrationId } = job.data;
@@ -22,15 +58,21 @@ syncQueue.process(async (job) => {
   try {
     await job.progress(0);
     const result = await syncService.syncAllWithProgress(integrationId, job);
-    await job.progress(100);
 
     return {
       success: true,
-      message: 'Full sync completed',
+      message: 'Full sync dispatched',
       integrationId,
       ...result,
     };
   } catch (error) {
+    // A rate-limited coordinator resumes its run once the token resets
+    const githubApi = await getGitHubApi(job.data).catch(() => null);
+    const deferred = githubApi && await deferIfRateLimited(job, githubApi)();
+    if (deferred) {
+      return { integrationId, ...deferred };
+    }
+
     console.error(`Full sync failed for ${integrationId}:`, error.message);
     throw error;
   }
@@ -40,11 +82,15 @@ syncQueue.process(async (job) => {
  * Process organization sync jobs
  */
 organizationQueue.process(async (job) => {
-  const { integrationId, accessToken } = job.data;
+  const { integrationId } = job.data;
 
   try {
-    const githubApi = new GitHubApiService(accessToken);
-    const result = await syncService.syncOrganizations(integrationId, githubApi);
+    const githubApi = await getGitHubApi(job.data);
+    const result = await syncService.runChildJob(
+      job,
+      () => syncService.syncOrganizations(integrationId, githubApi),
+      deferIfRateLimited(job, githubApi)
+    );
 
     return {
       success: true,
@@ -61,11 +107,15 @@ organizationQueue.process(async (job) => {
  * Process repository sync jobs
  */
 repositoryQueue.process(async (job) => {
-  const { integrationId, owner, accessToken } = job.data;
+  const { integrationId, owner } = job.data;
 
   try {
-    const githubApi = new GitHubApiService(accessToken);
-    const result = await syncService.syncRepositories(integrationId, owner, githubApi);
+    const githubApi = await getGitHubApi(job.data);
+    const result = await syncService.runChildJob(
+      job,
+      (run) => syncService.syncRepositoriesAndDispatch(integrationId, owner, githubApi, run),
+      deferIfRateLimited(job, githubApi)
+    );
 
     return {
       success: true,
@@ -82,11 +132,15 @@ repositoryQueue.process(async (job) => {
  * Process commit sync jobs
  */
 commitQueue.process(async (job) => {
-  const { integrationId, owner, repo, accessToken } = job.data;
+  const { integrationId, owner, repo } = job.data;
 
   try {
-    const githubApi = new GitHubApiService(accessToken);
-    const result = await syncService.syncCommits(integrationId, owner, repo, githubApi);
+    const githubApi = await getGitHubApi(job.data);
+    const result = await syncService.runChildJob(
+      job,
+      () => syncService.syncCommits(integrationId, owner, repo, githubApi),
+      deferIfRateLimited(job, githubApi)
+    );
 
     return {
       success: true,
@@ -103,11 +157,15 @@ commitQueue.process(async (job) => {
  * Process pull request sync jobs
  */
 pullQueue.process(async (job) => {
-  const { integrationId, owner, repo, accessToken } = job.data;
+  const { integrationId, owner, repo } = job.data;
 
   try {
-    const githubApi = new GitHubApiService(accessToken);
-    const result = await syncService.syncPulls(integrationId, owner, repo, githubApi);
+    const githubApi = await getGitHubApi(job.data);
+    const result = await syncService.runChildJob(
+      job,
+      () => syncService.syncPulls(integrationId, owner, repo, githubApi),
+      deferIfRateLimited(job, githubApi)
+    );
 
     return {
       success: true,
@@ -124,11 +182,15 @@ pullQueue.process(async (job) => {
  * Process issue sync jobs
  */
 issueQueue.process(async (job) => {
-  const { integrationId, owner, repo, accessToken } = job.data;
+  const { integrationId, owner, repo } = job.data;
 
   try {
-    const githubApi = new GitHubApiService(accessToken);
-    const result = await syncService.syncIssues(integrationId, owner, repo, githubApi);
+    const githubApi = await getGitHubApi(job.data);
+    const result = await syncService.runChildJob(
+      job,
+      () => syncService.syncIssues(integrationId, owner, repo, githubApi),
+      deferIfRateLimited(job, githubApi)
+    );
 
     return {
       success: true,
@@ -141,15 +203,219 @@ issueQueue.process(async (job) => {
   }
 });
 
+/**
+ * Process GitHub Actions sync jobs
+ */
+actionsQueue.process(async (job) => {
+  const { integrationId, owner, repo } = job.data;
+
+  try {
+    const githubApi = await getGitHubApi(job.data);
+    const result = await syncService.runChildJob(
+      job,
+      () => syncService.syncActions(integrationId, owner, repo, githubApi),
+      deferIfRateLimited(job, githubApi)
+    );
+
+    return {
+      success: true,
+      message: 'Actions synced',
+      ...result,
+    };
+  } catch (error) {
+    console.error(`Actions sync failed for ${owner}/${repo}:`, error.message);
+    throw error;
+  }
+});
+
+/**
+ * Process branch, tag and release sync jobs
+ */
+refsQueue.process(async (job) => {
+  const { integrationId, owner, repo } = job.data;
+
+  try {
+    const githubApi = await getGitHubApi(job.data);
+    const result = await syncService.runChildJob(
+      job,
+      () => syncService.syncRefs(integrationId, owner, repo, githubApi),
+      deferIfRateLimited(job, githubApi)
+    );
+
+    return {
+      success: true,
+      message: 'Refs synced',
+      ...result,
+    };
+  } catch (error) {
+    console.error(`Refs sync failed for ${owner}/${repo}:`, error.message);
+    throw error;
+  }
+});
+
+/**
+ * Process label and milestone sync jobs
+ */
+labelQueue.process(async (job) => {
+  const { integrationId, owner, repo } = job.data;
+
+  try {
+    const githubApi = await getGitHubApi(job.data);
+    const result = await syncService.runChildJob(
+      job,
+      () => syncService.syncLabelsAndMilestones(integrationId, owner, repo, githubApi),
+      deferIfRateLimited(job, githubApi)
+    );
+
+    return {
+      success: true,
+      message: 'Labels and milestones synced',
+      ...result,
+    };
+  } catch (error) {
+    console.error(`Label sync failed for ${owner}/${repo}:`, error.message);
+    throw error;
+  }
+});
+
+/**
+ * Process discussion sync jobs (GraphQL, so paced against the GraphQL budget)
+ */
+discussionQueue.process(async (job) => {
+  const { integrationId, owner, repo } = job.data;
+
+  try {
+    const githubApi = await getGitHubApi(job.data);
+    const result = await syncService.runChildJob(
+      job,
+      () => syncService.syncDiscussions(integrationId, owner, repo, githubApi),
+      deferIfRateLimited(job, githubApi, githubApi.graphqlRateLimitKey)
+    );
+
+    return {
+      success: true,
+      message: 'Discussions synced',
+      ...result,
+    };
+  } catch (error) {
+    console.error(`Discussion sync failed for ${owner}/${repo}:`, error.message);
+    throw error;
+  }
+});
+
+/**
+ * Process Projects (v2) sync jobs for an owner (GraphQL, so paced against the GraphQL budget)
+ */
+projectQueue.process(async (job) => {
+  const { integrationId, owner } = job.data;
+
+  try {
+    const githubApi = await getGitHubApi(job.data);
+    const result = await syncService.runChildJob(
+      job,
+      () => syncService.syncProjects(integrationId, owner, githubApi),
+      deferIfRateLimited(job, githubApi, githubApi.graphqlRateLimitKey)
+    );
+
+    return {
+      success: true,
+      message: 'Projects synced',
+      ...result,
+    };
+  } catch (error) {
+    console.error(`Project sync failed for ${owner}:`, error.message);
+    throw error;
+  }
+});
+
+/**
+ * Process repository collaborator (permission) sync jobs
+ */
+collaboratorQueue.process(async (job) => {
+  const { integrationId, owner, repo } = job.data;
+
+  try {
+    const githubApi = await getGitHubApi(job.data);
+    const result = await syncService.runChildJob(
+      job,
+      () => syncService.syncCollaborators(integrationId, owner, repo, githubApi),
+      deferIfRateLimited(job, githubApi)
+    );
+
+    return {
+      success: true,
+      message: 'Collaborators synced',
+      ...result,
+    };
+  } catch (error) {
+    console.error(`Collaborator sync failed for ${owner}/${repo}:`, error.message);
+    throw error;
+  }
+});
+
+/**
+ * Process deployment (environments, deployments, statuses) sync jobs
+ */
+deploymentQueue.process(async (job) => {
+  const { integrationId, owner, repo } = job.data;
+
+  try {
+    const githubApi = await getGitHubApi(job.data);
+    const result = await syncService.runChildJob(
+      job,
+      () => syncService.syncDeployments(integrationId, owner, repo, githubApi),
+      deferIfRateLimited(job, githubApi)
+    );
+
+    return {
+      success: true,
+      message: 'Deployments synced',
+      ...result,
+    };
+  } catch (error) {
+    console.error(`Deployment sync failed for ${owner}/${repo}:`, error.message);
+    throw error;
+  }
+});
+
+/**
+ * Process traffic and contributor statistics sync jobs
+ */
+statsQueue.process(async (job) => {
+  const { integrationId, owner, repo } = job.data;
+
+  try {
+    const githubApi = await getGitHubApi(job.data);
+    const result = await syncService.runChildJob(
+      job,
+      () => syncService.syncStats(integrationId, owner, repo, githubApi),
+      deferIfRateLimited(job, githubApi)
+    );
+
+    return {
+      success: true,
+      message: 'Statistics synced',
+      ...result,
+    };
+  } catch (error) {
+    console.error(`Statistics sync failed for ${owner}/${repo}:`, error.message);
+    throw error;
+  }
+});
+
 /**
  * Process user sync jobs
  */
 userQueue.process(async (job) => {
-  const { integrationId, accessToken } = job.data;
+  const { integrationId } = job.data;
 
   try {
-    const githubApi = new GitHubApiService(accessToken);
-    const result = await syncService.syncUsers(integrationId, githubApi);
+    const githubApi = await getGitHubApi(job.data);
+    const result = await syncService.runChildJob(
+      job,
+      () => syncService.syncUsers(integrationId, githubApi),
+      deferIfRateLimited(job, githubApi)
+    );
 
     return {
       success: true,
@@ -162,8 +428,30 @@ userQueue.process(async (job) => {
   }
 });
 
+/**
+ * Process scheduled sync triggers (repeatable jobs)
+ */
+scheduledSyncQueue.process(async (job) => {
+  const { integrationId, kind } = job.data;
+
+  try {
+    return await syncScheduler.runScheduledJob(job);
+  } catch (error) {
+    console.error(`Scheduled ${kind} sync failed for ${integrationId}:`, error.message);
+    throw error;
+  }
+});
+
 console.log('Sync workers initialized and ready to process jobs');
 
+// Register scheduled syncs and catch up on overdue ones from the worker only,
+// so API instances starting up don't queue them again
+database.connect()
+  .then(() => syncScheduler.bootstrap())
+  .catch((error) => {
+    console.error('Failed to register scheduled syncs:', error.message);
+  });
+
 module.exports = {
   syncQueue,
   organizationQueue,
@@ -171,5 +459,14 @@ module.exports = {
   commitQueue,
   pullQueue,
   issueQueue,
+  actionsQueue,
+  refsQueue,
+  labelQueue,
+  discussionQueue,
+  projectQueue,
+  collaboratorQueue,
+  deploymentQueue,
+  statsQueue,
   userQueue,
+  scheduledSyncQueue,
 };
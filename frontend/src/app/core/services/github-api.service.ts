@@ -3,7 +3,9 @@ import { Observable, of } from 'rxjs';
 import { map, tap, catchError } from 'rxjs/operators';
 import { ApiService } from './api.service';
 import {
+  IntegrationAccess,
   IntegrationStatus,
+  OAuthInitOptions,
   OAuthInitResponse
 } from '../../features/integration/models/integration.model';
 import { LoggerService } from './logger.service';
@@ -62,10 +64,15 @@ export class GitHubApiService {
   /**
    * Initiate GitHub OAuth connection
    */
-  initiateOAuth(): Observable<OAuthInitResponse> {
+  initiateOAuth(options: OAuthInitOptions = {}): Observable<OAuthInitResponse> {
     this.logger.info('Initiating GitHub OAuth flow');
 
-    return this.apiService.get<ApiResponse<OAuthInitResponse>>('/auth/github').pipe(
+    const params: { [param: string]: string } = {};
+    if (options.host) {
+      params['host'] = options.host;
+    }
+
+    return this.apiService.get<ApiResponse<OAuthInitResponse>>('/auth/github', params).pipe(
       map(response => response.data),
       tap(() => this.logger.info('OAuth URL retrieved successfully'))
     );
@@ -109,6 +116,16 @@ export class GitHubApiService {
     );
   }
 
+  /**
+   * Compare an integration's granted scopes with the required ones and list
+   * the organizations that haven't approved the OAuth app
+   */
+  getAccessReport(integrationId: string): Observable<IntegrationAccess> {
+    return this.apiService.get<ApiResponse<IntegrationAccess>>(`/integrations/${integrationId}/access`).pipe(
+      map(response => response.data)
+    );
+  }
+
   /**
    * Disconnect GitHub integration
    */
@@ -4,7 +4,7 @@ import { map, tap, catchError, switchMap } from 'rxjs/operators';
 import { AuthService } from './auth.service';
 import { TokenService } from './token.service';
 import { GitHubApiService } from './github-api.service';
-import { IntegrationStatus, OAuthInitResponse } from '../../features/integration/models/integration.model';
+import { IntegrationAccess, IntegrationStatus, OAuthInitOptions, OAuthInitResponse } from '../../features/integration/models/integration.model';
 import { User } from '../models/user.model';
 import { LoggerService } from './logger.service';
 
@@ -56,9 +56,9 @@ export class GitHubIntegrationFacade {
   /**
    * Initiate GitHub OAuth connection
    */
-  initiateConnection(): Observable<OAuthInitResponse> {
+  initiateConnection(options: OAuthInitOptions = {}): Observable<OAuthInitResponse> {
     this.logger.info('Initiating GitHub connection flow');
-    return this.githubApiService.initiateOAuth();
+    return this.githubApiService.initiateOAuth(options);
   }
 
   /**
@@ -120,6 +120,13 @@ export class GitHubIntegrationFacade {
     );
   }
 
+  /**
+   * Get the scope and organization access report of an integration
+   */
+  getAccessReport(integrationId: string): Observable<IntegrationAccess> {
+    return this.githubApiService.getAccessReport(integrationId);
+  }
+
   /**
    * Disconnect from GitHub
    */
@@ -6,7 +6,7 @@ import { Subject } from 'rxjs';
 import { takeUntil } from 'rxjs/operators';
 import { GitHubIntegrationFacade } from '../../../../core/services/github-integration.facade';
 import { IntegrationService } from '../../services/integration.service';
-import { IntegrationStatus } from '../../models/integration.model';
+import { IntegrationAccess, IntegrationStatus, RestrictedOrganization, ScopeFeature } from '../../models/integration.model';
 import { MatDialog } from '@angular/material/dialog';
 import { ConfirmDialogComponent, ConfirmDialogData } from '../../../../shared/components/confirm-dialog/confirm-dialog.component';
 
@@ -19,6 +19,7 @@ import { ConfirmDialogComponent, ConfirmDialogData } from '../../../../shared/co
 })
 export class IntegrationPanelComponent implements OnInit, OnDestroy {
   integrationStatus: IntegrationStatus | null = null;
+  access: IntegrationAccess | null = null;
   isLoading = false;
   syncProgress: any = null;
   panelOpenState = false;
@@ -46,7 +47,13 @@ export class IntegrationPanelComponent implements OnInit, OnDestroy {
     this.integrationFacade.integrationStatus$
       .pipe(takeUntil(this.destroy$))
       .subscribe(status => {
+        const integrationChanged = status?.integrationId !== this.integrationStatus?.integrationId;
         this.integrationStatus = status;
+
+        // Status is polled during syncs; the access report costs GitHub calls, so only load it per integration
+        if (integrationChanged) {
+          this.loadAccess();
+        }
       });
   }
 
@@ -68,12 +75,51 @@ export class IntegrationPanelComponent implements OnInit, OnDestroy {
 
   refreshStatus(): void {
     this.integrationService.refreshStatus().subscribe();
+    this.loadAccess();
+  }
+
+  private loadAccess(): void {
+    const integrationId = this.integrationStatus?.integrationId;
+    if (!integrationId || this.integrationStatus?.authType === 'app') {
+      this.access = null;
+      return;
+    }
+
+    this.integrationService.getAccessReport(integrationId)
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: access => this.access = access,
+        error: () => this.access = null
+      });
   }
 
   connectGitHub(): void {
     this.integrationService.connectGitHub();
   }
 
+  grantMissingScopes(): void {
+    if (this.integrationStatus) {
+      this.integrationService.grantMissingScopes(this.integrationStatus);
+    }
+  }
+
+  canGrantMissingScopes(): boolean {
+    // Personal access tokens get their scopes on GitHub; an OAuth flow would replace the token
+    return this.integrationStatus?.authType === 'oauth';
+  }
+
+  getMissingScopes(): string[] {
+    return this.access?.scopes?.missing || [];
+  }
+
+  getUnavailableFeatures(): ScopeFeature[] {
+    return (this.access?.scopes?.features || []).filter(feature => !feature.available);
+  }
+
+  getRestrictedOrganizations(): RestrictedOrganization[] {
+    return this.access?.restrictedOrganizations || [];
+  }
+
   disconnectGitHub(): void {
     // Show confirmation dialog
     const dialogData: ConfirmDialogData = {
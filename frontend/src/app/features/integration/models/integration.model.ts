@@ -38,9 +38,38 @@ export interface Organization {
   syncedAt?: Date;
 }
 
+export interface ScopeFeature {
+  feature: string;
+  description: string;
+  required: string[];
+  missing: string[];
+  available: boolean;
+}
+
+export interface ScopeReport {
+  granted: string[];
+  required: string[];
+  missing: string[];
+  features: ScopeFeature[];
+}
+
+export interface RestrictedOrganization {
+  login: string;
+  approvalUrl: string | null;
+  policyUrl: string;
+}
+
+export interface IntegrationAccess {
+  scopes: ScopeReport | null;
+  restrictedOrganizations: RestrictedOrganization[];
+}
+
 export interface IntegrationStatus {
   connected: boolean;
   message?: string;
+  integrationId?: string;
+  authType?: 'oauth' | 'app' | 'pat';
+  host?: string;
   username?: string;
   email?: string;
   name?: string;
@@ -48,6 +77,11 @@ export interface IntegrationStatus {
   connectedAt?: Date;
   lastSyncAt?: Date;
   syncStatus?: 'idle' | 'syncing' | 'completed' | 'failed';
+  syncProgress?: {
+    current: number;
+    total: number;
+    message: string;
+  };
   needsSync?: boolean;
   metadata?: {
     totalRepos: number;
@@ -75,4 +109,8 @@ export interface AuthResponse {
 
 export interface OAuthInitResponse {
   authUrl: string;
+}
+
+export interface OAuthInitOptions {
+  host?: string;
 }
\ No newline at end of file
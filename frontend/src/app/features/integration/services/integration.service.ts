@@ -2,7 +2,7 @@ import { Injectable } from '@angular/core';
 import { BehaviorSubject, Observable, interval } from 'rxjs';
 import { switchMap, takeWhile } from 'rxjs/operators';
 import { GitHubIntegrationFacade } from '../../../core/services/github-integration.facade';
-import { IntegrationStatus } from '../models/integration.model';
+import { IntegrationAccess, IntegrationStatus, OAuthInitOptions } from '../models/integration.model';
 import { NotificationService } from '../../../core/services/notification.service';
 import { ConfigService } from '../../../core/services/config.service';
 import { LoadingService } from '../../../core/services/loading.service';
@@ -46,10 +46,10 @@ export class IntegrationService {
   /**
    * Connect to GitHub
    */
-  connectGitHub(): void {
+  connectGitHub(options: OAuthInitOptions = {}): void {
     this.logger.info('Initiating GitHub connection');
 
-    this.integrationFacade.initiateConnection().subscribe({
+    this.integrationFacade.initiateConnection(options).subscribe({
       next: (response) => {
         this.logger.info('Redirecting to GitHub OAuth');
         // Redirect to GitHub OAuth
@@ -62,6 +62,24 @@ export class IntegrationService {
     });
   }
 
+  /**
+   * Get the scope and organization access report of an integration
+   */
+  getAccessReport(integrationId: string): Observable<IntegrationAccess> {
+    return this.integrationFacade.getAccessReport(integrationId);
+  }
+
+  /**
+   * Re-authorize an OAuth connection for the missing scopes. GitHub replaces
+   * the token, so the flow asks for every required scope, granted ones included.
+   */
+  grantMissingScopes(status: IntegrationStatus): void {
+    if (status.authType !== 'oauth') return;
+
+    this.logger.info('Re-authorizing GitHub for missing scopes');
+    this.connectGitHub({ host: status.host });
+  }
+
   /**
    * Disconnect from GitHub
    */
@@ -119,11 +137,11 @@ export class IntegrationService {
         }),
         takeWhile((status: IntegrationStatus) => {
           // Update progress
-          if (status.syncStatus === 'syncing' && status.metadata) {
+          if (status.syncStatus === 'syncing' && status.syncProgress?.total) {
             const progress: SyncProgress = {
-              current: status.metadata.totalRepos || 0,
-              total: 100, // This should come from backend
-              message: 'Syncing repositories...'
+              current: status.syncProgress.current,
+              total: status.syncProgress.total,
+              message: status.syncProgress.message || 'Syncing...'
             };
             this.syncProgress$.next(progress);
           }